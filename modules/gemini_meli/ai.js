@@ -34,9 +34,9 @@ async function filterTitles(requiredSpecs, candidates) {
         CANDIDATES_LIST: candidatesList
     });
 
-    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-chat");
+    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-chat", 'filter_titles');
     if (!result) {
-        const geminiRes = await askGemini(prompt);
+        const geminiRes = await askGemini(prompt, 'filter_titles');
         result = { content: geminiRes };
     }
 
@@ -77,9 +77,9 @@ async function validateBatchWithDeepSeek(requiredSpecs, candidates) {
         CANDIDATES_JSON: JSON.stringify(candidatesMin, null, 2)
     });
 
-    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-chat");
+    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-chat", 'validate_batch');
     if (!result) {
-        const geminiRes = await askGemini(prompt);
+        const geminiRes = await askGemini(prompt, 'validate_batch');
         result = { content: geminiRes };
     }
 
@@ -124,9 +124,9 @@ async function selectBestCandidate(description, candidates, maxPrice = null, qua
         CANDIDATES_JSON: JSON.stringify(candidatesSimple, null, 2)
     });
 
-    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-reasoner");
+    let result = await callDeepSeek([{ role: "user", content: prompt }], "deepseek-reasoner", 'select_best');
     if (!result) {
-        const geminiRes = await askGemini(prompt);
+        const geminiRes = await askGemini(prompt, 'select_best');
         result = { content: geminiRes };
     }
 
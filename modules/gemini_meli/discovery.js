@@ -34,7 +34,7 @@ async function analyzeItemStrategy(itemDescription, config = {}) {
 
     try {
         const messages = [{ role: 'user', content: prompt }];
-        const resultText = await generateText({ provider, model, apiKey, messages });
+        const resultText = await generateText({ provider, model, apiKey, messages, agentName: 'discovery' });
 
         // JSON Extract
         const jsonMatch = resultText.match(/\{[\s\S]*\}/);
@@ -50,7 +50,8 @@ Return ONLY a JSON object:
             provider: effectiveProvider,
             model: effectiveModel,
             apiKey: effectiveKey,
-            messages: messages
+            messages: messages,
+            agentName: 'verifier'
         });
 
         if (!response) return null;
@@ -20,13 +20,9 @@
 // v10.4: Use cascaded fallback system
 const { generateTextWithCascadeFallback, generateText, PROVIDERS, getApiKeyFromEnv } = require('../../../src/services/ai_manager');
 const { getSetting } = require('../../../src/database');
-
-// PRICE FLOOR: Minimum viable price as percentage of max tender price
-// Items below this threshold are rejected as suspected accessories/scrap
-const PRICE_FLOOR_PERCENTAGE = 0.15; // 15%
-
-// SKEPTICAL JUDGE: Maximum acceptable risk for viable candidates
-const MAX_ACCEPTABLE_RISK = 7.0;
+// Points, PRICE FLOOR (fraction of the max tender price) and the maximum acceptable risk come from
+// the task's scoring profile; SCORING_DEFAULTS when there is none
+const { SCORING_DEFAULTS } = require('../../../src/services/scoring_profiles');
 
 /**
  * Calculate Adherence Score for a candidate using ProductDNA (THE SKEPTICAL JUDGE)
@@ -36,9 +32,10 @@ const MAX_ACCEPTABLE_RISK = 7.0;
  * @param {string} detectedModel - Model name from DETETIVE (optional)
  * @param {string} originalDescription - Original tender description for ground-truth matching
  * @param {object} debugLogger - Optional debug logger
+ * @param {object} weights - Scoring profile weights (SCORING_DEFAULTS)
  * @returns {object} { score, risk, reason, breakdown }
  */
-function calculateAdherenceScore(productDNA, specs, detectedModel = null, originalDescription = null, debugLogger = null) {
+function calculateAdherenceScore(productDNA, specs, detectedModel = null, originalDescription = null, debugLogger = null, weights = SCORING_DEFAULTS) {
     const breakdown = [];
     let score = 0;
 
@@ -95,16 +92,16 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
         }
 
         if (found) {
-            score += 60;
-            breakdown.push(`✓ Âncora "${anchor}" encontrada (+60pts)`);
+            score += weights.anchor_found;
+            breakdown.push(`✓ Âncora "${anchor}" encontrada (+${weights.anchor_found}pts)`);
         } else {
-            score += 10;
-            breakdown.push(`⚠ Âncora "${anchor}" NÃO encontrada (+10pts - penalidade severa)`);
+            score += weights.anchor_missing;
+            breakdown.push(`⚠ Âncora "${anchor}" NÃO encontrada (+${weights.anchor_missing}pts - penalidade severa)`);
         }
     } else if (anchor && anchor.length > 0) {
         // INSANE ANCHOR: Give neutral score instead of penalty
-        score += 35;
-        breakdown.push(`⚠ Âncora "${anchor}" ignorada (suspeita de alucinação, +35pts neutro)`);
+        score += weights.anchor_ignored;
+        breakdown.push(`⚠ Âncora "${anchor}" ignorada (suspeita de alucinação, +${weights.anchor_ignored}pts neutro)`);
         if (debugLogger) {
             debugLogger.specMatching(
                 specs._candidateIndex || 0,
@@ -115,8 +112,8 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
         }
     } else {
         // No anchor defined - treat as medium base
-        score += 30;
-        breakdown.push('~ Sem âncora definida (+30pts base)');
+        score += weights.no_anchor;
+        breakdown.push(`~ Sem âncora definida (+${weights.no_anchor}pts base)`);
     }
 
     // ============================================
@@ -130,7 +127,7 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
         const specText = (typeof specObj === 'string' ? specObj : specObj.spec || '')
             .toLowerCase()
             .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-        const weight = typeof specObj === 'object' ? (specObj.weight || 10) : 10;
+        const weight = typeof specObj === 'object' ? (specObj.weight || weights.spec_weight) : weights.spec_weight;
 
         const found = specText && fullText.includes(specText);
 
@@ -195,11 +192,11 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
         if (originalSpecsTotal > 0) {
             const ratio = originalSpecsFound / originalSpecsTotal;
             if (ratio >= 0.7) {
-                score += 20;
-                breakdown.push(`✓ Ground-truth pass: ${originalSpecsFound}/${originalSpecsTotal} specs (+20pts bônus)`);
+                score += weights.ground_truth_bonus;
+                breakdown.push(`✓ Ground-truth pass: ${originalSpecsFound}/${originalSpecsTotal} specs (+${weights.ground_truth_bonus}pts bônus)`);
             } else if (ratio < 0.3) {
-                score = Math.max(0, score - 30);
-                breakdown.push(`⛔ Ground-truth fail: ${originalSpecsFound}/${originalSpecsTotal} specs (-30pts penalidade)`);
+                score = Math.max(0, score - weights.ground_truth_penalty);
+                breakdown.push(`⛔ Ground-truth fail: ${originalSpecsFound}/${originalSpecsTotal} specs (-${weights.ground_truth_penalty}pts penalidade)`);
             }
         }
     }
@@ -208,8 +205,8 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
     // PHASE 4: GOLDEN MODEL BONUS
     // ============================================
     if (detectedModel && title.toLowerCase().includes(detectedModel.toLowerCase())) {
-        score += 30;
-        breakdown.push(`✓ Modelo detectado "${detectedModel}" no título (+30pts bônus)`);
+        score += weights.golden_model_bonus;
+        breakdown.push(`✓ Modelo detectado "${detectedModel}" no título (+${weights.golden_model_bonus}pts bônus)`);
     }
 
     // ============================================
@@ -238,21 +235,21 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
         // Apply enrichment scoring
         if (enrichedConfirmed > 0) {
             // Bonus is scaled by confidence (higher confidence = higher bonus)
-            const enrichmentBonus = Math.round(enrichedConfirmed * 10 * enrichmentConfidence);
+            const enrichmentBonus = Math.round(enrichedConfirmed * weights.enrichment_confirmed * enrichmentConfidence);
             score += enrichmentBonus;
             breakdown.push(`📡 ${enrichedConfirmed} specs confirmadas via ${enrichmentSource} (+${enrichmentBonus}pts, confiança ${(enrichmentConfidence * 100).toFixed(0)}%)`);
         }
 
         if (enrichedDenied > 0) {
             // External source confirms product DOESN'T have the spec - this is worse than "not found"
-            const penalty = enrichedDenied * 15;
+            const penalty = enrichedDenied * weights.enrichment_denied;
             score = Math.max(0, score - penalty);
             breakdown.push(`⛔ ${enrichedDenied} specs NEGADAS via ${enrichmentSource} (-${penalty}pts)`);
         }
 
         if (enrichedUnknown > 0) {
             // Unknown means even external sources couldn't confirm - mild penalty
-            const uncertaintyPenalty = enrichedUnknown * 3;
+            const uncertaintyPenalty = enrichedUnknown * weights.enrichment_unknown;
             score = Math.max(0, score - uncertaintyPenalty);
             breakdown.push(`❓ ${enrichedUnknown} specs incertas via ${enrichmentSource} (-${uncertaintyPenalty}pts)`);
         }
@@ -294,6 +291,44 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
     };
 }
 
+/**
+ * Live JUIZ: combine the AI risk of each candidate with its deterministic adherence risk
+ * (calculateAdherenceScore with the task's profile weights). Final risk = mean of the two.
+ * Candidates without ProductDNA, or items whose PERITO gave no anchor nor critical specs, keep the AI risk.
+ *
+ * @param {object[]} candidates - Candidates already scored by the AI (risk_score)
+ * @param {object} specs - PERITO output (searchAnchor, criticalSpecs, originalDescription)
+ * @param {string} detectedModel - Model name from DETETIVE/AUDITOR (optional)
+ * @param {object} weights - Scoring profile weights (SCORING_DEFAULTS)
+ * @returns {number} candidates whose risk was combined
+ */
+function applyAdherenceRisk(candidates, specs = {}, detectedModel = null, weights = SCORING_DEFAULTS) {
+    const specsForScoring = {
+        searchAnchor: specs.searchAnchor || null,
+        criticalSpecs: specs.criticalSpecs || []
+    };
+    if (!specsForScoring.searchAnchor && specsForScoring.criticalSpecs.length === 0) return 0;
+
+    let combined = 0;
+    for (const candidate of candidates) {
+        if (!candidate.productDNA) continue;
+        const adherence = calculateAdherenceScore(candidate.productDNA, specsForScoring, detectedModel, specs.originalDescription || null, null, weights);
+        const aiRisk = parseFloat(candidate.risk_score);
+        const adherenceRisk = parseFloat(adherence.risk);
+
+        candidate.aiRisk = Number.isNaN(aiRisk) ? null : aiRisk;
+        candidate.adherenceScore = adherence.score;
+        candidate.adherenceRisk = adherenceRisk;
+        candidate.scoreBreakdown = adherence.breakdown;
+        candidate.risk_score = candidate.aiRisk === null
+            ? adherenceRisk
+            : Math.round((candidate.aiRisk + adherenceRisk) * 5) / 10;
+        candidate.aiMatch = candidate.risk_score <= 5;
+        combined++;
+    }
+    return combined;
+}
+
 /**
  * Execute JUIZ agent - THE SKEPTICAL JUDGE v8.0
  * 
@@ -305,9 +340,12 @@ function calculateAdherenceScore(productDNA, specs, detectedModel = null, origin
  * @param {object} specs - PERITO output (searchAnchor, negativeConstraints, criticalSpecs, originalDescription)
  * @param {string} detectedModel - Model name from DETETIVE (optional)
  * @param {object} debugLogger - Optional debug logger for detailed tracing
+ * @param {object} scoringProfile - Task scoring profile { id, name, weights }, recorded on every candidate
  */
-async function executeJuiz(candidates, goldEntity, killSpecs, item, config, specs = {}, detectedModel = null, debugLogger = null) {
+async function executeJuiz(candidates, goldEntity, killSpecs, item, config, specs = {}, detectedModel = null, debugLogger = null, scoringProfile = null) {
     console.log(`[JUIZ] CODEX OMNI v10.0 (THE SKEPTICAL JUDGE) - Analyzing ${candidates.length} candidates`);
+    const weights = scoringProfile ? scoringProfile.weights : SCORING_DEFAULTS;
+    const maxAcceptableRisk = weights.max_acceptable_risk;
 
     // DEBUG: Log original description being used
     const originalDescription = specs.originalDescription || item.description || '';
@@ -338,7 +376,7 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
     // ============================================
     const maxPrice = item.maxPrice || 0;
     // CODEX OMNI v10.0: Use minViablePrice from PERITO if available
-    const minViablePrice = specs.minViablePrice || (maxPrice > 0 ? maxPrice * PRICE_FLOOR_PERCENTAGE : 0);
+    const minViablePrice = specs.minViablePrice || (maxPrice > 0 ? maxPrice * weights.price_floor_percentage : 0);
 
     if (minViablePrice > 0) {
         candidates = applyPriceFloorWithMinViable(candidates, minViablePrice, maxPrice);
@@ -368,7 +406,7 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
     const specsForScoring = {
         searchAnchor: specs.searchAnchor || null,
         negativeConstraints: specs.negativeConstraints || [],
-        criticalSpecs: specs.criticalSpecs || killSpecs.map(s => ({ spec: s, weight: 10 }))
+        criticalSpecs: specs.criticalSpecs || killSpecs.map(s => ({ spec: s, weight: weights.spec_weight }))
     };
 
     for (let i = 0; i < viableCandidates.length; i++) {
@@ -402,7 +440,8 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
                 specsForScoring,
                 detectedModel,
                 originalDescription,  // CRITICAL: Pass original description for ground-truth matching
-                debugLogger
+                debugLogger,
+                weights
             );
 
             candidate.adherenceScore = adherence.score;
@@ -415,7 +454,7 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
                 candidate.aiMatch = 'APPROVED';
             } else if (parseFloat(adherence.risk) <= 5.0) {
                 candidate.aiMatch = 'UNCERTAIN';
-            } else if (parseFloat(adherence.risk) <= MAX_ACCEPTABLE_RISK) {
+            } else if (parseFloat(adherence.risk) <= maxAcceptableRisk) {
                 candidate.aiMatch = 'DOUBTFUL';
             } else {
                 candidate.aiMatch = 'REJECTED';
@@ -471,7 +510,7 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
     const acceptableCandidates = validatedCandidates.filter(c =>
         !c.priceFloorRejection &&
         c.risk_score !== undefined &&
-        parseFloat(c.risk_score) <= MAX_ACCEPTABLE_RISK
+        parseFloat(c.risk_score) <= maxAcceptableRisk
     );
 
     // Sort: Risk first, then price
@@ -501,12 +540,16 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
             debugLogger.winner(winner, `Selecionado por menor risco (${winner.risk_score}) e preço (R$ ${winner.price})`);
         }
     } else {
-        console.log(`[JUIZ] ⚠ Nenhum candidato com risco aceitável (<= ${MAX_ACCEPTABLE_RISK})`);
+        console.log(`[JUIZ] ⚠ Nenhum candidato com risco aceitável (<= ${maxAcceptableRisk})`);
         if (debugLogger) {
-            debugLogger.error('JUIZ', `Nenhum candidato com risco <= ${MAX_ACCEPTABLE_RISK}`);
+            debugLogger.error('JUIZ', `Nenhum candidato com risco <= ${maxAcceptableRisk}`);
         }
     }
 
+    if (scoringProfile) {
+        validatedCandidates.forEach(c => { c.scoringProfile = scoringProfile; });
+    }
+
     // ============================================
     // PHASE 4: GENERATE DEFENSE REPORT
     // ============================================
@@ -529,15 +572,16 @@ async function executeJuiz(candidates, goldEntity, killSpecs, item, config, spec
 
 /**
  * Apply Price Floor defense (ANCHOR & LOCK doctrine)
- * Rejects candidates whose price is suspiciously low (< 15% of tender max price)
+ * Rejects candidates whose price is suspiciously low (< profile floor of tender max price)
  * This prevents the system from accepting accessories/scrap as valid matches
  * 
  * @param {object[]} candidates - Candidates from SNIPER
  * @param {number} maxPrice - Maximum tender price
+ * @param {number} floorPercentage - Scoring profile price_floor_percentage
  * @returns {object[]} Candidates with price floor rejections marked
  */
-function applyPriceFloor(candidates, maxPrice) {
-    const minViablePrice = maxPrice * PRICE_FLOOR_PERCENTAGE;
+function applyPriceFloor(candidates, maxPrice, floorPercentage = SCORING_DEFAULTS.price_floor_percentage) {
+    const minViablePrice = maxPrice * floorPercentage;
 
     return candidates.map(candidate => {
         const candidatePrice = candidate.price || 0;
@@ -547,7 +591,7 @@ function applyPriceFloor(candidates, maxPrice) {
                 ...candidate,
                 aiMatch: 'REJECTED',
                 aiReasoning: `⛔ PREÇO VIL (R$ ${candidatePrice.toFixed(2)}). ` +
-                    `Piso mínimo: R$ ${minViablePrice.toFixed(2)} (15% de R$ ${maxPrice.toFixed(2)}). ` +
+                    `Piso mínimo: R$ ${minViablePrice.toFixed(2)} (${Math.round(floorPercentage * 100)}% de R$ ${maxPrice.toFixed(2)}). ` +
                     `Suspeita de acessório, peça de reposição ou sucata.`,
                 risk_score: 10,
                 technical_score: 0,
@@ -560,7 +604,7 @@ function applyPriceFloor(candidates, maxPrice) {
 
 /**
  * CODEX OMNI v10.0: THE GUILLOTINE - Apply Price Floor with pre-calculated minViablePrice
- * Uses minViablePrice from PERITO (20% of budget) instead of internal calculation
+ * Uses minViablePrice from PERITO (profile price floor of the budget) instead of internal calculation
  * 
  * @param {object[]} candidates - Candidates from SNIPER
  * @param {number} minViablePrice - Minimum viable price from PERITO
@@ -577,7 +621,7 @@ function applyPriceFloorWithMinViable(candidates, minViablePrice, maxPrice) {
                 ...candidate,
                 aiMatch: 'REJECTED',
                 aiReasoning: `⛔ THE GUILLOTINE: PREÇO VIL (R$ ${candidatePrice.toFixed(2)} = ${percentage}% do orçamento). ` +
-                    `Piso mínimo: R$ ${minViablePrice.toFixed(2)} (20% do budget). ` +
+                    `Piso mínimo: R$ ${minViablePrice.toFixed(2)}${maxPrice > 0 ? ` (${Math.round((minViablePrice / maxPrice) * 100)}% do budget)` : ''}. ` +
                     `Provável acessório, peça de reposição ou sucata.`,
                 risk_score: 10,
                 technical_score: 0,
@@ -799,6 +843,7 @@ async function evaluateCandidateDirect(candidate, originalDescription, config) {
 ${originalDescription}
 
 --- ANÚNCIO ENCONTRADO ---
+Loja: ${candidate.store || 'N/A'}
 Título: ${candidate.title}
 Preço: R$ ${candidate.price?.toFixed(2) || 'N/A'}
 
@@ -853,7 +898,8 @@ Responda em JSON:
             provider,
             model,
             apiKey,
-            messages: [{ role: 'user', content: prompt }]
+            messages: [{ role: 'user', content: prompt }],
+            agentName: 'juiz'
         });
 
         console.log(`[JUIZ] 🤖 IA respondeu: "${response.substring(0, 80)}..."`);
@@ -931,10 +977,10 @@ function deduplicateCandidates(candidates) {
         return words;
     };
 
-    // Group by core product
+    // Group by core product, per store (the same product in another store is another quote)
     const groups = {};
     for (const candidate of candidates) {
-        const core = extractCore(candidate.title);
+        const core = `${candidate.store || ''}|${extractCore(candidate.title)}`;
         if (!groups[core]) {
             groups[core] = [];
         }
@@ -979,6 +1025,7 @@ async function evaluateBatchCandidates(candidates, originalDescription, config,
         const adText = productDNA.fullTextRaw || productDNA.descriptionText || c.description || 'N/A';
         return `
 --- CANDIDATO ${i + 1} ---
+Loja: ${c.store || 'N/A'}
 Título: ${c.title}
 Preço: R$ ${c.price?.toFixed(2) || 'N/A'}
 Descrição: ${adText.substring(0, 500)}${adText.length > 500 ? '...' : ''}
@@ -1052,7 +1099,8 @@ IMPORTANTE: perplexity_candidates deve ter no máximo ${maxPerplexity} itens!`;
             provider,
             model,
             apiKey,
-            messages: [{ role: 'user', content: prompt }]
+            messages: [{ role: 'user', content: prompt }],
+            agentName: 'juiz'
         });
 
         console.log(`[JUIZ] 📥 Resposta do lote (${response.length} chars)`);
@@ -1089,4 +1137,4 @@ IMPORTANTE: perplexity_candidates deve ter no máximo ${maxPerplexity} itens!`;
     }
 }
 
-module.exports = { executeJuiz, evaluateCandidateDirect, evaluateBatchCandidates, deduplicateCandidates };
+module.exports = { executeJuiz, calculateAdherenceScore, applyAdherenceRisk, evaluateCandidateDirect, evaluateBatchCandidates, deduplicateCandidates };
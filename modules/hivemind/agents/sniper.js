@@ -10,7 +10,7 @@
  * - kitPricing: Aggregated kit pricing if applicable
  */
 
-const { searchAndScrape, getProductDetails } = require('../scraper');
+const { searchMarketplaces, getMarketplaceDetails } = require('../../../src/services/marketplace');
 const { generateText, PROVIDERS, getApiKeyFromEnv } = require('../../../src/services/ai_manager');
 const { getSetting } = require('../../../src/database');
 
@@ -63,7 +63,7 @@ async function executeSniper(entity, kitComponents, maxPrice, quantity, page, ce
     const detailedCandidates = [];
     for (const candidate of filteredCandidates.slice(0, 10)) {
         try {
-            const details = await getProductDetails(page, candidate.link, cep);
+            const details = await getMarketplaceDetails(page, candidate.link, cep);
 
             // CRITICAL FIX: Propagate ProductDNA from scraper to candidate
             // This enables the JUIZ to perform accurate spec matching
@@ -81,14 +81,18 @@ async function executeSniper(entity, kitComponents, maxPrice, quantity, page, ce
                 ...candidate,
                 productDNA,  // CRITICAL: Now propagating ProductDNA!
                 shippingCost: details.shippingCost || 0,
+                shippingFree: !!details.shippingFree,
+                shippingDays: details.shippingDays || null,
                 attributes: details.attributes || [],
                 description: details.description || '',
                 totalPrice: candidate.price + (details.shippingCost || 0),
                 seller: details.seller || {},
+                seller_reputation: details.seller_reputation || null,
                 gtin: details.gtin || null,
                 mpn: details.mpn || null,
                 brand: details.brand || null,
                 model: details.model || null,
+                condition: details.condition || candidate.condition || null,
                 isGoldEntity: !entity.isGeneric
             });
         } catch (err) {
@@ -186,7 +190,7 @@ async function searchForEntity(entity, page, cep, searchAnchor = null) {
         console.log(`[SNIPER] 🎯 Modo MODELO DETECTADO: "${entity.detectedModel}"`);
         const sanitized = sanitizeQuery(entity.detectedModel, entity);
         try {
-            const results = await searchAndScrape(page, sanitized);
+            const results = await searchMarketplaces(page, sanitized);
             allResults.push(...results);
         } catch (err) {
             if (err.message === 'BLOCKED_BY_PORTAL') throw err;
@@ -201,14 +205,14 @@ async function searchForEntity(entity, page, cep, searchAnchor = null) {
         const sanitized = sanitizeQuery(anchoredQuery, entity);
         console.log(`[SNIPER] ⚓ Modo ÂNCORA: "${sanitized}"`);
         try {
-            const results = await searchAndScrape(page, sanitized);
+            const results = await searchMarketplaces(page, sanitized);
             allResults.push(...results);
 
             // Se não encontrou resultados com âncora, tenta sem (mas loga aviso)
             if (results.length === 0) {
                 console.log(`[SNIPER] ⚠️ Âncora não retornou resultados, tentando busca simples...`);
                 const simpleQuery = sanitizeQuery(entity.name, entity);
-                const fallbackResults = await searchAndScrape(page, simpleQuery);
+                const fallbackResults = await searchMarketplaces(page, simpleQuery);
                 allResults.push(...fallbackResults);
             }
         } catch (err) {
@@ -225,7 +229,7 @@ async function searchForEntity(entity, page, cep, searchAnchor = null) {
         for (const query of sanitizedQueries.slice(0, 2)) {
             try {
                 console.log(`[SNIPER] Searching marketplace: "${query}"`);
-                const results = await searchAndScrape(page, query);
+                const results = await searchMarketplaces(page, query);
                 allResults.push(...results);
             } catch (err) {
                 if (err.message === 'BLOCKED_BY_PORTAL') throw err;
@@ -251,7 +255,7 @@ async function searchWithQuery(query, page, cep) {
     try {
         const sanitized = sanitizeQuery(query);
         console.log(`[SNIPER] Generic search: "${sanitized}"`);
-        const results = await searchAndScrape(page, sanitized);
+        const results = await searchMarketplaces(page, sanitized);
         return results.filter(r => r.price);
     } catch (err) {
         console.warn(`[SNIPER] Query search error: ${err.message}`);
@@ -308,7 +312,8 @@ async function buildKitPricing(components, page, cep) {
                         unitPrice: cheapest.price,
                         totalPrice: itemTotal,
                         link: cheapest.link,
-                        title: cheapest.title
+                        title: cheapest.title,
+                        store: cheapest.store
                     });
 
                     total += itemTotal;
@@ -341,17 +346,23 @@ async function collectAllTitles(strategies, page, cep) {
 
         try {
             const sanitized = sanitizeQuery(strategy.query);
-            const results = await searchAndScrape(page, sanitized);
+            const results = await searchMarketplaces(page, sanitized);
 
             let addedCount = 0;
             for (const r of results) {
-                const titleKey = r.title.toLowerCase().trim();
+                // Same title in two stores = two offers to compare
+                const titleKey = `${r.store}|${r.title.toLowerCase().trim()}`;
                 if (!seenTitles.has(titleKey) && r.price > 0) {
                     seenTitles.add(titleKey);
                     allTitles.push({
                         title: r.title,
                         price: r.price,
                         link: r.link,
+                        image: r.image,
+                        store: r.store,
+                        marketplace: r.marketplace,
+                        itemId: r.itemId,
+                        condition: r.condition,
                         sourceStrategy: strategy.type,
                         sourceQuery: strategy.query
                     });
@@ -388,14 +399,14 @@ async function aiSelectCandidates(titles, originalDescription, config) {
     const titlesForAI = titles.slice(0, maxTitles);
 
     const titlesList = titlesForAI
-        .map((t, i) => `${i + 1}. ${t.title} - R$ ${t.price.toFixed(2)}`)
+        .map((t, i) => `${i + 1}. [${t.store}] ${t.title} - R$ ${t.price.toFixed(2)}`)
         .join('\n');
 
     const prompt = `Uma prefeitura quer comprar:
 
 "${originalDescription}"
 
-Abaixo estão ${titlesForAI.length} produtos encontrados no Mercado Livre:
+Abaixo estão ${titlesForAI.length} produtos encontrados nos marketplaces (loja entre colchetes):
 
 ${titlesList}
 
@@ -427,7 +438,8 @@ Limite: máximo 15 itens.`;
             provider,
             model,
             apiKey,
-            messages: [{ role: 'user', content: prompt }]
+            messages: [{ role: 'user', content: prompt }],
+            agentName: 'sniper'
         });
 
         console.log(`[SNIPER] 🤖 IA respondeu: "${response.substring(0, 100)}..."`);
@@ -476,7 +488,7 @@ async function getDetailsForSelected(selectedIndices, allTitles, page, cep) {
         console.log(`[SNIPER]   [${i + 1}/${selectedIndices.length}] "${title.title.substring(0, 40)}..."`);
 
         try {
-            const details = await getProductDetails(page, title.link, cep);
+            const details = await getMarketplaceDetails(page, title.link, cep);
 
             // Build ProductDNA
             const productDNA = details.productDNA || {
@@ -491,14 +503,18 @@ async function getDetailsForSelected(selectedIndices, allTitles, page, cep) {
                 ...title,
                 productDNA,
                 shippingCost: details.shippingCost || 0,
+                shippingFree: !!details.shippingFree,
+                shippingDays: details.shippingDays || null,
                 attributes: details.attributes || [],
                 description: details.description || '',
                 totalPrice: title.price + (details.shippingCost || 0),
                 seller: details.seller || {},
+                seller_reputation: details.seller_reputation || null,
                 gtin: details.gtin || null,
                 mpn: details.mpn || null,
                 brand: details.brand || null,
-                model: details.model || null
+                model: details.model || null,
+                condition: details.condition || title.condition || null
             });
 
             // Delay between detail fetches
@@ -18,10 +18,12 @@ const { executeAuditor } = require('./agents/auditor');
 // Smart Candidate Selection: Import new functions
 const { executeSniper, collectAllTitles, aiSelectCandidates, getDetailsForSelected } = require('./agents/sniper');
 // Smart Candidate Selection: Import direct evaluation + batch functions
-const { executeJuiz, evaluateCandidateDirect, evaluateBatchCandidates, deduplicateCandidates } = require('./agents/juiz');
+const { executeJuiz, applyAdherenceRisk, evaluateCandidateDirect, evaluateBatchCandidates, deduplicateCandidates } = require('./agents/juiz');
 const { getCachedEntity, cacheEntity } = require('./services/entityCache');
 const { DebugLogger } = require('./services/debug_logger');
 const { askPerplexity } = require('../perplexity/client'); // GOLDEN PATH: Enrichment via Perplexity
+const { countDistinctSellers, buildQuoteBasket } = require('../../src/services/quote_basket');
+const { toScoringProfile } = require('../../src/services/scoring_profiles');
 
 // State Machine States
 const STATES = {
@@ -47,7 +49,7 @@ const MAX_ELASTIC_RETRIES = 3;  // LEI 2: Maximum search re-attempts
  * Implements a state machine with recursive feedback loops
  */
 async function execute(job, config) {
-    const { id, description, maxPrice, quantity, browser, cep, logger } = job;
+    const { id, description, maxPrice, quantity, browser, cep, logger, quoteBasketSize = 0, scoringProfile = toScoringProfile(null), offline = false } = job;
 
     // Initialize state
     let state = {
@@ -68,6 +70,10 @@ async function execute(job, config) {
         validationRetries: 0,
         elasticRetryCount: 0,          // LEI 2: Elastic loop counter
         previousQueries: [],           // LEI 2: Track used queries to avoid repetition
+        quoteBasketSize,               // Cesta de preços: quotes from distinct sellers required (0 = off)
+        quoteBasket: null,
+        scoringProfile,                // JUIZ rule set of the task (points, price floor, max risk), recorded on every candidate
+        offline,                       // Golden-set evaluation: no entity cache, no open-web investigation
         logs: []
     };
 
@@ -89,7 +95,7 @@ async function execute(job, config) {
         logState(state, 'Iniciando investigação cognitiva', logger, id);
 
         // Check cache first
-        const cached = await getCachedEntity(description);
+        const cached = offline ? null : await getCachedEntity(description);
         if (cached) {
             logger.log(`💾 [Item ${id}] Entidade em cache: ${cached.entity_name}`);
             state.goldEntity = {
@@ -152,8 +158,12 @@ async function execute(job, config) {
                 quantidade: quantity,
                 offers: state.candidates,
                 winnerIndex: state.winner !== null ? state.winner : 0,
+                quoteBasket: state.quoteBasket,
                 goldEntity: state.goldEntity,
-                defenseReport: state.defenseReport
+                defenseReport: state.defenseReport,
+                killSpecs: state.killSpecs || [],
+                criticalSpecs: state.criticalSpecs || [],
+                finalState: state.current
             };
         } else {
             logger.log(`⚠️ [Item ${id}] HIVE-MIND não encontrou resultados válidos.`);
@@ -163,12 +173,16 @@ async function execute(job, config) {
                 valor_venda: maxPrice,
                 quantidade: quantity,
                 offers: [],
-                winnerIndex: -1
+                winnerIndex: -1,
+                killSpecs: state.killSpecs || [],
+                criticalSpecs: state.criticalSpecs || [],
+                finalState: state.current
             };
         }
 
     } catch (err) {
         logger.log(`💥 [Item ${id}] HIVE-MIND Error: ${err.message}`);
+        err.finalState = state.current;
         throw err;
     } finally {
         if (page) await page.close();
@@ -197,9 +211,10 @@ async function runPerito(state, config, logger, itemId) {
         // v10.3 FLEXÍVEL & IMPLACÁVEL: Removed googleQueries, negativeTerms, negativeConstraints
         state.searchVariations = result.searchVariations || []; // Alternative search terms
 
-        // CODEX OMNI v10.0: Calculate min viable price (THE GUILLOTINE - 20% of budget)
+        // CODEX OMNI v10.0: Calculate min viable price (THE GUILLOTINE - profile share of the budget)
         const budget = state.item.maxPrice || state.maxPriceEstimate || 0;
-        state.minViablePrice = budget > 0 ? budget * 0.20 : 0;
+        const floorPercentage = state.scoringProfile.weights.price_floor_percentage;
+        state.minViablePrice = budget > 0 ? budget * floorPercentage : 0;
 
         // SKEPTICAL JUDGE fields from PERITO (v10.3: negativeConstraints removed)
         state.criticalSpecs = result.criticalSpecs || [];             // Specs with weights
@@ -217,7 +232,7 @@ async function runPerito(state, config, logger, itemId) {
             logger.log(`⚓ [Item ${itemId}] Âncora VALIDADA: "${state.searchAnchorRaw}"`);
         }
         if (state.minViablePrice > 0) {
-            logger.log(`💰 [Item ${itemId}] Preço Mínimo Viável: R$ ${state.minViablePrice.toFixed(2)} (Guilhotina 20%)`);
+            logger.log(`💰 [Item ${itemId}] Preço Mínimo Viável: R$ ${state.minViablePrice.toFixed(2)} (Guilhotina ${Math.round(floorPercentage * 100)}%, perfil ${state.scoringProfile.name})`);
         }
         // v10.3: Kill-words log removed (feature was removed)
         if (state.searchVariations.length > 0) {
@@ -257,6 +272,19 @@ async function runPerito(state, config, logger, itemId) {
 }
 
 async function runDetetive(state, config, logger, itemId) {
+    if (state.offline) {
+        // The open web is not recorded: evaluation runs go straight to the marketplace search
+        logger.log(`⏭️ [Item ${itemId}] DETETIVE: Investigação na web desligada (modo offline)`);
+        state.goldEntity = {
+            name: state.marketplaceSearchTerm || state.item.description.substring(0, 50),
+            manufacturer: null,
+            searchQueries: [state.marketplaceSearchTerm || state.item.description.substring(0, 50)],
+            isGeneric: true
+        };
+        state.current = STATES.SNIPER;
+        return state;
+    }
+
     logger.log(`🕵️ [Item ${itemId}] DETETIVE: Investigando web aberta...`);
 
     try {
@@ -426,8 +454,8 @@ async function runSniper(state, page, cep, config, logger, itemId) {
 
         if (allTitles.length === 0) {
             logger.log(`⚠️ [Item ${itemId}] SNIPER: Nenhum produto encontrado em ${strategies.length} estratégias.`);
-            state.candidates = [];
-            state.current = STATES.COMPLETE;
+            state.candidates = mergeCarriedCandidates(state, []);
+            state.current = state.candidates.length > 0 ? STATES.AVALIACAO : STATES.COMPLETE;
             return state;
         }
 
@@ -465,7 +493,7 @@ async function runSniper(state, page, cep, config, logger, itemId) {
         // Apply price anomaly filter
         const filteredCandidates = filterPriceAnomaliesLocal(detailedCandidates);
 
-        state.candidates = filteredCandidates;
+        state.candidates = mergeCarriedCandidates(state, filteredCandidates);
         state.allTitlesCount = allTitles.length;
         state.selectedCount = selectedIndices.length;
         state.kitPricing = null;
@@ -494,6 +522,8 @@ async function runSniper(state, page, cep, config, logger, itemId) {
         state.current = STATES.AVALIACAO;
 
     } catch (err) {
+        // Blocks go up to the worker, which rotates identity and runs the item again
+        if (err.message === 'BLOCKED_BY_PORTAL') throw err;
         logger.log(`❌ [Item ${itemId}] SNIPER Error: ${err.message}`);
         console.error(err);
         state.candidates = [];
@@ -503,6 +533,16 @@ async function runSniper(state, page, cep, config, logger, itemId) {
     return state;
 }
 
+/**
+ * Cesta de preços retries add to the candidates of the previous rounds instead of replacing them
+ */
+function mergeCarriedCandidates(state, candidates) {
+    const carried = state.carriedCandidates || [];
+    state.carriedCandidates = null;
+    const links = new Set(carried.map(c => c.link));
+    return [...carried, ...candidates.filter(c => !links.has(c.link))];
+}
+
 /**
  * Local price anomaly filter (copy from sniper.js)
  */
@@ -607,7 +647,7 @@ async function runJuiz(state, config, logger, itemId) {
 
                 try {
                     // Query Perplexity with AI-generated questions (new format returns { content, debug })
-                    const perplexityResult = await askPerplexity(questions, { logger, itemId });
+                    const perplexityResult = await askPerplexity(questions, { logger, itemId, agent: 'juiz' });
 
                     if (perplexityResult?.content) {
                         logger.log(`   ✅ Perplexity respondeu`);
@@ -655,6 +695,17 @@ async function runJuiz(state, config, logger, itemId) {
             }
         }
 
+        // PHASE 4: Deterministic adherence with the profile points, averaged with the AI risk
+        const adherenceSpecs = {
+            searchAnchor: state.searchAnchorRaw || state.searchAnchor,
+            criticalSpecs: state.criticalSpecs,
+            originalDescription
+        };
+        const combined = applyAdherenceRisk(candidates, adherenceSpecs, state.goldEntity?.detectedModel || null, state.scoringProfile.weights);
+        if (combined > 0) {
+            logger.log(`📐 [Item ${itemId}] JUIZ: Aderência (perfil ${state.scoringProfile.name}) combinada ao risco da I.A. em ${combined} candidatos`);
+        }
+
         // Sort by risk (lowest first), then by price
         candidates.sort((a, b) => {
             const riskDiff = (a.risk_score || 10) - (b.risk_score || 10);
@@ -662,8 +713,9 @@ async function runJuiz(state, config, logger, itemId) {
             return (a.totalPrice || a.price || 0) - (b.totalPrice || b.price || 0);
         });
 
-        // Find winner: lowest risk that is acceptable (risk <= 7)
-        const MAX_ACCEPTABLE_RISK = 7.0;
+        // Find winner: lowest risk that is acceptable (risk <= profile max, 7 by default)
+        const MAX_ACCEPTABLE_RISK = state.scoringProfile.weights.max_acceptable_risk;
+        candidates.forEach(c => { c.scoringProfile = state.scoringProfile; });
         const winnerIndex = candidates.findIndex(c => (c.risk_score || 10) <= MAX_ACCEPTABLE_RISK);
 
         state.candidates = candidates;
@@ -678,6 +730,14 @@ async function runJuiz(state, config, logger, itemId) {
             logger.log(`⚠️ [Item ${itemId}] JUIZ: Nenhum candidato com risco ≤ ${MAX_ACCEPTABLE_RISK}`);
         }
 
+        if (state.quoteBasketSize > 0) {
+            state.quoteBasket = buildQuoteBasket(candidates, state.quoteBasketSize, { maxRisk: MAX_ACCEPTABLE_RISK });
+            const { count, size, reference } = state.quoteBasket;
+            logger.log(state.quoteBasket.complete
+                ? `📑 [Item ${itemId}] JUIZ: Cesta de preços completa (${count}/${size}), referência R$ ${reference}`
+                : `⚠️ [Item ${itemId}] JUIZ: Cesta de preços incompleta (${count}/${size} cotações aceitas de vendedores distintos)`);
+        }
+
         // Debug summary
         if (state.debugLogger) {
             state.debugLogger.section('JUIZ v3.0 EVALUATION SUMMARY');
@@ -1033,7 +1093,7 @@ async function enrichCandidateViaPerplexity(candidate, missingSpecs, config, log
 
         logger.log(`   📡 [Item ${itemId}] Consultando Perplexity com ${missingSpecs.length} perguntas...`);
 
-        const result = await askPerplexity(query, { logger, itemId });
+        const result = await askPerplexity(query, { logger, itemId, agent: 'enrichment' });
         const response = result?.content;
 
         if (!response) {
@@ -1128,9 +1188,17 @@ async function runAvaliacao(state, page, cep, config, logger, itemId) {
 
     logger.log(`📊 [Item ${itemId}] AVALIACAO: ${promisingCount}/${totalCount} candidatos promissores`);
 
+    // Cesta de preços: the promising candidates must also come from enough distinct sellers
+    let basketShort = false;
+    if (state.quoteBasketSize > 0) {
+        const distinctSellers = countDistinctSellers(promisingCandidates);
+        basketShort = distinctSellers < state.quoteBasketSize;
+        logger.log(`📑 [Item ${itemId}] AVALIACAO: ${distinctSellers}/${state.quoteBasketSize} vendedores distintos para a cesta de preços`);
+    }
+
     // Decision logic
     const MINIMUM_PROMISING = 2;
-    const needsRetry = promisingCount < MINIMUM_PROMISING && state.elasticRetryCount < MAX_ELASTIC_RETRIES;
+    const needsRetry = (promisingCount < MINIMUM_PROMISING || basketShort) && state.elasticRetryCount < MAX_ELASTIC_RETRIES;
 
     if (needsRetry) {
         state.elasticRetryCount++;
@@ -1156,6 +1224,12 @@ async function runAvaliacao(state, page, cep, config, logger, itemId) {
 
             logger.log(`🔍 [Item ${itemId}] AVALIACAO: Novas queries: ${alternativeQueries.join(', ')}`);
 
+            if (state.quoteBasketSize > 0) {
+                // Basket mode searches the new queries and keeps the candidates found so far
+                state.searchStrategies = alternativeQueries.map(query => ({ type: 'cesta', query, priority: 1, description: 'Cesta de preços: mais vendedores' }));
+                state.carriedCandidates = state.candidates;
+            }
+
             // Go back to SNIPER with new queries
             state.current = STATES.SNIPER;
         } else {
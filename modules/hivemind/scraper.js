@@ -1,6 +1,6 @@
 /**
  * HIVEMIND Scraper
- * Re-exports from gemini_meli scraper for marketplace operations
+ * Re-exports the shared Mercado Livre scraper service (src/services/marketplace/mercadolivre.js)
  */
 
 const { 
@@ -8,7 +8,7 @@ const {
     setCEP, 
     searchAndScrape, 
     getProductDetails 
-} = require('../gemini_meli/scraper');
+} = require('../../src/services/marketplace/mercadolivre');
 
 module.exports = { 
     initBrowser, 
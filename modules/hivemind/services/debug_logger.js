@@ -103,6 +103,13 @@ class DebugLogger {
         this._write(reasoning);
     }
 
+    /**
+     * Log a single line from an agent (AI config, provider actually used)
+     */
+    log(agentName, message) {
+        this._write(`[${agentName}] ${message}`);
+    }
+
     /**
      * Log validation results (kill-specs, anchors, etc.)
      */
@@ -1,14 +1,17 @@
+const { withBudget, aiBudget } = require('../../src/services/budget');
+const { trackAiCall } = require('../../src/services/ai_usage');
+
 const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
 
 /**
  * Ask Perplexity with full request/response logging
  * 
  * @param {string|Array} input - Query string or messages array
- * @param {object} options - Optional: { logger, itemId }
+ * @param {object} options - Optional: { logger, itemId, agent } (agent: who asked, for the AI cost report)
  * @returns {object} { content, debug: { url, requestBody, rawResponse, timestamp } }
  */
 async function askPerplexity(input, options = {}) {
-    const { logger, itemId } = options;
+    const { logger, itemId, agent = 'perplexity' } = options;
     const apiKey = process.env.PERPLEXITY_API_KEY;
 
     if (!apiKey) {
@@ -48,17 +51,19 @@ async function askPerplexity(input, options = {}) {
         logger.log(`   📝 [Item ${itemId}] PERPLEXITY Input: ${typeof input === 'string' ? input.substring(0, 80) : 'messages[]'}...`);
     }
 
+    const startedAt = Date.now();
     try {
-        const response = await fetch(PERPLEXITY_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
+        const { response, rawResponseText } = await withBudget(aiBudget('perplexity'), async () => {
+            const response = await fetch(PERPLEXITY_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(requestBody)
+            });
+            return { response, rawResponseText: await response.text() };
         });
-
-        const rawResponseText = await response.text();
         debugInfo.rawResponse = rawResponseText;
         debugInfo.statusCode = response.status;
 
@@ -76,6 +81,7 @@ async function askPerplexity(input, options = {}) {
 
         const json = JSON.parse(rawResponseText);
         const content = json.choices?.[0]?.message?.content || null;
+        trackAiCall({ provider: 'perplexity', model: requestBody.model, agent, messages, text: content, usage: json.usage, latencyMs: Date.now() - startedAt });
 
         return {
             content,
@@ -84,6 +90,7 @@ async function askPerplexity(input, options = {}) {
     } catch (e) {
         console.error("[PERPLEXITY] ❌ Error:", e.message);
         debugInfo.error = e.message;
+        trackAiCall({ provider: 'perplexity', model: requestBody.model, agent, messages, latencyMs: Date.now() - startedAt, error: e });
 
         return {
             content: null,
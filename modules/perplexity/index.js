@@ -1,7 +1,8 @@
 const { askPerplexity } = require('./client');
 const { scrapeGeneric } = require('./scraper');
 const { callDeepSeek } = require('../../src/services/deepseek');
-const { initBrowser } = require('../gemini_meli/scraper');
+const { initBrowser, setCEP, getProductDetails } = require('../../src/services/marketplace/mercadolivre');
+const { isMercadoLivreUrl } = require('../../src/services/marketplace/mercadolivre_parser');
 const { validateBatchWithDeepSeek, selectBestCandidate } = require('../gemini_meli/ai');
 
 // Extract JSON from markdown code block or raw string
@@ -88,13 +89,26 @@ Certifique-se que o link leva diretamente ao produto.
                 if (!cand.link) continue;
 
                 logger.log(`📡 [Item ${id}] Acessando: ${cand.link}`);
-                const scraped = await scrapeGeneric(page, cand.link);
+                if (isMercadoLivreUrl(cand.link)) {
+                    // Mercado Livre links go through the shared scraper: real price, shipping to the CEP and seller
+                    const details = await getProductDetails(page, cand.link);
+                    cand.productDNA = details.productDNA;
+                    cand.description = details.description;
+                    cand.attributes = details.attributes || {};
+                    if (details.price) cand.price = details.price;
+                    cand.shippingCost = details.shippingCost || 0;
+                    cand.totalPrice = (cand.price || 0) + cand.shippingCost;
+                    cand.seller_reputation = details.seller_reputation;
+                    cand.gtin = details.gtin;
+                } else {
+                    const scraped = await scrapeGeneric(page, cand.link);
 
-                // Update candidate with scraped data
-                cand.description = scraped.description || scraped.text; // Prefer combined desc
-                cand.attributes = {};
-                if (!cand.price && scraped.price) cand.price = scraped.price;
-                cand.totalPrice = cand.price;
+                    // Update candidate with scraped data
+                    cand.description = scraped.description || scraped.text; // Prefer combined desc
+                    cand.attributes = {};
+                    if (!cand.price && scraped.price) cand.price = scraped.price;
+                    cand.totalPrice = cand.price;
+                }
 
                 // Validate
                 const batchResult = await validateBatchWithDeepSeek(description, [cand]);
@@ -188,9 +202,4 @@ Tente outras lojas se necessário.
     }
 }
 
-async function setCEP(page, cep) {
-    // Optional implementation
-    return;
-}
-
 module.exports = { execute, initBrowser, setCEP };
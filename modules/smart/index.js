@@ -44,7 +44,7 @@ async function execute(job) {
     }
 }
 
-// Re-export helpers from gemini_meli as it's the primary browser controller
-const { initBrowser, setCEP } = require('../gemini_meli/scraper');
+// Browser + CEP come from the shared Mercado Livre scraper (Meli is tried first)
+const { initBrowser, setCEP } = require('../../src/services/marketplace/mercadolivre');
 
 module.exports = { execute, initBrowser, setCEP };
@@ -0,0 +1,77 @@
+/**
+ * Scoring backtest CLI: which winners of past tasks a JUIZ rule set would change, and why.
+ *
+ *   npm run backtest:scoring -- --profile "Rigoroso"
+ *   npm run backtest:scoring -- --weights regras.json --task 42 --out backtest.md
+ *
+ * --profile <id|nome>  profile from /admin/scoring
+ * --weights <arquivo>  JSON with the fields of a profile (missing ones take the defaults)
+ * --task <id>          only this task (default: completed tasks of the last --days, default 30)
+ * --limit <n>          at most n items (default 500)
+ * --logs <dir>         HIVE-MIND debug logs (default logs/hivemind)
+ * --out <arquivo>      write the report instead of printing it
+ * --json               report as JSON
+ * --verbose            keep the JUIZ console output
+ */
+
+const fs = require('fs');
+const { initDB, getBacktestItems, getScoringProfiles } = require('../src/database');
+const { normalizeScoringWeights, toScoringProfile } = require('../src/services/scoring_profiles');
+const { DEBUG_LOG_DIR, runScoringBacktest, formatBacktestReport } = require('../src/services/scoring_backtest');
+
+function parseArgs(argv) {
+    const args = { days: 30, limit: 500, logs: DEBUG_LOG_DIR };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (flag === 'json' || flag === 'verbose') args[flag] = true;
+        else args[flag] = argv[++i];
+    }
+    return args;
+}
+
+async function resolveProfile(args) {
+    if (args.weights) {
+        const weights = normalizeScoringWeights(JSON.parse(fs.readFileSync(args.weights, 'utf8')));
+        return { id: null, name: args.weights, weights };
+    }
+    if (args.profile) {
+        const profiles = await getScoringProfiles();
+        const wanted = String(args.profile).toLowerCase();
+        const row = profiles.find(p => String(p.id) === wanted || p.name.toLowerCase() === wanted);
+        if (!row) throw new Error(`Perfil de pontuação não encontrado: ${args.profile}`);
+        return toScoringProfile(row);
+    }
+    throw new Error('Informe --profile <id|nome> ou --weights <arquivo.json>.');
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    try {
+        await initDB();
+        const profile = await resolveProfile(args);
+        const items = await getBacktestItems({ taskId: args.task || null, days: parseInt(args.days, 10), limit: parseInt(args.limit, 10) });
+        console.error(`⚖️ Backtest do perfil "${profile.name}" em ${items.length} itens...`);
+
+        // executeJuiz narrates every candidate; the report is what matters here
+        const log = console.log;
+        if (!args.verbose) console.log = () => {};
+        let report;
+        try {
+            report = await runScoringBacktest(items, profile, { logDir: args.logs });
+        } finally {
+            console.log = log;
+        }
+
+        const output = args.json ? JSON.stringify(report, null, 2) : formatBacktestReport(report);
+        if (args.out) {
+            fs.writeFileSync(args.out, output);
+            console.error(`✅ Relatório salvo em ${args.out} (${report.changes.length} vencedores mudariam).`);
+        } else {
+            console.log(output);
+        }
+        process.exit(0);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,84 @@
+/**
+ * Golden-set evaluation CLI: runs the HIVE-MIND offline over a labeled set and compares the
+ * metrics with the previous run of the same set.
+ *
+ *   npm run eval:golden
+ *   npm run eval:golden -- --set eval/golden --label "perito v2"
+ *
+ * --set <dir>          golden set (default eval/golden)
+ * --results <arquivo>  run history, one JSON line per run (default eval/results.jsonl)
+ * --label <texto>      name of the change being measured
+ * --no-save            do not append the run to the history
+ * --history            list the stored runs of the set and exit
+ * --json               report as JSON
+ * --verbose            keep the agents' console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { loadGoldenSet, runGoldenSet, appendEvalRun, loadEvalRuns, formatEvalReport } = require('../src/services/golden_eval');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = { set: path.join(ROOT, 'eval/golden'), results: path.join(ROOT, 'eval/results.jsonl'), save: true };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (flag === 'no-save') args.save = false;
+        else if (['history', 'json', 'verbose'].includes(flag)) args[flag] = true;
+        else args[flag] = argv[++i];
+    }
+    return args;
+}
+
+function currentVersion() {
+    const { version } = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    let commit = null;
+    try {
+        commit = execSync('git rev-parse --short HEAD', { cwd: ROOT, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (e) {
+        // Not a git checkout (Docker image)
+    }
+    return { version, commit };
+}
+
+(async () => {
+    const args = parseArgs(process.argv.slice(2));
+    try {
+        const set = loadGoldenSet(args.set);
+        const history = loadEvalRuns(args.results, set.name);
+
+        if (args.history) {
+            history.forEach(run => {
+                const s = run.summary;
+                const pct = v => (v === null ? '-' : `${(v * 100).toFixed(1)}%`);
+                console.log(`${run.at} ${run.version}${run.commit ? `@${run.commit}` : ''}${run.label ? ` (${run.label})` : ''}: precisão ${pct(s.winnerPrecision)}, kill-specs ${pct(s.killSpecRecall)}, US$ ${s.costPerItemUsd === null ? '-' : s.costPerItemUsd.toFixed(5)}/item`);
+            });
+            process.exit(0);
+        }
+
+        console.error(`🧪 Golden set "${set.name}": ${set.items.length} itens...`);
+        const log = console.log;
+        if (!args.verbose) console.log = () => {};
+        let result;
+        try {
+            result = await runGoldenSet(set, { log: line => console.error(line) });
+        } finally {
+            console.log = log;
+        }
+
+        const run = { at: new Date().toISOString(), ...currentVersion(), label: args.label || null, ...result };
+        const previous = history[history.length - 1] || null;
+        console.log(args.json ? JSON.stringify(run, null, 2) : formatEvalReport(run, previous));
+
+        if (args.save) {
+            appendEvalRun(args.results, run);
+            console.error(`✅ Execução salva em ${path.relative(process.cwd(), args.results)}`);
+        }
+        process.exit(0);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+})();
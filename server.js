@@ -21,8 +21,11 @@ const {
     getAllUsers,
     deleteUser,
     updateUserRole,
+    addUserCredits,
     updateTaskStatus,
     getTaskLogs,
+    getTaskLogsSince,
+    getTaskItems,
     createGroup,
     getAllGroups,
     getUserGroups,
@@ -30,13 +33,62 @@ const {
     createTaskItems,
     createTaskMetadata,
     getTaskFullResults,
+    createApiToken,
+    getAllApiTokens,
+    getBlockStats,
+    getTaskAiCosts,
+    getAiSpendReport,
+    getCookieSetById,
+    setCookieSetActive,
+    deleteCookieSet,
+    revokeApiToken,
+    createWebhook,
+    getWebhookById,
+    getWebhooksForUser,
+    setWebhookActive,
+    deleteWebhook,
+    getWebhookDeliveryById,
+    getWebhookDeliveries,
+    getTaskItemById,
+    getItemCandidates,
+    selectWinnerCandidate,
+    rejectCandidate,
+    restoreCandidate,
+    addManualCandidate,
+    getItemCurationLog,
+    startItemAttempt,
+    getItemAttempts,
+    getCandidateSnapshot,
+    getItemPriceHistory,
+    getScoringProfiles,
+    getScoringProfileById,
+    saveScoringProfile,
+    setDefaultScoringProfile,
+    deleteScoringProfile,
+    logTaskMessage,
+    resetFailedTaskItems,
     getSetting,
     setSetting
 } = require('./src/database');
 const { startWorker } = require('./src/worker');
-const { generateExcelBuffer } = require('./src/export');
-const { fetchModels } = require('./src/services/ai_manager');
+const { enqueueTask, enqueueRequote, PRIORITY_HIGH } = require('./src/queue');
+const { generateExcelBuffer, writeExportBundle } = require('./src/export');
+const { SNAPSHOT_FILES, resolveSnapshotFile } = require('./src/services/evidence');
+const { PROVIDERS, fetchModels } = require('./src/services/ai_manager');
+const { BUDGET_DEFAULTS, refreshBudgets, getBudgetStatus } = require('./src/services/budget');
+const { subscribeTask } = require('./src/services/task_events');
+const { WEBHOOK_EVENTS, checkWebhookUrl, isPrivateWebhookAllowed, generateWebhookSecret, redeliverWebhook, dispatchWebhookEvent } = require('./src/services/webhooks');
+const { DECK_STATUSES, getDeckConfig, saveDeckPassword, getStacks, syncDeckCard, startDeckSync } = require('./src/services/deck');
 const { extractItemsFromPdf } = require('./src/services/pdf_parser');
+const { getProxyStatus } = require('./src/services/marketplace/proxies');
+const { checkProxyHealth, checkCookieSet } = require('./src/services/marketplace/mercadolivre');
+const { listCookieSets, addCookieSet, replaceCookieSet } = require('./src/services/marketplace/cookie_vault');
+const { getAdapters, getAdapter, getEnabledMarketplaces } = require('./src/services/marketplace');
+const { MAX_QUOTE_BASKET_SIZE } = require('./src/services/quote_basket');
+const { getRequoteConfig, buildItemPriceSeries } = require('./src/services/price_history');
+const { SCORING_FIELDS } = require('./src/services/scoring_profiles');
+const { runWithAiUsage, toWatts, WATTS_PER_USD } = require('./src/services/ai_usage');
+const apiV1 = require('./src/api_v1');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,12 +116,17 @@ function getModules() {
 
 // Initialize DB (MySQL now)
 initDB().then(() => {
-    // Start Worker Polling Loop
+    // Start Queue Workers
     startWorker();
+    startDeckSync();
 }).catch(e => console.error("DB Init Failed:", e));
 
 app.set('view engine', 'ejs');
 app.use(express.static('public'));
+
+// Public REST API (token auth, no session)
+app.use('/api/v1', apiV1);
+
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json()); 
 
@@ -151,7 +208,8 @@ app.get('/sniper', isAuthenticated, async (req, res) => {
     const user = await getUserById(req.session.userId);
     const userGroups = await getUserGroups(req.session.userId);
     const recentTasks = await getTasksForUser(user, false, 5, 0); // Limit 5
-    res.render('sniper', { modules, userGroups, recentTasks });
+    const scoringProfiles = await getScoringProfiles();
+    res.render('sniper', { modules, userGroups, recentTasks, scoringProfiles });
 });
 
 // Legacy /create redirects to Sniper
@@ -161,7 +219,7 @@ app.get('/create', (req, res) => {
 
 // Task Creation (POST) - Now called via Sniper
 app.post('/create', isAuthenticated, upload.single('csvFile'), async (req, res) => {
-    const { name, cep, csvText, moduleName, external_link, gridData, group_id, metadataJSON } = req.body;
+    const { name, cep, csvText, moduleName, external_link, gridData, group_id, metadataJSON, quote_basket_size, scoring_profile_id } = req.body;
     const user = res.locals.user;
 
     let filePath = req.file ? req.file.path : (req.body.existingFilePath && req.body.existingFilePath.startsWith('uploads/') ? req.body.existingFilePath : null);
@@ -193,6 +251,8 @@ app.post('/create', isAuthenticated, upload.single('csvFile'), async (req, res)
         const group = userGroups.find(g => g.id == group_id);
         if (group) validGroupId = group.id;
     }
+    // Unknown profile: the task runs with the default one
+    const scoringProfile = scoring_profile_id ? await getScoringProfileById(scoring_profile_id) : null;
 
     const task = {
         id: taskId,
@@ -204,7 +264,9 @@ app.post('/create', isAuthenticated, upload.single('csvFile'), async (req, res)
         module_name: moduleName || 'gemini_meli', // Default module
         user_id: user.id,
         cost_estimate: 0,
-        group_id: validGroupId
+        group_id: validGroupId,
+        quote_basket_size: Math.min(Math.max(parseInt(quote_basket_size, 10) || 0, 0), MAX_QUOTE_BASKET_SIZE),
+        scoring_profile_id: scoringProfile ? scoringProfile.id : null
     };
 
     try {
@@ -240,6 +302,9 @@ app.post('/create', isAuthenticated, upload.single('csvFile'), async (req, res)
              }
         }
 
+        await enqueueTask(taskId);
+        syncDeckCard(taskId);
+
         res.redirect('/'); // Redirect to Dashboard/History
     } catch (e) {
         res.status(500).send(e.message);
@@ -251,7 +316,7 @@ app.post('/api/sniper/parse-pdf', isAuthenticated, upload.array('pdfFiles'), asy
     try {
         if (!req.files || req.files.length === 0) throw new Error("Nenhum arquivo enviado.");
         const instructions = req.body.instructions || "";
-        const result = await extractItemsFromPdf(req.files, instructions);
+        const result = await runWithAiUsage({ userId: req.session.userId }, () => extractItemsFromPdf(req.files, instructions));
 
         // Clean up uploads immediately after parsing
         req.files.forEach(f => {
@@ -275,7 +340,10 @@ app.get('/task/:id', async (req, res) => {
         const results = await getTaskFullResults(task.id);
 
         const taskItems = results.map(r => {
-            const winner = r.winnerIndex !== -1 ? r.offers[r.winnerIndex] : (r.offers[0] || null);
+            // A buyer who rejected the winner left the item without one (rejectCandidate);
+            // only results nobody curated fall back to the first offer
+            const touched = r.offers.some(o => o.is_rejected || o.is_manual || o.selected_by != null);
+            const winner = r.winnerIndex !== -1 ? r.offers[r.winnerIndex] : (touched ? null : (r.offers[0] || null));
             return {
                 id: r.id,
                 db_id: r.db_id, // Internal ID
@@ -283,17 +351,165 @@ app.get('/task/:id', async (req, res) => {
                 description: r.description,
                 valor_venda: r.valor_venda,
                 quantidade: r.quantidade,
+                status: r.status,
+                started_at: r.started_at,
+                finished_at: r.finished_at,
+                final_state: r.final_state,
+                error_message: r.error_message,
                 best_price: winner ? winner.totalPrice : 0,
-                winner: winner
+                winner: winner,
+                curated: !!winner && (winner.is_manual || (winner.selected_by != null && !winner.ai_selected)),
+                quote_basket: r.quoteBasket,
+                // Page of the JUIZ winner at decision time (kept when a buyer picks another winner)
+                snapshot: (winner && winner.snapshot) || (r.offers.find(o => o.ai_selected && o.snapshot) || {}).snapshot || null
             };
         });
 
-        res.render('detail', { task, taskItems });
+        const failedCount = taskItems.filter(i => i.status === 'failed').length;
+        const aiCosts = await getTaskAiCosts(task.id);
+
+        res.render('detail', { task, taskItems, failedCount, aiCosts });
     } catch (e) {
         res.status(500).send(e.message);
     }
 });
 
+// --- CANDIDATE CURATION (manual override of JUIZ) ---
+app.get('/task/:id/item/:itemId', isAuthenticated, async (req, res) => {
+    try {
+        const task = await getTaskById(req.params.id);
+        const item = await getTaskItemById(req.params.itemId);
+        if (!task || !item || item.task_id !== task.id) return res.status(404).send('Item not found');
+
+        const candidates = await getItemCandidates(item.id);
+        const curationLog = await getItemCurationLog(item.id);
+        const attempts = await getItemAttempts(item.id);
+        const priceSeries = buildItemPriceSeries(candidates, await getItemPriceHistory(item.id), parseFloat(item.max_price));
+        res.render('item_detail', {
+            task, item, candidates, curationLog, attempts, priceSeries,
+            requoteInterval: getRequoteConfig().intervalHours,
+            modules: getModules(),
+            providers: Object.values(PROVIDERS)
+        });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+// Runs a curation action and redirects back to the item page with a flash message
+const curationAction = (handler) => async (req, res) => {
+    const { id, itemId } = req.params;
+    try {
+        const item = await getTaskItemById(itemId);
+        if (!item || item.task_id !== id) throw new Error('Item não encontrado.');
+        if (item.status === 'running' || item.status === 'queued') throw new Error('Item em processamento. Aguarde a conclusão.');
+        req.flash('success', await handler(req, item, res.locals.user));
+    } catch (e) {
+        req.flash('error', e.message);
+    }
+    res.redirect(`/task/${id}/item/${itemId}`);
+};
+
+app.post('/task/:id/item/:itemId/winner', isAuthenticated, curationAction(async (req, item, user) => {
+    const reason = (req.body.reason || '').trim();
+    const candidate = await selectWinnerCandidate(item.id, req.body.candidate_id, user.id, reason);
+    logTaskMessage(item.task_id, `✍️ [Item ${item.original_id}] Vencedor alterado por ${user.username}: ${candidate.title}`, 'info');
+    await dispatchWebhookEvent('item.winner_selected', item.task_id, {
+        item,
+        finalState: item.final_state,
+        winner: { title: candidate.title, totalPrice: parseFloat(candidate.price), link: candidate.link, store: candidate.store },
+        offersCount: (await getItemCandidates(item.id)).length,
+        curatedBy: user.username
+    });
+    return 'Vencedor atualizado.';
+}));
+
+app.post('/task/:id/item/:itemId/reject', isAuthenticated, curationAction(async (req, item, user) => {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) throw new Error('Informe o motivo da rejeição.');
+    const candidate = await rejectCandidate(item.id, req.body.candidate_id, user.id, reason);
+    logTaskMessage(item.task_id, `✍️ [Item ${item.original_id}] Candidato rejeitado por ${user.username}: ${candidate.title} (${reason})`, 'info');
+    return candidate.is_selected
+        ? 'Vencedor rejeitado. Escolha outro candidato ou informe uma oferta manual.'
+        : 'Candidato rejeitado.';
+}));
+
+app.post('/task/:id/item/:itemId/restore', isAuthenticated, curationAction(async (req, item, user) => {
+    await restoreCandidate(item.id, req.body.candidate_id, user.id);
+    return 'Candidato restaurado.';
+}));
+
+app.post('/task/:id/item/:itemId/manual', isAuthenticated, curationAction(async (req, item, user) => {
+    const { title, link, store } = req.body;
+    const price = parseFloat(String(req.body.price || '').replace(',', '.'));
+    const reason = (req.body.reason || '').trim();
+    if (!title || !title.trim()) throw new Error('Informe o produto.');
+    if (!/^https?:\/\/\S+$/i.test(link || '')) throw new Error('Link inválido.');
+    if (!(price > 0)) throw new Error('Preço inválido.');
+
+    const makeWinner = req.body.make_winner === 'on';
+    const candidate = await addManualCandidate(item.id, { title: title.trim(), link: link.trim(), price, store: (store || '').trim() }, user.id, reason, makeWinner);
+    logTaskMessage(item.task_id, `✍️ [Item ${item.original_id}] Oferta manual de ${user.username}: ${candidate.title} - R$ ${price.toFixed(2)}`, 'info');
+    if (makeWinner) {
+        await dispatchWebhookEvent('item.winner_selected', item.task_id, {
+            item,
+            finalState: item.final_state,
+            winner: { title: candidate.title, totalPrice: price, link: candidate.link, store: candidate.store },
+            offersCount: (await getItemCandidates(item.id)).length,
+            curatedBy: user.username
+        });
+    }
+    return 'Oferta manual registrada.';
+}));
+
+// Re-quote of the winner now (the worker runs it on the requote queue)
+app.post('/task/:id/item/:itemId/requote', isAuthenticated, async (req, res) => {
+    const { id, itemId } = req.params;
+    try {
+        const item = await getTaskItemById(itemId);
+        if (!item || item.task_id !== id) return res.status(404).send('Item not found');
+        await enqueueRequote(item.id);
+        req.flash('success', 'Re-cotação agendada. Atualize a página em alguns instantes.');
+    } catch (e) {
+        req.flash('error', e.message);
+    }
+    res.redirect(`/task/${id}/item/${itemId}#price-history`);
+});
+
+// Re-queues a single item with another module / AI provider. Candidates of earlier attempts are kept.
+app.post('/task/:id/item/:itemId/rerun', isAuthenticated, async (req, res) => {
+    const { id, itemId } = req.params;
+    const user = res.locals.user;
+    try {
+        const task = await getTaskById(id);
+        const item = await getTaskItemById(itemId);
+        if (!task || !item || item.task_id !== task.id) throw new Error('Item não encontrado.');
+        if (task.status === 'running' || task.status === 'pending') throw new Error('Aguarde o fim da execução da tarefa para refazer o item.');
+        if (item.status === 'running' || item.status === 'queued') throw new Error('Item em processamento. Aguarde a conclusão.');
+
+        const moduleName = req.body.module;
+        const provider = req.body.provider || null;
+        if (!getModules().includes(moduleName)) throw new Error('Módulo inválido.');
+        if (provider && !Object.values(PROVIDERS).includes(provider)) throw new Error('Provedor de I.A. inválido.');
+
+        const attempt = await startItemAttempt(item, {
+            previousModule: item.module_override || task.module_name,
+            moduleName,
+            provider,
+            userId: user.id
+        });
+        logTaskMessage(task.id, `🔁 [Item ${item.original_id}] Tentativa #${attempt} solicitada por ${user.username} (módulo: ${moduleName}, I.A.: ${provider || 'Padrão'})`, 'info');
+
+        await updateTaskStatus(task.id, 'pending');
+        await enqueueTask(task.id, { priority: PRIORITY_HIGH });
+        req.flash('success', `Item enviado para a tentativa #${attempt}. As tentativas anteriores continuam disponíveis para comparação.`);
+        res.redirect(`/task/${id}`);
+    } catch (e) {
+        req.flash('error', e.message);
+        res.redirect(`/task/${id}/item/${itemId}`);
+    }
+});
+
 // Login/Register Routes
 app.get('/login', (req, res) => { res.render('login'); });
 app.post('/login', async (req, res) => {
@@ -322,11 +538,205 @@ app.post('/register', async (req, res) => {
 });
 app.get('/logout', (req, res) => { req.session.destroy(); res.redirect('/'); });
 
+// --- WEBHOOKS ---
+async function canManageWebhook(user, hook) {
+    if (!hook) return false;
+    if (user.role === 'admin' || hook.user_id === user.id) return true;
+    if (!hook.group_id) return false;
+    const userGroups = await getUserGroups(user.id);
+    return userGroups.some(g => g.id === hook.group_id);
+}
+
+app.get('/webhooks', isAuthenticated, async (req, res) => {
+    const user = res.locals.user;
+    const webhooks = await getWebhooksForUser(user);
+    const deliveries = await getWebhookDeliveries(webhooks.map(w => w.id), 50);
+    const userGroups = await getUserGroups(user.id);
+    res.render('webhooks', { webhooks, deliveries, userGroups, events: WEBHOOK_EVENTS });
+});
+
+app.post('/webhooks', isAuthenticated, async (req, res) => {
+    const user = res.locals.user;
+    const { url, scope } = req.body;
+    const events = [].concat(req.body.events || []).filter(e => WEBHOOK_EVENTS.includes(e));
+
+    try {
+        if (!/^https?:\/\/\S+$/i.test(url || '')) throw new Error('URL inválida (use http:// ou https://).');
+        if (events.length === 0) throw new Error('Selecione ao menos um evento.');
+        await checkWebhookUrl(url.trim(), { allowPrivate: await isPrivateWebhookAllowed(), allowAnyPort: user.role === 'admin' });
+
+        const hook = { url: url.trim(), events, secret: generateWebhookSecret(), created_by: user.id };
+        if (scope && scope.startsWith('group:')) {
+            const userGroups = await getUserGroups(user.id);
+            const group = userGroups.find(g => g.id == scope.substring(6));
+            if (!group) throw new Error('Você não pertence a este grupo.');
+            hook.group_id = group.id;
+        } else {
+            hook.user_id = user.id;
+        }
+
+        await createWebhook(hook);
+        req.flash('success', 'Webhook cadastrado.');
+    } catch (e) {
+        req.flash('error', 'Erro ao cadastrar webhook: ' + e.message);
+    }
+    res.redirect('/webhooks');
+});
+
+app.post('/webhooks/:id/toggle', isAuthenticated, async (req, res) => {
+    const hook = await getWebhookById(req.params.id);
+    if (await canManageWebhook(res.locals.user, hook)) {
+        await setWebhookActive(hook.id, !hook.is_active);
+    }
+    res.redirect('/webhooks');
+});
+
+app.post('/webhooks/:id/delete', isAuthenticated, async (req, res) => {
+    const hook = await getWebhookById(req.params.id);
+    if (await canManageWebhook(res.locals.user, hook)) {
+        await deleteWebhook(hook.id);
+        req.flash('success', 'Webhook removido.');
+    }
+    res.redirect('/webhooks');
+});
+
+app.post('/webhooks/deliveries/:id/redeliver', isAuthenticated, async (req, res) => {
+    const delivery = await getWebhookDeliveryById(req.params.id);
+    const hook = delivery ? await getWebhookById(delivery.webhook_id) : null;
+    if (await canManageWebhook(res.locals.user, hook)) {
+        try {
+            await redeliverWebhook(delivery.id);
+            req.flash('success', `Entrega #${delivery.id} reenfileirada.`);
+        } catch (e) {
+            req.flash('error', 'Erro ao reenviar: ' + e.message);
+        }
+    }
+    res.redirect('/webhooks');
+});
+
 // Other APIs and Admin routes remain same but point to new dashboard
 app.get('/admin/dashboard', isAdmin, async (req, res) => {
     const users = await getAllUsers();
     const groups = await getAllGroups();
-    res.render('admin_dashboard', { users, groups });
+    const apiTokens = await getAllApiTokens();
+    const blocks = await getBlockStats(7);
+    res.render('admin_dashboard', { users, groups, apiTokens, proxies: getProxyStatus(), blocks });
+});
+
+// AI spend (src/services/ai_usage.js): totals per day, user, group, model, agent and task
+app.get('/admin/ai-costs', isAdmin, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const report = await getAiSpendReport(days);
+        res.render('admin_ai_costs', { report, days, toWatts, wattsPerUsd: WATTS_PER_USD });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+// --- API TOKENS ---
+app.post('/admin/api-tokens', isAdmin, async (req, res) => {
+    try {
+        const user = await getUserById(req.body.user_id);
+        if (!user) throw new Error('Usuário não encontrado.');
+        const token = await createApiToken(user.id, req.body.name);
+        req.flash('success', `Token criado para ${user.username}: ${token} — copie agora, ele não será exibido novamente.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao criar token: ' + e.message);
+    }
+    res.redirect('/admin/dashboard');
+});
+
+app.post('/admin/api-tokens/revoke', isAdmin, async (req, res) => {
+    if (req.body.id) await revokeApiToken(req.body.id);
+    req.flash('success', 'Token revogado.');
+    res.redirect('/admin/dashboard');
+});
+
+// --- PROXIES ---
+app.post('/admin/proxies/check', isAdmin, async (req, res) => {
+    try {
+        const results = await checkProxyHealth();
+        const ok = results.filter(r => r.outcome === 'success').length;
+        const failed = results.filter(r => r.outcome !== 'success').map(r => `${r.id} (${r.outcome === 'blocked' ? 'bloqueado' : r.message})`);
+        if (failed.length > 0) req.flash('error', `Proxies com falha: ${failed.join(', ')}`);
+        req.flash('success', `${ok}/${results.length} proxies responderam ao Mercado Livre.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao testar proxies: ' + e.message);
+    }
+    res.redirect('/admin/dashboard');
+});
+
+// --- COOKIE VAULT ---
+// Mercado Livre session cookies (src/services/marketplace/cookie_vault.js), uploaded as a file or pasted
+function readCookieUpload(req) {
+    if (req.file) {
+        const text = fs.readFileSync(req.file.path, 'utf8');
+        fs.unlinkSync(req.file.path);
+        return text;
+    }
+    return req.body.cookies_json || '';
+}
+
+function describeCookieUpload(parsed) {
+    const expiry = parsed.expiresAt ? `expira em ${parsed.expiresAt.toLocaleDateString('pt-BR')}` : 'sem data de expiração';
+    return `${parsed.cookies.length} cookies, ${expiry}${parsed.skipped > 0 ? ` (${parsed.skipped} ignorados: expirados ou de outro domínio)` : ''}`;
+}
+
+app.get('/admin/cookies', isAdmin, async (req, res) => {
+    try {
+        res.render('admin_cookies', { sets: await listCookieSets() });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+app.post('/admin/cookies', isAdmin, upload.single('cookieFile'), async (req, res) => {
+    try {
+        const set = await addCookieSet((req.body.name || '').trim(), readCookieUpload(req), res.locals.user.id);
+        req.flash('success', `Conjunto #${set.id} salvo: ${describeCookieUpload(set)}.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao salvar cookies: ' + e.message);
+    }
+    res.redirect('/admin/cookies');
+});
+
+app.post('/admin/cookies/:id/replace', isAdmin, upload.single('cookieFile'), async (req, res) => {
+    try {
+        if (!await getCookieSetById(req.params.id)) throw new Error('Conjunto não encontrado.');
+        const parsed = await replaceCookieSet(req.params.id, readCookieUpload(req));
+        req.flash('success', `Cookies do conjunto #${req.params.id} substituídos: ${describeCookieUpload(parsed)}.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao substituir cookies: ' + e.message);
+    }
+    res.redirect('/admin/cookies');
+});
+
+app.post('/admin/cookies/:id/toggle', isAdmin, async (req, res) => {
+    const set = await getCookieSetById(req.params.id);
+    if (set) {
+        await setCookieSetActive(set.id, !set.is_active);
+        req.flash('success', `Conjunto #${set.id} ${set.is_active ? 'desativado' : 'ativado'}.`);
+    }
+    res.redirect('/admin/cookies');
+});
+
+app.post('/admin/cookies/:id/check', isAdmin, async (req, res) => {
+    try {
+        const result = await checkCookieSet(req.params.id);
+        if (result.blocked) req.flash('error', `Conjunto #${req.params.id} bloqueado pelo Mercado Livre — ficou fora da rotação.`);
+        else if (!result.loggedIn) req.flash('error', `Conjunto #${req.params.id} não está logado (sessão expirada?). Substitua os cookies.`);
+        else req.flash('success', `Conjunto #${req.params.id} OK: logado e sem bloqueio.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao testar cookies: ' + e.message);
+    }
+    res.redirect('/admin/cookies');
+});
+
+app.post('/admin/cookies/:id/delete', isAdmin, async (req, res) => {
+    await deleteCookieSet(req.params.id);
+    req.flash('success', 'Conjunto de cookies removido.');
+    res.redirect('/admin/cookies');
 });
 
 // --- HIVE-MIND AI ADMIN ROUTES ---
@@ -349,6 +759,7 @@ app.get('/admin/ai-config', isAdmin, async (req, res) => {
             sniper_provider: await getSetting('sniper_provider') || 'gemini',
             sniper_model: await getSetting('sniper_model') || 'gemini-2.0-flash',
             sniper_fallback: await getSetting('sniper_fallback') || '',
+            sniper_marketplaces: await getEnabledMarketplaces(),
             // JUIZ Agent
             juiz_provider: await getSetting('juiz_provider') || 'deepseek',
             juiz_model: await getSetting('juiz_model') || 'deepseek-chat',
@@ -359,7 +770,8 @@ app.get('/admin/ai-config', isAdmin, async (req, res) => {
             qwen_api_key: await getSetting('qwen_api_key') || '',
             perplexity_api_key: await getSetting('perplexity_api_key') || ''
         };
-        res.render('admin_ai_config', { settings });
+        const marketplaces = getAdapters().map(a => ({ id: a.id, name: a.name }));
+        res.render('admin_ai_config', { settings, marketplaces });
     } catch (e) {
         res.status(500).send(e.message);
     }
@@ -371,7 +783,7 @@ app.post('/admin/ai-config/save', isAdmin, async (req, res) => {
         perito_provider, perito_model, perito_fallback,
         detetive_provider, detetive_model, detetive_fallback,
         auditor_provider, auditor_model, auditor_fallback,
-        sniper_provider, sniper_model, sniper_fallback,
+        sniper_provider, sniper_model, sniper_fallback, sniper_marketplaces,
         juiz_provider, juiz_model, juiz_fallback,
         // Global API Keys
         deepseek_api_key, gemini_api_key, qwen_api_key, perplexity_api_key
@@ -397,6 +809,8 @@ app.post('/admin/ai-config/save', isAdmin, async (req, res) => {
         if (sniper_provider) await setSetting('sniper_provider', sniper_provider);
         if (sniper_model) await setSetting('sniper_model', sniper_model);
         await setSetting('sniper_fallback', sniper_fallback || '');
+        // Unchecking every store means "all of them" (see getEnabledMarketplaces)
+        await setSetting('sniper_marketplaces', [].concat(sniper_marketplaces || []).filter(id => getAdapter(id)).join(','));
         
         // Save JUIZ settings
         if (juiz_provider) await setSetting('juiz_provider', juiz_provider);
@@ -417,6 +831,141 @@ app.post('/admin/ai-config/save', isAdmin, async (req, res) => {
     }
 });
 
+// Concurrency budgets (src/services/budget.js), stored as budget_<name> settings
+app.get('/admin/limits', isAdmin, async (req, res) => {
+    try {
+        const limits = await refreshBudgets(true);
+        res.render('admin_limits', { limits, defaults: BUDGET_DEFAULTS, status: getBudgetStatus() });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+app.post('/admin/limits', isAdmin, async (req, res) => {
+    try {
+        for (const name of Object.keys(BUDGET_DEFAULTS)) {
+            const value = parseInt(req.body[name]);
+            if (!(value > 0)) throw new Error(`Valor inválido para ${name}.`);
+            await setSetting(`budget_${name}`, String(value));
+        }
+        await refreshBudgets(true);
+        req.flash('success', 'Limites atualizados.');
+    } catch (e) {
+        req.flash('error', e.message);
+    }
+    res.redirect('/admin/limits');
+});
+
+// JUIZ scoring profiles (src/services/scoring_profiles.js)
+function readScoringForm(body) {
+    const name = (body.name || '').trim();
+    if (!name) throw new Error('Informe o nome do perfil.');
+    const weights = {};
+    for (const key of Object.keys(SCORING_FIELDS)) weights[key] = body[key];
+    return { name: name.substring(0, 100), description: (body.description || '').trim().substring(0, 255), weights };
+}
+
+app.get('/admin/scoring', isAdmin, async (req, res) => {
+    try {
+        res.render('admin_scoring', { profiles: await getScoringProfiles(), fields: SCORING_FIELDS });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+app.post('/admin/scoring', isAdmin, async (req, res) => {
+    try {
+        const id = await saveScoringProfile(readScoringForm(req.body), res.locals.user.id);
+        req.flash('success', `Perfil #${id} criado.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao criar perfil: ' + (e.code === 'ER_DUP_ENTRY' ? 'já existe um perfil com esse nome.' : e.message));
+    }
+    res.redirect('/admin/scoring');
+});
+
+app.post('/admin/scoring/:id', isAdmin, async (req, res) => {
+    try {
+        if (!await getScoringProfileById(req.params.id)) throw new Error('Perfil não encontrado.');
+        await saveScoringProfile({ ...readScoringForm(req.body), id: req.params.id });
+        req.flash('success', `Perfil #${req.params.id} atualizado. Vale para os próximos itens processados.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao salvar perfil: ' + (e.code === 'ER_DUP_ENTRY' ? 'já existe um perfil com esse nome.' : e.message));
+    }
+    res.redirect('/admin/scoring');
+});
+
+app.post('/admin/scoring/:id/default', isAdmin, async (req, res) => {
+    const profile = await getScoringProfileById(req.params.id);
+    if (profile) {
+        await setDefaultScoringProfile(profile.id);
+        req.flash('success', `"${profile.name}" é agora o perfil padrão.`);
+    }
+    res.redirect('/admin/scoring');
+});
+
+app.post('/admin/scoring/:id/delete', isAdmin, async (req, res) => {
+    const profile = await getScoringProfileById(req.params.id);
+    if (profile && profile.is_default) {
+        req.flash('error', 'O perfil padrão não pode ser removido. Escolha outro padrão antes.');
+    } else if (profile) {
+        await deleteScoringProfile(profile.id);
+        req.flash('success', `Perfil "${profile.name}" removido. Tarefas que o usavam passam a usar o padrão.`);
+    }
+    res.redirect('/admin/scoring');
+});
+
+// Nextcloud Deck connector (src/services/deck.js), stored as deck_* settings
+app.get('/admin/integrations', isAdmin, async (req, res) => {
+    try {
+        const deck = await getDeckConfig();
+        const webhooksAllowPrivate = await isPrivateWebhookAllowed();
+        res.render('admin_integrations', { deck, deckStatuses: DECK_STATUSES, webhooksAllowPrivate });
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
+app.post('/admin/integrations/deck', isAdmin, async (req, res) => {
+    try {
+        const { deck_enabled, deck_url, deck_user, deck_password, deck_board_id, deck_app_url } = req.body;
+        await setSetting('deck_enabled', deck_enabled === 'on' ? 'true' : 'false');
+        await setSetting('deck_url', (deck_url || '').trim());
+        await setSetting('deck_user', (deck_user || '').trim());
+        if (deck_password && deck_password.trim()) await saveDeckPassword(deck_password.trim());
+        await setSetting('deck_board_id', (deck_board_id || '').trim());
+        await setSetting('deck_app_url', (deck_app_url || '').trim());
+        for (const status of DECK_STATUSES) {
+            await setSetting(`deck_stack_${status}`, (req.body[`deck_stack_${status}`] || '').trim());
+        }
+        req.flash('success', 'Integração com o Deck atualizada.');
+    } catch (e) {
+        req.flash('error', e.message);
+    }
+    res.redirect('/admin/integrations');
+});
+
+app.post('/admin/integrations/webhooks', isAdmin, async (req, res) => {
+    try {
+        await setSetting('webhooks_allow_private', req.body.webhooks_allow_private === 'on' ? 'true' : 'false');
+        req.flash('success', 'Política de webhooks atualizada.');
+    } catch (e) {
+        req.flash('error', e.message);
+    }
+    res.redirect('/admin/integrations');
+});
+
+app.post('/admin/integrations/deck/test', isAdmin, async (req, res) => {
+    try {
+        const config = await getDeckConfig();
+        if (!config.url || !config.boardId) throw new Error('Informe a URL e o ID do quadro.');
+        const stacks = await getStacks(config);
+        req.flash('success', 'Conexão OK. Colunas do quadro: ' + stacks.map(st => `${st.id} = ${st.title}`).join(', '));
+    } catch (e) {
+        req.flash('error', 'Falha ao conectar no Deck: ' + e.message);
+    }
+    res.redirect('/admin/integrations');
+});
+
 app.post('/api/admin/fetch-models', isAdmin, async (req, res) => {
     const { provider, apiKey } = req.body;
     try {
@@ -477,6 +1026,74 @@ app.get('/api/logs/:id', async (req, res) => {
     } catch (e) { res.status(500).send('Error fetching logs'); }
 });
 
+// Live progress (Server-Sent Events): a 'snapshot' of the items, the log backlog, then
+// log/task/item/stage/candidates events as they happen. Log events carry the task_logs id,
+// so a reconnecting browser (Last-Event-ID) only receives the lines it missed.
+const SSE_HEARTBEAT_MS = 25000;
+
+app.get('/api/tasks/:id/events', isAuthenticated, async (req, res) => {
+    const taskId = req.params.id;
+    try {
+        const task = await getTaskById(taskId);
+        if (!task) return res.status(404).end();
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = (type, data, id = null) => {
+            if (id) res.write(`id: ${id}\n`);
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Subscribe before reading the backlog; events raised meanwhile are replayed after it
+        let lastLogId = parseInt(req.get('Last-Event-ID') || req.query.since) || 0;
+        let pending = [];
+        const forward = ({ type, data }) => {
+            if (pending) return pending.push({ type, data });
+            if (type === 'log') {
+                if (data.id <= lastLogId) return;
+                lastLogId = data.id;
+                return send(type, data, data.id);
+            }
+            send(type, data);
+        };
+        const unsubscribe = subscribeTask(taskId, forward);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+
+        const items = await getTaskItems(taskId);
+        send('snapshot', {
+            status: task.status,
+            items: items.map(i => ({
+                id: i.id,
+                original_id: i.original_id,
+                status: i.status,
+                final_state: i.final_state,
+                error_message: i.error_message
+            }))
+        });
+
+        for (const l of await getTaskLogsSince(taskId, lastLogId)) {
+            send('log', { id: l.id, message: l.message, level: l.level, timestamp: l.timestamp }, l.id);
+            lastLogId = l.id;
+        }
+
+        const buffered = pending;
+        pending = null;
+        buffered.forEach(forward);
+    } catch (e) {
+        res.end();
+    }
+});
+
 app.get('/download/:id', isAuthenticated, async (req, res) => {
     try {
         const task = await getTaskById(req.params.id);
@@ -489,6 +1106,43 @@ app.get('/download/:id', isAuthenticated, async (req, res) => {
     } catch (e) { res.status(500).send(e.message); }
 });
 
+// Export bundle: spreadsheet + evidence snapshots of the winners
+app.get('/download/:id/bundle', isAuthenticated, async (req, res) => {
+    try {
+        const task = await getTaskById(req.params.id);
+        if (!task) return res.status(404).send('Task not found');
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=resultado_${task.id}.zip`);
+        if (!await writeExportBundle(task.id, res)) {
+            res.removeHeader('Content-Disposition');
+            res.status(404).type('text').send('No results.');
+        }
+    } catch (e) {
+        if (res.headersSent) return res.end();
+        res.status(500).send(e.message);
+    }
+});
+
+// Evidence snapshot file (screenshot / html / pdf) of a candidate page
+app.get('/task/:id/snapshot/:snapshotId/:kind', isAuthenticated, async (req, res) => {
+    try {
+        const snapshot = await getCandidateSnapshot(req.params.snapshotId);
+        const fileType = SNAPSHOT_FILES[req.params.kind];
+        if (!snapshot || snapshot.task_id !== req.params.id || !fileType) return res.status(404).send('Snapshot not found');
+        const file = resolveSnapshotFile(snapshot[fileType.column]);
+        if (!file || !fs.existsSync(file)) return res.status(404).send('Arquivo da evidência indisponível.');
+
+        // The saved page is the store's HTML: downloaded, never rendered under our origin
+        const filename = `evidencia_${snapshot.id}.${fileType.ext}`;
+        if (req.params.kind === 'html') return res.download(file, filename);
+        res.type(fileType.mime);
+        res.setHeader('Content-Disposition', `inline; filename=${filename}`);
+        res.sendFile(file);
+    } catch (e) {
+        res.status(500).send(e.message);
+    }
+});
+
 app.post('/api/task/:id/abort', isAuthenticated, async (req, res) => {
     try {
         await updateTaskStatus(req.params.id, 'aborted');
@@ -515,10 +1169,38 @@ app.get('/download/:id/item/:itemId', isAuthenticated, async (req, res) => {
 });
 
 app.post('/task/:id/force-start', isAdmin, async (req, res) => {
-    try { await forceStartTask(req.params.id); res.redirect('/'); }
+    try {
+        await forceStartTask(req.params.id);
+        await enqueueTask(req.params.id, { priority: PRIORITY_HIGH });
+        res.redirect('/');
+    }
     catch (e) { res.status(500).send(e.message); }
 });
 
+// Resume: failed items go back to 'pending' and the task is queued again (done items are skipped)
+app.post('/task/:id/retry-failed', isAuthenticated, async (req, res) => {
+    const taskId = req.params.id;
+    try {
+        const task = await getTaskById(taskId);
+        if (!task) return res.status(404).send('Task not found');
+        if (task.status === 'running' || task.status === 'pending') {
+            req.flash('error', 'Aguarde o fim da execução para reprocessar os itens com falha.');
+            return res.redirect(`/task/${taskId}`);
+        }
+
+        const count = await resetFailedTaskItems(taskId);
+        if (count === 0) {
+            req.flash('error', 'Nenhum item com falha para reprocessar.');
+            return res.redirect(`/task/${taskId}`);
+        }
+
+        await updateTaskStatus(taskId, 'pending');
+        await enqueueTask(taskId);
+        req.flash('success', `${count} item(ns) com falha enviados para reprocessamento.`);
+        res.redirect(`/task/${taskId}`);
+    } catch (e) { res.status(500).send(e.message); }
+});
+
 app.post('/task/:id/action', isAuthenticated, async (req, res) => {
     const { action } = req.body;
     const taskId = req.params.id;
@@ -529,7 +1211,10 @@ app.post('/task/:id/action', isAuthenticated, async (req, res) => {
         else if (action === 'archive') await updateTaskStatus(taskId, 'archived');
         else if (action === 'unarchive') {
              if (task.output_file) await updateTaskStatus(taskId, 'completed', task.output_file);
-             else await updateTaskStatus(taskId, 'pending');
+             else {
+                 await updateTaskStatus(taskId, 'pending');
+                 await enqueueTask(taskId);
+             }
         }
         res.redirect('/');
     } catch (e) { res.status(500).send(e.message); }
@@ -548,6 +1233,21 @@ app.post('/admin/users/delete', isAdmin, async (req, res) => {
 app.post('/admin/users/role', isAdmin, async (req, res) => {
     if (req.body.id && req.body.role) await updateUserRole(req.body.id, req.body.role); res.redirect('/admin/dashboard');
 });
+app.post('/admin/credits', isAdmin, async (req, res) => {
+    const amount = parseInt(req.body.amount);
+    if (!req.body.user_id || !amount) {
+        req.flash('error', 'Informe o usuário e uma quantidade diferente de zero.');
+        return res.redirect('/admin/dashboard');
+    }
+    try {
+        await addUserCredits(req.body.user_id, amount);
+        console.log(`[Admin] Créditos ${amount > 0 ? '+' : ''}${amount} W para o usuário ${req.body.user_id}: ${req.body.reason || '-'}`);
+        req.flash('success', `Saldo atualizado em ${amount > 0 ? '+' : ''}${amount} Watts.`);
+    } catch (e) {
+        req.flash('error', 'Erro ao atualizar saldo: ' + e.message);
+    }
+    res.redirect('/admin/dashboard');
+});
 
 
 app.listen(PORT, () => {
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { askGemini, googleSearch } = require('./google_services');
+const { trackAiCall } = require('./services/ai_usage');
 
 // Helper: Simple template engine
 function renderTemplate(template, data) {
@@ -34,6 +35,7 @@ async function callDeepSeek(messages, model = "deepseek-chat") {
     let apiEndpoint = 'https://api.deepseek.com/chat/completions';
     if (process.env.DEEPSEEK_API_URL) apiEndpoint = process.env.DEEPSEEK_API_URL;
 
+    const startedAt = Date.now();
     try {
         const response = await fetch(apiEndpoint, {
             method: 'POST',
@@ -54,11 +56,13 @@ async function callDeepSeek(messages, model = "deepseek-chat") {
         }
 
         const json = await response.json();
+        trackAiCall({ provider: 'deepseek', model, agent: 'legacy', messages, text: json.choices[0].message.content, usage: json.usage, latencyMs: Date.now() - startedAt });
         return {
             content: json.choices[0].message.content,
             reasoning_content: json.choices[0].message.reasoning_content || null
         };
     } catch (error) {
+        trackAiCall({ provider: 'deepseek', model, agent: 'legacy', messages, latencyMs: Date.now() - startedAt, error });
         console.error(`DeepSeek API Error (${model}):`, error.message);
         return null; // Fallback
     }
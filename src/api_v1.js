@@ -0,0 +1,258 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const {
+    createTask,
+    createTaskItems,
+    createTaskMetadata,
+    getTaskById,
+    getTasksForUser,
+    getTaskItems,
+    getTaskFullResults,
+    getUserGroups,
+    getUserByApiToken,
+    getScoringProfileById
+} = require('./database');
+const { enqueueTask } = require('./queue');
+const { syncDeckCard } = require('./services/deck');
+const { MAX_QUOTE_BASKET_SIZE } = require('./services/quote_basket');
+
+// Versioned JSON API for external systems (ERP). Stateless: every request
+// authenticates with a per-user token created at /admin/dashboard.
+const router = express.Router();
+
+const MAX_ITEMS_PER_TASK = 1000;
+
+function apiError(res, status, message, details) {
+    res.status(status).json(details ? { error: message, details } : { error: message });
+}
+
+function readToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : req.get('x-api-key');
+}
+
+async function apiAuth(req, res, next) {
+    try {
+        const user = await getUserByApiToken(readToken(req));
+        if (!user) return apiError(res, 401, 'Token de API inválido ou ausente.');
+        req.apiUser = user;
+        next();
+    } catch (e) {
+        next(e);
+    }
+}
+
+async function loadTask(req, res, next) {
+    try {
+        const task = await getTaskById(req.params.id);
+        if (!task) return apiError(res, 404, 'Tarefa não encontrada.');
+        req.task = task;
+        next();
+    } catch (e) {
+        next(e);
+    }
+}
+
+function moduleExists(name) {
+    return /^[a-z0-9_]+$/i.test(name) && fs.existsSync(path.join(__dirname, '..', 'modules', name, 'index.js'));
+}
+
+function serializeTask(task) {
+    return {
+        id: task.id,
+        name: task.name,
+        status: task.status,
+        cep: task.cep,
+        module: task.module_name,
+        external_link: task.external_link,
+        group_id: task.group_id,
+        user_id: task.user_id,
+        quote_basket_size: task.quote_basket_size || 0,
+        scoring_profile_id: task.scoring_profile_id || null,
+        created_at: task.created_at,
+        finished_at: task.finished_at
+    };
+}
+
+function serializeItem(item) {
+    return {
+        id: item.original_id,
+        description: item.description,
+        max_price: item.max_price !== null ? parseFloat(item.max_price) : null,
+        quantity: item.quantity,
+        status: item.status,
+        started_at: item.started_at,
+        finished_at: item.finished_at,
+        final_state: item.final_state,
+        error_message: item.error_message
+    };
+}
+
+// Accepts the API field names and the spreadsheet ones used by /create
+function parseItems(rawItems) {
+    const errors = [];
+    const items = rawItems.map((raw, i) => {
+        const id = raw.id !== undefined ? String(raw.id) : String(i + 1);
+        const description = (raw.description || raw.Descricao || '').toString().trim();
+        const maxPrice = parseFloat(raw.max_price !== undefined ? raw.max_price : raw.valor_venda);
+        const quantity = parseInt(raw.quantity !== undefined ? raw.quantity : raw.quantidade) || 1;
+
+        if (!description) errors.push(`items[${i}]: description é obrigatório`);
+        if (isNaN(maxPrice) || maxPrice < 0) errors.push(`items[${i}]: max_price inválido`);
+
+        return { id, description, valor_venda: maxPrice, quantidade: quantity };
+    });
+
+    const ids = new Set(items.map(i => i.id));
+    if (ids.size !== items.length) errors.push('items: ids duplicados');
+
+    return { items, errors };
+}
+
+router.use(express.json({ limit: '2mb' }));
+router.use(apiAuth);
+
+// GET /api/v1/tasks?status=&limit=&offset=
+router.get('/tasks', async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        const archived = req.query.status === 'archived';
+        const filters = archived ? {} : { status: req.query.status };
+        const tasks = await getTasksForUser(req.apiUser, archived, limit, offset, filters);
+        res.json({ data: tasks.map(serializeTask), limit, offset });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// POST /api/v1/tasks  { name, cep, module?, external_link?, group_id?, metadata?, items: [...] }
+router.post('/tasks', async (req, res, next) => {
+    const body = req.body || {};
+    const errors = [];
+
+    if (!body.name) errors.push('name é obrigatório');
+    if (!body.cep) errors.push('cep é obrigatório');
+    if (!Array.isArray(body.items) || body.items.length === 0) errors.push('items deve ser uma lista não vazia');
+    else if (body.items.length > MAX_ITEMS_PER_TASK) errors.push(`items: máximo de ${MAX_ITEMS_PER_TASK} itens`);
+
+    const moduleName = body.module || 'gemini_meli';
+    if (!moduleExists(moduleName)) errors.push(`module desconhecido: ${moduleName}`);
+
+    const quoteBasketSize = body.quote_basket_size !== undefined ? parseInt(body.quote_basket_size, 10) : 0;
+    if (isNaN(quoteBasketSize) || quoteBasketSize < 0 || quoteBasketSize > MAX_QUOTE_BASKET_SIZE) {
+        errors.push(`quote_basket_size: inteiro de 0 a ${MAX_QUOTE_BASKET_SIZE}`);
+    }
+
+    let items = [];
+    if (Array.isArray(body.items) && errors.length === 0) {
+        const parsed = parseItems(body.items);
+        items = parsed.items;
+        errors.push(...parsed.errors);
+    }
+
+    if (errors.length > 0) return apiError(res, 422, 'Dados inválidos.', errors);
+
+    try {
+        let groupId = null;
+        if (body.group_id) {
+            const userGroups = await getUserGroups(req.apiUser.id);
+            const group = userGroups.find(g => g.id == body.group_id);
+            if (!group) return apiError(res, 422, 'Dados inválidos.', ['group_id: usuário não pertence ao grupo']);
+            groupId = group.id;
+        }
+
+        if (body.scoring_profile_id && !await getScoringProfileById(body.scoring_profile_id)) {
+            return apiError(res, 422, 'Dados inválidos.', ['scoring_profile_id: perfil de pontuação não encontrado']);
+        }
+
+        const taskId = uuidv4();
+        await createTask({
+            id: taskId,
+            name: body.name,
+            cep: body.cep,
+            input_file: null, // Items live in task_items, no spreadsheet involved
+            log_file: path.join('logs', `${taskId}.txt`),
+            external_link: body.external_link,
+            module_name: moduleName,
+            user_id: req.apiUser.id,
+            cost_estimate: 0,
+            group_id: groupId,
+            quote_basket_size: quoteBasketSize,
+            scoring_profile_id: body.scoring_profile_id || null
+        });
+
+        if (body.metadata && typeof body.metadata === 'object') {
+            await createTaskMetadata(taskId, body.metadata);
+        }
+        await createTaskItems(taskId, items);
+        await enqueueTask(taskId);
+        syncDeckCard(taskId);
+
+        res.status(201).location(`/api/v1/tasks/${taskId}`).json({
+            data: serializeTask(await getTaskById(taskId)),
+            items: items.length
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// GET /api/v1/tasks/:id
+router.get('/tasks/:id', loadTask, async (req, res, next) => {
+    try {
+        const items = await getTaskItems(req.task.id);
+        const progress = { total: items.length };
+        items.forEach(i => { progress[i.status] = (progress[i.status] || 0) + 1; });
+        res.json({ data: { ...serializeTask(req.task), progress } });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// GET /api/v1/tasks/:id/items
+router.get('/tasks/:id/items', loadTask, async (req, res, next) => {
+    try {
+        const items = await getTaskItems(req.task.id);
+        res.json({ data: items.map(serializeItem) });
+    } catch (e) {
+        next(e);
+    }
+});
+
+// GET /api/v1/tasks/:id/results
+router.get('/tasks/:id/results', loadTask, async (req, res, next) => {
+    try {
+        const results = await getTaskFullResults(req.task.id);
+        res.json({
+            task: serializeTask(req.task),
+            data: results.map(r => ({
+                id: r.id,
+                description: r.description,
+                max_price: r.valor_venda,
+                quantity: r.quantidade,
+                status: r.status,
+                final_state: r.final_state,
+                error_message: r.error_message,
+                winner: r.winnerIndex >= 0 ? r.offers[r.winnerIndex] : null,
+                offers: r.offers,
+                quote_basket: r.quoteBasket
+            }))
+        });
+    } catch (e) {
+        next(e);
+    }
+});
+
+router.use((req, res) => apiError(res, 404, 'Rota não encontrada.'));
+
+router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') return apiError(res, 400, 'JSON inválido.');
+    console.error('[API v1]', err);
+    apiError(res, 500, 'Erro interno.');
+});
+
+module.exports = router;
@@ -1,5 +1,10 @@
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { emitTaskEvent } = require('./services/task_events');
+const { buildQuoteBasket } = require('./services/quote_basket');
+const { EVIDENCE_COLUMNS, evidenceValues, parseEvidence } = require('./services/candidate_evidence');
+const { BUILTIN_SCORING_PROFILES, normalizeScoringWeights, scoringOverrides, toScoringProfile } = require('./services/scoring_profiles');
 
 let pool = null;
 
@@ -123,6 +128,43 @@ async function initDB() {
             )
         `);
 
+        // --- ITEM CURATION LOG (manual overrides of JUIZ) ---
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS item_curation_log (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                task_item_id INT NOT NULL,
+                candidate_id INT NULL,
+                previous_winner_id INT NULL,
+                user_id INT NULL,
+                action VARCHAR(30) NOT NULL,
+                reason TEXT,
+                data JSON,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_item (task_item_id),
+                FOREIGN KEY (task_item_id) REFERENCES task_items(id) ON DELETE CASCADE
+            )
+        `);
+
+        // --- ITEM ATTEMPTS (single-item re-runs) ---
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS item_attempts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                task_item_id INT NOT NULL,
+                attempt INT NOT NULL,
+                module_name VARCHAR(50),
+                ai_provider VARCHAR(50),
+                requested_by INT NULL,
+                status VARCHAR(50),
+                final_state VARCHAR(20),
+                error_message TEXT,
+                started_at DATETIME NULL,
+                finished_at DATETIME NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_item_attempt (task_item_id, attempt),
+                FOREIGN KEY (task_item_id) REFERENCES task_items(id) ON DELETE CASCADE
+            )
+        `);
+
         // --- TASK LOGS TABLE ---
         await pool.query(`
             CREATE TABLE IF NOT EXISTS task_logs (
@@ -188,6 +230,190 @@ async function initDB() {
             )
         `);
 
+        // --- API TOKENS TABLE ---
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NOT NULL,
+                name VARCHAR(100),
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                token_prefix VARCHAR(16),
+                last_used_at DATETIME NULL,
+                revoked_at DATETIME NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `);
+
+        // --- WEBHOOKS TABLES ---
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id INT NULL,
+                group_id INT NULL,
+                url TEXT NOT NULL,
+                secret VARCHAR(100) NOT NULL,
+                events JSON,
+                is_active BOOLEAN DEFAULT TRUE,
+                created_by INT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                webhook_id INT NOT NULL,
+                event VARCHAR(50),
+                task_id VARCHAR(36),
+                payload JSON,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INT DEFAULT 0,
+                response_status INT NULL,
+                response_body TEXT,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME NULL,
+                INDEX idx_webhook (webhook_id),
+                FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+            )
+        `);
+
+        // --- BLOCK EVENTS TABLE ---
+        // Anti-bot pages served by Mercado Livre, one row per block (see src/services/marketplace/block_recovery.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS block_events (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                task_id VARCHAR(36),
+                task_item_id INT NULL,
+                module_name VARCHAR(50),
+                stage VARCHAR(50),
+                url TEXT,
+                proxy VARCHAR(255) NULL,
+                block_number INT DEFAULT 1,
+                action VARCHAR(20),
+                backoff_ms INT DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created (created_at),
+                INDEX idx_task (task_id)
+            )
+        `);
+
+        // --- COOKIE SETS TABLE ---
+        // Mercado Livre session cookies, AES-256-GCM encrypted (src/services/marketplace/cookie_vault.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS cookie_sets (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                cookies_encrypted TEXT NOT NULL,
+                cookie_count INT DEFAULT 0,
+                expires_at DATETIME NULL,
+                is_active BOOLEAN DEFAULT TRUE,
+                successes INT DEFAULT 0,
+                blocks INT DEFAULT 0,
+                consecutive_blocks INT DEFAULT 0,
+                benched_until DATETIME NULL,
+                last_success_at DATETIME NULL,
+                last_block_at DATETIME NULL,
+                last_used_at DATETIME NULL,
+                created_by INT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // --- CANDIDATE SNAPSHOTS TABLE ---
+        // Product page of the JUIZ winner as seen at decision time (src/services/evidence.js); files on disk, paths relative to EVIDENCE_DIR
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS candidate_snapshots (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                candidate_id INT NOT NULL,
+                task_id VARCHAR(36),
+                url TEXT,
+                cep VARCHAR(20),
+                captured_at DATETIME,
+                page_title VARCHAR(255),
+                screenshot_path VARCHAR(255) NULL,
+                html_path VARCHAR(255) NULL,
+                pdf_path VARCHAR(255) NULL,
+                status VARCHAR(20),
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_task (task_id),
+                FOREIGN KEY (candidate_id) REFERENCES item_candidates(id) ON DELETE CASCADE
+            )
+        `);
+
+        // --- CANDIDATE PRICE CHECKS TABLE ---
+        // Re-quotes of winners after the task finished (src/services/price_history.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS candidate_price_checks (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                candidate_id INT NOT NULL,
+                task_id VARCHAR(36),
+                checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                status VARCHAR(20),
+                price DECIMAL(10, 2) NULL,
+                shipping_cost DECIMAL(10, 2) NULL,
+                total_price DECIMAL(10, 2) NULL,
+                alert VARCHAR(30) NULL,
+                error_message TEXT,
+                INDEX idx_candidate (candidate_id, checked_at),
+                FOREIGN KEY (candidate_id) REFERENCES item_candidates(id) ON DELETE CASCADE
+            )
+        `);
+
+        // --- SCORING PROFILES TABLE ---
+        // JUIZ rule sets (src/services/scoring_profiles.js); weights only hold the fields that differ from the defaults
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS scoring_profiles (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                description VARCHAR(255),
+                weights JSON,
+                is_default BOOLEAN DEFAULT FALSE,
+                created_by INT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const [profiles] = await pool.query("SELECT COUNT(*) AS total FROM scoring_profiles");
+        if (profiles[0].total === 0) {
+            for (const [index, profile] of BUILTIN_SCORING_PROFILES.entries()) {
+                await pool.query("INSERT INTO scoring_profiles (name, description, weights, is_default) VALUES (?, ?, ?, ?)",
+                    [profile.name, profile.description, JSON.stringify(profile.weights), index === 0]);
+            }
+            console.log(`[Database] ${BUILTIN_SCORING_PROFILES.length} JUIZ scoring profiles created`);
+        }
+
+        // --- AI CALLS TABLE ---
+        // One row per provider call with tokens, latency and cost (src/services/ai_usage.js)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ai_calls (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                task_id VARCHAR(36) NULL,
+                task_item_id INT NULL,
+                user_id INT NULL,
+                group_id INT NULL,
+                provider VARCHAR(20),
+                model VARCHAR(100),
+                agent VARCHAR(30) NULL,
+                prompt_tokens INT DEFAULT 0,
+                completion_tokens INT DEFAULT 0,
+                estimated BOOLEAN DEFAULT FALSE,
+                latency_ms INT DEFAULT 0,
+                cost_usd DECIMAL(12, 6) DEFAULT 0,
+                error VARCHAR(255) NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_task (task_id),
+                INDEX idx_user (user_id, created_at),
+                INDEX idx_created (created_at)
+            )
+        `);
+
         // Check for default admin
         const [users] = await pool.query("SELECT * FROM users WHERE username = 'admin'");
         if (users.length === 0) {
@@ -209,7 +435,43 @@ async function initDB() {
             "ALTER TABLE users ADD COLUMN cpf VARCHAR(20)",
             "ALTER TABLE users ADD COLUMN cnpj VARCHAR(20)",
             "ALTER TABLE users ADD COLUMN current_credits INT DEFAULT 0",
-            "ALTER TABLE task_items ADD COLUMN is_unlocked BOOLEAN DEFAULT TRUE"
+            "ALTER TABLE task_items ADD COLUMN is_unlocked BOOLEAN DEFAULT TRUE",
+            "ALTER TABLE task_items ADD COLUMN started_at DATETIME NULL",
+            "ALTER TABLE task_items ADD COLUMN finished_at DATETIME NULL",
+            "ALTER TABLE task_items ADD COLUMN final_state VARCHAR(20)",
+            "ALTER TABLE task_items ADD COLUMN error_message TEXT",
+            "ALTER TABLE item_candidates ADD COLUMN ai_selected BOOLEAN DEFAULT FALSE",
+            "ALTER TABLE item_candidates ADD COLUMN is_rejected BOOLEAN DEFAULT FALSE",
+            "ALTER TABLE item_candidates ADD COLUMN rejection_reason TEXT",
+            "ALTER TABLE item_candidates ADD COLUMN is_manual BOOLEAN DEFAULT FALSE",
+            "ALTER TABLE item_candidates ADD COLUMN added_by INT NULL",
+            "ALTER TABLE item_candidates ADD COLUMN selected_by INT NULL",
+            "ALTER TABLE item_candidates ADD COLUMN attempt INT DEFAULT 1",
+            "ALTER TABLE task_items ADD COLUMN current_attempt INT DEFAULT 1",
+            "ALTER TABLE task_items ADD COLUMN module_override VARCHAR(50) NULL",
+            "ALTER TABLE task_items ADD COLUMN provider_override VARCHAR(50) NULL",
+            "ALTER TABLE tasks ADD COLUMN deck_card_id INT NULL",
+            "ALTER TABLE tasks ADD COLUMN deck_stack_id INT NULL",
+            "ALTER TABLE tasks ADD COLUMN deck_attachment_id INT NULL",
+            "ALTER TABLE tasks ADD COLUMN quote_basket_size INT DEFAULT 0",
+            "ALTER TABLE item_candidates ADD COLUMN seller_name VARCHAR(255) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN base_price DECIMAL(10, 2) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN shipping_cost DECIMAL(10, 2) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN shipping_free BOOLEAN NULL",
+            "ALTER TABLE item_candidates ADD COLUMN shipping_days INT NULL",
+            "ALTER TABLE item_candidates ADD COLUMN seller JSON NULL",
+            "ALTER TABLE item_candidates ADD COLUMN attributes JSON NULL",
+            "ALTER TABLE item_candidates ADD COLUMN product_dna JSON NULL",
+            "ALTER TABLE item_candidates ADD COLUMN brand VARCHAR(255) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN model VARCHAR(255) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN item_condition VARCHAR(20) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN marketplace VARCHAR(50) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN marketplace_item_id VARCHAR(100) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN kit_components JSON NULL",
+            "ALTER TABLE item_candidates ADD COLUMN kit_total DECIMAL(10, 2) NULL",
+            "ALTER TABLE item_candidates ADD COLUMN juiz_breakdown JSON NULL",
+            "ALTER TABLE tasks ADD COLUMN scoring_profile_id INT NULL",
+            "ALTER TABLE item_candidates ADD COLUMN scoring_profile JSON NULL"
         ];
 
         for (const sql of migrations) {
@@ -273,6 +535,63 @@ async function updateUserRole(id, role) {
     await p.query("UPDATE users SET role = ? WHERE id = ?", [role, id]);
 }
 
+// Credits are Watts: AI spend is debited by settleTaskAiCost, admins top up here (amount may be negative)
+async function addUserCredits(id, amount) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE users SET current_credits = current_credits + ? WHERE id = ?", [amount, id]);
+}
+
+
+// --- API TOKEN FUNCTIONS ---
+// Only the SHA-256 of a token is stored; the raw value is shown once, at creation.
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createApiToken(userId, name) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const token = `mbs_${crypto.randomBytes(24).toString('hex')}`;
+    await p.query(
+        "INSERT INTO api_tokens (user_id, name, token_hash, token_prefix) VALUES (?, ?, ?, ?)",
+        [userId, name || null, hashApiToken(token), token.substring(0, 12)]
+    );
+    return token;
+}
+
+async function getAllApiTokens() {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`
+        SELECT t.id, t.user_id, t.name, t.token_prefix, t.last_used_at, t.revoked_at, t.created_at, u.username
+        FROM api_tokens t
+        JOIN users u ON u.id = t.user_id
+        ORDER BY t.created_at DESC
+    `);
+    return rows;
+}
+
+async function revokeApiToken(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE api_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL", [id]);
+}
+
+async function getUserByApiToken(token) {
+    const p = await getPool();
+    if (!p || !token) return null;
+    const [rows] = await p.query(`
+        SELECT t.id AS token_id, u.*
+        FROM api_tokens t
+        JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = ? AND t.revoked_at IS NULL
+    `, [hashApiToken(token)]);
+    if (!rows[0]) return null;
+    await p.query("UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?", [rows[0].token_id]);
+    return rows[0];
+}
+
 
 // --- GROUP FUNCTIONS ---
 
@@ -325,7 +644,7 @@ async function createTask(task) {
     const [rows] = await p.query("SELECT MAX(position) as maxPos FROM tasks");
     const nextPos = (rows[0].maxPos || 0) + 1;
 
-    const sql = `INSERT INTO tasks (id, name, status, cep, input_file, log_file, position, tags, external_link, module_name, group_id, user_id, cost_estimate) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const sql = `INSERT INTO tasks (id, name, status, cep, input_file, log_file, position, tags, external_link, module_name, group_id, user_id, cost_estimate, quote_basket_size, scoring_profile_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     await p.query(sql, [
         task.id,
         task.name,
@@ -339,7 +658,9 @@ async function createTask(task) {
         task.module_name || 'gemini_meli',
         task.group_id || null,
         task.user_id || null,
-        0
+        0,
+        task.quote_basket_size || 0,
+        task.scoring_profile_id || null
     ]);
     return task.id;
 }
@@ -360,6 +681,17 @@ async function updateTaskStatus(id, status, outputFile = null) {
     }
 
     await p.query(sql, params);
+    emitTaskEvent(id, 'task', { status });
+}
+
+// Nextcloud Deck card linked to the task (see src/services/deck.js)
+async function updateTaskDeckCard(id, card) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query(
+        "UPDATE tasks SET deck_card_id = ?, deck_stack_id = ?, deck_attachment_id = ? WHERE id = ?",
+        [card.cardId, card.stackId, card.attachmentId || null, id]
+    );
 }
 
 // Updated getTasks to support scoping and filters
@@ -447,12 +779,19 @@ async function updateTaskTags(id, tags) {
     await p.query("UPDATE tasks SET tags = ? WHERE id = ?", [tagsStr, id]);
 }
 
-async function getNextPendingTask() {
+async function getUnfinishedTasks() {
     const p = await getPool();
-    if (!p) return null;
+    if (!p) return [];
 
-    const [rows] = await p.query("SELECT * FROM tasks WHERE status = 'pending' ORDER BY position ASC LIMIT 1");
-    return rows[0];
+    const [rows] = await p.query("SELECT * FROM tasks WHERE status IN ('pending', 'running') ORDER BY position ASC, created_at ASC");
+    return rows;
+}
+
+async function countRunningTasks(excludeId = null) {
+    const p = await getPool();
+    if (!p) return 0;
+    const [rows] = await p.query("SELECT COUNT(*) AS total FROM tasks WHERE status = 'running' AND id <> ?", [excludeId || '']);
+    return rows[0].total;
 }
 
 async function forceStartTask(id) {
@@ -488,6 +827,13 @@ async function getTaskItem(taskId, originalId) {
     return rows[0];
 }
 
+async function getTaskItemById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM task_items WHERE id = ?", [id]);
+    return rows[0];
+}
+
 async function getTaskItems(taskId) {
     const p = await getPool();
     if (!p) return [];
@@ -495,7 +841,90 @@ async function getTaskItems(taskId) {
     return rows;
 }
 
-async function saveCandidates(taskItemId, candidates, selectedIndex) {
+// Item lifecycle: pending -> queued -> running -> done | no_result | failed | skipped | aborted
+const ITEM_FINAL_STATUSES = ['done', 'no_result', 'failed', 'skipped', 'aborted'];
+
+async function updateTaskItemStatus(id, status, details = {}) {
+    const p = await getPool();
+    if (!p) return;
+
+    let sql = `UPDATE task_items SET status = ? WHERE id = ?`;
+    let params = [status, id];
+
+    if (status === 'running') {
+        sql = `UPDATE task_items SET status = ?, started_at = NOW(), finished_at = NULL, final_state = NULL, error_message = NULL WHERE id = ?`;
+    } else if (ITEM_FINAL_STATUSES.includes(status)) {
+        sql = `UPDATE task_items SET status = ?, finished_at = NOW(), final_state = ?, error_message = ? WHERE id = ?`;
+        params = [status, details.finalState || null, details.errorMessage || null, id];
+    } else if (details.errorMessage) {
+        // Back in the queue for a retry: keep the last error visible
+        sql = `UPDATE task_items SET status = ?, error_message = ? WHERE id = ?`;
+        params = [status, details.errorMessage, id];
+    }
+
+    await p.query(sql, params);
+}
+
+async function queueTaskItems(ids) {
+    const p = await getPool();
+    if (!p || ids.length === 0) return;
+    await p.query("UPDATE task_items SET status = 'queued' WHERE id IN (?)", [ids]);
+}
+
+async function resetFailedTaskItems(taskId) {
+    const p = await getPool();
+    if (!p) return 0;
+    const [result] = await p.query("UPDATE task_items SET status = 'pending' WHERE task_id = ? AND status = 'failed'", [taskId]);
+    return result.affectedRows;
+}
+
+// --- ITEM ATTEMPTS ---
+// Re-running one item opens a new attempt: its candidates are saved under the new number,
+// older ones stay in item_candidates and item_attempts keeps the outcome of each attempt.
+async function startItemAttempt(item, options) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const current = item.current_attempt || 1;
+
+    // Attempt 1 has no row until the first re-run
+    await p.query(`
+        INSERT IGNORE INTO item_attempts (task_item_id, attempt, module_name, ai_provider)
+        VALUES (?, ?, ?, ?)
+    `, [item.id, current, options.previousModule || null, item.provider_override || null]);
+    await p.query(`
+        UPDATE item_attempts SET status = ?, final_state = ?, error_message = ?, started_at = ?, finished_at = ?
+        WHERE task_item_id = ? AND attempt = ?
+    `, [item.status, item.final_state, item.error_message, item.started_at, item.finished_at, item.id, current]);
+
+    const next = current + 1;
+    await p.query(
+        "INSERT INTO item_attempts (task_item_id, attempt, module_name, ai_provider, requested_by, status) VALUES (?, ?, ?, ?, ?, 'pending')",
+        [item.id, next, options.moduleName, options.provider || null, options.userId || null]
+    );
+    await p.query(`
+        UPDATE task_items
+        SET current_attempt = ?, module_override = ?, provider_override = ?, status = 'pending',
+            started_at = NULL, finished_at = NULL, final_state = NULL, error_message = NULL
+        WHERE id = ?
+    `, [next, options.moduleName, options.provider || null, item.id]);
+    return next;
+}
+
+async function getItemAttempts(taskItemId) {
+    const p = await getPool();
+    if (!p) return [];
+    const [attempts] = await p.query(`
+        SELECT a.*, u.username
+        FROM item_attempts a
+        LEFT JOIN users u ON u.id = a.requested_by
+        WHERE a.task_item_id = ?
+        ORDER BY a.attempt DESC
+    `, [taskItemId]);
+    const [candidates] = await p.query("SELECT * FROM item_candidates WHERE task_item_id = ? ORDER BY attempt DESC, id ASC", [taskItemId]);
+    return attempts.map(a => ({ ...a, candidates: candidates.filter(c => c.attempt === a.attempt) }));
+}
+
+async function saveCandidates(taskItemId, candidates, selectedIndex, attempt = 1) {
     const p = await getPool();
     if (!p || !taskItemId) return;
     if (!candidates || candidates.length === 0) return;
@@ -511,24 +940,781 @@ async function saveCandidates(taskItemId, candidates, selectedIndex) {
         c.risk_score || '-',
         c.aiReasoning || c.reasoning || '-',
         index === selectedIndex, // is_selected
+        index === selectedIndex, // ai_selected (kept when a buyer overrides the winner)
         c.gtin || null,
         c.mpn || null,
-        c.enrichment_source || null,
-        c.seller_reputation || null
+        c.enrichment_source || c.enrichmentSource || null,
+        c.seller_reputation || null,
+        attempt,
+        c.seller_name || (c.seller && c.seller.name) || null,
+        ...evidenceValues(c)
     ]);
 
-    const sql = `INSERT INTO item_candidates (task_item_id, title, price, link, image_url, store, specs, risk_score, ai_reasoning, is_selected, gtin, manufacturer_part_number, enrichment_source, seller_reputation) VALUES ?`;
+    const sql = `INSERT INTO item_candidates (task_item_id, title, price, link, image_url, store, specs, risk_score, ai_reasoning, is_selected, ai_selected, gtin, manufacturer_part_number, enrichment_source, seller_reputation, attempt, seller_name, ${EVIDENCE_COLUMNS.join(', ')}) VALUES ?`;
     await p.query(sql, [values]);
 
     // Update item status
     await p.query("UPDATE task_items SET status = 'done' WHERE id = ?", [taskItemId]);
+
+    // Id of the JUIZ winner, for the evidence snapshot
+    const [winner] = await p.query("SELECT id FROM item_candidates WHERE task_item_id = ? AND attempt = ? AND ai_selected = TRUE ORDER BY id DESC LIMIT 1", [taskItemId, attempt]);
+    return winner[0] ? winner[0].id : null;
+}
+
+// --- CANDIDATE SNAPSHOT FUNCTIONS ---
+async function saveCandidateSnapshot(snapshot) {
+    const p = await getPool();
+    if (!p) return null;
+    const [result] = await p.query(
+        `INSERT INTO candidate_snapshots (candidate_id, task_id, url, cep, captured_at, page_title, screenshot_path, html_path, pdf_path, status, error_message)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [snapshot.candidateId, snapshot.taskId, snapshot.url, snapshot.cep || null, snapshot.capturedAt, (snapshot.pageTitle || '').substring(0, 255) || null,
+            snapshot.screenshotPath || null, snapshot.htmlPath || null, snapshot.pdfPath || null, snapshot.status, snapshot.errorMessage || null]
+    );
+    return result.insertId;
+}
+
+async function getCandidateSnapshot(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM candidate_snapshots WHERE id = ?", [id]);
+    return rows[0] || null;
+}
+
+// What the results / API expose: no paths on disk, only which files can be downloaded
+function snapshotSummary(row) {
+    return {
+        id: row.id,
+        captured_at: row.captured_at,
+        cep: row.cep,
+        url: row.url,
+        status: row.status,
+        files: ['screenshot', 'html', 'pdf'].filter(kind => row[`${kind}_path`])
+    };
+}
+
+// Latest snapshot of each candidate of the task
+async function getTaskSnapshots(taskId) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query("SELECT * FROM candidate_snapshots WHERE task_id = ? ORDER BY captured_at DESC, id DESC", [taskId]);
+    const latest = new Map();
+    for (const row of rows) if (!latest.has(row.candidate_id)) latest.set(row.candidate_id, row);
+    return [...latest.values()];
+}
+
+// --- PRICE HISTORY FUNCTIONS ---
+/**
+ * Winners to re-quote: current winner of each item of completed tasks created in the last
+ * `maxAgeDays`, not checked in the last `staleHours`. With `taskItemId` only that item, right away.
+ */
+async function getRequoteTargets({ staleHours, maxAgeDays, taskItemId = null }) {
+    const p = await getPool();
+    if (!p) return [];
+    const filters = taskItemId
+        ? ["ti.id = ?"]
+        : ["t.status = 'completed'", "t.created_at >= NOW() - INTERVAL ? DAY"];
+    const [rows] = await p.query(`
+        SELECT c.id AS candidate_id, c.title, c.link, c.store, c.price AS quoted_price, c.is_manual,
+               ti.id AS task_item_id, ti.original_id, ti.description, ti.max_price, ti.quantity,
+               t.id AS task_id, t.cep,
+               (SELECT MAX(h.checked_at) FROM candidate_price_checks h WHERE h.candidate_id = c.id) AS last_checked_at
+        FROM item_candidates c
+        JOIN task_items ti ON ti.id = c.task_item_id
+        JOIN tasks t ON t.id = ti.task_id
+        WHERE c.is_selected = TRUE AND c.is_rejected = FALSE AND c.is_manual = FALSE AND c.attempt = ti.current_attempt AND ${filters.join(' AND ')}
+        ${taskItemId ? '' : 'HAVING last_checked_at IS NULL OR last_checked_at < NOW() - INTERVAL ? HOUR'}
+        ORDER BY t.cep, c.id
+    `, taskItemId ? [taskItemId] : [maxAgeDays, staleHours]);
+    return rows;
+}
+
+async function savePriceCheck(check) {
+    const p = await getPool();
+    if (!p) return null;
+    const [result] = await p.query(
+        `INSERT INTO candidate_price_checks (candidate_id, task_id, status, price, shipping_cost, total_price, alert, error_message)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [check.candidateId, check.taskId, check.status, check.price, check.shippingCost, check.totalPrice, check.alert || null, check.errorMessage || null]
+    );
+    return result.insertId;
+}
+
+// Newest first
+async function getRecentPriceChecks(candidateId, limit = 5) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query("SELECT * FROM candidate_price_checks WHERE candidate_id = ? ORDER BY checked_at DESC, id DESC LIMIT ?", [candidateId, limit]);
+    return rows;
+}
+
+// Every check of the candidates of an item, oldest first
+async function getItemPriceHistory(taskItemId) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`
+        SELECT h.* FROM candidate_price_checks h
+        JOIN item_candidates c ON c.id = h.candidate_id
+        WHERE c.task_item_id = ?
+        ORDER BY h.checked_at ASC, h.id ASC
+    `, [taskItemId]);
+    return rows;
+}
+
+// --- SCORING PROFILE FUNCTIONS ---
+function parseScoringProfileRow(row) {
+    return { ...row, is_default: !!row.is_default, weights: toScoringProfile(row).weights };
+}
+
+async function getScoringProfiles() {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`
+        SELECT sp.*, (SELECT COUNT(*) FROM tasks t WHERE t.scoring_profile_id = sp.id) AS task_count
+        FROM scoring_profiles sp
+        ORDER BY sp.is_default DESC, sp.name
+    `);
+    return rows.map(parseScoringProfileRow);
+}
+
+async function getScoringProfileById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM scoring_profiles WHERE id = ?", [id]);
+    return rows[0] ? parseScoringProfileRow(rows[0]) : null;
+}
+
+/**
+ * Profile the task is judged with: its own, else the default one, else the built-in defaults.
+ * @returns {Promise<{ id: number|null, name: string, weights: object }>}
+ */
+async function getTaskScoringProfile(task) {
+    const p = await getPool();
+    if (!p) return toScoringProfile(null);
+    const [rows] = await p.query(
+        "SELECT * FROM scoring_profiles WHERE id = ? OR is_default = TRUE ORDER BY id = ? DESC LIMIT 1",
+        [task.scoring_profile_id || 0, task.scoring_profile_id || 0]
+    );
+    return toScoringProfile(rows[0]);
+}
+
+// Insert (no id) or update; weights are validated and stored without the fields left at their default
+async function saveScoringProfile(profile, userId = null) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const weights = scoringOverrides(normalizeScoringWeights(profile.weights));
+    if (profile.id) {
+        await p.query("UPDATE scoring_profiles SET name = ?, description = ?, weights = ?, updated_at = NOW() WHERE id = ?",
+            [profile.name, profile.description || null, JSON.stringify(weights), profile.id]);
+        return profile.id;
+    }
+    const [result] = await p.query("INSERT INTO scoring_profiles (name, description, weights, created_by) VALUES (?, ?, ?, ?)",
+        [profile.name, profile.description || null, JSON.stringify(weights), userId]);
+    return result.insertId;
+}
+
+async function setDefaultScoringProfile(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE scoring_profiles SET is_default = (id = ?)", [id]);
+}
+
+// Tasks that used it go back to the default profile; their candidates keep their own copy
+async function deleteScoringProfile(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE tasks SET scoring_profile_id = NULL WHERE scoring_profile_id = ?", [id]);
+    await p.query("DELETE FROM scoring_profiles WHERE id = ? AND is_default = FALSE", [id]);
+}
+
+// --- SCORING BACKTEST ---
+/**
+ * Items of completed tasks with the candidates of their current attempt (scripts/backtest_scoring.js).
+ * @param {object} options
+ * @param {string} [options.taskId] - only this task, whatever its status
+ * @param {number} [options.days] - tasks created in the last N days
+ * @param {number} [options.limit] - at most N items, newest first
+ */
+async function getBacktestItems({ taskId = null, days = 30, limit = 500 } = {}) {
+    const p = await getPool();
+    if (!p) return [];
+    const [items] = await p.query(`
+        SELECT ti.id, ti.task_id, ti.original_id, ti.description, ti.max_price, ti.current_attempt, t.name AS task_name
+        FROM task_items ti
+        JOIN tasks t ON t.id = ti.task_id
+        WHERE ${taskId ? 't.id = ?' : "t.status = 'completed' AND t.created_at >= NOW() - INTERVAL ? DAY"}
+        ORDER BY t.created_at DESC, ti.id ASC
+        LIMIT ?
+    `, [taskId || days, limit]);
+    if (items.length === 0) return [];
+
+    const [candidates] = await p.query(
+        "SELECT * FROM item_candidates WHERE task_item_id IN (?) ORDER BY id ASC",
+        [items.map(i => i.id)]
+    );
+    return items
+        .map(item => ({ ...item, candidates: candidates.filter(c => c.task_item_id === item.id && c.attempt === (item.current_attempt || 1)) }))
+        .filter(item => item.candidates.length > 0);
+}
+
+// --- WEBHOOK FUNCTIONS ---
+function parseWebhook(row) {
+    if (row && typeof row.events === 'string') row.events = JSON.parse(row.events);
+    return row;
+}
+
+async function createWebhook(hook) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const [result] = await p.query(
+        "INSERT INTO webhooks (user_id, group_id, url, secret, events, created_by) VALUES (?, ?, ?, ?, ?, ?)",
+        [hook.user_id || null, hook.group_id || null, hook.url, hook.secret, JSON.stringify(hook.events), hook.created_by || null]
+    );
+    return result.insertId;
+}
+
+async function getWebhookById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM webhooks WHERE id = ?", [id]);
+    return parseWebhook(rows[0]);
+}
+
+// Subscriptions the user can see: their own plus those of their groups (admins see all)
+async function getWebhooksForUser(user) {
+    const p = await getPool();
+    if (!p) return [];
+    const base = `
+        SELECT w.*, u.username, g.name AS group_name
+        FROM webhooks w
+        LEFT JOIN users u ON u.id = w.user_id
+        LEFT JOIN groups g ON g.id = w.group_id
+    `;
+    const [rows] = user.role === 'admin'
+        ? await p.query(`${base} ORDER BY w.created_at DESC`)
+        : await p.query(`${base}
+            WHERE w.user_id = ? OR w.group_id IN (SELECT group_id FROM user_groups WHERE user_id = ?)
+            ORDER BY w.created_at DESC`, [user.id, user.id]);
+    return rows.map(parseWebhook);
+}
+
+// Active subscriptions that match the task owner (user or group) and the event
+async function getWebhooksForEvent(task, event) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`
+        SELECT * FROM webhooks
+        WHERE is_active = TRUE
+          AND ((user_id IS NOT NULL AND user_id = ?) OR (group_id IS NOT NULL AND group_id = ?))
+          AND JSON_CONTAINS(events, JSON_QUOTE(?))
+    `, [task.user_id, task.group_id, event]);
+    return rows.map(parseWebhook);
+}
+
+async function setWebhookActive(id, active) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE webhooks SET is_active = ? WHERE id = ?", [!!active, id]);
+}
+
+async function deleteWebhook(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("DELETE FROM webhooks WHERE id = ?", [id]);
+}
+
+async function createWebhookDelivery(delivery) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const [result] = await p.query(
+        "INSERT INTO webhook_deliveries (webhook_id, event, task_id, payload) VALUES (?, ?, ?, ?)",
+        [delivery.webhook_id, delivery.event, delivery.task_id, JSON.stringify(delivery.payload)]
+    );
+    return result.insertId;
+}
+
+async function getWebhookDeliveryById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM webhook_deliveries WHERE id = ?", [id]);
+    const row = rows[0];
+    if (row && typeof row.payload === 'string') row.payload = JSON.parse(row.payload);
+    return row;
+}
+
+async function getWebhookDeliveries(webhookIds, limit = 50) {
+    const p = await getPool();
+    if (!p || webhookIds.length === 0) return [];
+    const [rows] = await p.query(`
+        SELECT id, webhook_id, event, task_id, status, attempts, response_status, error_message, created_at, delivered_at
+        FROM webhook_deliveries
+        WHERE webhook_id IN (?)
+        ORDER BY id DESC
+        LIMIT ?
+    `, [webhookIds, limit]);
+    return rows;
+}
+
+// Delivery lifecycle: pending -> retrying -> success | failed
+async function updateWebhookDelivery(id, fields) {
+    const p = await getPool();
+    if (!p) return;
+    const allowed = ['status', 'attempts', 'response_status', 'response_body', 'error_message'];
+    const sets = [];
+    const params = [];
+    for (const key of allowed) {
+        if (fields[key] === undefined) continue;
+        sets.push(`${key} = ?`);
+        params.push(fields[key]);
+    }
+    if (fields.status === 'success') sets.push("delivered_at = NOW()");
+    if (sets.length === 0) return;
+    params.push(id);
+    await p.query(`UPDATE webhook_deliveries SET ${sets.join(', ')} WHERE id = ?`, params);
+}
+
+// --- COOKIE SETS ---
+// Listings never carry the encrypted cookies; the vault reads them through getCookieSetPayload / takeHealthyCookieSet
+const COOKIE_SET_COLUMNS = 'id, name, cookie_count, expires_at, is_active, successes, blocks, consecutive_blocks, benched_until, last_success_at, last_block_at, last_used_at, created_by, created_at, updated_at';
+
+async function createCookieSet(set) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const [result] = await p.query(
+        "INSERT INTO cookie_sets (name, cookies_encrypted, cookie_count, expires_at, created_by) VALUES (?, ?, ?, ?, ?)",
+        [set.name, set.cookies_encrypted, set.cookie_count, set.expires_at || null, set.created_by || null]
+    );
+    return result.insertId;
+}
+
+async function getCookieSets() {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`SELECT ${COOKIE_SET_COLUMNS} FROM cookie_sets ORDER BY id`);
+    return rows;
+}
+
+async function getCookieSetById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query(`SELECT ${COOKIE_SET_COLUMNS} FROM cookie_sets WHERE id = ?`, [id]);
+    return rows[0];
+}
+
+async function getCookieSetPayload(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT id, name, cookies_encrypted FROM cookie_sets WHERE id = ?", [id]);
+    return rows[0];
+}
+
+// Least recently used active set that is neither expired nor benched, marked as used
+async function takeHealthyCookieSet() {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query(`
+        SELECT id, name, cookies_encrypted FROM cookie_sets
+        WHERE is_active = TRUE
+          AND (expires_at IS NULL OR expires_at > NOW())
+          AND (benched_until IS NULL OR benched_until <= NOW())
+        ORDER BY last_used_at IS NOT NULL, last_used_at
+        LIMIT 1
+    `);
+    if (!rows[0]) return null;
+    await p.query("UPDATE cookie_sets SET last_used_at = NOW() WHERE id = ?", [rows[0].id]);
+    return rows[0];
+}
+
+// New cookies for an existing set: counters and bench start over
+async function replaceCookieSetCookies(id, set) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query(`
+        UPDATE cookie_sets
+        SET cookies_encrypted = ?, cookie_count = ?, expires_at = ?, successes = 0, blocks = 0, consecutive_blocks = 0,
+            benched_until = NULL, last_success_at = NULL, last_block_at = NULL, updated_at = NOW()
+        WHERE id = ?
+    `, [set.cookies_encrypted, set.cookie_count, set.expires_at || null, id]);
+}
+
+async function setCookieSetActive(id, active) {
+    const p = await getPool();
+    if (!p) return;
+    // Re-enabling a set also lifts its bench
+    await p.query("UPDATE cookie_sets SET is_active = ?, benched_until = IF(?, NULL, benched_until) WHERE id = ?", [!!active, !!active, id]);
+}
+
+async function deleteCookieSet(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("DELETE FROM cookie_sets WHERE id = ?", [id]);
+}
+
+async function recordCookieSetSuccess(id) {
+    const p = await getPool();
+    if (!p) return;
+    await p.query("UPDATE cookie_sets SET successes = successes + 1, consecutive_blocks = 0, last_success_at = NOW() WHERE id = ?", [id]);
+}
+
+// benchFor(consecutiveBlocks) -> ms the set stays out of the rotation
+async function recordCookieSetBlock(id, benchFor) {
+    const p = await getPool();
+    if (!p) return;
+    const [rows] = await p.query("SELECT consecutive_blocks FROM cookie_sets WHERE id = ?", [id]);
+    if (!rows[0]) return;
+    const consecutive = rows[0].consecutive_blocks + 1;
+    await p.query(`
+        UPDATE cookie_sets
+        SET blocks = blocks + 1, consecutive_blocks = ?, last_block_at = NOW(), benched_until = ?
+        WHERE id = ?
+    `, [consecutive, new Date(Date.now() + benchFor(consecutive)), id]);
+}
+
+// --- BLOCK EVENTS ---
+// action: 'retry' (backing off with a new identity) or 'gave_up' (out of recoveries, the error goes up)
+async function recordBlockEvent(event) {
+    const p = await getPool();
+    if (!p) return;
+    try {
+        await p.query(
+            "INSERT INTO block_events (task_id, task_item_id, module_name, stage, url, proxy, block_number, action, backoff_ms) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            [event.taskId, event.taskItemId || null, event.moduleName, event.stage || null, event.url || null, event.proxy || null, event.blockNumber || 1, event.action, event.backoffMs || 0]
+        );
+    } catch (e) {
+        console.error("Failed to record block event:", e);
+    }
+}
+
+async function getBlockStats(days = 7) {
+    const p = await getPool();
+    const empty = { total: 0, last24h: 0, gaveUp: 0, byDay: [], byHour: [], byStage: [], recent: [] };
+    if (!p) return empty;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [[totals]] = await p.query(`
+        SELECT COUNT(*) AS total,
+               SUM(created_at >= NOW() - INTERVAL 1 DAY) AS last24h,
+               SUM(action = 'gave_up') AS gaveUp
+        FROM block_events WHERE created_at >= ?
+    `, [since]);
+    const [byDay] = await p.query("SELECT DATE(created_at) AS day, COUNT(*) AS count FROM block_events WHERE created_at >= ? GROUP BY day ORDER BY day", [since]);
+    const [byHour] = await p.query("SELECT HOUR(created_at) AS hour, COUNT(*) AS count FROM block_events WHERE created_at >= ? GROUP BY hour ORDER BY hour", [since]);
+    const [byStage] = await p.query("SELECT stage, COUNT(*) AS count FROM block_events WHERE created_at >= ? GROUP BY stage ORDER BY count DESC", [since]);
+    const [recent] = await p.query("SELECT * FROM block_events ORDER BY id DESC LIMIT 10");
+
+    return {
+        total: totals.total || 0,
+        last24h: Number(totals.last24h) || 0,
+        gaveUp: Number(totals.gaveUp) || 0,
+        byDay,
+        byHour,
+        byStage,
+        recent
+    };
+}
+
+// --- AI CALLS ---
+async function recordAiCall(call) {
+    const p = await getPool();
+    if (!p) return;
+    try {
+        await p.query(
+            "INSERT INTO ai_calls (task_id, task_item_id, user_id, group_id, provider, model, agent, prompt_tokens, completion_tokens, estimated, latency_ms, cost_usd, error) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            [call.taskId, call.taskItemId, call.userId, call.groupId, call.provider, call.model, call.agent, call.promptTokens, call.completionTokens, call.estimated, call.latencyMs, call.costUsd, call.error]
+        );
+    } catch (e) {
+        console.error("Failed to record AI call:", e);
+    }
+}
+
+// tasks.cost_estimate = Watts of the task's calls; whatever it grew is debited from the owner's credits
+async function settleTaskAiCost(taskId, wattsPerUsd) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query(`
+        SELECT t.user_id, t.cost_estimate, COALESCE(SUM(a.cost_usd), 0) AS usd
+        FROM tasks t LEFT JOIN ai_calls a ON a.task_id = t.id
+        WHERE t.id = ? GROUP BY t.id
+    `, [taskId]);
+    if (rows.length === 0) return null;
+    const watts = Math.ceil(Number(rows[0].usd) * wattsPerUsd);
+    const charge = watts - (rows[0].cost_estimate || 0);
+    if (charge <= 0) return { watts, charge: 0 };
+    await p.query("UPDATE tasks SET cost_estimate = ? WHERE id = ?", [watts, taskId]);
+    if (rows[0].user_id) {
+        await p.query("UPDATE users SET current_credits = current_credits - ? WHERE id = ?", [charge, rows[0].user_id]);
+    }
+    return { watts, charge };
+}
+
+// SUM/AVG come back as strings (DECIMAL)
+function aiCostRow(row) {
+    return {
+        ...row,
+        calls: Number(row.calls) || 0,
+        prompt_tokens: Number(row.prompt_tokens) || 0,
+        completion_tokens: Number(row.completion_tokens) || 0,
+        cost_usd: Number(row.cost_usd) || 0,
+        estimated: Number(row.estimated) || 0,
+        failed: Number(row.failed) || 0,
+        avg_latency_ms: Math.round(Number(row.avg_latency_ms) || 0)
+    };
+}
+
+const AI_COST_COLUMNS = `
+    COUNT(*) AS calls,
+    SUM(a.prompt_tokens) AS prompt_tokens,
+    SUM(a.completion_tokens) AS completion_tokens,
+    SUM(a.cost_usd) AS cost_usd,
+    SUM(a.estimated) AS estimated,
+    SUM(a.error IS NOT NULL) AS failed,
+    AVG(a.latency_ms) AS avg_latency_ms
+`;
+
+async function getTaskAiCosts(taskId) {
+    const p = await getPool();
+    const empty = { totals: aiCostRow({}), byAgent: [], byModel: [], byItem: [] };
+    if (!p) return empty;
+    const [[totals]] = await p.query(`SELECT ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.task_id = ?`, [taskId]);
+    const [byAgent] = await p.query(`SELECT a.agent, ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.task_id = ? GROUP BY a.agent ORDER BY cost_usd DESC`, [taskId]);
+    const [byModel] = await p.query(`SELECT a.provider, a.model, ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.task_id = ? GROUP BY a.provider, a.model ORDER BY cost_usd DESC`, [taskId]);
+    const [byItem] = await p.query(`
+        SELECT a.task_item_id, ti.original_id, ti.description, ${AI_COST_COLUMNS}
+        FROM ai_calls a LEFT JOIN task_items ti ON ti.id = a.task_item_id
+        WHERE a.task_id = ? GROUP BY a.task_item_id, ti.original_id, ti.description ORDER BY cost_usd DESC
+    `, [taskId]);
+    return {
+        totals: aiCostRow(totals),
+        byAgent: byAgent.map(aiCostRow),
+        byModel: byModel.map(aiCostRow),
+        byItem: byItem.map(aiCostRow)
+    };
+}
+
+async function getAiSpendReport(days = 30) {
+    const p = await getPool();
+    const empty = { totals: aiCostRow({}), byDay: [], byUser: [], byGroup: [], byModel: [], byAgent: [], topTasks: [] };
+    if (!p) return empty;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [[totals]] = await p.query(`SELECT ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.created_at >= ?`, [since]);
+    const [byDay] = await p.query(`SELECT DATE(a.created_at) AS day, ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.created_at >= ? GROUP BY day ORDER BY day`, [since]);
+    const [byUser] = await p.query(`
+        SELECT a.user_id, u.username, u.current_credits, ${AI_COST_COLUMNS}
+        FROM ai_calls a LEFT JOIN users u ON u.id = a.user_id
+        WHERE a.created_at >= ? GROUP BY a.user_id, u.username, u.current_credits ORDER BY cost_usd DESC
+    `, [since]);
+    const [byGroup] = await p.query(`
+        SELECT a.group_id, g.name AS group_name, ${AI_COST_COLUMNS}
+        FROM ai_calls a LEFT JOIN groups g ON g.id = a.group_id
+        WHERE a.created_at >= ? GROUP BY a.group_id, g.name ORDER BY cost_usd DESC
+    `, [since]);
+    const [byModel] = await p.query(`SELECT a.provider, a.model, ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.created_at >= ? GROUP BY a.provider, a.model ORDER BY cost_usd DESC`, [since]);
+    const [byAgent] = await p.query(`SELECT a.agent, ${AI_COST_COLUMNS} FROM ai_calls a WHERE a.created_at >= ? GROUP BY a.agent ORDER BY cost_usd DESC`, [since]);
+    const [topTasks] = await p.query(`
+        SELECT a.task_id, t.name, t.cost_estimate, ${AI_COST_COLUMNS}
+        FROM ai_calls a JOIN tasks t ON t.id = a.task_id
+        WHERE a.created_at >= ? GROUP BY a.task_id, t.name, t.cost_estimate ORDER BY cost_usd DESC LIMIT 10
+    `, [since]);
+
+    return {
+        totals: aiCostRow(totals),
+        byDay: byDay.map(aiCostRow),
+        byUser: byUser.map(aiCostRow),
+        byGroup: byGroup.map(aiCostRow),
+        byModel: byModel.map(aiCostRow),
+        byAgent: byAgent.map(aiCostRow),
+        topTasks: topTasks.map(aiCostRow)
+    };
+}
+
+// --- CANDIDATE CURATION ---
+// Buyers may override JUIZ: pick another winner, reject candidates or add a manual offer.
+// Every change lands in item_curation_log with snapshots of the candidates involved,
+// so the log doubles as labelled feedback for the scoring logic (getCurationFeedback).
+
+function candidateSnapshot(c) {
+    if (!c) return null;
+    return {
+        id: c.id,
+        title: c.title,
+        price: parseFloat(c.price),
+        store: c.store,
+        link: c.link,
+        risk_score: c.risk_score,
+        ai_selected: !!c.ai_selected,
+        is_manual: !!c.is_manual
+    };
+}
+
+// Candidates of the item's current attempt (see startItemAttempt)
+const CURRENT_ATTEMPT = "attempt = (SELECT current_attempt FROM task_items WHERE id = item_candidates.task_item_id)";
+
+async function getCandidateById(id) {
+    const p = await getPool();
+    if (!p) return null;
+    const [rows] = await p.query("SELECT * FROM item_candidates WHERE id = ?", [id]);
+    return rows[0];
+}
+
+async function getItemCandidates(taskItemId) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`SELECT * FROM item_candidates WHERE task_item_id = ? AND ${CURRENT_ATTEMPT} ORDER BY is_manual ASC, id ASC`, [taskItemId]);
+    return rows.map(r => ({ ...r, evidence: parseEvidence(r) }));
+}
+
+async function getCurrentCandidate(p, taskItemId, candidateId) {
+    const [rows] = await p.query(`SELECT * FROM item_candidates WHERE id = ? AND task_item_id = ? AND ${CURRENT_ATTEMPT}`, [candidateId, taskItemId]);
+    if (!rows[0]) throw new Error("Candidato não pertence à tentativa atual do item.");
+    return rows[0];
+}
+
+async function getItemWinner(p, taskItemId) {
+    const [rows] = await p.query(`SELECT * FROM item_candidates WHERE task_item_id = ? AND ${CURRENT_ATTEMPT} AND is_selected = TRUE AND is_rejected = FALSE`, [taskItemId]);
+    return rows[0];
+}
+
+async function logCuration(p, entry) {
+    await p.query(
+        "INSERT INTO item_curation_log (task_item_id, candidate_id, previous_winner_id, user_id, action, reason, data) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [entry.taskItemId, entry.candidateId || null, entry.previousWinnerId || null, entry.userId || null, entry.action, entry.reason || null, JSON.stringify(entry.data || {})]
+    );
+}
+
+async function selectWinnerCandidate(taskItemId, candidateId, userId, reason) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const candidate = await getCurrentCandidate(p, taskItemId, candidateId);
+    const previous = await getItemWinner(p, taskItemId);
+    const [aiRows] = await p.query(`SELECT * FROM item_candidates WHERE task_item_id = ? AND ${CURRENT_ATTEMPT} AND ai_selected = TRUE`, [taskItemId]);
+
+    await p.query(`UPDATE item_candidates SET is_selected = FALSE WHERE task_item_id = ? AND ${CURRENT_ATTEMPT}`, [taskItemId]);
+    await p.query("UPDATE item_candidates SET is_selected = TRUE, selected_by = ?, is_rejected = FALSE, rejection_reason = NULL WHERE id = ?", [userId, candidateId]);
+
+    await logCuration(p, {
+        taskItemId,
+        candidateId,
+        previousWinnerId: previous ? previous.id : null,
+        userId,
+        action: 'select_winner',
+        reason,
+        data: { chosen: candidateSnapshot(candidate), previous: candidateSnapshot(previous), ai: candidateSnapshot(aiRows[0]) }
+    });
+    return candidate;
+}
+
+async function rejectCandidate(taskItemId, candidateId, userId, reason) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const candidate = await getCurrentCandidate(p, taskItemId, candidateId);
+
+    // A rejected winner leaves the item without winner until someone picks another one
+    await p.query("UPDATE item_candidates SET is_rejected = TRUE, rejection_reason = ?, is_selected = FALSE WHERE id = ?", [reason, candidateId]);
+
+    await logCuration(p, {
+        taskItemId: candidate.task_item_id,
+        candidateId,
+        previousWinnerId: candidate.is_selected ? candidate.id : null,
+        userId,
+        action: 'reject',
+        reason,
+        data: { candidate: candidateSnapshot(candidate) }
+    });
+    return candidate;
+}
+
+async function restoreCandidate(taskItemId, candidateId, userId) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const candidate = await getCurrentCandidate(p, taskItemId, candidateId);
+
+    await p.query("UPDATE item_candidates SET is_rejected = FALSE, rejection_reason = NULL WHERE id = ?", [candidateId]);
+
+    await logCuration(p, {
+        taskItemId: candidate.task_item_id,
+        candidateId,
+        userId,
+        action: 'restore',
+        reason: candidate.rejection_reason,
+        data: { candidate: candidateSnapshot(candidate) }
+    });
+    return candidate;
+}
+
+// offer: { title, link, price, store }
+async function addManualCandidate(taskItemId, offer, userId, reason, makeWinner = true) {
+    const p = await getPool();
+    if (!p) throw new Error("DB not ready");
+    const previous = await getItemWinner(p, taskItemId);
+
+    const [result] = await p.query(
+        `INSERT INTO item_candidates (task_item_id, title, price, link, store, specs, risk_score, ai_reasoning, is_selected, is_manual, added_by, attempt)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, FALSE, TRUE, ?, current_attempt FROM task_items WHERE id = ?`,
+        [taskItemId, offer.title, offer.price, offer.link, offer.store || 'N/A', '{}', '-', `✍️ Oferta manual: ${reason || 'sem justificativa'}`, userId, taskItemId]
+    );
+    if (makeWinner) {
+        await p.query(`UPDATE item_candidates SET is_selected = (id = ?) WHERE task_item_id = ? AND ${CURRENT_ATTEMPT}`, [result.insertId, taskItemId]);
+        await p.query("UPDATE item_candidates SET selected_by = ? WHERE id = ?", [userId, result.insertId]);
+    }
+    // An item without results becomes done once a buyer supplies an offer
+    await p.query("UPDATE task_items SET status = 'done' WHERE id = ? AND status = 'no_result'", [taskItemId]);
+
+    const candidate = await getCandidateById(result.insertId);
+    await logCuration(p, {
+        taskItemId,
+        candidateId: candidate.id,
+        previousWinnerId: makeWinner && previous ? previous.id : null,
+        userId,
+        action: 'manual_offer',
+        reason,
+        data: { chosen: candidateSnapshot(candidate), previous: candidateSnapshot(previous), make_winner: !!makeWinner }
+    });
+    return candidate;
+}
+
+async function getItemCurationLog(taskItemId) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query(`
+        SELECT l.*, u.username
+        FROM item_curation_log l
+        LEFT JOIN users u ON u.id = l.user_id
+        WHERE l.task_item_id = ?
+        ORDER BY l.id DESC
+    `, [taskItemId]);
+    return rows.map(r => ({ ...r, data: typeof r.data === 'string' ? JSON.parse(r.data) : r.data }));
+}
+
+// Labelled examples for tuning JUIZ: each row is a human decision with the item description
+// and the candidates involved (chosen / previous / ai) as they were at decision time.
+async function getCurationFeedback(options = {}) {
+    const p = await getPool();
+    if (!p) return [];
+    const params = [];
+    let where = '';
+    if (options.since) {
+        where = 'WHERE l.created_at >= ?';
+        params.push(options.since);
+    }
+    params.push(parseInt(options.limit) || 1000);
+    const [rows] = await p.query(`
+        SELECT l.id, l.action, l.reason, l.data, l.created_at, ti.task_id, ti.original_id, ti.description, ti.max_price
+        FROM item_curation_log l
+        JOIN task_items ti ON ti.id = l.task_item_id
+        ${where}
+        ORDER BY l.id DESC
+        LIMIT ?
+    `, params);
+    return rows.map(r => ({ ...r, data: typeof r.data === 'string' ? JSON.parse(r.data) : r.data }));
 }
 
 async function logTaskMessage(taskId, message, level = 'info') {
     const p = await getPool();
     if (!p) return;
     try {
-        await p.query("INSERT INTO task_logs (task_id, message, level) VALUES (?, ?, ?)", [taskId, message, level]);
+        const [result] = await p.query("INSERT INTO task_logs (task_id, message, level) VALUES (?, ?, ?)", [taskId, message, level]);
+        emitTaskEvent(taskId, 'log', { id: result.insertId, message, level, timestamp: new Date() });
     } catch(e) {
         console.error("Failed to log to DB:", e);
     }
@@ -541,6 +1727,13 @@ async function getTaskLogs(taskId) {
     return rows;
 }
 
+async function getTaskLogsSince(taskId, afterId = 0) {
+    const p = await getPool();
+    if (!p) return [];
+    const [rows] = await p.query("SELECT * FROM task_logs WHERE task_id = ? AND id > ? ORDER BY id ASC", [taskId, afterId]);
+    return rows;
+}
+
 async function createTaskMetadata(taskId, data) {
     const p = await getPool();
     if (!p) return;
@@ -557,25 +1750,48 @@ async function getTaskFullResults(taskId) {
 
     // Get Items
     const [items] = await p.query("SELECT * FROM task_items WHERE task_id = ?", [taskId]);
+    const [taskRows] = await p.query("SELECT quote_basket_size FROM tasks WHERE id = ?", [taskId]);
+    const basketSize = taskRows[0] ? taskRows[0].quote_basket_size || 0 : 0;
+    const snapshots = new Map((await getTaskSnapshots(taskId)).map(s => [s.candidate_id, s]));
 
     // For each item, get candidates
     const results = [];
     for (const item of items) {
-        const [candidates] = await p.query("SELECT * FROM item_candidates WHERE task_item_id = ?", [item.id]);
+        // Older attempts of a re-run item are kept for comparison but not reported
+        const [candidates] = await p.query("SELECT * FROM item_candidates WHERE task_item_id = ? AND attempt = ?", [item.id, item.current_attempt || 1]);
 
         const offers = candidates.map(c => ({
+            candidate_id: c.id,
             title: c.title,
             totalPrice: parseFloat(c.price),
             link: c.link,
             image: c.image_url,
             store: c.store,
+            seller_name: c.seller_name,
+            seller_reputation: c.seller_reputation,
+            gtin: c.gtin,
+            mpn: c.manufacturer_part_number,
+            enrichment_source: c.enrichment_source,
             specs: typeof c.specs === 'string' ? JSON.parse(c.specs) : c.specs,
+            ...parseEvidence(c),
+            snapshot: snapshots.has(c.id) ? snapshotSummary(snapshots.get(c.id)) : null,
             risk_score: c.risk_score,
             aiReasoning: c.ai_reasoning,
-            brand_model: c.title
+            brand_model: c.title,
+            ai_selected: !!c.ai_selected,
+            is_rejected: !!c.is_rejected,
+            rejection_reason: c.rejection_reason,
+            is_manual: !!c.is_manual,
+            selected_by: c.selected_by
         }));
 
-        const winnerIndex = candidates.findIndex(c => c.is_selected);
+        const winnerIndex = candidates.findIndex(c => c.is_selected && !c.is_rejected);
+        // Recomputed on every read so buyer rejections leave the basket right away,
+        // with the maximum risk of the profile the item was judged by
+        const judged = offers.find(o => o.scoringProfile);
+        const quoteBasket = basketSize > 0
+            ? buildQuoteBasket(offers, basketSize, judged ? { maxRisk: judged.scoringProfile.weights.max_acceptable_risk } : {})
+            : null;
 
         results.push({
             id: item.original_id,
@@ -584,8 +1800,15 @@ async function getTaskFullResults(taskId) {
             description: item.description,
             valor_venda: parseFloat(item.max_price),
             quantidade: item.quantity,
+            status: item.status,
+            attempt: item.current_attempt || 1,
+            started_at: item.started_at,
+            finished_at: item.finished_at,
+            final_state: item.final_state,
+            error_message: item.error_message,
             offers: offers,
-            winnerIndex: winnerIndex
+            winnerIndex: winnerIndex,
+            quoteBasket
         });
     }
 
@@ -629,7 +1852,9 @@ module.exports = {
     getTaskById,
     updateTaskPosition,
     updateTaskTags,
-    getNextPendingTask,
+    updateTaskDeckCard,
+    getUnfinishedTasks,
+    countRunningTasks,
     forceStartTask,
     getUserByUsername,
     getUserById,
@@ -637,17 +1862,77 @@ module.exports = {
     getAllUsers,
     deleteUser,
     updateUserRole,
+    addUserCredits,
     createGroup,
     getAllGroups,
     getUserGroups,
     addUserToGroup,
     removeUserFromGroup,
+    createApiToken,
+    getAllApiTokens,
+    revokeApiToken,
+    getUserByApiToken,
     createTaskItems,
     getTaskItem,
+    getTaskItemById,
     getTaskItems,
+    updateTaskItemStatus,
+    queueTaskItems,
+    resetFailedTaskItems,
+    startItemAttempt,
+    getItemAttempts,
     saveCandidates,
+    saveCandidateSnapshot,
+    getCandidateSnapshot,
+    getTaskSnapshots,
+    getRequoteTargets,
+    savePriceCheck,
+    getRecentPriceChecks,
+    getItemPriceHistory,
+    getScoringProfiles,
+    getScoringProfileById,
+    getTaskScoringProfile,
+    saveScoringProfile,
+    setDefaultScoringProfile,
+    deleteScoringProfile,
+    getBacktestItems,
+    getCandidateById,
+    getItemCandidates,
+    selectWinnerCandidate,
+    rejectCandidate,
+    restoreCandidate,
+    addManualCandidate,
+    getItemCurationLog,
+    getCurationFeedback,
+    createCookieSet,
+    getCookieSets,
+    getCookieSetById,
+    getCookieSetPayload,
+    takeHealthyCookieSet,
+    replaceCookieSetCookies,
+    setCookieSetActive,
+    deleteCookieSet,
+    recordCookieSetSuccess,
+    recordCookieSetBlock,
+    recordBlockEvent,
+    getBlockStats,
+    recordAiCall,
+    settleTaskAiCost,
+    getTaskAiCosts,
+    getAiSpendReport,
+    createWebhook,
+    getWebhookById,
+    getWebhooksForUser,
+    getWebhooksForEvent,
+    setWebhookActive,
+    deleteWebhook,
+    createWebhookDelivery,
+    getWebhookDeliveryById,
+    getWebhookDeliveries,
+    updateWebhookDelivery,
     logTaskMessage,
     getTaskLogs,
+    getTaskLogsSince,
     getTaskFullResults,
     createTaskMetadata,
     getTaskMetadata,
@@ -1,5 +1,8 @@
+const fs = require('fs');
+const archiver = require('archiver');
 const ExcelJS = require('exceljs');
-const { getTaskFullResults } = require('./database');
+const { getTaskFullResults, getTaskSnapshots } = require('./database');
+const { SNAPSHOT_FILES, resolveSnapshotFile } = require('./services/evidence');
 
 // ============================================
 // SMART CANDIDATE SELECTION - Phase 6D
@@ -29,10 +32,57 @@ function formatReasoningForExcel(reasoning) {
     return formatted;
 }
 
+/**
+ * Status of an offer after buyer curation (manual winner, rejection, manual offer)
+ * @param {Object} item - Item from getTaskFullResults
+ * @param {number} idx - Offer index
+ * @returns {string} Label for the status column
+ */
+function offerStatusLabel(item, idx) {
+    const offer = item.offers[idx];
+    if (offer.is_rejected) return 'REJEITADO';
+    if (idx === item.winnerIndex) return isManualChoice(offer) ? 'VENCEDOR (MANUAL)' : 'VENCEDOR';
+    return offer.is_manual ? 'Candidato (manual)' : 'Candidato';
+}
+
+// Winner chosen by a buyer instead of JUIZ
+function isManualChoice(offer) {
+    return !!offer && (offer.is_manual || (offer.selected_by != null && !offer.ai_selected));
+}
+
+function offerReasoning(offer) {
+    const reasoning = formatReasoningForExcel(offer.aiReasoning || '-');
+    return offer.is_rejected ? `❌ Rejeitado: ${offer.rejection_reason || '-'}\n${reasoning}` : reasoning;
+}
+
+// Evidence columns shared by both sheets (base price + shipping = total price)
+const EVIDENCE_COLUMNS = [
+    { header: 'Loja', key: 'store', width: 20 },
+    { header: 'Vendedor', key: 'seller', width: 25 },
+    { header: 'Preço Base', key: 'base_price', width: 12 },
+    { header: 'Frete', key: 'shipping', width: 10 },
+    { header: 'Marca / Modelo', key: 'brand_model', width: 30 },
+    { header: 'GTIN', key: 'gtin', width: 16 }
+];
+
+function offerEvidence(offer) {
+    return {
+        store: offer.store,
+        seller: offer.seller_name || '',
+        base_price: offer.basePrice !== null && offer.basePrice !== undefined ? offer.basePrice : '',
+        shipping: offer.shippingFree ? 'Grátis' : (offer.shippingCost !== null && offer.shippingCost !== undefined ? offer.shippingCost : ''),
+        brand_model: [offer.brand, offer.model].filter(Boolean).join(' / '),
+        gtin: offer.gtin || ''
+    };
+}
+
 async function generateExcelBuffer(taskId) {
     const results = await getTaskFullResults(taskId);
     if (!results || results.length === 0) return null;
+    return await buildResultsWorkbook(results).xlsx.writeBuffer();
+}
 
+function buildResultsWorkbook(results) {
     const workbook = new ExcelJS.Workbook();
 
     // --- SHEET 1: DADOS BRUTOS (RANKING) ---
@@ -44,6 +94,7 @@ async function generateExcelBuffer(taskId) {
         { header: 'Status', key: 'status', width: 15 },
         { header: 'Risco', key: 'risk', width: 10 },
         { header: 'Preço Encontrado', key: 'price', width: 15 },
+        ...EVIDENCE_COLUMNS,
         { header: 'Preço Venda (Max)', key: 'sell_price', width: 15 },
         { header: 'Qtd', key: 'qtd', width: 8 },
         { header: 'Lucro Est. (Total)', key: 'profit', width: 15 },
@@ -68,14 +119,15 @@ async function generateExcelBuffer(taskId) {
                 rawSheet.addRow({
                     id: item.id,
                     desc: item.description,
-                    status: (idx === item.winnerIndex) ? 'VENCEDOR' : 'Candidato',
+                    status: offerStatusLabel(item, idx),
                     risk: offer.risk_score,
                     price: offer.totalPrice,
+                    ...offerEvidence(offer),
                     sell_price: item.valor_venda || 0,
                     qtd: item.quantidade || 1,
                     profit: profit.toFixed(2),
                     link: offer.link,
-                    reasoning: formatReasoningForExcel(offer.aiReasoning || '-')
+                    reasoning: offerReasoning(offer)
                 });
             });
         } else {
@@ -107,6 +159,7 @@ async function generateExcelBuffer(taskId) {
         { header: 'Lucro Total Previsto', key: 'profit', width: 15 },
         { header: 'Link', key: 'link', width: 50 },
         { header: 'Risco', key: 'risk', width: 10 },
+        { header: 'Escolha', key: 'choice', width: 12 },
         { header: 'Motivo', key: 'reasoning', width: 80 }  // WIDENED
     ];
 
@@ -137,11 +190,152 @@ async function generateExcelBuffer(taskId) {
             profit: profit.toFixed(2),
             link: best ? best.link : '-',
             risk: best ? best.risk_score : '-',
+            choice: best ? (isManualChoice(best) ? 'Manual' : 'JUIZ') : '-',
             reasoning: formatReasoningForExcel(best ? best.aiReasoning : '-')
         });
     });
 
-    return await workbook.xlsx.writeBuffer();
+    // --- SHEET 3: CESTA DE PREÇOS (only tasks in quote basket mode) ---
+    if (results.some(item => item.quoteBasket)) {
+        addQuoteBasketSheet(workbook, results);
+    }
+
+    // --- SHEET 4: EVIDÊNCIAS (winner pages captured at decision time) ---
+    if (results.some(item => item.offers.some(offer => offer.snapshot))) {
+        addEvidenceSheet(workbook, results);
+    }
+
+    return workbook;
+}
+
+function quoteSourceLine(offer, position) {
+    const source = [offer.store, offer.seller_name].filter(Boolean).join(' / ') || 'N/A';
+    return `${position}. ${source} — R$ ${offer.totalPrice.toFixed(2)} — ${offer.link}`;
+}
+
+/**
+ * One row per item: the N quotes of distinct sellers, their mean / median and the reference price.
+ * Items that could not reach N quotes are flagged INSUFICIENTE.
+ */
+function addQuoteBasketSheet(workbook, results) {
+    const sheet = workbook.addWorksheet('Cesta de Preços');
+
+    sheet.columns = [
+        { header: 'Lote', key: 'id', width: 10 },
+        { header: 'Descrição', key: 'desc', width: 40 },
+        { header: 'Qtd', key: 'qty', width: 8 },
+        { header: 'Cotações Exigidas', key: 'required', width: 12 },
+        { header: 'Cotações Obtidas', key: 'count', width: 12 },
+        { header: 'Situação', key: 'status', width: 15 },
+        { header: 'Média', key: 'mean', width: 14 },
+        { header: 'Mediana', key: 'median', width: 14 },
+        { header: 'Preço de Referência', key: 'reference', width: 16 },
+        { header: 'Valor Total (Ref.)', key: 'total', width: 16 },
+        { header: 'Fontes', key: 'sources', width: 100 }
+    ];
+    sheet.getColumn('sources').alignment = { wrapText: true, vertical: 'top' };
+
+    results.forEach(item => {
+        if (!item.is_unlocked || !item.quoteBasket) return;
+        const basket = item.quoteBasket;
+
+        const row = sheet.addRow({
+            id: item.id,
+            desc: item.description,
+            qty: item.quantidade || 1,
+            required: basket.size,
+            count: basket.count,
+            status: basket.complete ? 'OK' : 'INSUFICIENTE',
+            mean: basket.mean !== null ? basket.mean : '-',
+            median: basket.median !== null ? basket.median : '-',
+            reference: basket.reference !== null ? basket.reference : '-',
+            total: basket.reference !== null ? Number((basket.reference * (item.quantidade || 1)).toFixed(2)) : '-',
+            sources: basket.quotes.map((idx, i) => quoteSourceLine(item.offers[idx], i + 1)).join('\n') || 'Nenhuma cotação aceita.'
+        });
+        if (!basket.complete) {
+            row.getCell('status').font = { bold: true, color: { argb: 'FFC00000' } };
+        }
+    });
+}
+
+const SNAPSHOT_STATUS_LABELS = { ok: 'OK', partial: 'PARCIAL', failed: 'FALHOU' };
+
+// Where each snapshot file sits inside the export bundle
+function bundleSnapshotPath(item, snapshot, kind) {
+    return `evidencias/item-${item.id}/snapshot-${snapshot.id}.${SNAPSHOT_FILES[kind].ext}`;
+}
+
+/**
+ * One row per captured page: when, for which CEP, and the files of the export bundle.
+ */
+function addEvidenceSheet(workbook, results) {
+    const sheet = workbook.addWorksheet('Evidências');
+
+    sheet.columns = [
+        { header: 'Lote', key: 'id', width: 10 },
+        { header: 'Produto', key: 'title', width: 40 },
+        { header: 'Loja', key: 'store', width: 20 },
+        { header: 'Capturado em', key: 'captured_at', width: 20 },
+        { header: 'CEP', key: 'cep', width: 12 },
+        { header: 'Situação', key: 'status', width: 12 },
+        { header: 'Arquivos (pacote .zip)', key: 'files', width: 60 },
+        { header: 'Link', key: 'link', width: 50 }
+    ];
+    sheet.getColumn('files').alignment = { wrapText: true, vertical: 'top' };
+
+    results.forEach(item => {
+        if (!item.is_unlocked) return;
+        item.offers.forEach(offer => {
+            const snapshot = offer.snapshot;
+            if (!snapshot) return;
+            sheet.addRow({
+                id: item.id,
+                title: offer.title,
+                store: offer.store,
+                captured_at: snapshot.captured_at ? new Date(snapshot.captured_at).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }) : '-',
+                cep: snapshot.cep || '-',
+                status: SNAPSHOT_STATUS_LABELS[snapshot.status] || snapshot.status,
+                files: snapshot.files.map(kind => bundleSnapshotPath(item, snapshot, kind)).join('\n') || '-',
+                link: snapshot.url
+            });
+        });
+    });
+}
+
+/**
+ * Export bundle (.zip): the results spreadsheet plus the evidence files of every captured winner page.
+ * @param {import('stream').Writable} output - e.g. the HTTP response
+ * @returns {Promise<boolean>} false when the task has no results (nothing written)
+ */
+async function writeExportBundle(taskId, output) {
+    const results = await getTaskFullResults(taskId);
+    if (!results || results.length === 0) return false;
+    const snapshots = new Map((await getTaskSnapshots(taskId)).map(row => [row.id, row]));
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const done = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+    archive.pipe(output);
+
+    archive.append(Buffer.from(await buildResultsWorkbook(results).xlsx.writeBuffer()), { name: `resultado_${taskId}.xlsx` });
+    results.forEach(item => {
+        if (!item.is_unlocked) return;
+        item.offers.forEach(offer => {
+            const row = offer.snapshot && snapshots.get(offer.snapshot.id);
+            if (!row) return;
+            offer.snapshot.files.forEach(kind => {
+                const file = resolveSnapshotFile(row[SNAPSHOT_FILES[kind].column]);
+                if (file && fs.existsSync(file)) archive.file(file, { name: bundleSnapshotPath(item, offer.snapshot, kind) });
+            });
+        });
+    });
+
+    await archive.finalize();
+    await done;
+    return true;
 }
 
 async function generateItemExcelBuffer(taskId, itemDbId) {
@@ -162,9 +356,10 @@ async function generateItemExcelBuffer(taskId, itemDbId) {
         { header: 'Descrição', key: 'desc', width: 40 },
         { header: 'Candidato', key: 'title', width: 40 },
         { header: 'Preço', key: 'price', width: 15 },
+        ...EVIDENCE_COLUMNS,
         { header: 'Link', key: 'link', width: 50 },
-        { header: 'Loja', key: 'store', width: 20 },
         { header: 'Risco', key: 'risk', width: 10 },
+        { header: 'Situação', key: 'status', width: 20 },
         { header: 'Raciocínio IA', key: 'reasoning', width: 80 }  // WIDENED
     ];
 
@@ -172,15 +367,16 @@ async function generateItemExcelBuffer(taskId, itemDbId) {
     sheet.getColumn('reasoning').alignment = { wrapText: true, vertical: 'top' };
 
     if (item.offers && item.offers.length > 0) {
-        item.offers.forEach(offer => {
+        item.offers.forEach((offer, idx) => {
             sheet.addRow({
                 desc: item.description,
                 title: offer.title,
                 price: offer.totalPrice,
+                ...offerEvidence(offer),
                 link: offer.link,
-                store: offer.store,
                 risk: offer.risk_score,
-                reasoning: formatReasoningForExcel(offer.aiReasoning)
+                status: offerStatusLabel(item, idx),
+                reasoning: offerReasoning(offer)
             });
         });
     } else {
@@ -190,4 +386,4 @@ async function generateItemExcelBuffer(taskId, itemDbId) {
     return await workbook.xlsx.writeBuffer();
 }
 
-module.exports = { generateExcelBuffer, generateItemExcelBuffer, formatReasoningForExcel };
+module.exports = { generateExcelBuffer, generateItemExcelBuffer, writeExportBundle, formatReasoningForExcel };
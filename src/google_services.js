@@ -1,9 +1,11 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { google } = require('googleapis');
+const { trackAiCall } = require('./services/ai_usage');
 
 const customSearch = google.customsearch('v1');
 
 // --- Gemini Configuration ---
+const GEMINI_MODEL = "gemini-3-pro-preview";
 let genAI = null;
 let model = null;
 
@@ -15,7 +17,7 @@ function initGemini() {
     }
     try {
         genAI = new GoogleGenerativeAI(apiKey);
-        model = genAI.getGenerativeModel({ model: "gemini-3-pro-preview" });
+        model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
         return true;
     } catch (e) {
         console.error("Error initializing Gemini:", e);
@@ -51,12 +53,16 @@ async function askGemini(prompt, options = {}) {
         }
     }
 
+    const messages = [{ role: 'user', content: prompt }];
+    const startedAt = Date.now();
     try {
         const result = await model.generateContent(prompt);
         const response = await result.response;
         const text = response.text();
+        trackAiCall({ provider: 'gemini', model: GEMINI_MODEL, agent: 'legacy', messages, text, usage: response.usageMetadata, latencyMs: Date.now() - startedAt });
         return text;
     } catch (error) {
+        trackAiCall({ provider: 'gemini', model: GEMINI_MODEL, agent: 'legacy', messages, latencyMs: Date.now() - startedAt, error });
         console.error("Gemini API Error:", error.message);
         throw error;
     }
@@ -0,0 +1,172 @@
+const { Queue, createNodeRedisClient } = require('bullmq');
+const { createClient } = require('redis');
+
+// --- CONFIGURATION ---
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const TASK_QUEUE = 'tasks';
+const ITEM_QUEUE = 'task-items';
+const WEBHOOK_QUEUE = 'webhooks';
+const REQUOTE_QUEUE = 'requotes';
+
+// Visibility timeout: a job whose lock is not renewed within LOCK_DURATION
+// (worker crashed or was killed) is moved back to the queue by the stalled checker.
+const LOCK_DURATION = 60000;
+const STALLED_INTERVAL = 30000;
+const MAX_STALLED_COUNT = 2;
+
+const PRIORITY_HIGH = 1;
+const PRIORITY_NORMAL = 10;
+
+const TASK_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: true,
+    removeOnFail: 100
+};
+
+const ITEM_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 10000 },
+    removeOnComplete: true,
+    removeOnFail: 1000,
+    // A lot that exhausts its retries must not block the task from finishing
+    ignoreDependencyOnFailure: true
+};
+
+// 8 attempts with exponential backoff from 30s: the last retry happens ~1h after the event
+const WEBHOOK_JOB_OPTIONS = {
+    attempts: 8,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: true,
+    removeOnFail: 100
+};
+
+// A sweep that fails (browser crash) waits for the next scheduled one
+const REQUOTE_JOB_OPTIONS = {
+    attempts: 1,
+    removeOnComplete: true,
+    removeOnFail: 20
+};
+const REQUOTE_SCHEDULER_ID = 'requote-sweep';
+
+const FINISHED_STATES = ['completed', 'failed'];
+
+function createConnection() {
+    return createNodeRedisClient(createClient({ url: REDIS_URL }));
+}
+
+let taskQueue = null;
+let itemQueue = null;
+let webhookQueue = null;
+let requoteQueue = null;
+
+function getTaskQueue() {
+    if (!taskQueue) taskQueue = new Queue(TASK_QUEUE, { connection: createConnection() });
+    return taskQueue;
+}
+
+function getItemQueue() {
+    if (!itemQueue) itemQueue = new Queue(ITEM_QUEUE, { connection: createConnection() });
+    return itemQueue;
+}
+
+function getWebhookQueue() {
+    if (!webhookQueue) webhookQueue = new Queue(WEBHOOK_QUEUE, { connection: createConnection() });
+    return webhookQueue;
+}
+
+function getRequoteQueue() {
+    if (!requoteQueue) requoteQueue = new Queue(REQUOTE_QUEUE, { connection: createConnection() });
+    return requoteQueue;
+}
+
+// Adds a job with a fixed id. A live job with the same id is kept as is;
+// a finished one is removed first so the id can be reused.
+async function addUnique(queue, name, data, opts) {
+    const existing = await queue.getJob(opts.jobId);
+    if (existing) {
+        const state = await existing.getState();
+        if (!FINISHED_STATES.includes(state)) return existing;
+        await existing.remove();
+    }
+    return queue.add(name, data, opts);
+}
+
+async function enqueueTask(taskId, options = {}) {
+    const priority = options.priority || PRIORITY_NORMAL;
+    const job = await addUnique(getTaskQueue(), 'task', { taskId }, {
+        ...TASK_JOB_OPTIONS,
+        jobId: taskId,
+        priority
+    });
+    // Force-start of a task that is already waiting in line
+    if (job.opts.priority !== priority && await job.getState() === 'prioritized') {
+        await job.changePriority({ priority });
+    }
+    return job;
+}
+
+// `position` is the item's index inside its task: using it as priority interleaves
+// the items of concurrent tasks (1st of each task, then 2nd, ...) instead of FIFO by task.
+async function enqueueItem(parentJob, taskId, itemId, position = 0) {
+    return addUnique(getItemQueue(), 'item', { taskId, itemId }, {
+        ...ITEM_JOB_OPTIONS,
+        jobId: `${taskId}-${itemId}`,
+        priority: position + 1,
+        parent: { id: parentJob.id, queue: parentJob.queueQualifiedName }
+    });
+}
+
+async function enqueueWebhookDelivery(deliveryId) {
+    return addUnique(getWebhookQueue(), 'delivery', { deliveryId }, {
+        ...WEBHOOK_JOB_OPTIONS,
+        jobId: `delivery-${deliveryId}`
+    });
+}
+
+// Periodic sweep over the winners of completed tasks; 0 hours removes the schedule
+async function scheduleRequoteSweep(intervalHours) {
+    if (!(intervalHours > 0)) {
+        await getRequoteQueue().removeJobScheduler(REQUOTE_SCHEDULER_ID);
+        return null;
+    }
+    return getRequoteQueue().upsertJobScheduler(REQUOTE_SCHEDULER_ID, { every: intervalHours * 3600000 }, {
+        name: 'sweep',
+        data: {},
+        opts: REQUOTE_JOB_OPTIONS
+    });
+}
+
+// Re-quote of one item on demand (item page)
+async function enqueueRequote(taskItemId) {
+    return addUnique(getRequoteQueue(), 'item', { taskItemId }, {
+        ...REQUOTE_JOB_OPTIONS,
+        jobId: `requote-item-${taskItemId}`
+    });
+}
+
+async function isTaskQueued(taskId) {
+    const job = await getTaskQueue().getJob(taskId);
+    if (!job) return false;
+    const state = await job.getState();
+    return !FINISHED_STATES.includes(state);
+}
+
+module.exports = {
+    TASK_QUEUE,
+    ITEM_QUEUE,
+    WEBHOOK_QUEUE,
+    REQUOTE_QUEUE,
+    LOCK_DURATION,
+    STALLED_INTERVAL,
+    MAX_STALLED_COUNT,
+    PRIORITY_HIGH,
+    PRIORITY_NORMAL,
+    createConnection,
+    enqueueTask,
+    enqueueItem,
+    enqueueWebhookDelivery,
+    scheduleRequoteSweep,
+    enqueueRequote,
+    isTaskQueued
+};
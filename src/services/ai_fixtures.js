@@ -0,0 +1,126 @@
+/**
+ * Record / replay of AI responses, and scripted responses for tests.
+ *
+ *   AI_FIXTURES=record  -> every generateText / generateStream response is also saved to disk
+ *                          (streams once they end, with the whole text)
+ *   AI_FIXTURES=replay  -> responses are read back from disk, no provider is called
+ *                          (a prompt without a recording fails like an unavailable provider)
+ *
+ * One JSON file per prompt in AI_FIXTURES_DIR (default ./recordings/ai), named by the sha1 of the
+ * messages (role + content): { hash, provider, model, recorded_at, messages, text }.
+ * The provider is not part of the key, so a recording made through a fallback provider still
+ * answers the agent's prompt when the primary is configured differently.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AI_FIXTURE_MODES = ['record', 'replay'];
+
+function getAiFixtureMode() {
+    const mode = (process.env.AI_FIXTURES || '').toLowerCase();
+    return AI_FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+function getAiFixturesDir() {
+    return path.resolve(process.env.AI_FIXTURES_DIR || path.join('recordings', 'ai'));
+}
+
+function promptHash(messages) {
+    const normalized = (messages || []).map(m => ({ role: m.role, content: m.content }));
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex');
+}
+
+function aiFixturePath(messages, dir = getAiFixturesDir()) {
+    return path.join(dir, `${promptHash(messages)}.json`);
+}
+
+function recordResponse(config, text, dir = getAiFixturesDir()) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        const record = {
+            hash: promptHash(config.messages),
+            provider: config.provider || null,
+            model: config.model || null,
+            recorded_at: new Date().toISOString(),
+            messages: config.messages,
+            text
+        };
+        fs.writeFileSync(aiFixturePath(config.messages, dir), JSON.stringify(record, null, 2));
+    } catch (e) {
+        console.error(`[AI Fixtures] Failed to record ${promptHash(config.messages)}: ${e.message}`);
+    }
+}
+
+function loadRecordedResponse(messages, dir = getAiFixturesDir()) {
+    const file = aiFixturePath(messages, dir);
+    if (!fs.existsSync(file)) {
+        console.warn(`[AI Fixtures] No recording for prompt ${path.basename(file, '.json')}`);
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Responder (see ai_manager.setAiResponder) that serves the recordings of `dir`.
+ */
+function createReplayResponder(dir = getAiFixturesDir()) {
+    return async (config) => {
+        const record = loadRecordedResponse(config.messages, dir);
+        if (!record) throw new Error(`AI replay: sem gravação para o prompt ${promptHash(config.messages)}`);
+        return record.text;
+    };
+}
+
+/**
+ * Scripted mock provider: answers from `rules`, tried in order, and records every call.
+ * Rule: { agent, provider, match, response | error }
+ *   agent    - only calls that name the agent (agentName of generateTextWithCascadeFallback)
+ *   provider - only calls to that provider
+ *   match    - case-insensitive substring of the prompt
+ *   response - text, object (sent as JSON) or (config) => text
+ *   error    - message thrown instead, to exercise the callers' fallbacks (e.g. "429 Rate Limited")
+ * A prompt without a rule fails like an unavailable provider.
+ * @param {object[]} rules
+ * @param {object[]} [calls] - receives { agent, provider, model, prompt, promptChars, responseChars, stubbed }
+ */
+function createScriptedResponder(rules, calls = []) {
+    return async (config) => {
+        const prompt = (config.messages || []).map(m => m.content).join('\n');
+        const agent = config.agentName ? config.agentName.toLowerCase() : null;
+        const rule = rules.find(r =>
+            (!r.agent || r.agent.toLowerCase() === agent) &&
+            (!r.provider || r.provider === config.provider) &&
+            (!r.match || prompt.toLowerCase().includes(r.match.toLowerCase()))
+        );
+        let text = null;
+        if (rule && !rule.error) {
+            const response = typeof rule.response === 'function' ? await rule.response(config) : rule.response;
+            text = typeof response === 'string' ? response : JSON.stringify(response);
+        }
+        calls.push({
+            agent,
+            provider: config.provider || null,
+            model: config.model || null,
+            prompt,
+            promptChars: prompt.length,
+            responseChars: text ? text.length : 0,
+            stubbed: !!rule
+        });
+        if (!rule) throw new Error('AI mock: nenhuma resposta roteirizada para este prompt');
+        if (rule.error) throw new Error(rule.error);
+        return text;
+    };
+}
+
+module.exports = {
+    getAiFixtureMode,
+    getAiFixturesDir,
+    promptHash,
+    aiFixturePath,
+    recordResponse,
+    loadRecordedResponse,
+    createReplayResponder,
+    createScriptedResponder
+};
@@ -1,6 +1,9 @@
 const fetch = require('node-fetch');
 const { getSetting } = require('../database');
+const { acquire, release, withBudget, aiBudget } = require('./budget');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getAiFixtureMode, recordResponse, createReplayResponder } = require('./ai_fixtures');
+const { trackAiCall } = require('./ai_usage');
 
 /**
  * AI Manager
@@ -14,6 +17,27 @@ const PROVIDERS = {
     PERPLEXITY: 'perplexity'
 };
 
+// Tests and evaluation runs (src/services/golden_eval.js): answers every call instead of the providers
+let aiResponder = null;
+
+// Key handed to the agents' "is there a key?" checks when no provider is called
+const OFFLINE_API_KEY = 'offline';
+
+/**
+ * Routes generateText / generateStream / generateTextWithCascadeFallback to `responder`
+ * (null = real providers, or the recordings when AI_FIXTURES=replay).
+ * Mock providers come from ai_fixtures.createScriptedResponder.
+ * @param {Function|null} responder - async ({ provider, model, messages, agentName }) => text
+ */
+function setAiResponder(responder) {
+    aiResponder = responder;
+}
+
+function activeResponder() {
+    if (aiResponder) return aiResponder;
+    return getAiFixtureMode() === 'replay' ? createReplayResponder() : null;
+}
+
 /**
  * Fetch available models from a provider.
  * @param {string} provider
@@ -116,7 +140,20 @@ async function fetchModels(provider, apiKey) {
  */
 async function generateStream(config, callbacks) {
     let { provider, model, apiKey, messages } = config;
-    const { onThought, onChunk, onDone, onError } = callbacks;
+    const { onThought } = callbacks;
+    let { onChunk, onDone, onError } = callbacks;
+
+    const responder = activeResponder();
+    if (responder) {
+        try {
+            const text = await responder(config);
+            if (onChunk) onChunk(text);
+            if (onDone) onDone();
+        } catch (e) {
+            if (onError) onError(e);
+        }
+        return;
+    }
 
     // ROBUST FALLBACK: If API key not provided, try database
     if (!apiKey || apiKey.trim() === '') {
@@ -129,13 +166,43 @@ async function generateStream(config, callbacks) {
         return;
     }
 
+    let onUsage = null;
+
+    // Streams return before the response ends: the provider slot is held until onDone/onError
+    // (Perplexity goes through generateText, which takes its own slot)
+    if (provider !== PROVIDERS.PERPLEXITY) {
+        const budget = aiBudget(provider);
+        await acquire(budget);
+        let released = false;
+        const free = () => { if (!released) { released = true; release(budget); } };
+        const done = onDone, fail = onError;
+        onDone = () => { free(); if (done) done(); };
+        onError = (e) => { free(); if (fail) fail(e); };
+
+        // One ai_calls row per stream, once it ends (usage arrives with the last chunk)
+        const startedAt = Date.now();
+        let text = '';
+        let usage = null;
+        const chunk = onChunk, finished = onDone, failed = onError;
+        const report = (error) => trackAiCall({ provider, model, agent: config.agentName, messages, text, usage, latencyMs: Date.now() - startedAt, error });
+        onChunk = (c) => { text += c; if (chunk) chunk(c); };
+        onDone = () => {
+            report(null);
+            // Same recording generateText makes, so AI_FIXTURES=replay can serve streams too
+            if (getAiFixtureMode() === 'record') recordResponse({ ...config, provider, model }, text);
+            finished();
+        };
+        onError = (e) => { report(e); failed(e); };
+        onUsage = (u) => { usage = u; };
+    }
+
     try {
         if (provider === PROVIDERS.QWEN) {
-            await streamQwen(apiKey, model, messages, onThought, onChunk, onDone, onError);
+            await streamQwen(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage);
         } else if (provider === PROVIDERS.DEEPSEEK) {
-            await streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDone, onError);
+            await streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage);
         } else if (provider === PROVIDERS.GEMINI) {
-            await streamGemini(apiKey, model, messages, onThought, onChunk, onDone, onError);
+            await streamGemini(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage);
         } else if (provider === PROVIDERS.PERPLEXITY) {
             // Fallback for Perplexity non-stream
             const text = await generateText(config);
@@ -151,10 +218,20 @@ async function generateStream(config, callbacks) {
 
 /**
  * Generate Text (Promise wrapper for non-streaming calls)
+ * AI_FIXTURES=record saves each response, AI_FIXTURES=replay serves them back (see ai_fixtures.js).
  * @param {object} config { provider, model, apiKey, messages }
  * @returns {Promise<string>}
  */
 async function generateText(config) {
+    const responder = activeResponder();
+    if (responder) return responder(config);
+
+    const text = await callProvider(config);
+    if (getAiFixtureMode() === 'record') recordResponse(config, text);
+    return text;
+}
+
+async function callProvider(config) {
     let { provider, model, apiKey, messages } = config;
 
     // ROBUST FALLBACK: If API key not provided, try database
@@ -184,6 +261,7 @@ async function generateText(config) {
     console.log(`${'='.repeat(60)}\n`);
 
     if (provider === PROVIDERS.GEMINI) {
+        const startedAt = Date.now();
         try {
             const genAI = new GoogleGenerativeAI(apiKey);
             const m = genAI.getGenerativeModel({ model: model });
@@ -198,30 +276,39 @@ async function generateText(config) {
                 else fullPrompt += `[MODEL]: ${msg.content}\n\n`;
             }
 
-            const result = await m.generateContent(fullPrompt);
-            return result.response.text();
+            const result = await withBudget(aiBudget(provider), () => m.generateContent(fullPrompt));
+            const text = result.response.text();
+            trackAiCall({ provider, model, agent: config.agentName, messages, text, usage: result.response.usageMetadata, latencyMs: Date.now() - startedAt });
+            return text;
         } catch (e) {
+            trackAiCall({ provider, model, agent: config.agentName, messages, latencyMs: Date.now() - startedAt, error: e });
             throw new Error(`Gemini Error: ${e.message}`);
         }
     }
     else if (provider === PROVIDERS.PERPLEXITY) {
         // Perplexity (OpenAI Compatible)
+        const startedAt = Date.now();
         try {
-            const response = await fetch('https://api.perplexity.ai/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: messages
-                })
+            const data = await withBudget(aiBudget(provider), async () => {
+                const response = await fetch('https://api.perplexity.ai/chat/completions', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        model: model,
+                        messages: messages
+                    })
+                });
+                return response.json();
             });
-            const data = await response.json();
             if (data.error) throw new Error(JSON.stringify(data.error));
-            return data.choices[0].message.content;
+            const text = data.choices[0].message.content;
+            trackAiCall({ provider, model, agent: config.agentName, messages, text, usage: data.usage, latencyMs: Date.now() - startedAt });
+            return text;
         } catch (e) {
+            trackAiCall({ provider, model, agent: config.agentName, messages, latencyMs: Date.now() - startedAt, error: e });
             throw new Error(`Perplexity Error: ${e.message}`);
         }
     }
@@ -241,7 +328,7 @@ async function generateText(config) {
 
 // --- PROVIDER IMPLEMENTATIONS ---
 
-async function streamQwen(apiKey, model, messages, onThought, onChunk, onDone, onError) {
+async function streamQwen(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage) {
     // DashScope OpenAI Compatible Endpoint
     const url = 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1/chat/completions';
 
@@ -252,6 +339,7 @@ async function streamQwen(apiKey, model, messages, onThought, onChunk, onDone, o
         model: model,
         messages: messages,
         stream: true,
+        stream_options: { include_usage: true }, // token usage in the last chunk
         incremental_output: true
     };
 
@@ -287,6 +375,8 @@ async function streamQwen(apiKey, model, messages, onThought, onChunk, onDone, o
                     }
                     try {
                         const json = JSON.parse(dataStr);
+                        if (json.usage && onUsage) onUsage(json.usage);
+                        if (!json.choices || json.choices.length === 0) continue;
                         const delta = json.choices[0].delta;
                         if (delta.reasoning_content) {
                             if (onThought) onThought(delta.reasoning_content);
@@ -309,8 +399,8 @@ async function streamQwen(apiKey, model, messages, onThought, onChunk, onDone, o
     }
 }
 
-async function streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDone, onError) {
-    const url = 'https://api.deepseek.com/chat/completions';
+async function streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage) {
+    const url = process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/chat/completions';
 
     // GOLDEN PATH: Log full API URL
     console.log(`[AI Manager] 🔗 STREAM API CALL: ${url} (model: ${model})`);
@@ -325,7 +415,8 @@ async function streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDon
             body: JSON.stringify({
                 model: model,
                 messages: messages,
-                stream: true
+                stream: true,
+                stream_options: { include_usage: true } // token usage in the last chunk
             })
         });
 
@@ -343,6 +434,8 @@ async function streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDon
                     if (dataStr === '[DONE]') return;
                     try {
                         const json = JSON.parse(dataStr);
+                        if (json.usage && onUsage) onUsage(json.usage);
+                        if (!json.choices || json.choices.length === 0) continue;
                         const delta = json.choices[0].delta;
                         if (delta.reasoning_content && onThought) onThought(delta.reasoning_content);
                         if (delta.content && onChunk) onChunk(delta.content);
@@ -359,7 +452,7 @@ async function streamDeepSeek(apiKey, model, messages, onThought, onChunk, onDon
     }
 }
 
-async function streamGemini(apiKey, model, messages, onThought, onChunk, onDone, onError) {
+async function streamGemini(apiKey, model, messages, onThought, onChunk, onDone, onError, onUsage) {
     try {
         const genAI = new GoogleGenerativeAI(apiKey);
         const m = genAI.getGenerativeModel({ model: model });
@@ -386,6 +479,9 @@ async function streamGemini(apiKey, model, messages, onThought, onChunk, onDone,
             if (onChunk) onChunk(chunkText);
         }
 
+        const response = await result.response;
+        if (onUsage) onUsage(response.usageMetadata);
+
         if (onDone) onDone();
 
     } catch (e) {
@@ -410,7 +506,9 @@ function getApiKeyFromEnv(provider) {
         [PROVIDERS.PERPLEXITY]: 'PERPLEXITY_API_KEY'
     };
     const envKey = ENV_KEYS[provider.toLowerCase()] || ENV_KEYS[provider];
-    return process.env[envKey] || null;
+    if (process.env[envKey]) return process.env[envKey];
+    // Mock / replay: the agents still check for a key before calling
+    return activeResponder() ? OFFLINE_API_KEY : null;
 }
 
 /**
@@ -571,6 +669,12 @@ const DEFAULT_MODELS = {
  */
 async function generateTextWithCascadeFallback(config, fallbackChain = null) {
     const { provider: primaryProvider, model: primaryModel, messages, agentName } = config;
+
+    const responder = activeResponder();
+    if (responder) {
+        const text = await responder(config);
+        return { text, usedProvider: primaryProvider, usedModel: primaryModel, tier: 'PRIMARY' };
+    }
     
     // Build the fallback chain dynamically
     let chain = fallbackChain;
@@ -636,7 +740,7 @@ async function generateTextWithCascadeFallback(config, fallbackChain = null) {
         console.log(`[AI Manager] 🎯 Trying ${provider} (${tier}) with model ${model}`);
         
         try {
-            const text = await generateText({ provider, model, apiKey, messages });
+            const text = await generateText({ provider, model, apiKey, messages, agentName });
             console.log(`[AI Manager] ✅ Success with ${provider} (${tier})`);
             
             return {
@@ -676,5 +780,6 @@ module.exports = {
     // v10.4: Cascaded fallback system
     getApiKeyWithFallback,
     generateTextWithCascadeFallback,
-    DEFAULT_MODELS
+    DEFAULT_MODELS,
+    setAiResponder
 };
@@ -0,0 +1,187 @@
+/**
+ * AI usage accounting: one ai_calls row per provider call (provider, model, agent, tokens,
+ * latency, cost), attributed to the task / item / user / group that made it.
+ *
+ * Reported by every client that reaches a provider: ai_manager (generateText / streams / cascade),
+ * the Perplexity client, src/services/deepseek.js and gemini.js (gemini_meli and perplexity
+ * modules) and the legacy CLI clients (src/ai_validator.js, src/google_services.js, agent
+ * `legacy`). Not recorded: model listing (fetchModels) and Google Custom Search (googleSearch),
+ * which are not completions.
+ *
+ * The worker runs each item inside runWithAiUsage(); the clients read that context when they
+ * report a call, so the agents do not pass it along. Calls outside a context (PDF import, legacy
+ * CLI) are recorded with whatever the caller set, or unattributed.
+ * Tokens come from the provider's usage report; when there is none they are estimated from the
+ * characters and the row is flagged `estimated`. Mock / replayed responses are not recorded.
+ *
+ * A task's cost is kept in tasks.cost_estimate in Watts (the credit unit users see) and each
+ * increase is debited from the task owner's users.current_credits.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { recordAiCall, settleTaskAiCost } = require('../database');
+
+// USD per million tokens (input / output). Models match by prefix (gemini-2.0-flash-lite-preview-02-05
+// -> gemini-2.0-flash-lite); unknown models count at their provider's default model
+const AI_PRICES = {
+    'deepseek-chat': { input: 0.27, output: 1.10 },
+    'deepseek-reasoner': { input: 0.55, output: 2.19 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-3-pro': { input: 2.00, output: 12.00 },
+    'qwen-max': { input: 1.60, output: 6.40 },
+    'qwen-plus': { input: 0.40, output: 1.20 },
+    'qwen-turbo': { input: 0.05, output: 0.20 },
+    'qwen-flash': { input: 0.05, output: 0.40 },
+    'sonar': { input: 1.00, output: 1.00 },
+    'sonar-pro': { input: 3.00, output: 15.00 },
+    'sonar-reasoning': { input: 1.00, output: 5.00 },
+    'sonar-reasoning-pro': { input: 2.00, output: 8.00 }
+};
+const CHARS_PER_TOKEN = 4;
+
+// 1 Watt = US$ 0.001
+const WATTS_PER_USD = 1000;
+
+const usageContext = new AsyncLocalStorage();
+
+// Tests (see setAiUsageRecorder) take the rows instead of the database
+let usageRecorder = null;
+
+// One settlement at a time per task: items of the same task report calls concurrently
+const settlements = new Map(); // taskId -> Promise
+
+/**
+ * Sends every row to `recorder(row)` instead of ai_calls, without settling tasks; null restores it.
+ * @param {Function|null} recorder
+ */
+function setAiUsageRecorder(recorder) {
+    usageRecorder = recorder;
+}
+
+/**
+ * Runs `fn` with every AI call attributed to `context`.
+ * @param {{ taskId?: string, taskItemId?: number, userId?: number, groupId?: number }} context
+ */
+function runWithAiUsage(context, fn) {
+    return usageContext.run(context, fn);
+}
+
+function currentAiUsage() {
+    return usageContext.getStore() || null;
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function priceFor(provider, model) {
+    const name = String(model || '').replace(/^models\//, '');
+    const match = Object.keys(AI_PRICES)
+        .filter(key => name === key || name.startsWith(`${key}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (match) return AI_PRICES[match];
+    const { DEFAULT_MODELS } = require('./ai_manager');
+    return AI_PRICES[DEFAULT_MODELS[provider]] || AI_PRICES['deepseek-chat'];
+}
+
+function callCost(provider, model, promptTokens, completionTokens) {
+    const prices = priceFor(provider, model);
+    return (promptTokens * prices.input + completionTokens * prices.output) / 1e6;
+}
+
+/**
+ * Token counts from a provider usage report: OpenAI-compatible `usage` (DeepSeek, Qwen,
+ * Perplexity) or Gemini `usageMetadata`. Null when there is nothing to read.
+ */
+function normalizeUsage(usage) {
+    if (!usage) return null;
+    if (usage.prompt_tokens != null || usage.completion_tokens != null) {
+        return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+    }
+    if (usage.promptTokenCount != null || usage.candidatesTokenCount != null) {
+        return { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 };
+    }
+    return null;
+}
+
+/**
+ * The ai_calls row for one call, attributed to the current context.
+ * @param {object} call - { provider, model, agent, messages, text, usage, latencyMs, error }
+ *   usage: provider report (normalizeUsage); messages / text are only used to estimate without one
+ */
+function buildAiCall(call) {
+    const context = currentAiUsage() || {};
+    const reported = normalizeUsage(call.usage);
+    const failed = !!call.error;
+    const promptTokens = reported ? reported.promptTokens : (failed ? 0 : estimateTokens(JSON.stringify(call.messages || [])));
+    const completionTokens = reported ? reported.completionTokens : (failed ? 0 : estimateTokens(call.text));
+    return {
+        taskId: context.taskId || null,
+        taskItemId: context.taskItemId || null,
+        userId: context.userId || null,
+        groupId: context.groupId || null,
+        provider: call.provider,
+        model: call.model || null,
+        agent: call.agent ? String(call.agent).toLowerCase() : null,
+        promptTokens,
+        completionTokens,
+        estimated: !reported && !failed,
+        latencyMs: Math.round(call.latencyMs || 0),
+        costUsd: callCost(call.provider, call.model, promptTokens, completionTokens),
+        error: failed ? String(call.error.message || call.error).substring(0, 255) : null
+    };
+}
+
+function settleTask(taskId) {
+    const previous = settlements.get(taskId) || Promise.resolve();
+    const next = previous
+        .then(() => settleTaskAiCost(taskId, WATTS_PER_USD))
+        .catch(e => console.error(`[AI Usage] Falha ao debitar a tarefa ${taskId}: ${e.message}`));
+    settlements.set(taskId, next);
+    next.then(() => { if (settlements.get(taskId) === next) settlements.delete(taskId); });
+    return next;
+}
+
+/**
+ * Records one provider call and settles its task's cost. Never throws: accounting must not
+ * fail the agent that made the call.
+ * @returns {Promise<object>} the recorded row
+ */
+async function trackAiCall(call) {
+    const row = buildAiCall(call);
+    if (usageRecorder) {
+        usageRecorder(row);
+        return row;
+    }
+    try {
+        await recordAiCall(row);
+        if (row.taskId && row.costUsd > 0) await settleTask(row.taskId);
+    } catch (e) {
+        console.error(`[AI Usage] Falha ao registrar chamada ${row.provider}/${row.model}: ${e.message}`);
+    }
+    return row;
+}
+
+function toWatts(usd) {
+    return Math.ceil((Number(usd) || 0) * WATTS_PER_USD);
+}
+
+module.exports = {
+    AI_PRICES,
+    CHARS_PER_TOKEN,
+    WATTS_PER_USD,
+    setAiUsageRecorder,
+    runWithAiUsage,
+    currentAiUsage,
+    estimateTokens,
+    priceFor,
+    callCost,
+    normalizeUsage,
+    buildAiCall,
+    trackAiCall,
+    toWatts
+};
@@ -0,0 +1,214 @@
+/**
+ * Global concurrency budgets shared by every task running in this process.
+ *
+ * - Pools ('browser_pages', 'ml_requests', 'ai_calls_<provider>') are counting semaphores.
+ * - Item slots are shared fairly: each active group (or user without group) gets an equal
+ *   part of 'item_slots', split again between its active users.
+ *
+ * Limits live in the settings table as `budget_<name>` (editable at /admin/limits)
+ * and are re-read every BUDGET_REFRESH_MS.
+ */
+
+const { getSetting } = require('../database');
+
+const BUDGET_DEFAULTS = {
+    max_concurrent_tasks: 2,
+    item_slots: 12,
+    items_per_task: 12,
+    browser_pages: 12,
+    ml_requests: 6,
+    ai_calls_deepseek: 8,
+    ai_calls_gemini: 8,
+    ai_calls_qwen: 4,
+    ai_calls_perplexity: 3
+};
+
+const BUDGET_REFRESH_MS = 30000;
+
+let limits = { ...BUDGET_DEFAULTS };
+let loadedAt = 0;
+let refreshing = null;
+
+const pools = new Map();        // name -> { active, waiters: [] }
+const runningTasks = new Map(); // taskId -> { userKey, groupKey, active }
+
+async function refreshBudgets(force = false) {
+    if (!force && Date.now() - loadedAt < BUDGET_REFRESH_MS) return limits;
+    if (!refreshing) {
+        refreshing = (async () => {
+            const next = { ...BUDGET_DEFAULTS };
+            for (const name of Object.keys(BUDGET_DEFAULTS)) {
+                const value = parseInt(await getSetting(`budget_${name}`));
+                if (value > 0) next[name] = value;
+            }
+            limits = next;
+            loadedAt = Date.now();
+            // A raised limit frees slots for whoever is waiting
+            for (const poolName of pools.keys()) wake(poolName);
+        })().catch(e => {
+            loadedAt = Date.now();
+            console.error('[Budget] Failed to load limits, keeping previous values:', e.message);
+        }).finally(() => { refreshing = null; });
+    }
+    await refreshing;
+    return limits;
+}
+
+function getLimit(name) {
+    return limits[name] || BUDGET_DEFAULTS[name] || 1;
+}
+
+async function getBudget(name) {
+    await refreshBudgets();
+    return getLimit(name);
+}
+
+// --- POOLS ---
+
+function getPoolState(name) {
+    if (!pools.has(name)) pools.set(name, { active: 0, waiters: [] });
+    return pools.get(name);
+}
+
+function wake(name) {
+    const pool = getPoolState(name);
+    while (pool.waiters.length > 0 && pool.active < getLimit(name)) {
+        pool.active++;
+        pool.waiters.shift()();
+    }
+}
+
+async function acquire(name) {
+    await refreshBudgets();
+    const pool = getPoolState(name);
+    if (pool.active < getLimit(name)) {
+        pool.active++;
+        return;
+    }
+    await new Promise(resolve => pool.waiters.push(resolve));
+}
+
+function release(name) {
+    const pool = getPoolState(name);
+    pool.active = Math.max(0, pool.active - 1);
+    wake(name);
+}
+
+async function withBudget(name, fn) {
+    await acquire(name);
+    try {
+        return await fn();
+    } finally {
+        release(name);
+    }
+}
+
+function aiBudget(provider) {
+    return `ai_calls_${provider || 'deepseek'}`;
+}
+
+// Every page opened on this browser holds a 'browser_pages' slot until it is closed
+function limitBrowserPages(browser) {
+    const newPage = browser.newPage.bind(browser);
+    let open = 0;
+
+    browser.newPage = async (...args) => {
+        await acquire('browser_pages');
+        let page;
+        try {
+            page = await newPage(...args);
+        } catch (e) {
+            release('browser_pages');
+            throw e;
+        }
+        open++;
+        page.once('close', () => {
+            open--;
+            release('browser_pages');
+        });
+        return page;
+    };
+
+    // Pages of a crashed browser never emit 'close' (a BrowserContext reports through its browser)
+    const owner = typeof browser.browser === 'function' ? browser.browser() : browser;
+    const onDisconnected = () => {
+        for (; open > 0; open--) release('browser_pages');
+    };
+    owner.once('disconnected', onDisconnected);
+    if (owner !== browser) {
+        const close = browser.close.bind(browser);
+        browser.close = async () => {
+            owner.off('disconnected', onDisconnected);
+            return close();
+        };
+    }
+
+    return browser;
+}
+
+// --- FAIR ITEM SLOTS ---
+
+function ownerKeys(task) {
+    const userKey = `user:${task.user_id}`;
+    return { userKey, groupKey: task.group_id ? `group:${task.group_id}` : userKey };
+}
+
+function tryStartItem(task) {
+    if (!runningTasks.has(task.id)) runningTasks.set(task.id, { ...ownerKeys(task), active: 0 });
+    const entry = runningTasks.get(task.id);
+
+    const slots = getLimit('item_slots');
+    let total = 0, groupActive = 0, userActive = 0;
+    const groups = new Map(); // groupKey -> Set(userKey)
+
+    for (const t of runningTasks.values()) {
+        total += t.active;
+        if (t.groupKey === entry.groupKey) groupActive += t.active;
+        if (t.userKey === entry.userKey) userActive += t.active;
+        if (!groups.has(t.groupKey)) groups.set(t.groupKey, new Set());
+        groups.get(t.groupKey).add(t.userKey);
+    }
+
+    const groupShare = Math.ceil(slots / groups.size);
+    const userShare = Math.ceil(groupShare / groups.get(entry.groupKey).size);
+
+    if (total >= slots) return false;
+    if (entry.active >= getLimit('items_per_task')) return false;
+    if (groupActive >= groupShare || userActive >= userShare) return false;
+
+    entry.active++;
+    return true;
+}
+
+function finishItem(taskId) {
+    const entry = runningTasks.get(taskId);
+    if (entry && entry.active > 0) entry.active--;
+}
+
+function forgetTask(taskId) {
+    runningTasks.delete(taskId);
+}
+
+function getBudgetStatus() {
+    const usage = {};
+    for (const [name, pool] of pools) {
+        usage[name] = { active: pool.active, waiting: pool.waiters.length, limit: getLimit(name) };
+    }
+    const tasks = [...runningTasks.entries()].map(([taskId, t]) => ({ taskId, ...t }));
+    return { limits: { ...limits }, usage, tasks };
+}
+
+module.exports = {
+    BUDGET_DEFAULTS,
+    refreshBudgets,
+    getBudget,
+    acquire,
+    release,
+    withBudget,
+    aiBudget,
+    limitBrowserPages,
+    tryStartItem,
+    finishItem,
+    forgetTask,
+    getBudgetStatus
+};
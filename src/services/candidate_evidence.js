@@ -0,0 +1,93 @@
+/**
+ * Evidence behind each candidate: what the SNIPER saw and how the JUIZ scored it.
+ *
+ * saveCandidates stores these columns next to the offer (item_candidates) and getTaskFullResults
+ * reads them back, so a winner can be audited or exported long after the run: base price and
+ * shipping, seller, store attributes, the ProductDNA text the JUIZ compared, the kit composition
+ * and the JUIZ breakdown (match, adherence, enrichment, price anomaly), with the scoring profile
+ * it was judged by.
+ */
+
+const EVIDENCE_COLUMNS = [
+    'base_price', 'shipping_cost', 'shipping_free', 'shipping_days', 'seller', 'attributes', 'product_dna',
+    'brand', 'model', 'item_condition', 'marketplace', 'marketplace_item_id', 'kit_components', 'kit_total', 'juiz_breakdown',
+    'scoring_profile'
+];
+
+const JUIZ_FIELDS = ['aiMatch', 'aiRisk', 'adherenceScore', 'adherenceRisk', 'scoreBreakdown', 'wasEnriched', 'enrichmentSource', 'perplexityEnrichment', 'priceAnomaly', 'anomalyReason'];
+
+const isEmpty = value => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const toJson = value => (isEmpty(value) ? null : JSON.stringify(value));
+
+const fromJson = value => {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch (e) { return null; }
+};
+
+const toNumber = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+const toBoolean = value => (value === null || value === undefined ? null : !!value);
+
+function juizBreakdown(candidate) {
+    const breakdown = {};
+    for (const field of JUIZ_FIELDS) {
+        if (!isEmpty(candidate[field])) breakdown[field] = candidate[field];
+    }
+    return breakdown;
+}
+
+/**
+ * Column values for item_candidates, in EVIDENCE_COLUMNS order.
+ * @param {object} c - SNIPER/JUIZ candidate
+ */
+function evidenceValues(c) {
+    const hasDetails = c.shippingCost !== undefined || c.productDNA !== undefined;
+    return [
+        c.price !== undefined && c.price !== null ? c.price : null,
+        hasDetails ? c.shippingCost || 0 : null,
+        c.shippingFree === undefined ? null : !!c.shippingFree,
+        c.shippingDays || null,
+        toJson(c.seller),
+        toJson(c.attributes),
+        toJson(c.productDNA),
+        c.brand || null,
+        c.model || null,
+        c.condition || null,
+        c.marketplace || null,
+        c.itemId || null,
+        toJson(c.kitComponents),
+        c.kitTotal || null,
+        toJson(juizBreakdown(c)),
+        toJson(c.scoringProfile)
+    ];
+}
+
+/**
+ * Offer fields (camelCase, as the SNIPER builds them) from an item_candidates row.
+ */
+function parseEvidence(row) {
+    return {
+        basePrice: toNumber(row.base_price),
+        shippingCost: toNumber(row.shipping_cost),
+        shippingFree: toBoolean(row.shipping_free),
+        shippingDays: row.shipping_days === undefined ? null : row.shipping_days,
+        seller: fromJson(row.seller),
+        attributes: fromJson(row.attributes),
+        productDNA: fromJson(row.product_dna),
+        brand: row.brand || null,
+        model: row.model || null,
+        condition: row.item_condition || null,
+        marketplace: row.marketplace || null,
+        itemId: row.marketplace_item_id || null,
+        kitComponents: fromJson(row.kit_components),
+        kitTotal: toNumber(row.kit_total),
+        juiz: fromJson(row.juiz_breakdown) || {},
+        scoringProfile: fromJson(row.scoring_profile)
+    };
+}
+
+module.exports = { EVIDENCE_COLUMNS, juizBreakdown, evidenceValues, parseEvidence };
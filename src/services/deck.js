@@ -0,0 +1,219 @@
+/**
+ * Nextcloud Deck connector (API reference: docs/nextcloud-deck-api.md).
+ *
+ * One card per task, created in the stack mapped to the task status and moved
+ * along as the status changes. The Excel results are attached once the task completes.
+ * Configured at /admin/integrations (settings `deck_*`); disabled when deck_enabled != 'true'.
+ * The app password is kept sealed (secret_box.js) in deck_password_sealed.
+ */
+
+const { getSetting, setSetting, getTaskById, getTaskItems, updateTaskDeckCard, logTaskMessage } = require('../database');
+const { subscribeAllTasks } = require('./task_events');
+const { generateExcelBuffer } = require('../export');
+const { seal, open } = require('./secret_box');
+
+const DECK_API_PATH = '/index.php/apps/deck/api/v1.1';
+const DECK_STATUSES = ['pending', 'running', 'completed', 'failed'];
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Task status -> configured stack
+const STATUS_STACKS = {
+    pending: 'pending',
+    running: 'running',
+    completed: 'completed',
+    failed: 'failed',
+    aborted: 'failed'
+};
+
+async function saveDeckPassword(password) {
+    await setSetting('deck_password_sealed', seal(password));
+    // Drop the plaintext value kept before the password was sealed
+    await setSetting('deck_password', '');
+}
+
+async function getDeckPassword() {
+    const sealed = await getSetting('deck_password_sealed');
+    if (sealed) return open(sealed);
+    const legacy = await getSetting('deck_password');
+    if (!legacy) return '';
+    await saveDeckPassword(legacy);
+    console.log('[Deck] 🔒 Senha do Deck migrada para o cofre.');
+    return legacy;
+}
+
+async function getDeckConfig() {
+    const config = {
+        enabled: await getSetting('deck_enabled') === 'true',
+        url: (await getSetting('deck_url') || '').replace(/\/+$/, ''),
+        user: await getSetting('deck_user') || '',
+        password: '',
+        passwordError: null,
+        boardId: parseInt(await getSetting('deck_board_id')) || null,
+        appUrl: (await getSetting('deck_app_url') || '').replace(/\/+$/, ''),
+        stacks: {}
+    };
+    for (const status of DECK_STATUSES) {
+        config.stacks[status] = parseInt(await getSetting(`deck_stack_${status}`)) || null;
+    }
+    // An unreadable password (VAULT_KEY changed) must not lock the admin out of retyping it
+    try {
+        config.password = await getDeckPassword();
+    } catch (e) {
+        config.passwordError = e.message;
+        console.error(`[Deck] ❌ Senha do Deck ilegível: ${e.message}`);
+    }
+    return config;
+}
+
+function isConfigured(config) {
+    return config.enabled && config.url && config.user && config.boardId;
+}
+
+async function deckRequest(config, method, path, body) {
+    const headers = {
+        'OCS-APIRequest': 'true',
+        'Accept': 'application/json',
+        'Authorization': 'Basic ' + Buffer.from(`${config.user}:${config.password}`).toString('base64')
+    };
+    // FormData sets its own multipart Content-Type
+    if (body && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+
+    const res = await fetch(`${config.url}${DECK_API_PATH}${path}`, {
+        method,
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const text = await res.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch (e) { data = text; }
+
+    if (!res.ok) {
+        const message = data && data.message ? data.message : text.substring(0, 200);
+        throw new Error(`Deck ${method} ${path}: HTTP ${res.status} ${message}`);
+    }
+    return data;
+}
+
+async function getStacks(config) {
+    return deckRequest(config, 'GET', `/boards/${config.boardId}/stacks`);
+}
+
+async function createCard(config, stackId, card) {
+    return deckRequest(config, 'POST', `/boards/${config.boardId}/stacks/${stackId}/cards`, {
+        title: card.title.substring(0, 255),
+        type: 'plain',
+        order: 999,
+        description: card.description || ''
+    });
+}
+
+async function moveCard(config, stackId, cardId, targetStackId) {
+    return deckRequest(config, 'PUT', `/boards/${config.boardId}/stacks/${stackId}/cards/${cardId}/reorder`, {
+        order: 0,
+        stackId: targetStackId
+    });
+}
+
+async function attachFile(config, stackId, cardId, filename, buffer) {
+    const form = new FormData();
+    form.append('type', 'file');
+    form.append('file', new Blob([buffer]), filename);
+    return deckRequest(config, 'POST', `/boards/${config.boardId}/stacks/${stackId}/cards/${cardId}/attachments`, form);
+}
+
+function cardUrl(config, cardId) {
+    return `${config.url}/index.php/apps/deck/#/board/${config.boardId}/card/${cardId}`;
+}
+
+async function buildCardDescription(config, task) {
+    const items = await getTaskItems(task.id);
+    const lines = [
+        `**Cotação:** ${task.name}`,
+        `**CEP:** ${task.cep}`,
+        `**Módulo:** ${task.module_name}`,
+        `**Itens:** ${items.length}`
+    ];
+    if (task.external_link) lines.push(`**Edital:** ${task.external_link}`);
+    if (config.appUrl) lines.push(`**Mabus:** ${config.appUrl}/task/${task.id}`);
+    return lines.join('\n');
+}
+
+// Brings the task card in line with the task status: creates it, moves it, attaches results
+async function syncTask(config, taskId) {
+    const task = await getTaskById(taskId);
+    if (!task) return;
+    const stackId = config.stacks[STATUS_STACKS[task.status]];
+    if (!stackId) return; // archived, or no stack mapped for this status
+
+    let cardId = task.deck_card_id;
+    let currentStack = task.deck_stack_id;
+    let attachmentId = task.deck_attachment_id;
+
+    if (!cardId) {
+        const card = await createCard(config, stackId, {
+            title: task.name,
+            description: await buildCardDescription(config, task)
+        });
+        cardId = card.id;
+        currentStack = stackId;
+        logTaskMessage(task.id, `🗂️ Cartão criado no Deck: ${cardUrl(config, cardId)}`, 'info');
+    } else if (currentStack !== stackId) {
+        await moveCard(config, currentStack, cardId, stackId);
+        currentStack = stackId;
+    }
+
+    if (task.status === 'completed' && !attachmentId) {
+        const buffer = await generateExcelBuffer(task.id);
+        if (buffer) {
+            const attachment = await attachFile(config, currentStack, cardId, `resultado_${task.id}.xlsx`, buffer);
+            attachmentId = attachment && attachment.id ? attachment.id : -1;
+            logTaskMessage(task.id, '📎 Planilha de resultados anexada ao cartão do Deck.', 'info');
+        }
+    }
+
+    await updateTaskDeckCard(task.id, { cardId, stackId: currentStack, attachmentId });
+}
+
+// Syncs of the same task run one after the other (pending -> running -> completed in quick succession)
+const chains = new Map();
+
+function syncDeckCard(taskId) {
+    const previous = chains.get(taskId) || Promise.resolve();
+    const next = previous.then(async () => {
+        const config = await getDeckConfig();
+        if (!isConfigured(config)) return;
+        await syncTask(config, taskId);
+    }).catch(e => {
+        console.error(`[Deck] Sync failed for task ${taskId}:`, e.message);
+        logTaskMessage(taskId, `⚠️ Falha ao sincronizar com o Deck: ${e.message}`, 'error');
+    }).finally(() => {
+        if (chains.get(taskId) === next) chains.delete(taskId);
+    });
+    chains.set(taskId, next);
+    return next;
+}
+
+let unsubscribe = null;
+
+function startDeckSync() {
+    if (unsubscribe) return;
+    unsubscribe = subscribeAllTasks(({ taskId, type, data }) => {
+        if (type === 'task' && STATUS_STACKS[data.status]) syncDeckCard(taskId);
+    });
+}
+
+module.exports = {
+    DECK_STATUSES,
+    getDeckConfig,
+    saveDeckPassword,
+    getStacks,
+    createCard,
+    moveCard,
+    attachFile,
+    syncDeckCard,
+    startDeckSync
+};
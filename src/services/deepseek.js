@@ -1,7 +1,13 @@
 const fetch = require('node-fetch'); // Ensure node-fetch is available if not global in this env, but usually global in Node 18+ or handled via project deps.
 // Assuming native fetch or already polyfilled based on previous file content.
+const { withBudget, aiBudget } = require('./budget');
+const { trackAiCall } = require('./ai_usage');
 
-async function callDeepSeek(messages, model = "deepseek-chat") {
+/**
+ * One non-streamed DeepSeek completion, recorded in ai_calls under `agent`.
+ * @returns {Promise<{content: string, reasoning_content: string|null}|null>} null without an API key
+ */
+async function callDeepSeek(messages, model = "deepseek-chat", agent = 'deepseek') {
     const apiKey = process.env.DEEPSEEK_API_KEY;
     if (!apiKey) {
         console.warn("DEEPSEEK_API_KEY missing.");
@@ -11,31 +17,38 @@ async function callDeepSeek(messages, model = "deepseek-chat") {
     let apiEndpoint = 'https://api.deepseek.com/chat/completions';
     if (process.env.DEEPSEEK_API_URL) apiEndpoint = process.env.DEEPSEEK_API_URL;
 
+    const apiModel = model === 'deepseek-v3.2' ? 'deepseek-reasoner' : model;
+    const startedAt = Date.now();
     try {
-        const response = await fetch(apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: model === 'deepseek-v3.2' ? 'deepseek-reasoner' : model,
-                messages: messages,
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API Error ${response.status}: ${errText}`);
-        }
+        const json = await withBudget(aiBudget('deepseek'), async () => {
+            const response = await fetch(apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: JSON.stringify({
+                    model: apiModel,
+                    messages: messages,
+                    stream: false
+                })
+            });
+
+            if (!response.ok) {
+                const errText = await response.text();
+                throw new Error(`API Error ${response.status}: ${errText}`);
+            }
 
-        const json = await response.json();
+            return response.json();
+        });
+        const content = json.choices[0].message.content;
+        trackAiCall({ provider: 'deepseek', model: apiModel, agent, messages, text: content, usage: json.usage, latencyMs: Date.now() - startedAt });
         return {
-            content: json.choices[0].message.content,
+            content,
             reasoning_content: json.choices[0].message.reasoning_content || null
         };
     } catch (error) {
+        trackAiCall({ provider: 'deepseek', model: apiModel, agent, messages, latencyMs: Date.now() - startedAt, error });
         console.error(`DeepSeek API Error (${model}):`, error.message);
         throw error; // Re-throw to let the fallback logic handle it
     }
@@ -47,9 +60,10 @@ async function callDeepSeek(messages, model = "deepseek-chat") {
  * @param {string} model - Model name.
  * @param {Function} onChunk - Callback for regular content chunks (optional).
  * @param {Function} onReasoning - Callback for reasoning content chunks (optional).
+ * @param {string} agent - Name recorded in ai_calls (optional).
  * @returns {Promise<string>} - The full final content.
  */
-async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk = null, onReasoning = null) {
+async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk = null, onReasoning = null, agent = 'deepseek') {
     const apiKey = process.env.DEEPSEEK_API_KEY;
     if (!apiKey) {
         throw new Error("DEEPSEEK_API_KEY missing.");
@@ -58,6 +72,7 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
     let apiEndpoint = 'https://api.deepseek.com/chat/completions';
     if (process.env.DEEPSEEK_API_URL) apiEndpoint = process.env.DEEPSEEK_API_URL;
 
+    const startedAt = Date.now();
     try {
         const response = await fetch(apiEndpoint, {
             method: 'POST',
@@ -68,7 +83,8 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
             body: JSON.stringify({
                 model: model,
                 messages: messages,
-                stream: true
+                stream: true,
+                stream_options: { include_usage: true } // token usage in the last chunk
             })
         });
 
@@ -83,6 +99,7 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
 
         let fullContent = "";
         let fullReasoning = "";
+        let usage = null;
 
         // Handle NodeJS Readable Stream (if not Web Stream)
         if (!reader && response.body.on) {
@@ -94,6 +111,8 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
                      if (line.startsWith('data: ')) {
                          try {
                              const json = JSON.parse(line.substring(6));
+                             if (json.usage) usage = json.usage;
+                             if (!json.choices || json.choices.length === 0) continue;
                              const delta = json.choices[0].delta;
 
                              if (delta.reasoning_content) {
@@ -125,6 +144,8 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
                      if (line.startsWith('data: ')) {
                          try {
                              const json = JSON.parse(line.substring(6));
+                             if (json.usage) usage = json.usage;
+                             if (!json.choices || json.choices.length === 0) continue;
                              const delta = json.choices[0].delta;
 
                              if (delta.reasoning_content) {
@@ -146,12 +167,14 @@ async function callDeepSeekStream(messages, model = "deepseek-reasoner", onChunk
              throw new Error("Response body is not iterable.");
         }
 
+        trackAiCall({ provider: 'deepseek', model, agent, messages, text: fullContent + fullReasoning, usage, latencyMs: Date.now() - startedAt });
         return {
             content: fullContent,
             reasoning_content: fullReasoning
         };
 
     } catch (error) {
+        trackAiCall({ provider: 'deepseek', model, agent, messages, latencyMs: Date.now() - startedAt, error });
         console.error(`DeepSeek Stream API Error (${model}):`, error.message);
         throw error;
     }
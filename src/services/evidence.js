@@ -0,0 +1,106 @@
+/**
+ * Evidence snapshots: the product page of the JUIZ winner as it was when the decision was made.
+ *
+ * Quotes get questioned weeks later, when the listing has changed or is gone. Right after
+ * saveCandidates the worker opens the winner's link and saves the HTML, a full-page screenshot
+ * and a PDF, stamped with the capture time and the task CEP (banner on the page, comment in the
+ * HTML). Files go to EVIDENCE_DIR (default ./evidence)/task-<id>/ and candidate_snapshots keeps
+ * their paths relative to it. Downloaded from /task/:id, bundled by /download/:id/bundle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withBudget } = require('./budget');
+const { isBlockPage, isMercadoLivreUrl } = require('./marketplace/mercadolivre_parser');
+const { getFixtureMode } = require('./marketplace/fixtures');
+
+const SNAPSHOT_FILES = {
+    html: { column: 'html_path', ext: 'html', mime: 'text/html; charset=utf-8' },
+    screenshot: { column: 'screenshot_path', ext: 'jpg', mime: 'image/jpeg' },
+    pdf: { column: 'pdf_path', ext: 'pdf', mime: 'application/pdf' }
+};
+
+const NAVIGATION_TIMEOUT_MS = 45000;
+
+function getEvidenceDir() {
+    return path.resolve(process.env.EVIDENCE_DIR || 'evidence');
+}
+
+// Replayed runs never touched the live pages, mock offers have no page at all
+function shouldCapture(url) {
+    return getFixtureMode() !== 'replay' && /^https?:\/\//.test(url || '') && !/mock-link/.test(url);
+}
+
+function captureStamp({ url, cep, capturedAt }) {
+    const when = capturedAt.toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    return `Capturado em ${when} (horário de Brasília) · CEP ${cep || 'não informado'} · ${url}`;
+}
+
+// Absolute path of a stored file; null for anything that would leave the evidence dir
+function resolveSnapshotFile(relativePath) {
+    if (!relativePath) return null;
+    const dir = getEvidenceDir();
+    const file = path.resolve(dir, relativePath);
+    return file.startsWith(dir + path.sep) ? file : null;
+}
+
+async function addStampBanner(page, stamp) {
+    await page.evaluate(text => {
+        const banner = document.createElement('div');
+        banner.textContent = text;
+        banner.setAttribute('style', 'position:absolute;top:0;left:0;right:0;z-index:2147483647;background:#111;color:#fff;font:12px/1.6 monospace;padding:4px 8px;');
+        document.body.prepend(banner);
+    }, stamp);
+}
+
+/**
+ * Opens `url` on a new page of `context` and saves HTML, screenshot and PDF.
+ * Never throws: a file that fails is left out ('partial'), a blocked or unreachable page is 'failed'.
+ * @returns {Promise<{ capturedAt: Date, pageTitle: string|null, htmlPath: string|null, screenshotPath: string|null,
+ *                     pdfPath: string|null, status: 'ok'|'partial'|'failed', errorMessage: string|null }>}
+ */
+async function captureProductPage(context, { url, cep, taskId, candidateId, capturedAt = new Date() }) {
+    const relativeDir = `task-${taskId}`;
+    const baseName = `candidate-${candidateId}-${capturedAt.toISOString().replace(/[:.]/g, '-')}`;
+    const stamp = captureStamp({ url, cep, capturedAt });
+    const snapshot = { capturedAt, pageTitle: null, htmlPath: null, screenshotPath: null, pdfPath: null, status: 'failed', errorMessage: null };
+    const errors = [];
+
+    const save = async (kind, produce) => {
+        try {
+            const relativePath = path.join(relativeDir, `${baseName}.${SNAPSHOT_FILES[kind].ext}`);
+            fs.writeFileSync(path.join(getEvidenceDir(), relativePath), await produce());
+            snapshot[`${kind}Path`] = relativePath;
+        } catch (e) {
+            errors.push(`${kind}: ${e.message}`);
+        }
+    };
+
+    let page = null;
+    try {
+        fs.mkdirSync(path.join(getEvidenceDir(), relativeDir), { recursive: true });
+        page = await context.newPage();
+        const navigate = () => page.goto(url, { waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS });
+        await (isMercadoLivreUrl(url) ? withBudget('ml_requests', navigate) : navigate());
+
+        snapshot.pageTitle = await page.title();
+        const html = await page.content();
+        if (isBlockPage(snapshot.pageTitle, html)) throw new Error('Página anti-robô no lugar do produto');
+
+        await save('html', () => `<!-- ${stamp.replace(/--/g, '- -')} -->\n${html}`);
+        await addStampBanner(page, stamp);
+        await save('screenshot', () => page.screenshot({ fullPage: true, type: 'jpeg', quality: 80 }));
+        await save('pdf', () => page.pdf({ format: 'A4', printBackground: true }));
+    } catch (e) {
+        errors.push(e.message);
+    } finally {
+        if (page) await page.close().catch(() => {});
+    }
+
+    const saved = Object.keys(SNAPSHOT_FILES).filter(kind => snapshot[`${kind}Path`]).length;
+    snapshot.status = saved === Object.keys(SNAPSHOT_FILES).length ? 'ok' : (saved > 0 ? 'partial' : 'failed');
+    snapshot.errorMessage = errors.join(' | ') || null;
+    return snapshot;
+}
+
+module.exports = { SNAPSHOT_FILES, getEvidenceDir, shouldCapture, captureStamp, resolveSnapshotFile, captureProductPage };
@@ -1,4 +1,6 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { withBudget, aiBudget } = require('./budget');
+const { trackAiCall } = require('./ai_usage');
 
 let genAI = null;
 let currentModelName = "gemini-3-pro-preview"; // Default start
@@ -20,19 +22,29 @@ function initGemini() {
     }
 }
 
-async function askGemini(prompt, retryCount = 0) {
+/**
+ * Asks Gemini, switching to the backup models on quota errors. Each attempt is recorded in
+ * ai_calls under `agent`.
+ */
+async function askGemini(prompt, agent = 'gemini', retryCount = 0) {
     if (!genAI) {
         if (!initGemini()) return "Mock Gemini Response: API Key missing.";
     }
 
+    const modelName = currentModelName;
+    const messages = [{ role: 'user', content: prompt }];
+    const startedAt = Date.now();
     try {
         // Safety: Ensure model is initialized with current name
         if (!model) model = genAI.getGenerativeModel({ model: currentModelName });
         
-        const result = await model.generateContent(prompt);
+        const result = await withBudget(aiBudget('gemini'), () => model.generateContent(prompt));
         const response = await result.response;
-        return response.text();
+        const text = response.text();
+        trackAiCall({ provider: 'gemini', model: modelName, agent, messages, text, usage: response.usageMetadata, latencyMs: Date.now() - startedAt });
+        return text;
     } catch (error) {
+        trackAiCall({ provider: 'gemini', model: modelName, agent, messages, latencyMs: Date.now() - startedAt, error });
         const errorMsg = error.message || "";
         
         // Handle 429 (Quota Exceeded) or Model Not Found
@@ -55,7 +67,7 @@ async function askGemini(prompt, retryCount = 0) {
                 // Re-init model object
                 model = genAI.getGenerativeModel({ model: currentModelName });
                 
-                return askGemini(prompt, retryCount + 1);
+                return askGemini(prompt, agent, retryCount + 1);
             }
         }
         
@@ -0,0 +1,286 @@
+/**
+ * Golden-set evaluation of the HIVE-MIND: does a change to PERITO / SNIPER / JUIZ make quotes
+ * better or worse?
+ *
+ * A golden set is a directory with golden_set.json (labeled tender items) and marketplace/ (the
+ * store pages, recorded with SCRAPER_FIXTURES=record and SCRAPER_FIXTURES_DIR pointing there).
+ * Each item runs through the real HIVE-MIND state machine in offline mode: pages come from the
+ * recordings, every AI call is answered by the item's scripted responses (no provider is
+ * called) and DETETIVE/AUDITOR are skipped, since the open web is not recorded. The run reports
+ * the precision of winner selection against the acceptable / unacceptable listings, the recall
+ * of the expected kill-specs and the estimated AI cost per item, and is appended to a results
+ * file so versions can be compared. Run through scripts/evaluate_golden_set.js.
+ *
+ * golden_set.json:
+ * {
+ *   "name": "...", "cep": "01001000", "provider": "deepseek", "model": "deepseek-chat",
+ *   "items": [{
+ *     "id": "1", "description": "...", "maxPrice": 1500, "quantity": 1,
+ *     "killSpecs": ["tanque de tinta", "bivolt"],      // expected from PERITO
+ *     "acceptable": ["https://..."],                   // listings that may win
+ *     "unacceptable": ["https://..."],                 // listings that must not win
+ *     "ai": [{ "agent": "perito", "match": "texto do prompt", "response": "..." | {...} }]
+ *   }]
+ * }
+ * `ai` rules are those of ai_fixtures.createScriptedResponder, tried in order; `agent` only matches
+ * calls that name one (PERITO, DETETIVE, AUDITOR and the JUIZ Gold Entity match), `match` is a
+ * case-insensitive substring of the prompt.
+ * `provider` / `model` are what the agents are configured with (and what the cost is estimated
+ * at); the admin panel settings are not read, so the run does not need the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setAiResponder, DEFAULT_MODELS } = require('./ai_manager');
+const { createScriptedResponder } = require('./ai_fixtures');
+const { callCost, CHARS_PER_TOKEN } = require('./ai_usage');
+
+const GOLDEN_SET_FILE = 'golden_set.json';
+const GOLDEN_MARKETPLACE_DIR = 'marketplace';
+
+// Evaluation runs never open a page: replayed scrapers do not touch it
+const OFFLINE_BROWSER = { newPage: async () => ({ close: async () => {} }) };
+
+/**
+ * @returns {{ name: string, cep: string|null, provider: string, model: string, dir: string, marketplaceDir: string, items: object[] }}
+ * @throws {Error} missing file or item without description
+ */
+function loadGoldenSet(dir) {
+    const file = path.join(dir, GOLDEN_SET_FILE);
+    if (!fs.existsSync(file)) throw new Error(`Golden set não encontrado: ${file}`);
+    const set = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const items = (set.items || []).map((item, i) => {
+        if (!item.description) throw new Error(`Item ${item.id || i + 1} sem descrição.`);
+        return {
+            ...item,
+            id: String(item.id || i + 1),
+            killSpecs: item.killSpecs || [],
+            acceptable: item.acceptable || [],
+            unacceptable: item.unacceptable || [],
+            ai: item.ai || []
+        };
+    });
+    return {
+        name: set.name || path.basename(dir),
+        cep: set.cep || null,
+        provider: set.provider || 'deepseek',
+        model: set.model || DEFAULT_MODELS[set.provider || 'deepseek'],
+        dir,
+        marketplaceDir: path.join(dir, GOLDEN_MARKETPLACE_DIR),
+        items
+    };
+}
+
+// Listings are labeled by link; tracking params and #fragments of the search page do not count
+function normalizeLink(url) {
+    return String(url || '').split('#')[0].split('?')[0].replace(/\/$/, '');
+}
+
+function normalizeSpec(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+// What the call would cost live (tokens estimated from the characters)
+function estimateCallCost(call) {
+    const inputTokens = Math.ceil(call.promptChars / CHARS_PER_TOKEN);
+    const outputTokens = Math.ceil(call.responseChars / CHARS_PER_TOKEN);
+    return { inputTokens, outputTokens, usd: callCost(call.provider, call.model, inputTokens, outputTokens) };
+}
+
+/**
+ * Scores one item run against its labels.
+ * @param {object} labeled - golden set item
+ * @param {object|null} result - HIVE-MIND execute() result (null when it threw)
+ * @param {object[]} calls - AI calls recorded by the scripted responder
+ * @param {Error} [error] - what execute() threw
+ */
+function scoreItem(labeled, result, calls, error = null) {
+    const winner = result && result.winnerIndex >= 0 ? result.offers[result.winnerIndex] : null;
+    const link = winner ? normalizeLink(winner.link) : null;
+    let verdict = 'none';
+    if (winner) {
+        if (labeled.acceptable.some(l => normalizeLink(l) === link)) verdict = 'acceptable';
+        else if (labeled.unacceptable.some(l => normalizeLink(l) === link)) verdict = 'unacceptable';
+        else verdict = 'unlabeled';
+    }
+
+    // When PERITO fails the whole description becomes the only kill-spec; that is not a recall
+    const description = normalizeSpec(labeled.description);
+    const extracted = result
+        ? [...(result.killSpecs || []), ...(result.criticalSpecs || []).map(s => (typeof s === 'string' ? s : s.spec))].map(normalizeSpec).filter(s => s !== description)
+        : [];
+    const found = labeled.killSpecs.filter(spec => extracted.some(e => e.includes(normalizeSpec(spec))));
+
+    const costs = calls.map(estimateCallCost);
+    return {
+        id: labeled.id,
+        description: labeled.description,
+        winner: winner ? { title: winner.title, link: winner.link, price: winner.totalPrice || winner.price, risk: winner.risk_score } : null,
+        verdict,
+        hasAcceptable: labeled.acceptable.length > 0,
+        killSpecs: {
+            expected: labeled.killSpecs.length,
+            found: found.length,
+            missing: labeled.killSpecs.filter(spec => !found.includes(spec))
+        },
+        ai: {
+            calls: calls.length,
+            unscripted: calls.filter(c => !c.stubbed).length,
+            inputTokens: costs.reduce((sum, c) => sum + c.inputTokens, 0),
+            outputTokens: costs.reduce((sum, c) => sum + c.outputTokens, 0),
+            costUsd: costs.reduce((sum, c) => sum + c.usd, 0)
+        },
+        error: error ? error.message : null
+    };
+}
+
+const ratio = (part, total) => (total > 0 ? part / total : null);
+
+/**
+ * Set-level metrics. Precision counts labeled winners only (unlabeled ones are listed apart);
+ * recall is over the items that have an acceptable listing.
+ */
+function summarizeRun(items) {
+    const count = verdict => items.filter(i => i.verdict === verdict).length;
+    const totalCost = items.reduce((sum, i) => sum + i.ai.costUsd, 0);
+    return {
+        items: items.length,
+        winnerPrecision: ratio(count('acceptable'), count('acceptable') + count('unacceptable')),
+        winnerRecall: ratio(items.filter(i => i.hasAcceptable && i.verdict === 'acceptable').length, items.filter(i => i.hasAcceptable).length),
+        unacceptableWinners: count('unacceptable'),
+        unlabeledWinners: count('unlabeled'),
+        noWinner: count('none'),
+        killSpecRecall: ratio(items.reduce((sum, i) => sum + i.killSpecs.found, 0), items.reduce((sum, i) => sum + i.killSpecs.expected, 0)),
+        aiCallsPerItem: ratio(items.reduce((sum, i) => sum + i.ai.calls, 0), items.length),
+        unscriptedCalls: items.reduce((sum, i) => sum + i.ai.unscripted, 0),
+        costPerItemUsd: ratio(totalCost, items.length),
+        errors: items.filter(i => i.error).length
+    };
+}
+
+/**
+ * Runs every item of the set through the HIVE-MIND offline.
+ * @param {object} set - loadGoldenSet result
+ * @param {object} [options]
+ * @param {Function} [options.execute] - HIVE-MIND execute (injected by tests)
+ * @param {Function} [options.log] - progress lines
+ * @returns {Promise<{ set: string, items: object[], summary: object }>}
+ */
+async function runGoldenSet(set, options = {}) {
+    const execute = options.execute || require('../../modules/hivemind').execute;
+    const log = options.log || (() => {});
+    const saved = Object.fromEntries(['SCRAPER_FIXTURES', 'SCRAPER_FIXTURES_DIR', 'PERPLEXITY_API_KEY']
+        .map(key => [key, process.env[key]]));
+    process.env.SCRAPER_FIXTURES = 'replay';
+    process.env.SCRAPER_FIXTURES_DIR = set.marketplaceDir;
+    delete process.env.PERPLEXITY_API_KEY; // Perplexity enrichment calls its API directly
+
+    const items = [];
+    try {
+        for (const labeled of set.items) {
+            const calls = [];
+            setAiResponder(createScriptedResponder(labeled.ai, calls));
+            let result = null;
+            let error = null;
+            try {
+                result = await execute({
+                    id: labeled.id,
+                    taskId: 'golden',
+                    description: labeled.description,
+                    maxPrice: labeled.maxPrice || 0,
+                    quantity: labeled.quantity || 1,
+                    cep: set.cep,
+                    browser: OFFLINE_BROWSER,
+                    logger: { log, thought: () => {} },
+                    offline: true
+                }, { provider: set.provider, model: set.model });
+            } catch (e) {
+                error = e;
+            }
+            const scored = scoreItem(labeled, result, calls, error);
+            log(`📋 [Item ${labeled.id}] ${scored.verdict}${scored.winner ? `: "${scored.winner.title}"` : ''}`);
+            items.push(scored);
+        }
+    } finally {
+        setAiResponder(null);
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+    return { set: set.name, items, summary: summarizeRun(items) };
+}
+
+// --- RESULTS HISTORY (one JSON line per run) ---
+function appendEvalRun(file, run) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(run) + '\n');
+}
+
+function loadEvalRuns(file, setName = null) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(run => !setName || run.set === setName);
+}
+
+const METRICS = [
+    ['winnerPrecision', 'Precisão do vencedor', 'pct'],
+    ['winnerRecall', 'Itens com vencedor aceitável', 'pct'],
+    ['killSpecRecall', 'Recall de kill-specs', 'pct'],
+    ['costPerItemUsd', 'Custo de I.A. por item (US$, estimado)', 'usd'],
+    ['aiCallsPerItem', 'Chamadas de I.A. por item', 'num'],
+    ['unacceptableWinners', 'Vencedores inaceitáveis', 'num'],
+    ['unlabeledWinners', 'Vencedores sem rótulo', 'num'],
+    ['noWinner', 'Itens sem vencedor', 'num'],
+    ['unscriptedCalls', 'Chamadas sem resposta roteirizada', 'num'],
+    ['errors', 'Erros', 'num']
+];
+
+function formatMetric(value, kind) {
+    if (value === null || value === undefined) return '-';
+    if (kind === 'pct') return `${(value * 100).toFixed(1)}%`;
+    if (kind === 'usd') return value.toFixed(5);
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Markdown report of a run, against the previous run of the same set when there is one.
+ */
+function formatEvalReport(run, previous = null) {
+    const version = v => (v ? `${v.version || '?'}${v.commit ? ` @ ${v.commit}` : ''}${v.label ? ` (${v.label})` : ''}` : '');
+    const lines = [
+        `# Golden set "${run.set}" — ${run.items.length} itens`,
+        '',
+        `Versão: ${version(run)}${previous ? ` · comparado com ${version(previous)} de ${previous.at}` : ''}`,
+        '',
+        previous ? '| Métrica | Agora | Antes |' : '| Métrica | Valor |',
+        previous ? '|---|---|---|' : '|---|---|'
+    ];
+    for (const [key, label, kind] of METRICS) {
+        const now = formatMetric(run.summary[key], kind);
+        lines.push(previous ? `| ${label} | ${now} | ${formatMetric(previous.summary[key], kind)} |` : `| ${label} | ${now} |`);
+    }
+    lines.push('');
+    for (const item of run.items) {
+        const winner = item.winner ? `"${item.winner.title}" (risco ${item.winner.risk})` : 'sem vencedor';
+        const missing = item.killSpecs.missing.length > 0 ? ` · kill-specs ausentes: ${item.killSpecs.missing.join(', ')}` : '';
+        lines.push(`- Item ${item.id} [${item.verdict}]: ${winner}${missing}${item.error ? ` · erro: ${item.error}` : ''}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    GOLDEN_SET_FILE,
+    GOLDEN_MARKETPLACE_DIR,
+    loadGoldenSet,
+    estimateCallCost,
+    scoreItem,
+    summarizeRun,
+    runGoldenSet,
+    appendEvalRun,
+    loadEvalRuns,
+    formatEvalReport
+};
@@ -0,0 +1,62 @@
+/**
+ * Recovery from the Mercado Livre anti-bot page (Error('BLOCKED_BY_PORTAL')).
+ *
+ * Instead of failing the item (or the whole task, for gemini_meli) on the first block,
+ * the worker runs it through withBlockRecovery: on a block it waits with exponential
+ * backoff, switches to a new identity (context, proxy, user agent, cookies, CEP) and
+ * runs it again, up to MAX_BLOCK_RECOVERIES times. Every block goes through `onBlock`,
+ * which the worker uses to pause the session and record the event (block_events table).
+ */
+
+const MAX_BLOCK_RECOVERIES = parseInt(process.env.BLOCK_MAX_RECOVERIES) || 3;
+const BLOCK_BACKOFF_MS = 30000;
+const MAX_BLOCK_BACKOFF_MS = 5 * 60 * 1000;
+
+function isBlockError(e) {
+    return !!e && e.message === 'BLOCKED_BY_PORTAL';
+}
+
+// 30s, 60s, 120s... capped at 5 min, with ±20% jitter so paused items do not come back together
+function blockBackoff(blockNumber, random = Math.random) {
+    const delay = Math.min(BLOCK_BACKOFF_MS * 2 ** Math.max(blockNumber - 1, 0), MAX_BLOCK_BACKOFF_MS);
+    return Math.round(delay * (0.8 + random() * 0.4));
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Runs `run` and recovers from blocks. Other errors are thrown as they are.
+ * @param {Function} run
+ * @param {object} [hooks]
+ * @param {number} [hooks.maxRecoveries]
+ * @param {Function} [hooks.onBlock] - (error, { blockNumber, giveUp, delay }) before waiting / giving up
+ * @param {Function} [hooks.recover] - (blockNumber) after the backoff: switch to a new identity
+ * @param {Function} [hooks.wait] - (ms) the backoff itself
+ */
+async function withBlockRecovery(run, hooks = {}) {
+    const {
+        maxRecoveries = MAX_BLOCK_RECOVERIES,
+        onBlock = () => {},
+        recover = () => {},
+        wait = sleep
+    } = hooks;
+
+    for (let blocks = 0; ; ) {
+        try {
+            if (blocks > 0) await recover(blocks);
+            return await run();
+        } catch (e) {
+            if (!isBlockError(e)) throw e;
+            blocks++;
+            const giveUp = blocks > maxRecoveries;
+            const delay = giveUp ? 0 : blockBackoff(blocks);
+            await onBlock(e, { blockNumber: blocks, giveUp, delay });
+            if (giveUp) throw e;
+            await wait(delay);
+        }
+    }
+}
+
+module.exports = { MAX_BLOCK_RECOVERIES, isBlockError, blockBackoff, withBlockRecovery };
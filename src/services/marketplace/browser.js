@@ -0,0 +1,91 @@
+/**
+ * Shared headless browser helpers for the marketplace scrapers.
+ */
+
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const fs = require('fs');
+const path = require('path');
+
+puppeteer.use(StealthPlugin());
+
+const userAgents = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+];
+
+function getRandomUserAgent() {
+    return userAgents[Math.floor(Math.random() * userAgents.length)];
+}
+
+async function initBrowser() {
+    const args = [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--window-size=1920,1080',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu'
+    ];
+
+    // Proxies (PROXY_URL / proxies.txt) are set per browser context, see ./proxies.js
+
+    return puppeteer.launch({
+        headless: true,
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || puppeteer.executablePath(),
+        args
+    });
+}
+
+async function simulateHumanInteraction(page) {
+    try {
+        await page.mouse.move(Math.floor(Math.random() * 500), Math.floor(Math.random() * 500));
+        await new Promise(r => setTimeout(r, Math.random() * 500 + 200));
+    } catch (e) {}
+}
+
+// Scrolls down to trigger lazy-loaded cards / specs (capped at maxHeight px)
+async function autoScroll(page, maxHeight = 5000) {
+    await page.evaluate(async (limit) => {
+        await new Promise((resolve) => {
+            let totalHeight = 0;
+            const distance = 100;
+            const timer = setInterval(() => {
+                const scrollHeight = document.body.scrollHeight;
+                window.scrollBy(0, distance);
+                totalHeight += distance;
+
+                if (totalHeight >= scrollHeight - window.innerHeight || totalHeight > limit) {
+                    clearInterval(timer);
+                    resolve();
+                }
+            }, 100 + Math.random() * 100);
+        });
+    }, maxHeight);
+}
+
+// Session cookies exported from a logged-in browser (cookies.json in the working dir)
+async function loadCookies(page, file = 'cookies.json') {
+    const cookiePath = path.resolve(file);
+    if (!fs.existsSync(cookiePath)) {
+        console.warn(`[Scraper] Warning: ${file} not found! Scraper might be blocked.`);
+        return 0;
+    }
+    try {
+        const cookiesString = fs.readFileSync(cookiePath, 'utf8');
+        if (!cookiesString || !cookiesString.trim()) {
+            console.warn(`[Scraper] Warning: ${file} is empty.`);
+            return 0;
+        }
+        const cookies = JSON.parse(cookiesString);
+        console.log(`[Scraper] Loading ${cookies.length} cookies from ${cookiePath}...`);
+        await page.setCookie(...cookies);
+        return cookies.length;
+    } catch (e) {
+        console.error(`[Scraper] Failed to parse ${file}: ${e.message}`);
+        return 0;
+    }
+}
+
+module.exports = { initBrowser, getRandomUserAgent, simulateHumanInteraction, autoScroll, loadCookies };
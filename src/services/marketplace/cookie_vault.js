@@ -0,0 +1,185 @@
+/**
+ * Cookie vault: Mercado Livre session cookie sets managed from /admin/cookies.
+ *
+ * Each set is an export of a logged-in browser (EditThisCookie / Cookie-Editor JSON),
+ * validated on upload and stored encrypted (../secret_box.js) in `cookie_sets`.
+ * setCEP takes the least recently used healthy set (active, not expired, not benched);
+ * a set that hits the anti-bot page is benched with an exponential cooldown, like proxies.
+ * With no set in the vault, cookies.json in the working dir is still used.
+ */
+
+const { seal, open } = require('../secret_box');
+const { loadCookies } = require('./browser');
+const {
+    createCookieSet,
+    getCookieSets,
+    getCookieSetPayload,
+    takeHealthyCookieSet,
+    replaceCookieSetCookies,
+    recordCookieSetSuccess,
+    recordCookieSetBlock
+} = require('../../database');
+
+const ML_DOMAIN = /(^|\.)mercadoli(vre|bre)\.com/i;
+// Login cookies: their expiry is the session's. Without them, the longest-lived cookie counts.
+const AUTH_COOKIES = ['ssid', 'orguseridp', 'orgnickp'];
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+const BLOCK_BENCH_MS = 30 * 60 * 1000;
+const MAX_BLOCK_BENCH_MS = 12 * 60 * 60 * 1000;
+// Successes are counted at most once per minute per set, not on every page load
+const SUCCESS_REPORT_INTERVAL_MS = 60000;
+
+const contextSets = new WeakMap(); // BrowserContext -> cookie set id
+const lastSuccessReport = new Map();
+
+/**
+ * Validates an exported cookie file and converts it to puppeteer's format.
+ * Accepts a JSON array of cookies or `{ "cookies": [...] }`. Only Mercado Livre cookies are kept.
+ * @returns {{ cookies: object[], expiresAt: Date|null, skipped: number }}
+ */
+function parseCookieExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Arquivo de cookies não é um JSON válido.');
+    }
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.cookies) ? data.cookies : null);
+    if (!list) throw new Error('Esperado um array de cookies (exportação do EditThisCookie / Cookie-Editor).');
+
+    const now = Date.now() / 1000;
+    const cookies = [];
+    for (const c of list) {
+        if (!c || !c.name || c.value === undefined || !c.domain || !ML_DOMAIN.test(c.domain)) continue;
+        const expires = Number(c.expirationDate || c.expires) || -1;
+        if (expires > 0 && expires < now) continue;
+
+        const cookie = { name: c.name, value: String(c.value), domain: c.domain, path: c.path || '/', expires };
+        if (c.httpOnly !== undefined) cookie.httpOnly = !!c.httpOnly;
+        if (c.secure !== undefined) cookie.secure = !!c.secure;
+        const sameSite = SAME_SITE[String(c.sameSite || '').toLowerCase()];
+        if (sameSite) cookie.sameSite = sameSite;
+        cookies.push(cookie);
+    }
+    if (cookies.length === 0) throw new Error('Nenhum cookie válido do Mercado Livre no arquivo (todos expirados ou de outro domínio?).');
+
+    const persistent = cookies.filter(c => c.expires > 0);
+    const auth = persistent.filter(c => AUTH_COOKIES.includes(c.name));
+    let expiresAt = null;
+    if (auth.length > 0) expiresAt = new Date(Math.min(...auth.map(c => c.expires)) * 1000);
+    else if (persistent.length > 0) expiresAt = new Date(Math.max(...persistent.map(c => c.expires)) * 1000);
+
+    return { cookies, expiresAt, skipped: list.length - cookies.length };
+}
+
+function sealExport(text) {
+    const parsed = parseCookieExport(text);
+    return {
+        parsed,
+        row: { cookies_encrypted: seal(JSON.stringify(parsed.cookies)), cookie_count: parsed.cookies.length, expires_at: parsed.expiresAt }
+    };
+}
+
+async function addCookieSet(name, text, userId) {
+    const { parsed, row } = sealExport(text);
+    const id = await createCookieSet({ ...row, name: name || `Conjunto ${new Date().toLocaleDateString('pt-BR')}`, created_by: userId });
+    return { id, ...parsed };
+}
+
+// Rotation: new cookies for an existing set (same name, fresh counters)
+async function replaceCookieSet(id, text) {
+    const { parsed, row } = sealExport(text);
+    await replaceCookieSetCookies(id, row);
+    return parsed;
+}
+
+function cookieSetStatus(set, now = new Date()) {
+    if (!set.is_active) return 'inactive';
+    if (set.expires_at && new Date(set.expires_at) <= now) return 'expired';
+    if (set.benched_until && new Date(set.benched_until) > now) return 'benched';
+    return 'healthy';
+}
+
+async function listCookieSets() {
+    const now = new Date();
+    return (await getCookieSets()).map(set => ({ ...set, status: cookieSetStatus(set, now) }));
+}
+
+async function getCookieSetCookies(id) {
+    const row = await getCookieSetPayload(id);
+    return row ? JSON.parse(open(row.cookies_encrypted)) : null;
+}
+
+function bindCookieSet(target, setId) {
+    // A Browser stands for its default context (pages opened without a proxy)
+    const context = target && target.defaultBrowserContext ? target.defaultBrowserContext() : target;
+    if (context && setId) contextSets.set(context, setId);
+}
+
+function cookieSetForPage(page) {
+    try {
+        return contextSets.get(page.browserContext()) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Loads the next healthy set of the vault into the page's context.
+ * @param {object} [options]
+ * @param {boolean} [options.cookieFile=true] - fall back to cookies.json when the vault has no healthy set
+ * @returns {Promise<number|null>} id of the set used
+ */
+async function loadSessionCookies(page, options = {}) {
+    const { cookieFile = true } = options;
+    let set = null;
+    try {
+        set = await takeHealthyCookieSet();
+        if (set) {
+            const cookies = JSON.parse(open(set.cookies_encrypted));
+            await page.setCookie(...cookies);
+            bindCookieSet(page.browserContext(), set.id);
+            console.log(`[Cookies] Using set #${set.id} (${set.name}), ${cookies.length} cookies.`);
+            return set.id;
+        }
+    } catch (e) {
+        console.error(`[Cookies] Failed to load set${set ? ` #${set.id}` : ''}: ${e.message}`);
+    }
+    if (cookieFile) await loadCookies(page);
+    return null;
+}
+
+/**
+ * @param {number|null} setId
+ * @param {'success'|'blocked'} outcome
+ */
+async function reportCookieSetResult(setId, outcome) {
+    if (!setId) return;
+    try {
+        if (outcome === 'blocked') {
+            await recordCookieSetBlock(setId, n => Math.min(BLOCK_BENCH_MS * 2 ** Math.min(n - 1, 10), MAX_BLOCK_BENCH_MS));
+            console.warn(`[Cookies] Set #${setId} blocked by the portal. Benched.`);
+            return;
+        }
+        const now = Date.now();
+        if (now - (lastSuccessReport.get(setId) || 0) < SUCCESS_REPORT_INTERVAL_MS) return;
+        lastSuccessReport.set(setId, now);
+        await recordCookieSetSuccess(setId);
+    } catch (e) {
+        console.error(`[Cookies] Failed to record ${outcome} for set #${setId}: ${e.message}`);
+    }
+}
+
+module.exports = {
+    parseCookieExport,
+    addCookieSet,
+    replaceCookieSet,
+    cookieSetStatus,
+    listCookieSets,
+    getCookieSetCookies,
+    bindCookieSet,
+    cookieSetForPage,
+    loadSessionCookies,
+    reportCookieSetResult
+};
@@ -0,0 +1,55 @@
+/**
+ * Record / replay of marketplace pages.
+ *
+ *   SCRAPER_FIXTURES=record  -> every page the scraper parses is also saved to disk
+ *   SCRAPER_FIXTURES=replay  -> pages are read back from disk, no network (missing pages = empty result)
+ *
+ * One JSON file per URL in SCRAPER_FIXTURES_DIR (default ./recordings), named by the
+ * sha1 of the URL without its #fragment: { url, kind, recorded_at, html, extra }.
+ * `extra` holds HTML captured after interactions on the same page (e.g. the shipping modal).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+function getFixtureMode() {
+    const mode = (process.env.SCRAPER_FIXTURES || '').toLowerCase();
+    return FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+function getFixturesDir() {
+    return path.resolve(process.env.SCRAPER_FIXTURES_DIR || 'recordings');
+}
+
+function normalizeFixtureUrl(url) {
+    return String(url || '').split('#')[0];
+}
+
+function fixturePath(url, dir = getFixturesDir()) {
+    const hash = crypto.createHash('sha1').update(normalizeFixtureUrl(url)).digest('hex');
+    return path.join(dir, `${hash}.json`);
+}
+
+function recordPage(url, kind, html, extra = {}, dir = getFixturesDir()) {
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        const record = { url: normalizeFixtureUrl(url), kind, recorded_at: new Date().toISOString(), html, extra };
+        fs.writeFileSync(fixturePath(url, dir), JSON.stringify(record));
+    } catch (e) {
+        console.error(`[Fixtures] Failed to record ${url}: ${e.message}`);
+    }
+}
+
+function loadRecordedPage(url, dir = getFixturesDir()) {
+    const file = fixturePath(url, dir);
+    if (!fs.existsSync(file)) {
+        console.warn(`[Fixtures] No recording for ${normalizeFixtureUrl(url)} (${path.basename(file)})`);
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { getFixtureMode, getFixturesDir, fixturePath, recordPage, loadRecordedPage };
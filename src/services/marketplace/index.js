@@ -0,0 +1,98 @@
+/**
+ * Marketplace adapters: one interface over every store the SNIPER searches.
+ *
+ * Adapter:
+ * - id, name                                -> settings key / candidate `store`
+ * - matchesUrl(url)                         -> true for the adapter's product links
+ * - search(page, query, opts)               -> [{ itemId, title, price, link, image, isFull, isInternational, condition, store }]
+ * - getProductDetails(page, url, cep)       -> the detail shape of ./mercadolivre.js, plus shippingDays when known
+ * - quoteShipping(page, product, cep)       -> { cost, free, days } | null
+ *
+ * Only Mercado Livre throws BLOCKED_BY_PORTAL (the worker's block recovery rotates ML identities);
+ * the other adapters degrade to empty results. The stores searched are the `sniper_marketplaces`
+ * setting (/admin/ai-config), all of them by default.
+ */
+
+const { searchAndScrape, getProductDetails } = require('./mercadolivre');
+const { isMercadoLivreUrl } = require('./mercadolivre_parser');
+const { createVtexAdapter } = require('./vtex');
+const magalu = require('./magalu');
+const { getSetting } = require('../../database');
+
+const mercadolivre = {
+    id: 'mercadolivre',
+    name: 'Mercado Livre',
+    matchesUrl: isMercadoLivreUrl,
+    search: async (page, query, options) => (await searchAndScrape(page, query, options)).map(r => ({ ...r, store: 'Mercado Livre' })),
+    getProductDetails: (page, url) => getProductDetails(page, url),
+    // ML quotes for the CEP of the session (setCEP), not per call
+    async quoteShipping(page, product) {
+        const details = await getProductDetails(page, product.link);
+        return details.productDNA.title ? { cost: details.shippingCost, free: !!details.shippingFree, days: null } : null;
+    }
+};
+
+const carrefour = createVtexAdapter({ id: 'carrefour', name: 'Carrefour', baseUrl: 'https://www.carrefour.com.br' });
+
+const ADAPTERS = [mercadolivre, carrefour, magalu];
+
+function getAdapters() {
+    return ADAPTERS;
+}
+
+function getAdapter(id) {
+    return ADAPTERS.find(a => a.id === id) || null;
+}
+
+// Links of unknown stores (mocks, manual offers) are handled as Mercado Livre
+function adapterForUrl(url) {
+    return ADAPTERS.find(a => a.matchesUrl(url)) || mercadolivre;
+}
+
+// Ids from the `sniper_marketplaces` setting (comma-separated); unset or empty = all
+async function getEnabledMarketplaces() {
+    let value = null;
+    try {
+        value = await getSetting('sniper_marketplaces');
+    } catch (e) {
+        console.error(`[Marketplaces] Failed to read settings: ${e.message}`);
+    }
+    const ids = (value || '').split(',').map(id => id.trim()).filter(id => getAdapter(id));
+    return ids.length > 0 ? ids : ADAPTERS.map(a => a.id);
+}
+
+/**
+ * Searches every enabled store, one after the other on the same page, and merges the results.
+ * @param {object} [options]
+ * @param {string[]} [options.marketplaces] - adapter ids (default: getEnabledMarketplaces())
+ * @param {boolean} [options.newOnly=true]
+ */
+async function searchMarketplaces(page, query, options = {}) {
+    const ids = options.marketplaces || await getEnabledMarketplaces();
+    const merged = [];
+    for (const id of ids) {
+        const adapter = getAdapter(id);
+        if (!adapter) continue;
+        try {
+            const results = await adapter.search(page, query, { newOnly: options.newOnly });
+            merged.push(...results.map(r => ({ ...r, store: r.store || adapter.name, marketplace: adapter.id })));
+        } catch (e) {
+            if (e.message === 'BLOCKED_BY_PORTAL') throw e;
+            console.error(`[Marketplaces] ${adapter.name} search failed: ${e.message}`);
+        }
+    }
+    return merged;
+}
+
+function getMarketplaceDetails(page, url, cep) {
+    return adapterForUrl(url).getProductDetails(page, url, cep);
+}
+
+module.exports = {
+    getAdapters,
+    getAdapter,
+    adapterForUrl,
+    getEnabledMarketplaces,
+    searchMarketplaces,
+    getMarketplaceDetails
+};
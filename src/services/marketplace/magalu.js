@@ -0,0 +1,123 @@
+/**
+ * Magazine Luiza adapter.
+ *
+ * Magalu has no public catalog API, so pages are loaded in the item's browser page
+ * (same proxy / identity as the Mercado Livre searches) and parsed by ./magalu_parser.js.
+ * Shipping is quoted by typing the CEP on the product page. Honors SCRAPER_FIXTURES like
+ * the Mercado Livre scraper; errors (including Magalu's own anti-bot) degrade to empty results.
+ */
+
+const { getRandomUserAgent, autoScroll } = require('./browser');
+const { BASE_URL, parseMagaluSearch, parseMagaluProduct, parseMagaluShipping } = require('./magalu_parser');
+const { getFixtureMode, recordPage, loadRecordedPage } = require('./fixtures');
+const { buildProductDNA } = require('./product');
+
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+function matchesUrl(url) {
+    try {
+        return /(^|\.)magazineluiza\.com\.br$/.test(new URL(url).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function emptyDetails() {
+    return { productDNA: buildProductDNA('', '', ''), attributes: {}, description: '', shippingCost: 0 };
+}
+
+async function search(page, query) {
+    if (process.env.MOCK_SCRAPER === 'true') return [];
+    const searchUrl = `${BASE_URL}busca/${encodeURIComponent(query)}/?sortOrientation=asc&sortType=price`;
+    try {
+        let html;
+        if (getFixtureMode() === 'replay') {
+            const recorded = loadRecordedPage(searchUrl);
+            if (!recorded) return [];
+            html = recorded.html;
+        } else {
+            await page.setUserAgent(getRandomUserAgent());
+            await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+            await autoScroll(page);
+            html = await page.content();
+            if (getFixtureMode() === 'record') recordPage(searchUrl, 'search', html);
+        }
+        const results = parseMagaluSearch(html).filter(r => r.condition === 'new').map(r => ({ ...r, store: 'Magazine Luiza' }));
+        console.log(`[Magalu] ${results.length} items for "${query}"`);
+        return results;
+    } catch (e) {
+        console.error(`[Magalu] Search error: ${e.message}`);
+        return [];
+    }
+}
+
+// Types the CEP in the product page's shipping box and returns the HTML with the delivery options
+async function simulateShipping(page, cep) {
+    const input = await page.$('[data-testid="zipcode-input"]');
+    if (!input) return null;
+    await input.click({ clickCount: 3 });
+    await input.type(String(cep).replace(/\D/g, ''), { delay: 100 });
+    await page.keyboard.press('Enter');
+    await page.waitForSelector('[data-testid="shipping-item"]', { timeout: 10000 });
+    return page.content();
+}
+
+/**
+ * The cheapest delivery of `product.link` for `cep`.
+ * @returns {Promise<{ cost: number, free: boolean, days: number|null }|null>}
+ */
+async function quoteShipping(page, product, cep) {
+    if (!cep || !product.link || getFixtureMode() === 'replay') return null;
+    try {
+        await page.goto(product.link, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+        const html = await simulateShipping(page, cep);
+        return html ? parseMagaluShipping(html) : null;
+    } catch (e) {
+        console.error(`[Magalu] Shipping error: ${e.message}`);
+        return null;
+    }
+}
+
+function buildDetails(product, shipping) {
+    return {
+        ...product,
+        shippingCost: shipping ? shipping.cost : 0,
+        shippingFree: shipping ? shipping.free : false,
+        shippingDays: shipping ? shipping.days : null,
+        seller_reputation: null
+    };
+}
+
+async function getProductDetails(page, url, cep) {
+    if (process.env.MOCK_SCRAPER === 'true') return emptyDetails();
+    try {
+        if (getFixtureMode() === 'replay') {
+            const recorded = loadRecordedPage(url);
+            if (!recorded) return emptyDetails();
+            const shippingHtml = recorded.extra && recorded.extra.shipping;
+            return buildDetails(parseMagaluProduct(recorded.html), shippingHtml ? parseMagaluShipping(shippingHtml) : null);
+        }
+
+        await page.setUserAgent(getRandomUserAgent());
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+        await autoScroll(page, 10000);
+        const html = await page.content();
+
+        let shippingHtml = null;
+        if (cep) {
+            try {
+                shippingHtml = await simulateShipping(page, cep);
+            } catch (e) {
+                console.log(`[Magalu] Failed to simulate shipping: ${e.message}`);
+            }
+        }
+
+        if (getFixtureMode() === 'record') recordPage(url, 'product', html, { shipping: shippingHtml });
+        return buildDetails(parseMagaluProduct(html), shippingHtml ? parseMagaluShipping(shippingHtml) : null);
+    } catch (e) {
+        console.error(`[Magalu] Details error: ${e.message}`);
+        return emptyDetails();
+    }
+}
+
+module.exports = { id: 'magalu', name: 'Magazine Luiza', matchesUrl, search, getProductDetails, quoteShipping };
@@ -0,0 +1,119 @@
+/**
+ * Magazine Luiza HTML parsers.
+ *
+ * Pure functions over saved page HTML (cheerio), covered by test/marketplace/adapters.test.js
+ * against the fixtures in test/fixtures/magalu/. The browser side lives in ./magalu.js.
+ * Magalu marks its components with data-testid, which survive the frequent CSS class changes.
+ */
+
+const cheerio = require('cheerio');
+const { cleanText, parseProductJsonLd, buildProductDNA } = require('./product');
+
+const BASE_URL = 'https://www.magazineluiza.com.br/';
+
+// "R$ 1.234,56" -> 1234.56
+function parseBRL(text) {
+    const match = String(text || '').match(/(\d{1,3}(?:\.\d{3})*|\d+)(?:,(\d{1,2}))?/);
+    if (!match) return null;
+    return parseFloat(`${match[1].replace(/\./g, '')}.${(match[2] || '0').padEnd(2, '0')}`);
+}
+
+function absoluteUrl(href, baseUrl = BASE_URL) {
+    if (!href) return null;
+    try { return new URL(href, baseUrl).href; } catch (e) { return null; }
+}
+
+// /nome-do-produto/p/237382800/te/tcsp/ -> 237382800
+function extractProductId(url) {
+    const match = (url || '').match(/\/p\/([a-z0-9]+)\//i);
+    return match ? match[1] : null;
+}
+
+function parseMagaluSearch(html, baseUrl = BASE_URL) {
+    const $ = cheerio.load(html);
+    const results = [];
+    $('[data-testid="product-card-container"]').each((_, el) => {
+        const card = $(el);
+        const href = card.is('a') ? card.attr('href') : card.find('a').first().attr('href');
+        const link = absoluteUrl(href, baseUrl);
+        const title = cleanText(card.find('[data-testid="product-title"]').first().text());
+        const price = parseBRL(card.find('[data-testid="price-value"]').first().text());
+        if (!link || !title || !price) return;
+
+        const image = card.find('img').first();
+        results.push({
+            itemId: extractProductId(link),
+            title,
+            price,
+            link,
+            image: image.attr('src') || image.attr('data-src') || null,
+            isFull: false,
+            isInternational: /internacional/i.test(card.text()),
+            condition: /\b(usado|recondicionado|seminovo)\b/i.test(title) ? 'used' : 'new'
+        });
+    });
+    return results;
+}
+
+function parseSpecs($) {
+    const attributes = {};
+    $('[data-testid="product-detail-technical-info"] tr').each((_, row) => {
+        // The first row of each group also carries the group name (rowspan): key and value are the last two cells
+        const cells = $(row).find('td');
+        if (cells.length < 2) return;
+        const key = cleanText(cells.eq(cells.length - 2).text());
+        const value = cleanText(cells.eq(cells.length - 1).text());
+        if (key && value) attributes[key] = value;
+    });
+    return attributes;
+}
+
+function parseMagaluProduct(html) {
+    const $ = cheerio.load(html);
+    const jsonLd = parseProductJsonLd($);
+
+    const title = cleanText($('[data-testid="heading-product-title"]').first().text()) || cleanText(jsonLd.name);
+    const attributes = parseSpecs($);
+    const specsText = Object.entries(attributes).map(([key, value]) => `${key}: ${value}`).join(' | ');
+    const description = cleanText($('[data-testid="rich-content-container"]').first().text()) || cleanText(jsonLd.description);
+    const sellerName = cleanText($('[data-testid="seller-info-button"]').first().text()) || jsonLd.seller;
+
+    return {
+        productDNA: buildProductDNA(title, specsText, description),
+        attributes,
+        description,
+        price: parseBRL($('[data-testid="price-value"]').first().text()) || jsonLd.price,
+        gtin: jsonLd.gtin,
+        mpn: jsonLd.mpn,
+        brand: jsonLd.brand || attributes['Marca'] || null,
+        model: jsonLd.model || attributes['Modelo'] || null,
+        condition: /used|usado/i.test(jsonLd.condition || '') ? 'used' : 'new',
+        seller: { name: sellerName || null, reputation: null, officialStore: /magalu|magazine ?luiza/i.test(sellerName || '') }
+    };
+}
+
+// Delivery options shown after the CEP is typed on the product page: cheapest one (store pickup doesn't count)
+function parseMagaluShipping(html) {
+    const $ = cheerio.load(html);
+    const options = [];
+    $('[data-testid="shipping-item"]').each((_, el) => {
+        const text = cleanText($(el).text());
+        if (/retir/i.test(text)) return;
+        const free = /gr[aá]tis/i.test(text);
+        const cost = free ? 0 : parseBRL((text.match(/R\$\s*[\d.,]+/) || [])[0]);
+        if (cost === null) return;
+        const days = text.match(/(\d+)\s*dias?/i);
+        options.push({ cost, free, days: days ? parseInt(days[1], 10) : null });
+    });
+    if (options.length === 0) return null;
+    return options.reduce((best, option) => (option.cost < best.cost ? option : best));
+}
+
+module.exports = {
+    BASE_URL,
+    parseBRL,
+    extractProductId,
+    parseMagaluSearch,
+    parseMagaluProduct,
+    parseMagaluShipping
+};
@@ -0,0 +1,343 @@
+/**
+ * Mercado Livre scraper service, shared by every module (hivemind, gemini_meli,
+ * perplexity, smart) and the legacy CLI.
+ *
+ * Stable interface:
+ * - initBrowser()                         -> puppeteer Browser
+ * - setCEP(page, cep, opts)               -> loads session cookies (./cookie_vault.js) and sets the delivery CEP
+ * - searchAndScrape(page, query, opts)    -> [{ itemId, title, price, link, image, isFull, isInternational, condition }]
+ * - getProductDetails(page, url)          -> { productDNA, attributes, description, price, shippingCost, shippingFree,
+ *                                              gtin, mpn, brand, model, condition, seller, seller_reputation }
+ *
+ * Pages are loaded in the browser and parsed from their HTML by ./mercadolivre_parser.js.
+ * With SCRAPER_FIXTURES=record|replay the HTML is also saved to / read back from disk (./fixtures.js).
+ * Throws Error('BLOCKED_BY_PORTAL') when the anti-bot page is served; other errors degrade to empty results.
+ */
+
+const { withBudget } = require('../budget');
+const { initBrowser, getRandomUserAgent, simulateHumanInteraction, autoScroll } = require('./browser');
+const {
+    BASE_URL,
+    isBlockPage,
+    isLoggedIn,
+    parseSearchResults,
+    parseNextPageUrl,
+    parseProductPage,
+    parseShippingOptions
+} = require('./mercadolivre_parser');
+const { getFixtureMode, recordPage, loadRecordedPage } = require('./fixtures');
+const { proxyForPage, reportProxyResult, checkProxies } = require('./proxies');
+const { loadSessionCookies, cookieSetForPage, reportCookieSetResult, getCookieSetCookies } = require('./cookie_vault');
+
+const SEARCH_URL = 'https://lista.mercadolivre.com.br/';
+const MAX_RESULTS_BEFORE_PAGINATION = 40;
+
+const EMPTY_PRODUCT_DNA = { title: '', specsText: '', descriptionText: '', fullText: '', fullTextRaw: '' };
+
+async function checkForBlock(page) {
+    try {
+        return isBlockPage(await page.title(), await page.content());
+    } catch (e) {
+        return false;
+    }
+}
+
+async function assertNotBlocked(page, where) {
+    if (await checkForBlock(page)) {
+        console.error(`[Scraper] BLOCKED detected on ${where}.`);
+        const proxy = proxyForPage(page);
+        reportProxyResult(proxy, 'blocked', `Bloqueio em ${where}`);
+        await reportCookieSetResult(cookieSetForPage(page), 'blocked');
+        // `where` / `url` / `proxy` feed the block metrics of the worker's recovery
+        throw Object.assign(new Error('BLOCKED_BY_PORTAL'), { where, url: page.url(), proxy: proxy ? proxy.id : null });
+    }
+}
+
+// Navigates within the ML request budget and scores the page's proxy and cookie set (blocked / connection error / ok)
+async function gotoPage(page, url, where, waitUntil = 'networkidle2') {
+    try {
+        await withBudget('ml_requests', () => page.goto(url, { waitUntil }));
+    } catch (e) {
+        reportProxyResult(proxyForPage(page), 'error', e.message);
+        throw e;
+    }
+    await assertNotBlocked(page, where);
+    reportProxyResult(proxyForPage(page), 'success');
+    reportCookieSetResult(cookieSetForPage(page), 'success');
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.cookieFile=true] - use cookies.json when the cookie vault has no healthy set;
+ *                                             block recovery passes false (that identity is burned)
+ */
+async function setCEP(page, cep, options = {}) {
+    const { cookieFile = true } = options;
+    if (getFixtureMode() === 'replay') {
+        console.log(`[Scraper] Replay mode: CEP ${cep} not set (recorded pages already carry their shipping).`);
+        return;
+    }
+    console.log(`[Scraper] Setting CEP: ${cep}`);
+    await loadSessionCookies(page, { cookieFile });
+
+    try {
+        await gotoPage(page, BASE_URL, 'home page');
+
+        // Standard address selector (top bar); ML changes classes often, so fall back to the link text
+        let addressEl = await page.$('.nav-menu-cp');
+        if (!addressEl) {
+            console.log('[Scraper] Standard CEP selector not found. Trying fallback...');
+            const link = await page.evaluateHandle(() => {
+                const anchors = Array.from(document.querySelectorAll('a'));
+                return anchors.find(a => a.innerText.includes('Informe seu CEP') || a.innerText.includes('Enviar para')) || null;
+            });
+            if (link && link.asElement()) addressEl = link;
+        }
+
+        if (addressEl) {
+            await addressEl.click();
+            await new Promise(r => setTimeout(r, 1500)); // Wait for modal
+        }
+
+        const inputSelector = 'input[name="zipcode"]';
+        try {
+            await page.waitForSelector(inputSelector, { timeout: 5000 });
+
+            // Clear input first
+            await page.click(inputSelector);
+            await page.keyboard.down('Control');
+            await page.keyboard.press('A');
+            await page.keyboard.up('Control');
+            await page.keyboard.press('Backspace');
+
+            await page.type(inputSelector, cep, { delay: 150 });
+            await new Promise(r => setTimeout(r, 500));
+            await page.keyboard.press('Enter');
+
+            // Wait for reload or modal close
+            await new Promise(r => setTimeout(r, 3000));
+            console.log('[Scraper] CEP input submitted.');
+        } catch (e) {
+            console.log('[Scraper] CEP input field skipped or not found (maybe already set?).');
+        }
+    } catch (error) {
+        if (error.message === 'BLOCKED_BY_PORTAL') throw error;
+        console.error('[Scraper] Error setting CEP:', error.message);
+    }
+}
+
+function getMockResults(query) {
+    return [
+        {
+            itemId: null,
+            title: `${query} - Modelo Avançado (MOCK)`,
+            price: 150.00,
+            link: 'http://mock-link.com/item1',
+            image: null,
+            isFull: true,
+            isInternational: false,
+            condition: 'new'
+        }
+    ];
+}
+
+// Parses the loaded results page, saving it under `url` when recording
+async function scrapeCurrentPage(page, url) {
+    const html = await page.content();
+    if (getFixtureMode() === 'record') recordPage(url, 'search', html);
+    return { results: parseSearchResults(html, page.url()), nextUrl: parseNextPageUrl(html, page.url()) };
+}
+
+function replaySearch(searchUrl, keep) {
+    const first = loadRecordedPage(searchUrl);
+    if (!first) return [];
+    let allResults = keep(parseSearchResults(first.html, first.url));
+
+    const nextUrl = allResults.length < MAX_RESULTS_BEFORE_PAGINATION ? parseNextPageUrl(first.html, first.url) : null;
+    const second = nextUrl ? loadRecordedPage(nextUrl) : null;
+    if (second) allResults = [...allResults, ...keep(parseSearchResults(second.html, second.url))];
+
+    console.log(`[Scraper] Replayed ${allResults.length} items for ${searchUrl}`);
+    return allResults;
+}
+
+/**
+ * Searches sorted by price and scrapes up to 2 result pages.
+ * @param {object} [options]
+ * @param {boolean} [options.newOnly=true] - drop used / refurbished listings
+ */
+async function searchAndScrape(page, query, options = {}) {
+    const { newOnly = true } = options;
+    console.log(`[Scraper] Searching for: ${query}`);
+
+    if (process.env.MOCK_SCRAPER === 'true') {
+        return getMockResults(query);
+    }
+
+    const searchUrl = `${SEARCH_URL}${encodeURIComponent(query)}_Ord_PRICE_ASC`;
+    const keep = results => newOnly ? results.filter(r => r.condition === 'new') : results;
+    if (getFixtureMode() === 'replay') return replaySearch(searchUrl, keep);
+
+    await page.setUserAgent(getRandomUserAgent());
+    let allResults = [];
+
+    try {
+        await gotoPage(page, searchUrl, 'search page');
+        await simulateHumanInteraction(page);
+
+        const cookieBtn = await page.$('button[data-testid="action:understood-button"]');
+        if (cookieBtn) {
+            await cookieBtn.click();
+            await new Promise(r => setTimeout(r, 500));
+        }
+
+        await autoScroll(page);
+        const firstPage = await scrapeCurrentPage(page, searchUrl);
+        allResults = keep(firstPage.results);
+
+        // Page 2 Check
+        const nextUrl = allResults.length < MAX_RESULTS_BEFORE_PAGINATION ? firstPage.nextUrl : null;
+        if (nextUrl) {
+            console.log('[Scraper] Checking next page...');
+            await gotoPage(page, nextUrl, 'search page 2');
+            await simulateHumanInteraction(page);
+            await autoScroll(page);
+
+            const page2Results = keep((await scrapeCurrentPage(page, nextUrl)).results);
+            console.log(`[Scraper] Page 2 found ${page2Results.length} items.`);
+            allResults = [...allResults, ...page2Results];
+        }
+
+        console.log(`[Scraper] Total ${newOnly ? 'NEW ' : ''}items found for "${query}": ${allResults.length}`);
+        return allResults;
+    } catch (e) {
+        if (e.message === 'BLOCKED_BY_PORTAL') throw e;
+        console.error('[Scraper] Scraping error:', e.message);
+        return allResults;
+    }
+}
+
+// Opens the "more delivery options" modal and returns its HTML, if there is one
+async function openShippingOptions(page) {
+    const shippingTrigger = await page.$('.ui-pdp-media__action.ui-pdp-shipping__action, .ui-pdp-action-modal__link');
+    if (!shippingTrigger) return null;
+
+    await shippingTrigger.click();
+    await new Promise(r => setTimeout(r, 2000)); // Wait for modal
+    const html = await page.content();
+
+    await page.keyboard.press('Escape');
+    await new Promise(r => setTimeout(r, 500));
+    return html;
+}
+
+function buildDetails(product, shippingModalHtml) {
+    let shippingCost = product.shipping.cost || 0;
+    if (!product.shipping.free && shippingModalHtml) {
+        shippingCost = parseShippingOptions(shippingModalHtml) || shippingCost;
+    }
+
+    return {
+        productDNA: product.productDNA,
+        attributes: product.attributes,
+        description: product.description,
+        price: product.price,
+        shippingCost,
+        shippingFree: product.shipping.free,
+        gtin: product.gtin,
+        mpn: product.mpn,
+        brand: product.brand,
+        model: product.model,
+        condition: product.condition,
+        seller: product.seller,
+        seller_reputation: product.seller.reputation
+    };
+}
+
+function emptyDetails() {
+    return {
+        productDNA: { ...EMPTY_PRODUCT_DNA },
+        attributes: {},
+        description: '',
+        shippingCost: 0
+    };
+}
+
+async function getProductDetails(page, url) {
+    if (url.includes('mock-link') || process.env.MOCK_SCRAPER === 'true') {
+        return {
+            productDNA: { ...EMPTY_PRODUCT_DNA, descriptionText: 'Mock desc', fullText: 'mock desc', fullTextRaw: 'Mock desc' },
+            attributes: {},
+            description: 'Mock desc',
+            shippingCost: 15.50,
+            shippingFree: false,
+            seller: { name: 'MOCK', reputation: 'green', officialStore: false },
+            seller_reputation: 'green'
+        };
+    }
+
+    if (getFixtureMode() === 'replay') {
+        const recorded = loadRecordedPage(url);
+        return recorded ? buildDetails(parseProductPage(recorded.html), recorded.extra && recorded.extra.shippingModal) : emptyDetails();
+    }
+
+    try {
+        await gotoPage(page, url, 'product page', 'domcontentloaded');
+        await simulateHumanInteraction(page);
+
+        // Lazy Load: scroll to the bottom so specs and description render
+        await autoScroll(page, 20000);
+        await new Promise(r => setTimeout(r, 1000));
+
+        const html = await page.content();
+        const product = parseProductPage(html);
+
+        let shippingModalHtml = null;
+        if (!product.shipping.free) {
+            try {
+                shippingModalHtml = await openShippingOptions(page);
+            } catch (e) {
+                console.log(`[Scraper] Failed to extract complex shipping: ${e.message}`);
+            }
+        }
+
+        if (getFixtureMode() === 'record') recordPage(url, 'product', html, { shippingModal: shippingModalHtml });
+        return buildDetails(product, shippingModalHtml);
+    } catch (e) {
+        if (e.message === 'BLOCKED_BY_PORTAL') throw e;
+        return emptyDetails();
+    }
+}
+
+// Loads the ML home through every proxy of the pool (admin "Testar proxies")
+async function checkProxyHealth() {
+    const browser = await initBrowser();
+    try {
+        return await checkProxies(browser, checkForBlock);
+    } finally {
+        await browser.close();
+    }
+}
+
+// Loads the ML home with one set of the cookie vault (admin "Testar"): blocked or not, and logged in or not
+async function checkCookieSet(setId) {
+    const cookies = await getCookieSetCookies(setId);
+    if (!cookies) throw new Error('Conjunto de cookies não encontrado.');
+
+    const browser = await initBrowser();
+    try {
+        const context = await browser.createBrowserContext();
+        const page = await context.newPage();
+        await page.setUserAgent(getRandomUserAgent());
+        await page.setCookie(...cookies);
+        await withBudget('ml_requests', () => page.goto(BASE_URL, { waitUntil: 'domcontentloaded' }));
+
+        const blocked = await checkForBlock(page);
+        await reportCookieSetResult(setId, blocked ? 'blocked' : 'success');
+        return { blocked, loggedIn: !blocked && isLoggedIn(await page.content()) };
+    } finally {
+        await browser.close();
+    }
+}
+
+module.exports = { initBrowser, setCEP, checkForBlock, searchAndScrape, getProductDetails, checkProxyHealth, checkCookieSet };
@@ -0,0 +1,269 @@
+/**
+ * Mercado Livre HTML parsers.
+ *
+ * Pure functions over saved page HTML (cheerio), so every selector the scraper
+ * depends on is covered by the contract tests in test/marketplace/ against the
+ * fixtures in test/fixtures/mercadolivre/. The browser side lives in ./mercadolivre.js.
+ */
+
+const cheerio = require('cheerio');
+const { cleanText, normalizeText, parseProductJsonLd, buildProductDNA } = require('./product');
+
+const BASE_URL = 'https://www.mercadolivre.com.br/';
+
+const BLOCK_MARKERS = ['suspicious-traffic-frontend', 'Olá! Para continuar, acesse', '403 Forbidden'];
+
+// "1.234" + "56" -> 1234.56 (fraction uses dots as thousand separators)
+function parsePrice(fraction, cents) {
+    if (!fraction) return null;
+    const whole = String(fraction).replace(/[^\d]/g, '');
+    if (!whole) return null;
+    const decimals = String(cents || '').replace(/[^\d]/g, '').padEnd(2, '0').substring(0, 2);
+    return parseFloat(`${whole}.${decimals}`);
+}
+
+function moneyAmount($el) {
+    if (!$el || $el.length === 0) return null;
+    return parsePrice($el.find('.andes-money-amount__fraction').first().text(), $el.find('.andes-money-amount__cents').first().text());
+}
+
+function absoluteUrl(href, baseUrl = BASE_URL) {
+    if (!href) return null;
+    try { return new URL(href, baseUrl).href; } catch (e) { return null; }
+}
+
+// MLB-1234567890 / MLB1234567890 / /p/MLB123 -> MLB1234567890
+function extractItemId(url) {
+    const match = (url || '').match(/\b(MLB)-?(\d{6,})/i);
+    return match ? `MLB${match[2]}` : null;
+}
+
+function isMercadoLivreUrl(url) {
+    try {
+        return /(^|\.)mercadolivre\.com\.br$/.test(new URL(url).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function isBlockPage(title, html) {
+    return title === 'Mercado Livre' && BLOCK_MARKERS.some(marker => (html || '').includes(marker));
+}
+
+// Logged-out header has the "Entre" / "Crie a sua conta" links, the logged-in one the user menu
+function isLoggedIn(html) {
+    const $ = cheerio.load(html || '');
+    if ($('[data-link-id="login"], a[href*="/lgz/login"]').length > 0) return false;
+    return $('.nav-header-username, .nav-header-user-myml, [data-link-id="my-account"]').length > 0;
+}
+
+function detectCondition(conditionText, title) {
+    let condition = 'new';
+    const text = (conditionText || '').toLowerCase();
+    if (text.includes('usado')) condition = 'used';
+    if (text.includes('recondicionado')) condition = 'refurbished';
+
+    const titleText = (title || '').toLowerCase();
+    if (titleText.includes('usado') || titleText.includes('recondicionado') || titleText.includes('seminovo')) {
+        condition = 'used';
+    }
+    return condition;
+}
+
+/**
+ * Search results page (poly-card layout and the older ui-search-result layout).
+ * @returns {{itemId, title, price, link, image, isFull, isInternational, condition}[]}
+ */
+function parseSearchResults(html, baseUrl = BASE_URL) {
+    const $ = cheerio.load(html);
+    const items = [];
+    let cards = $('li.ui-search-layout__item');
+    if (cards.length === 0) cards = $('.ui-search-result__content');
+
+    cards.each((_, el) => {
+        const card = $(el);
+        let titleEl = card.find('.poly-component__title').first();
+        let linkEl = titleEl;
+
+        if (titleEl.length === 0) {
+            titleEl = card.find('h2.ui-search-item__title, .ui-search-item__title').first();
+            linkEl = card.find('a.ui-search-link').first();
+            if (linkEl.length === 0) linkEl = titleEl.closest('a');
+            if (linkEl.length === 0) linkEl = card.find('a').first();
+        }
+
+        let priceEl = card.find('.poly-price__current .andes-money-amount').first();
+        if (priceEl.length === 0) priceEl = card.find('.ui-search-price__second-line .andes-money-amount').first();
+        if (priceEl.length === 0) priceEl = card.find('.andes-money-amount').first();
+
+        const imageEl = card.find('img.poly-component__picture').first().length
+            ? card.find('img.poly-component__picture').first()
+            : card.find('img').first();
+        const title = cleanText(titleEl.text());
+        const price = moneyAmount(priceEl);
+        const link = absoluteUrl(linkEl.attr('href'), baseUrl);
+
+        if (!title || price === null || !link) return;
+        items.push({
+            itemId: extractItemId(link),
+            title,
+            price,
+            link,
+            image: imageEl.length ? (imageEl.attr('data-src') || imageEl.attr('src') || null) : null,
+            isFull: card.find('.poly-component__shipped-from svg[aria-label="FULL"], .ui-search-item__fulfillment').length > 0,
+            isInternational: card.text().includes('Compra Internacional'),
+            condition: detectCondition(card.find('.ui-search-item__group__element.ui-search-item__condition').text(), title)
+        });
+    });
+    return items;
+}
+
+function parseNextPageUrl(html, baseUrl = BASE_URL) {
+    const $ = cheerio.load(html);
+    const next = $('a.andes-pagination__link[title="Seguinte"]').first();
+    return next.length ? absoluteUrl(next.attr('href'), baseUrl) : null;
+}
+
+function parseSpecs($) {
+    const attrs = {};
+    const specsTextParts = [];
+    const add = (key, value, overwrite = true) => {
+        key = cleanText(key);
+        value = cleanText(value);
+        if (!key || !value) return;
+        if (!overwrite && attrs[key]) return;
+        attrs[key] = value;
+        specsTextParts.push(`${key}: ${value}`);
+    };
+
+    // Highlighted specs (striped rows)
+    $('.ui-vpp-highlighted-specs__striped-specs .ui-vpp-highlighted-specs__striped-specs__row').each((_, row) => {
+        add($(row).find('.ui-vpp-highlighted-specs__striped-specs__row__key').text(),
+            $(row).find('.ui-vpp-highlighted-specs__striped-specs__row__value').text());
+    });
+
+    // Standard specs table
+    $('.ui-pdp-specs__table tr').each((_, row) => {
+        add($(row).find('th').first().text(), $(row).find('td').first().text());
+    });
+
+    // Andes table (newer layout)
+    $('.andes-table__row, table.andes-table tbody tr').each((_, row) => {
+        const cells = $(row).find('td, th');
+        if (cells.length >= 2) add(cells.eq(0).text(), cells.eq(1).text(), false);
+    });
+
+    // Compact specs list
+    $('.ui-pdp-container__row--attributes .ui-pdp-list li').each((_, li) => {
+        const text = cleanText($(li).text());
+        if (text && !specsTextParts.includes(text)) specsTextParts.push(text);
+    });
+
+    return { attrs, specsTextParts };
+}
+
+/**
+ * Seller block of the product page.
+ * @returns {{name: string|null, reputation: string, officialStore: boolean}}
+ */
+function parseSeller($) {
+    const header = cleanText($('.ui-pdp-seller__header__title').first().text());
+    const officialStore = header.includes('Loja oficial');
+    const name = cleanText($('.ui-pdp-seller__link-trigger').first().text())
+        || cleanText(header.replace(/^Vendido por/i, '').replace(/Loja oficial/i, ''))
+        || null;
+
+    let reputation = null;
+    if (officialStore) reputation = 'platinum';
+    if (!reputation) {
+        $('.ui-seller-info .ui-pdp-seller__reputation-info [class*="ui-pdp-seller__medal"]').each((_, m) => {
+            if (reputation) return;
+            const cl = $(m).attr('class') || '';
+            if (cl.includes('platinum')) reputation = 'platinum';
+            else if (cl.includes('gold')) reputation = 'gold';
+            else if (cl.includes('silver')) reputation = 'silver';
+        });
+    }
+    if (!reputation) {
+        let level = 0;
+        $('.ui-seller-info .ui-thermometer li').each((index, li) => {
+            if (($(li).attr('class') || '').includes('active')) level = index + 1;
+        });
+        reputation = level === 5 ? 'green' : level >= 3 ? 'yellow' : 'red';
+    }
+
+    return { name, reputation, officialStore };
+}
+
+/**
+ * Shipping shown on the product page itself.
+ * `cost` is null when it is only available behind the shipping modal.
+ */
+function parseShipping($) {
+    const body = $('body').text();
+    if (body.includes('Frete grátis') || body.includes('Chegará grátis')) return { free: true, cost: 0 };
+    const amount = moneyAmount($('[class*="shipping"] .andes-money-amount').first());
+    return { free: false, cost: amount };
+}
+
+// Cheapest option listed in the shipping modal
+function parseShippingOptions(html) {
+    const $ = cheerio.load(html);
+    const scope = $('.andes-modal').length ? $('.andes-modal') : $('body');
+    const prices = [];
+    scope.find('.andes-money-amount').each((_, el) => {
+        const value = moneyAmount($(el));
+        if (value !== null) prices.push(value);
+    });
+    return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Product page -> ProductDNA + structured fields.
+ * ProductDNA concatenates title, specs and description for keyword matching by JUIZ.
+ */
+function parseProductPage(html) {
+    const $ = cheerio.load(html);
+    const title = cleanText($('h1.ui-pdp-title').first().text());
+    const jsonLd = parseProductJsonLd($);
+    const { attrs, specsTextParts } = parseSpecs($);
+
+    if (jsonLd.gtin) attrs['GTIN'] = jsonLd.gtin;
+    if (jsonLd.mpn) attrs['MPN'] = jsonLd.mpn;
+    if (jsonLd.brand) { attrs['Brand'] = jsonLd.brand; specsTextParts.push(`Marca: ${jsonLd.brand}`); }
+    if (jsonLd.model) { attrs['Model'] = jsonLd.model; specsTextParts.push(`Modelo: ${jsonLd.model}`); }
+    if (jsonLd.condition) attrs['Condition'] = jsonLd.condition;
+
+    const specsText = specsTextParts.join(' | ');
+    const description = $('.ui-pdp-description__content').first().text().trim() || jsonLd.description || '';
+
+    const priceEl = $('.ui-pdp-price__second-line .andes-money-amount').first();
+
+    return {
+        productDNA: buildProductDNA(title, specsText, description),
+        attributes: attrs,
+        description,
+        price: moneyAmount(priceEl) || jsonLd.price || null,
+        gtin: jsonLd.gtin || null,
+        mpn: jsonLd.mpn || null,
+        brand: jsonLd.brand || null,
+        model: jsonLd.model || null,
+        condition: jsonLd.condition || null,
+        seller: parseSeller($),
+        shipping: parseShipping($)
+    };
+}
+
+module.exports = {
+    BASE_URL,
+    parsePrice,
+    normalizeText,
+    extractItemId,
+    isMercadoLivreUrl,
+    isBlockPage,
+    isLoggedIn,
+    parseSearchResults,
+    parseNextPageUrl,
+    parseProductPage,
+    parseShippingOptions
+};
@@ -0,0 +1,63 @@
+/**
+ * Helpers shared by the marketplace parsers: text cleanup, schema.org JSON-LD
+ * and the ProductDNA every adapter hands to JUIZ.
+ */
+
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeText(text) {
+    if (!text) return '';
+    return text
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // Remove accents
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// First schema.org Product of the page (cheerio `$`), flattened
+function parseProductJsonLd($) {
+    let product = null;
+    $('script[type="application/ld+json"]').each((_, el) => {
+        if (product) return;
+        try {
+            const json = JSON.parse($(el).text());
+            const candidates = Array.isArray(json) ? json : (json['@graph'] || [json]);
+            product = candidates.find(entry => entry && entry['@type'] === 'Product') || null;
+        } catch (e) { /* malformed block, try the next one */ }
+    });
+    if (!product) return {};
+    const offers = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+    return {
+        name: product.name || null,
+        gtin: product.gtin || product.gtin13 || product.gtin14 || null,
+        mpn: product.mpn || product.sku || null,
+        brand: (product.brand && (product.brand.name || product.brand)) || null,
+        model: product.model || null,
+        condition: (offers && offers.itemCondition) || null,
+        price: offers && (offers.price || offers.lowPrice) ? parseFloat(offers.price || offers.lowPrice) : null,
+        seller: (offers && offers.seller && offers.seller.name) || null,
+        image: Array.isArray(product.image) ? product.image[0] : (product.image || null),
+        description: product.description || null
+    };
+}
+
+/**
+ * ProductDNA: title, specs and description concatenated for keyword matching by JUIZ.
+ * @param {string} title
+ * @param {string} specsText - "Chave: valor | Chave: valor"
+ * @param {string} description
+ */
+function buildProductDNA(title, specsText, description) {
+    const fullTextRaw = [title, specsText, description].filter(Boolean).join(' ');
+    return {
+        title: title || '',
+        specsText: specsText || '',
+        descriptionText: description || '',
+        fullText: normalizeText(fullTextRaw),
+        fullTextRaw
+    };
+}
+
+module.exports = { cleanText, normalizeText, parseProductJsonLd, buildProductDNA };
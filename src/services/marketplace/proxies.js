@@ -0,0 +1,237 @@
+/**
+ * Proxy pool.
+ *
+ * Proxies come from proxies.txt (one per line: `ip:porta`, `user:pass@ip:porta`,
+ * `ip:porta:user:pass` or a full `http://` / `socks5://` URL; `#` starts a comment)
+ * plus PROXY_URL. The file is re-read when it changes.
+ *
+ * Each item job gets its own browser context bound to the next healthy proxy (round-robin).
+ * A proxy that hits the anti-bot page is benched with an exponential cooldown; one that
+ * fails to connect MAX_CONSECUTIVE_ERRORS times in a row is benched too. After the cooldown
+ * it is tried again. Counters live in memory and are shown on /admin/dashboard.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BLOCK_COOLDOWN_MS = 10 * 60 * 1000;
+const MAX_BLOCK_COOLDOWN_MS = 2 * 60 * 60 * 1000;
+const ERROR_COOLDOWN_MS = 5 * 60 * 1000;
+const MAX_CONSECUTIVE_ERRORS = 3;
+const RELOAD_INTERVAL_MS = 30000;
+const HEALTH_CHECK_URL = 'https://www.mercadolivre.com.br/';
+const HEALTH_CHECK_TIMEOUT_MS = 20000;
+
+const stats = new Map();               // proxy id -> { proxy, successes, blocks, errors, ... }
+const contextProxies = new WeakMap();  // BrowserContext -> proxy
+let pool = [];
+let cursor = 0;
+let loaded = false;
+let loadedMtime = null;
+let checkedAt = 0;
+
+function getProxiesFile() {
+    return path.resolve(process.env.PROXIES_FILE || 'proxies.txt');
+}
+
+function parseProxyLine(line) {
+    const raw = (line || '').split('#')[0].trim();
+    if (!raw) return null;
+
+    let url;
+    try {
+        if (/^[a-z0-9]+:\/\//i.test(raw)) {
+            url = new URL(raw);
+        } else {
+            const parts = raw.split(':');
+            // ip:porta:user:pass
+            if (parts.length === 4 && !raw.includes('@')) {
+                url = new URL(`http://${parts[0]}:${parts[1]}`);
+                url.username = parts[2];
+                url.password = parts[3];
+            } else {
+                url = new URL(`http://${raw}`);
+            }
+        }
+    } catch (e) {
+        return null;
+    }
+    if (!url.hostname || !url.port) return null;
+
+    const server = `${url.protocol}//${url.hostname}:${url.port}`;
+    return {
+        id: server,
+        server,
+        username: url.username ? decodeURIComponent(url.username) : null,
+        password: url.password ? decodeURIComponent(url.password) : null
+    };
+}
+
+function loadProxyPool(force = false) {
+    const now = Date.now();
+    if (!force && now - checkedAt < RELOAD_INTERVAL_MS) return pool;
+    checkedAt = now;
+
+    const file = getProxiesFile();
+    let mtime = null;
+    try { mtime = fs.statSync(file).mtimeMs; } catch (e) { /* no proxies.txt */ }
+    if (!force && loaded && mtime === loadedMtime) return pool;
+    loaded = true;
+    loadedMtime = mtime;
+
+    const lines = mtime !== null ? fs.readFileSync(file, 'utf8').split(/\r?\n/) : [];
+    if (process.env.PROXY_URL) lines.unshift(process.env.PROXY_URL);
+
+    const byId = new Map();
+    lines.map(parseProxyLine).filter(Boolean).forEach(p => byId.set(p.id, p));
+    pool = [...byId.values()];
+    for (const proxy of pool) {
+        if (!stats.has(proxy.id)) {
+            stats.set(proxy.id, { successes: 0, blocks: 0, errors: 0, consecutiveErrors: 0, badUntil: 0, lastUsedAt: null, lastError: null });
+        }
+    }
+    if (pool.length > 0) console.log(`[Proxies] ${pool.length} proxies loaded.`);
+    return pool;
+}
+
+// Next proxy in the rotation that is not benched; if all are benched, the one that comes back first
+function acquireProxy() {
+    loadProxyPool();
+    if (pool.length === 0) return null;
+
+    const now = Date.now();
+    for (let i = 0; i < pool.length; i++) {
+        const proxy = pool[(cursor + i) % pool.length];
+        if (stats.get(proxy.id).badUntil <= now) {
+            cursor = (cursor + i + 1) % pool.length;
+            stats.get(proxy.id).lastUsedAt = new Date();
+            return proxy;
+        }
+    }
+    const proxy = [...pool].sort((a, b) => stats.get(a.id).badUntil - stats.get(b.id).badUntil)[0];
+    stats.get(proxy.id).lastUsedAt = new Date();
+    return proxy;
+}
+
+/**
+ * @param {object|null} proxy
+ * @param {'success'|'blocked'|'error'} outcome
+ */
+function reportProxyResult(proxy, outcome, message = null) {
+    if (!proxy || !stats.has(proxy.id)) return;
+    const s = stats.get(proxy.id);
+
+    if (outcome === 'success') {
+        s.successes++;
+        s.consecutiveErrors = 0;
+        return;
+    }
+
+    s.lastError = message || outcome;
+    if (outcome === 'blocked') {
+        s.blocks++;
+        const cooldown = Math.min(BLOCK_COOLDOWN_MS * 2 ** Math.min(s.blocks - 1, 10), MAX_BLOCK_COOLDOWN_MS);
+        s.badUntil = Date.now() + cooldown;
+        console.warn(`[Proxies] ${proxy.id} blocked by the portal. Benched for ${Math.round(cooldown / 60000)} min.`);
+    } else {
+        s.errors++;
+        s.consecutiveErrors++;
+        if (s.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+            s.badUntil = Date.now() + ERROR_COOLDOWN_MS;
+            s.consecutiveErrors = 0;
+            console.warn(`[Proxies] ${proxy.id} failed ${MAX_CONSECUTIVE_ERRORS}x in a row (${message}). Benched.`);
+        }
+    }
+}
+
+function proxyForPage(page) {
+    try {
+        return contextProxies.get(page.browserContext()) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Browser context bound to the next proxy of the pool, with `cookies` (CEP, session) copied in.
+ * Without proxies the browser itself is returned, so pages share the default context as before,
+ * unless `isolate` asks for a context of its own (clean cookie jar, used by block recovery).
+ * `userAgent` is applied to every page of the context.
+ * @returns {Promise<{context, proxy, close: Function}>}
+ */
+async function openProxiedContext(browser, cookies = [], proxy = acquireProxy(), options = {}) {
+    const { isolate = false, userAgent = null } = options;
+    if (!proxy && !isolate) return { context: browser, proxy: null, close: async () => {} };
+
+    const context = await browser.createBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+    if (proxy) contextProxies.set(context, proxy);
+
+    if ((proxy && proxy.username) || userAgent) {
+        const newPage = context.newPage.bind(context);
+        context.newPage = async (...args) => {
+            const page = await newPage(...args);
+            if (proxy && proxy.username) await page.authenticate({ username: proxy.username, password: proxy.password || '' });
+            if (userAgent) await page.setUserAgent(userAgent);
+            return page;
+        };
+    }
+    if (cookies.length > 0) await context.setCookie(...cookies);
+
+    return { context, proxy, close: () => context.close().catch(() => {}) };
+}
+
+// Active check: loads the Mercado Livre home through every proxy and feeds the result into the stats
+async function checkProxies(browser, isBlocked) {
+    const results = [];
+    for (const proxy of loadProxyPool(true)) {
+        const { context, close } = await openProxiedContext(browser, [], proxy);
+        const started = Date.now();
+        let outcome = 'success';
+        let message = null;
+        try {
+            const page = await context.newPage();
+            await page.goto(HEALTH_CHECK_URL, { waitUntil: 'domcontentloaded', timeout: HEALTH_CHECK_TIMEOUT_MS });
+            if (await isBlocked(page)) outcome = 'blocked';
+        } catch (e) {
+            outcome = 'error';
+            message = e.message;
+        } finally {
+            await close();
+        }
+        reportProxyResult(proxy, outcome, message);
+        results.push({ id: proxy.id, outcome, message, ms: Date.now() - started });
+    }
+    return results;
+}
+
+function getProxyStatus() {
+    loadProxyPool();
+    const now = Date.now();
+    return pool.map(proxy => {
+        const s = stats.get(proxy.id);
+        const attempts = s.successes + s.blocks + s.errors;
+        return {
+            id: proxy.id,
+            authenticated: !!proxy.username,
+            healthy: s.badUntil <= now,
+            badUntil: s.badUntil > now ? new Date(s.badUntil) : null,
+            successes: s.successes,
+            blocks: s.blocks,
+            errors: s.errors,
+            successRate: attempts > 0 ? Math.round((s.successes / attempts) * 100) : null,
+            lastUsedAt: s.lastUsedAt,
+            lastError: s.lastError
+        };
+    });
+}
+
+module.exports = {
+    parseProxyLine,
+    loadProxyPool,
+    acquireProxy,
+    reportProxyResult,
+    proxyForPage,
+    openProxiedContext,
+    checkProxies,
+    getProxyStatus
+};
@@ -0,0 +1,181 @@
+/**
+ * Adapter for retailers running on VTEX (Carrefour and others).
+ *
+ * VTEX stores expose the same public APIs, so no browser is needed:
+ * - search:   GET  /api/catalog_system/pub/products/search?ft=<query>
+ * - details:  GET  /api/catalog_system/pub/products/search/<linkText>/p
+ * - shipping: POST /api/checkout/pub/orderForms/simulation (SKU + CEP -> delivery options)
+ * Requests go straight from the server (not through the proxy pool) and honor SCRAPER_FIXTURES.
+ */
+
+const { buildProductDNA, cleanText } = require('./product');
+const { getFixtureMode, recordPage, loadRecordedPage } = require('./fixtures');
+
+const REQUEST_TIMEOUT_MS = 20000;
+const SEARCH_PAGE_SIZE = 24;
+
+// Fetches JSON, or reads it back from the recordings. `recordKey` tells apart requests that share a URL (POST).
+async function fetchJson(url, options = {}, recordKey = url) {
+    if (getFixtureMode() === 'replay') {
+        const recorded = loadRecordedPage(recordKey);
+        return recorded ? JSON.parse(recorded.html) : null;
+    }
+    const res = await fetch(url, {
+        ...options,
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', ...(options.headers || {}) },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    // VTEX answers 206 for partial search pages
+    if (!res.ok) throw new Error(`HTTP ${res.status} em ${url}`);
+    const text = await res.text();
+    if (getFixtureMode() === 'record') recordPage(recordKey, 'api', text);
+    return JSON.parse(text);
+}
+
+// First available offer: the store's own (default seller) before its marketplace partners
+function pickOffer(product) {
+    for (const item of product.items || []) {
+        const sellers = [...(item.sellers || [])].sort((a, b) => Number(!!b.sellerDefault) - Number(!!a.sellerDefault));
+        for (const seller of sellers) {
+            const offer = seller.commertialOffer;
+            if (offer && offer.Price > 0 && offer.AvailableQuantity !== 0 && offer.IsAvailable !== false) {
+                return { item, seller, offer };
+            }
+        }
+    }
+    return null;
+}
+
+function parseVtexSearch(products, storeName) {
+    const results = [];
+    for (const product of Array.isArray(products) ? products : []) {
+        const picked = pickOffer(product);
+        if (!picked || !product.link) continue;
+        const image = picked.item.images && picked.item.images[0];
+        results.push({
+            itemId: picked.item.itemId || product.productId || null,
+            title: cleanText(product.productName),
+            price: picked.offer.Price,
+            link: product.link,
+            image: image ? image.imageUrl : null,
+            isFull: false,
+            isInternational: false,
+            condition: 'new',
+            store: storeName
+        });
+    }
+    return results;
+}
+
+// Product of the catalog API -> the detail shape of the Mercado Livre scraper (shipping filled in later)
+function parseVtexProduct(product) {
+    const attributes = {};
+    const specsParts = [];
+    for (const name of product.allSpecifications || []) {
+        const value = Array.isArray(product[name]) ? product[name].join(', ') : product[name];
+        if (!value) continue;
+        attributes[name] = value;
+        specsParts.push(`${name}: ${value}`);
+    }
+    if (product.brand) specsParts.push(`Marca: ${product.brand}`);
+
+    const picked = pickOffer(product);
+    const item = picked ? picked.item : (product.items || [])[0] || {};
+    const title = cleanText(product.productName);
+    const description = cleanText((product.description || '').replace(/<[^>]+>/g, ' '));
+    const model = attributes['Modelo'] || attributes['Model'] || null;
+    const sellerName = picked && picked.seller ? picked.seller.sellerName : null;
+
+    return {
+        productDNA: buildProductDNA(title, specsParts.join(' | '), description),
+        attributes,
+        description,
+        price: picked ? picked.offer.Price : null,
+        skuId: item.itemId || null,
+        sellerId: picked && picked.seller ? picked.seller.sellerId : null,
+        gtin: item.ean || null,
+        mpn: product.productReference || item.referenceId?.[0]?.Value || null,
+        brand: product.brand || null,
+        model,
+        condition: 'new',
+        seller: { name: sellerName, reputation: null, officialStore: !!picked && picked.seller.sellerId === '1' },
+        seller_reputation: null
+    };
+}
+
+// Cheapest delivery option of an orderForm simulation (prices come in cents)
+function parseVtexSimulation(simulation) {
+    const slas = ((simulation && simulation.logisticsInfo) || [])
+        .flatMap(info => info.slas || [])
+        .filter(sla => !sla.deliveryChannel || sla.deliveryChannel === 'delivery');
+    if (slas.length === 0) return null;
+    const cheapest = slas.reduce((best, sla) => (sla.price < best.price ? sla : best));
+    const days = parseInt(cheapest.shippingEstimate) || null;
+    return { cost: cheapest.price / 100, free: cheapest.price === 0, days };
+}
+
+/**
+ * @param {object} store
+ * @param {string} store.id - adapter id (settings, candidate.marketplace)
+ * @param {string} store.name - shown as the candidate's store
+ * @param {string} store.baseUrl - https://www.loja.com.br
+ * @param {number} [store.salesChannel=1]
+ */
+function createVtexAdapter({ id, name, baseUrl, salesChannel = 1 }) {
+    const host = new URL(baseUrl).hostname.replace(/^www\./, '');
+
+    function matchesUrl(url) {
+        try {
+            const hostname = new URL(url).hostname;
+            return hostname === host || hostname.endsWith(`.${host}`);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async function search(page, query) {
+        if (process.env.MOCK_SCRAPER === 'true') return [];
+        const url = `${baseUrl}/api/catalog_system/pub/products/search?ft=${encodeURIComponent(query)}&_from=0&_to=${SEARCH_PAGE_SIZE - 1}&O=OrderByPriceASC&sc=${salesChannel}`;
+        try {
+            const results = parseVtexSearch(await fetchJson(url), name);
+            console.log(`[${name}] ${results.length} items for "${query}"`);
+            return results;
+        } catch (e) {
+            console.error(`[${name}] Search error: ${e.message}`);
+            return [];
+        }
+    }
+
+    // `product` is a result of getProductDetails (needs its skuId / sellerId)
+    async function quoteShipping(page, product, cep) {
+        if (!cep || !product.skuId) return null;
+        const url = `${baseUrl}/api/checkout/pub/orderForms/simulation?sc=${salesChannel}`;
+        const body = { items: [{ id: product.skuId, quantity: 1, seller: product.sellerId || '1' }], postalCode: String(cep).replace(/\D/g, ''), country: 'BRA' };
+        try {
+            return parseVtexSimulation(await fetchJson(url, { method: 'POST', body: JSON.stringify(body) }, `${url}&sku=${product.skuId}&cep=${body.postalCode}`));
+        } catch (e) {
+            console.error(`[${name}] Shipping simulation error: ${e.message}`);
+            return null;
+        }
+    }
+
+    async function getProductDetails(page, url, cep) {
+        const linkText = (new URL(url).pathname.match(/^\/([^/]+)\/p\/?$/) || [])[1];
+        try {
+            if (!linkText) throw new Error(`URL de produto inesperada: ${url}`);
+            const products = await fetchJson(`${baseUrl}/api/catalog_system/pub/products/search/${linkText}/p?sc=${salesChannel}`);
+            if (!products || products.length === 0) throw new Error('Produto não encontrado.');
+
+            const product = parseVtexProduct(products[0]);
+            const shipping = await quoteShipping(page, product, cep);
+            return { ...product, shippingCost: shipping ? shipping.cost : 0, shippingFree: shipping ? shipping.free : false, shippingDays: shipping ? shipping.days : null };
+        } catch (e) {
+            console.error(`[${name}] Details error: ${e.message}`);
+            return { productDNA: buildProductDNA('', '', ''), attributes: {}, description: '', shippingCost: 0 };
+        }
+    }
+
+    return { id, name, matchesUrl, search, getProductDetails, quoteShipping };
+}
+
+module.exports = { createVtexAdapter, parseVtexSearch, parseVtexProduct, parseVtexSimulation };
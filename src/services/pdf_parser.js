@@ -1,6 +1,6 @@
 const fs = require('fs');
 const pdf = require('pdf-parse');
-const { generateText, PROVIDERS } = require('./ai_manager');
+const { generateText, PROVIDERS, getApiKeyFromEnv } = require('./ai_manager');
 const { getSetting } = require('../database');
 
 /**
@@ -52,8 +52,8 @@ function repairJson(text) {
  */
 async function selectStrategy(tokenCount) {
     // Models (Prioritize defined keys or defaults)
-    const geminiKey = process.env.GEMINI_API_KEY || await getSetting('oracle_api_key');
-    const deepseekKey = process.env.DEEPSEEK_API_KEY;
+    const geminiKey = getApiKeyFromEnv(PROVIDERS.GEMINI) || await getSetting('oracle_api_key');
+    const deepseekKey = getApiKeyFromEnv(PROVIDERS.DEEPSEEK);
 
     const strategies = [];
 
@@ -164,7 +164,8 @@ async function extractItemsFromPdf(files, userInstructions = "") {
                 messages: [
                     { role: 'system', content: systemPrompt },
                     { role: 'user', content: userPrompt }
-                ]
+                ],
+                agentName: 'pdf_import'
             };
 
             const responseText = await generateText(config);
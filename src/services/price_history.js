@@ -0,0 +1,236 @@
+/**
+ * Price history of winners after the task finished (re-quote).
+ *
+ * A scheduled sweep (REQUOTE_INTERVAL_HOURS, default 24h, 0 = off) opens the link of the current
+ * winner of every item of completed tasks created in the last REQUOTE_MAX_AGE_DAYS (default 60)
+ * (manual offers and links of stores without an adapter excluded)
+ * through the store adapter's getProductDetails, with the task CEP, and stores price, shipping
+ * and availability in candidate_price_checks. Alerts (task log + webhook `item.price_alert`)
+ * fire when the total price goes above the item's max_price and when the listing is gone; a
+ * page that comes back empty may be a timeout, so "gone" needs UNAVAILABLE_CONFIRMATIONS checks
+ * in a row. The item page shows the series as a chart and can re-quote on demand.
+ */
+
+const {
+    getRequoteTargets,
+    savePriceCheck,
+    getRecentPriceChecks,
+    getTaskItemById,
+    logTaskMessage
+} = require('../database');
+const { initBrowser } = require('./marketplace/browser');
+const { setCEP } = require('./marketplace/mercadolivre');
+const { isMercadoLivreUrl } = require('./marketplace/mercadolivre_parser');
+const { getAdapters, getMarketplaceDetails } = require('./marketplace');
+const { openProxiedContext, acquireProxy } = require('./marketplace/proxies');
+const { limitBrowserPages } = require('./budget');
+const { dispatchWebhookEvent } = require('./webhooks');
+
+const REQUOTE_DEFAULTS = { intervalHours: 24, maxAgeDays: 60 };
+const UNAVAILABLE_CONFIRMATIONS = 2;
+
+// Statuses that describe the listing; 'blocked' / 'error' checks say nothing about it
+const LISTING_STATUSES = ['ok', 'above_max', 'unavailable'];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function getRequoteConfig() {
+    const number = (value, fallback) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+    return {
+        intervalHours: number(process.env.REQUOTE_INTERVAL_HOURS, REQUOTE_DEFAULTS.intervalHours),
+        maxAgeDays: number(process.env.REQUOTE_MAX_AGE_DAYS, REQUOTE_DEFAULTS.maxAgeDays)
+    };
+}
+
+// Only listings of a registered store: buyer-entered manual offers and links no adapter
+// recognizes (mocks, other sites) would send the browser to an arbitrary page
+function isRequotable(candidate) {
+    if (!candidate || candidate.is_manual) return false;
+    const link = candidate.link || '';
+    return /^https?:\/\//.test(link) && getAdapters().some(a => a.matchesUrl(link));
+}
+
+/**
+ * One check of a winner from the adapter's details.
+ * @param {object|null} details - getProductDetails result (empty ProductDNA / no price = listing gone)
+ * @param {object} options
+ * @param {number} options.maxPrice - item max_price (0 / null = no limit)
+ * @param {object[]} [options.recent] - previous checks of the candidate, newest first
+ * @returns {{ status: 'ok'|'above_max'|'unavailable', price, shippingCost, totalPrice, alert: string|null }}
+ */
+function evaluatePriceCheck(details, { maxPrice, recent = [] }) {
+    const price = details ? parseFloat(details.price) : NaN;
+    const available = !!(details && details.productDNA && details.productDNA.title) && price > 0;
+    const check = { status: 'unavailable', price: null, shippingCost: null, totalPrice: null, alert: null };
+
+    if (available) {
+        check.price = price;
+        check.shippingCost = details.shippingCost || 0;
+        check.totalPrice = round2(price + check.shippingCost);
+        check.status = maxPrice > 0 && check.totalPrice > maxPrice ? 'above_max' : 'ok';
+    }
+
+    const previous = recent.filter(r => LISTING_STATUSES.includes(r.status));
+    if (check.status === 'above_max' && (!previous[0] || previous[0].status !== 'above_max')) {
+        check.alert = 'above_max';
+    }
+    if (check.status === 'unavailable') {
+        // Alert once, on the check that completes the streak
+        const lastAvailable = previous.findIndex(r => r.status !== 'unavailable');
+        const unavailableInRow = 1 + (lastAvailable === -1 ? previous.length : lastAvailable);
+        if (unavailableInRow === UNAVAILABLE_CONFIRMATIONS) check.alert = 'unavailable';
+    }
+    return check;
+}
+
+/**
+ * SVG geometry of a price series for the item page (no chart library in the views).
+ * @param {{ at: Date|string, total: number|null }[]} points - oldest first; null total = unavailable
+ * @returns {{ width, height, line: string, dots: object[], maxLine: number|null, min: number, max: number } | null}
+ */
+function buildPriceChart(points, { maxPrice = null, width = 600, height = 160, padding = 12 } = {}) {
+    const priced = points.filter(p => p.total !== null && p.total !== undefined);
+    if (priced.length === 0) return null;
+
+    const values = priced.map(p => p.total).concat(maxPrice > 0 ? [maxPrice] : []);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) { min -= 1; max += 1; }
+
+    const times = points.map(p => new Date(p.at).getTime());
+    const first = Math.min(...times);
+    const span = Math.max(...times) - first || 1;
+    const x = at => round2(padding + ((new Date(at).getTime() - first) / span) * (width - 2 * padding));
+    const y = value => round2(height - padding - ((value - min) / (max - min)) * (height - 2 * padding));
+
+    const dots = points.map(p => ({
+        x: x(p.at),
+        y: p.total !== null && p.total !== undefined ? y(p.total) : height - padding,
+        at: p.at,
+        total: p.total,
+        available: p.total !== null && p.total !== undefined
+    }));
+    return {
+        width,
+        height,
+        line: dots.filter(d => d.available).map(d => `${d.x},${d.y}`).join(' '),
+        dots,
+        maxLine: maxPrice > 0 ? y(maxPrice) : null,
+        min: round2(min),
+        max: round2(max)
+    };
+}
+
+/**
+ * Series of each re-quoted candidate of an item (item page): the original quote, then every check
+ * that reached the listing.
+ * @param {object[]} candidates - item_candidates rows
+ * @param {object[]} checks - candidate_price_checks rows, oldest first
+ */
+function buildItemPriceSeries(candidates, checks, maxPrice) {
+    return candidates
+        .map(candidate => {
+            const own = checks.filter(h => h.candidate_id === candidate.id && LISTING_STATUSES.includes(h.status));
+            if (own.length === 0) return null;
+            const points = [{ at: candidate.created_at, total: parseFloat(candidate.price), status: 'quote', alert: null }]
+                .concat(own.map(h => ({
+                    at: h.checked_at,
+                    total: h.total_price !== null ? parseFloat(h.total_price) : null,
+                    status: h.status,
+                    alert: h.alert
+                })));
+            return { candidate, points, last: points[points.length - 1], chart: buildPriceChart(points, { maxPrice }) };
+        })
+        .filter(Boolean);
+}
+
+async function alertPriceChange(target, check) {
+    const quoted = parseFloat(target.quoted_price);
+    const message = check.alert === 'above_max'
+        ? `🚨 [Item ${target.original_id}] Re-cotação: "${target.title}" agora custa R$ ${check.totalPrice.toFixed(2)} (cotado R$ ${quoted.toFixed(2)}, máximo R$ ${parseFloat(target.max_price).toFixed(2)}).`
+        : `🚨 [Item ${target.original_id}] Re-cotação: anúncio do vencedor "${target.title}" indisponível (${UNAVAILABLE_CONFIRMATIONS} verificações seguidas).`;
+    await logTaskMessage(target.task_id, message, 'error');
+
+    await dispatchWebhookEvent('item.price_alert', target.task_id, {
+        item: await getTaskItemById(target.task_item_id),
+        priceAlert: {
+            type: check.alert,
+            candidate: { title: target.title, link: target.link, store: target.store },
+            quoted_price: quoted,
+            current_price: check.totalPrice,
+            max_price: target.max_price !== null ? parseFloat(target.max_price) : null,
+            checked_at: new Date().toISOString()
+        }
+    });
+}
+
+async function requoteTarget(page, target) {
+    let check;
+    try {
+        const details = await getMarketplaceDetails(page, target.link, target.cep);
+        check = evaluatePriceCheck(details, { maxPrice: parseFloat(target.max_price), recent: await getRecentPriceChecks(target.candidate_id) });
+    } catch (e) {
+        check = { status: e.message === 'BLOCKED_BY_PORTAL' ? 'blocked' : 'error', price: null, shippingCost: null, totalPrice: null, alert: null, errorMessage: e.message };
+    }
+    await savePriceCheck({ ...check, candidateId: target.candidate_id, taskId: target.task_id });
+    if (check.alert) await alertPriceChange(target, check);
+    return check;
+}
+
+/**
+ * Re-quotes the due winners (or one item, on demand), grouped by CEP: one browser context per
+ * CEP, with the CEP set on Mercado Livre first. A block stops the CEP group; its winners are due
+ * again on the next sweep.
+ * @param {object} [options]
+ * @param {number} [options.taskItemId] - only this item, whatever the age of its last check
+ * @returns {Promise<{ checked: number, alerts: number }>}
+ */
+async function runRequoteSweep(options = {}) {
+    const { intervalHours, maxAgeDays } = getRequoteConfig();
+    const targets = (await getRequoteTargets({ staleHours: intervalHours, maxAgeDays, taskItemId: options.taskItemId || null }))
+        .filter(isRequotable);
+    const summary = { checked: 0, alerts: 0 };
+    if (targets.length === 0) return summary;
+
+    console.log(`[Requote] ${targets.length} vencedores para re-cotar.`);
+    const byCep = new Map();
+    targets.forEach(t => byCep.set(t.cep || '', [...(byCep.get(t.cep || '') || []), t]));
+
+    const browser = limitBrowserPages(await initBrowser());
+    try {
+        for (const [cep, group] of byCep) {
+            // Own context per CEP: the ML CEP cookie of one group must not leak into the next
+            const { context, close } = await openProxiedContext(browser, [], acquireProxy(), { isolate: true });
+            limitBrowserPages(context);
+            try {
+                const page = await context.newPage();
+                if (cep && group.some(t => isMercadoLivreUrl(t.link))) await setCEP(page, cep);
+                for (const target of group) {
+                    const check = await requoteTarget(page, target);
+                    summary.checked++;
+                    if (check.alert) summary.alerts++;
+                    if (check.status === 'blocked') break;
+                }
+            } catch (e) {
+                console.error(`[Requote] CEP ${cep || '-'}: ${e.message}`);
+            } finally {
+                await close();
+            }
+        }
+    } finally {
+        await browser.close().catch(() => {});
+    }
+    console.log(`[Requote] ${summary.checked} re-cotados, ${summary.alerts} alertas.`);
+    return summary;
+}
+
+module.exports = {
+    REQUOTE_DEFAULTS,
+    UNAVAILABLE_CONFIRMATIONS,
+    getRequoteConfig,
+    isRequotable,
+    evaluatePriceCheck,
+    buildPriceChart,
+    buildItemPriceSeries,
+    runRequoteSweep
+};
@@ -0,0 +1,69 @@
+/**
+ * Cesta de preços: N independent price references per item.
+ *
+ * Tenders usually require at least three quotes from different suppliers. A quote counts when
+ * JUIZ accepted it (risk <= MAX_BASKET_RISK, the winner's threshold), it was not rejected by a
+ * buyer and it comes from a seller not already in the basket; the cheapest offer of each seller
+ * is taken, cheapest sellers first. The reference price is the median of the quotes
+ * (IN SEGES 65/2021, art. 6: média, mediana ou menor valor — the median resists outliers).
+ */
+
+const { normalizeText } = require('./marketplace/product');
+
+const MAX_BASKET_RISK = 7.0;
+const MAX_QUOTE_BASKET_SIZE = 10;
+
+const offerPrice = offer => parseFloat(offer.totalPrice || offer.price) || 0;
+
+// Same seller in two stores (e.g. a brand's own shop on ML and Magalu) is one supplier.
+// Without a seller name the listing itself is the supplier.
+function sellerKey(offer) {
+    const seller = offer.seller_name || (offer.seller && offer.seller.name);
+    if (seller) return `seller:${normalizeText(seller)}`;
+    return `offer:${offer.store || ''}:${offer.link}`;
+}
+
+function isCompliantQuote(offer, maxRisk = MAX_BASKET_RISK) {
+    const risk = parseFloat(offer.risk_score);
+    return !offer.is_rejected && !offer.priceAnomaly && offerPrice(offer) > 0 && !Number.isNaN(risk) && risk <= maxRisk;
+}
+
+function countDistinctSellers(offers) {
+    return new Set(offers.map(sellerKey)).size;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * @param {object[]} offers - candidates of one item (JUIZ output or getTaskFullResults offers)
+ * @param {number} size - quotes required
+ * @returns {{ size: number, quotes: number[], count: number, mean: number|null, median: number|null,
+ *             reference: number|null, complete: boolean }} `quotes` are indices into `offers`
+ */
+function buildQuoteBasket(offers, size, options = {}) {
+    const { maxRisk = MAX_BASKET_RISK } = options;
+    const bestBySeller = new Map();
+    (offers || []).forEach((offer, index) => {
+        if (!isCompliantQuote(offer, maxRisk)) return;
+        const key = sellerKey(offer);
+        const best = bestBySeller.get(key);
+        if (best === undefined || offerPrice(offer) < offerPrice(offers[best])) bestBySeller.set(key, index);
+    });
+
+    const quotes = [...bestBySeller.values()]
+        .sort((a, b) => offerPrice(offers[a]) - offerPrice(offers[b]))
+        .slice(0, size);
+    const prices = quotes.map(index => offerPrice(offers[index]));
+    const mean = prices.length ? round2(prices.reduce((sum, p) => sum + p, 0) / prices.length) : null;
+    const med = prices.length ? round2(median(prices)) : null;
+
+    return { size, quotes, count: quotes.length, mean, median: med, reference: med, complete: quotes.length >= size };
+}
+
+module.exports = { MAX_BASKET_RISK, MAX_QUOTE_BASKET_SIZE, sellerKey, isCompliantQuote, countDistinctSellers, buildQuoteBasket };
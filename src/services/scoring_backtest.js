@@ -0,0 +1,210 @@
+/**
+ * Scoring backtest: what a change of JUIZ rules does to past decisions.
+ *
+ * Replays the deterministic part of the JUIZ (deduplicateCandidates, then executeJuiz without a
+ * Gold Entity: price floor + calculateAdherenceScore + risk/price ranking, no AI call) over the
+ * candidates saved for finished tasks (item_candidates with their ProductDNA), twice: with the
+ * rule set each item was judged by (the profile recorded on its candidates, defaults before
+ * profiles existed) and with a candidate rule set. The PERITO specs the score needs (anchor,
+ * critical specs) are not in the database; they come from the item's HIVE-MIND debug log
+ * (logs/hivemind). Items without one are skipped. Run through scripts/backtest_scoring.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { executeJuiz, deduplicateCandidates } = require('../../modules/hivemind/agents/juiz');
+const { parseEvidence } = require('./candidate_evidence');
+const { toScoringProfile } = require('./scoring_profiles');
+
+const DEBUG_LOG_DIR = path.join(__dirname, '../../logs/hivemind');
+
+/**
+ * PERITO output logged by DebugLogger.agentOutput (pretty JSON after the "PERITO - OUTPUT" header).
+ * @returns {object|null}
+ */
+function parsePeritoOutput(logText) {
+    const lines = logText.split('\n');
+    // Last one wins: a re-run item appends to a new file, but a fallback loop may log twice
+    let start = -1;
+    lines.forEach((line, i) => { if (/\] PERITO - OUTPUT$/.test(line)) start = i + 2; });
+    if (start < 0) return null;
+    const end = lines.findIndex((line, i) => i >= start && line === '}');
+    if (end < 0) return null;
+    try {
+        return JSON.parse(lines.slice(start, end + 1).join('\n'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Debug log of an item run: the newest task_<id>_item_<originalId>_<ms>.log started before `before`
+ * (the attempt's candidates were saved at the end of that run).
+ */
+function findItemDebugLog(taskId, originalId, before, dir = DEBUG_LOG_DIR) {
+    if (!fs.existsSync(dir)) return null;
+    const prefix = `task_${taskId}_item_${originalId}_`;
+    const limit = before ? new Date(before).getTime() : Infinity;
+    const runs = fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.log'))
+        .map(name => ({ name, startedAt: parseInt(name.slice(prefix.length, -4), 10) }))
+        .filter(run => !Number.isNaN(run.startedAt) && run.startedAt <= limit)
+        .sort((a, b) => b.startedAt - a.startedAt);
+    return runs[0] ? path.join(dir, runs[0].name) : null;
+}
+
+// Specs in the shape executeJuiz takes them (calculateAdherenceScore drops the quotes of the anchor)
+function specsFromPerito(perito, description) {
+    return {
+        searchAnchor: perito.searchAnchorRaw || perito.searchAnchor || null,
+        criticalSpecs: perito.criticalSpecs || [],
+        killSpecs: perito.killSpecs || [],
+        originalDescription: perito.originalDescription || description
+    };
+}
+
+// Saved item_candidates row -> candidate as the SNIPER handed it to the JUIZ
+function toReplayCandidate(row) {
+    const evidence = parseEvidence(row);
+    const totalPrice = parseFloat(row.price) || 0;
+    return {
+        candidateId: row.id,
+        title: row.title || 'N/A',
+        price: evidence.basePrice !== null ? evidence.basePrice : totalPrice,
+        totalPrice,
+        store: row.store,
+        link: row.link,
+        productDNA: evidence.productDNA,
+        priceAnomaly: !!evidence.juiz.priceAnomaly,
+        anomalyReason: evidence.juiz.anomalyReason || null
+    };
+}
+
+/**
+ * One deterministic JUIZ run over copies of the saved candidates.
+ * @returns {Promise<{ candidates: object[], winner: object|null }>}
+ */
+async function replayItem(item, specs, profile) {
+    const candidates = deduplicateCandidates(item.candidates.map(row => toReplayCandidate(row)));
+    const result = await executeJuiz(
+        candidates,
+        null, // no Gold Entity: candidates without ProductDNA get the neutral risk instead of an AI match
+        specs.killSpecs,
+        { id: item.original_id, description: item.description, maxPrice: parseFloat(item.max_price) || 0 },
+        {},
+        specs,
+        null,
+        null,
+        profile
+    );
+    return { candidates: result.validatedCandidates, winner: result.validatedCandidates[result.winnerIndex] || null };
+}
+
+const describe = c => `"${(c.title || '').substring(0, 60)}" (R$ ${(c.totalPrice || c.price || 0).toFixed(2)}, risco ${parseFloat(c.risk_score).toFixed(1)})`;
+
+// Why the winner moved, in terms of the candidate rule set
+function explainChange(before, after, profile) {
+    const reasons = [];
+    const maxRisk = profile.weights.max_acceptable_risk;
+    const oldWinner = before.winner && after.candidates.find(c => c.candidateId === before.winner.candidateId);
+
+    if (!before.winner) {
+        reasons.push('antes nenhum candidato era aceitável');
+    } else if (!oldWinner) {
+        reasons.push(`vencedor anterior fora da análise (deduplicado)`);
+    } else if (oldWinner.priceFloorRejection) {
+        reasons.push(`vencedor anterior abaixo do piso de preço (${Math.round(profile.weights.price_floor_percentage * 100)}% do máximo)`);
+    } else if (parseFloat(oldWinner.risk_score) > maxRisk) {
+        reasons.push(`vencedor anterior com risco ${parseFloat(oldWinner.risk_score).toFixed(1)} > máximo ${maxRisk}`);
+    } else if (after.winner) {
+        reasons.push(`novo vencedor com risco ${parseFloat(after.winner.risk_score).toFixed(1)} contra ${parseFloat(oldWinner.risk_score).toFixed(1)}`
+            + (Math.abs(after.winner.risk_score - oldWinner.risk_score) <= 0.5 ? ' (empate técnico, decide o preço)' : ''));
+    }
+
+    if (!after.winner) {
+        reasons.push(`nenhum candidato com risco ≤ ${maxRisk}`);
+    } else {
+        const beforeVersion = before.candidates.find(c => c.candidateId === after.winner.candidateId);
+        if (beforeVersion && beforeVersion.adherenceScore !== undefined && after.winner.adherenceScore !== undefined) {
+            reasons.push(`pontuação do novo vencedor ${beforeVersion.adherenceScore} → ${after.winner.adherenceScore}`);
+        }
+        if (oldWinner && oldWinner.adherenceScore !== undefined && before.winner.adherenceScore !== undefined) {
+            reasons.push(`pontuação do vencedor anterior ${before.winner.adherenceScore} → ${oldWinner.adherenceScore}`);
+        }
+    }
+    return reasons;
+}
+
+/**
+ * Replays every item with its own rule set and with `profile`.
+ * @param {object[]} items - getBacktestItems rows
+ * @param {{ id, name, weights }} profile - candidate rule set
+ * @param {object} [options]
+ * @param {string} [options.logDir] - HIVE-MIND debug logs
+ * @returns {Promise<{ profile, analyzed: number, skipped: object[], changes: object[], divergent: number }>}
+ */
+async function runScoringBacktest(items, profile, options = {}) {
+    const report = { profile, analyzed: 0, skipped: [], changes: [], divergent: 0 };
+
+    for (const item of items) {
+        const label = { taskId: item.task_id, taskName: item.task_name, itemId: item.original_id, description: item.description };
+        const savedAt = item.candidates.reduce((latest, c) => (c.created_at > latest ? c.created_at : latest), item.candidates[0].created_at);
+        const logFile = findItemDebugLog(item.task_id, item.original_id, savedAt, options.logDir);
+        const perito = logFile ? parsePeritoOutput(fs.readFileSync(logFile, 'utf8')) : null;
+        if (!perito) {
+            report.skipped.push({ ...label, reason: logFile ? 'log sem saída do PERITO' : 'sem log de debug do HIVE-MIND' });
+            continue;
+        }
+
+        const specs = specsFromPerito(perito, item.description);
+        const judgedWith = item.candidates.map(row => parseEvidence(row).scoringProfile).find(Boolean) || toScoringProfile(null);
+        const before = await replayItem(item, specs, judgedWith);
+        const after = await replayItem(item, specs, profile);
+        report.analyzed++;
+
+        const recorded = item.candidates.find(c => c.ai_selected);
+        if ((recorded ? recorded.id : null) !== (before.winner ? before.winner.candidateId : null)) report.divergent++;
+
+        if ((before.winner ? before.winner.candidateId : null) !== (after.winner ? after.winner.candidateId : null)) {
+            report.changes.push({
+                ...label,
+                judgedWith: judgedWith.name,
+                recorded: recorded ? recorded.title : null,
+                before: before.winner ? describe(before.winner) : null,
+                after: after.winner ? describe(after.winner) : null,
+                reasons: explainChange(before, after, profile)
+            });
+        }
+    }
+    return report;
+}
+
+// Markdown diff report
+function formatBacktestReport(report) {
+    const lines = [
+        `# Backtest de pontuação do JUIZ — perfil "${report.profile.name}"`,
+        '',
+        `- Itens analisados: ${report.analyzed}`,
+        `- Vencedores que mudariam: ${report.changes.length}`,
+        `- Itens pulados: ${report.skipped.length}`,
+        `- Itens em que o replay das regras originais já diverge da decisão gravada (JUIZ por I.A.): ${report.divergent}`,
+        ''
+    ];
+    for (const change of report.changes) {
+        lines.push(`## Tarefa ${change.taskName || change.taskId} · item ${change.itemId}`);
+        lines.push(`${(change.description || '').substring(0, 120)}`);
+        lines.push('');
+        lines.push(`- Regras originais (${change.judgedWith}): ${change.before || 'sem vencedor'}`);
+        lines.push(`- Perfil "${report.profile.name}": ${change.after || 'sem vencedor'}`);
+        if (change.recorded) lines.push(`- Decisão gravada: "${change.recorded.substring(0, 60)}"`);
+        lines.push(`- Por quê: ${change.reasons.join('; ')}`);
+        lines.push('');
+    }
+    if (report.skipped.length > 0) {
+        lines.push('## Pulados');
+        report.skipped.forEach(s => lines.push(`- Tarefa ${s.taskName || s.taskId} · item ${s.itemId}: ${s.reason}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = { DEBUG_LOG_DIR, parsePeritoOutput, findItemDebugLog, replayItem, runScoringBacktest, formatBacktestReport };
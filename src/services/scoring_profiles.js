@@ -0,0 +1,98 @@
+/**
+ * JUIZ scoring profiles: the points of calculateAdherenceScore, the price floor (THE GUILLOTINE)
+ * and the highest risk a winner may have, as named rule sets stored in scoring_profiles.
+ *
+ * Edited in /admin/scoring. Each task picks a profile (tasks.scoring_profile_id, default profile
+ * when empty) and every candidate the HIVE-MIND scores keeps a copy of the profile it was judged
+ * with (item_candidates.scoring_profile), so editing a profile never rewrites past decisions.
+ * No database access here: database.js seeds BUILTIN_SCORING_PROFILES and resolves the task's.
+ */
+
+const SCORING_FIELDS = {
+    anchor_found: { default: 60, min: 0, max: 200, label: 'Âncora encontrada', hint: 'Pontos quando a âncora do PERITO está no anúncio.' },
+    anchor_missing: { default: 10, min: 0, max: 200, label: 'Âncora ausente', hint: 'Pontos quando a âncora não está no anúncio.' },
+    anchor_ignored: { default: 35, min: 0, max: 200, label: 'Âncora suspeita', hint: 'Pontos neutros quando a âncora parece alucinação (curta demais).' },
+    no_anchor: { default: 30, min: 0, max: 200, label: 'Sem âncora', hint: 'Pontos base quando o PERITO não definiu âncora.' },
+    spec_weight: { default: 10, min: 0, max: 100, label: 'Peso padrão de spec', hint: 'Pontos por spec crítica encontrada, quando o PERITO não deu peso.' },
+    ground_truth_bonus: { default: 20, min: 0, max: 100, label: 'Bônus ground-truth', hint: '70% ou mais das specs numéricas do edital no anúncio.' },
+    ground_truth_penalty: { default: 30, min: 0, max: 100, label: 'Penalidade ground-truth', hint: 'Menos de 30% das specs numéricas do edital no anúncio.' },
+    golden_model_bonus: { default: 30, min: 0, max: 100, label: 'Bônus modelo detectado', hint: 'Modelo do DETETIVE no título do anúncio.' },
+    enrichment_confirmed: { default: 10, min: 0, max: 50, label: 'Spec confirmada (enriquecimento)', hint: 'Por spec confirmada em fonte externa, vezes a confiança.' },
+    enrichment_denied: { default: 15, min: 0, max: 50, label: 'Spec negada (enriquecimento)', hint: 'Penalidade por spec que a fonte externa nega.' },
+    enrichment_unknown: { default: 3, min: 0, max: 50, label: 'Spec incerta (enriquecimento)', hint: 'Penalidade por spec que nem a fonte externa confirma.' },
+    price_floor_percentage: { default: 0.20, min: 0, max: 0.9, label: 'Piso de preço (fração do máximo)', hint: 'Abaixo disso é acessório ou sucata (THE GUILLOTINE). 0 desliga.' },
+    max_acceptable_risk: { default: 7.0, min: 0, max: 10, label: 'Risco máximo do vencedor', hint: 'Candidatos acima disso não vencem nem entram na cesta de preços.' }
+};
+
+const SCORING_DEFAULTS = Object.fromEntries(Object.entries(SCORING_FIELDS).map(([key, field]) => [key, field.default]));
+
+// Seeded on an empty scoring_profiles table; the first one is the default
+const BUILTIN_SCORING_PROFILES = [
+    {
+        name: 'Padrão',
+        description: 'Pontuação original do JUIZ.',
+        weights: {}
+    },
+    {
+        name: 'Rigoroso',
+        description: 'Anúncio sem a âncora ou contra o edital praticamente não vence.',
+        weights: { anchor_missing: 0, no_anchor: 20, ground_truth_penalty: 50, enrichment_denied: 25, enrichment_unknown: 6, max_acceptable_risk: 5.0 }
+    },
+    {
+        name: 'Preço primeiro',
+        description: 'Aceita mais risco para ficar com a oferta mais barata.',
+        weights: { anchor_missing: 20, ground_truth_penalty: 15, price_floor_percentage: 0.10, max_acceptable_risk: 8.0 }
+    },
+    {
+        name: 'Equipamento médico',
+        description: 'Modelo e specs do edital pesam mais; piso de preço alto contra peças e acessórios.',
+        weights: { anchor_missing: 0, spec_weight: 15, ground_truth_bonus: 30, ground_truth_penalty: 50, golden_model_bonus: 40, enrichment_denied: 30, price_floor_percentage: 0.30, max_acceptable_risk: 4.0 }
+    }
+];
+
+/**
+ * Complete weights from a partial set (form, API or stored JSON).
+ * @throws {Error} unknown field or value out of its range
+ */
+function normalizeScoringWeights(input = {}) {
+    const weights = { ...SCORING_DEFAULTS };
+    for (const [key, raw] of Object.entries(input || {})) {
+        const field = SCORING_FIELDS[key];
+        if (!field) throw new Error(`Campo de pontuação desconhecido: ${key}`);
+        if (raw === '' || raw === null || raw === undefined) continue;
+        const value = Number(String(raw).replace(',', '.'));
+        if (Number.isNaN(value) || value < field.min || value > field.max) {
+            throw new Error(`${field.label}: valor de ${field.min} a ${field.max}.`);
+        }
+        weights[key] = value;
+    }
+    return weights;
+}
+
+// Only the fields that differ from the defaults (what a profile stores)
+function scoringOverrides(weights) {
+    return Object.fromEntries(Object.entries(weights).filter(([key, value]) => SCORING_DEFAULTS[key] !== value));
+}
+
+/**
+ * Profile as the agents use it (and as candidates record it) from a scoring_profiles row.
+ * Without a row: the built-in default, id null.
+ * @returns {{ id: number|null, name: string, weights: object }}
+ */
+function toScoringProfile(row) {
+    if (!row) return { id: null, name: BUILTIN_SCORING_PROFILES[0].name, weights: { ...SCORING_DEFAULTS } };
+    let stored = row.weights;
+    if (typeof stored === 'string') {
+        try { stored = JSON.parse(stored); } catch (e) { stored = {}; }
+    }
+    // Fields added after the profile was saved take their default; a stored value out of range falls back too
+    let weights;
+    try {
+        weights = normalizeScoringWeights(Object.fromEntries(Object.entries(stored || {}).filter(([key]) => SCORING_FIELDS[key])));
+    } catch (e) {
+        weights = { ...SCORING_DEFAULTS };
+    }
+    return { id: row.id, name: row.name, weights };
+}
+
+module.exports = { SCORING_FIELDS, SCORING_DEFAULTS, BUILTIN_SCORING_PROFILES, normalizeScoringWeights, scoringOverrides, toScoringProfile };
@@ -0,0 +1,46 @@
+/**
+ * Symmetric encryption for secrets stored in the database (AES-256-GCM).
+ *
+ * The key is derived from VAULT_KEY, falling back to SESSION_SECRET. Changing it makes
+ * everything sealed before unreadable (open() throws), so set VAULT_KEY once and keep it.
+ * Sealed format: `v1:<iv>:<auth tag>:<ciphertext>`, all base64.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT = 'v1';
+const DEFAULT_SECRET = 'agente-mabus-secret-key-12345'; // same fallback as the session secret in server.js
+
+let cachedKey = null;
+let cachedSecret = null;
+
+function getKey() {
+    const secret = process.env.VAULT_KEY || process.env.SESSION_SECRET || DEFAULT_SECRET;
+    if (secret !== cachedSecret) {
+        if (secret === DEFAULT_SECRET) console.warn('[SecretBox] VAULT_KEY not set: secrets are encrypted with the default key.');
+        cachedKey = crypto.scryptSync(secret, 'agente-mabus-vault', 32);
+        cachedSecret = secret;
+    }
+    return cachedKey;
+}
+
+function seal(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [FORMAT, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function open(sealed) {
+    const [format, iv, tag, ciphertext] = String(sealed || '').split(':');
+    if (format !== FORMAT || !iv || !tag || ciphertext === undefined) throw new Error('Formato de segredo inválido.');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    try {
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (e) {
+        throw new Error('Não foi possível descriptografar (VAULT_KEY mudou?).');
+    }
+}
+
+module.exports = { seal, open };
@@ -0,0 +1,37 @@
+/**
+ * In-process event bus for live task progress, consumed by the SSE endpoint
+ * (GET /api/tasks/:id/events).
+ *
+ * Event types:
+ * - log:        { id, message, level, timestamp }   (id = task_logs.id)
+ * - task:       { status }
+ * - item:       { id, original_id, status, final_state, error_message }
+ * - stage:      { original_id, stage }               (HIVE-MIND state machine)
+ * - candidates: { id, original_id, count, winner }
+ *
+ * subscribeAllTasks() receives every event with its taskId (used by integrations).
+ */
+
+const { EventEmitter } = require('events');
+
+const ALL_TASKS = Symbol('all-tasks');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open browser tab
+
+function emitTaskEvent(taskId, type, data) {
+    bus.emit(taskId, { type, data });
+    bus.emit(ALL_TASKS, { taskId, type, data });
+}
+
+function subscribeTask(taskId, listener) {
+    bus.on(taskId, listener);
+    return () => bus.off(taskId, listener);
+}
+
+function subscribeAllTasks(listener) {
+    bus.on(ALL_TASKS, listener);
+    return () => bus.off(ALL_TASKS, listener);
+}
+
+module.exports = { emitTaskEvent, subscribeTask, subscribeAllTasks };
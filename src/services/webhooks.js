@@ -0,0 +1,273 @@
+/**
+ * Outbound webhooks.
+ *
+ * Subscriptions belong to a user or a group and match the tasks they own.
+ * Every matching event creates a row in webhook_deliveries and a job in the
+ * 'webhooks' queue, which retries with exponential backoff (see src/queue.js).
+ *
+ * Requests are POSTed as JSON with:
+ * - X-Mabus-Event:      event name
+ * - X-Mabus-Delivery:   webhook_deliveries.id (stable across retries)
+ * - X-Mabus-Timestamp:  unix seconds of this attempt
+ * - X-Mabus-Signature:  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Target URLs must resolve to public addresses (checked on registration and again before
+ * every attempt, which then connects to the checked address) unless the admin setting
+ * webhooks_allow_private is 'true'; only admins may use a non-default port. Redirects are
+ * not followed: a 3xx fails the delivery.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {
+    getSetting,
+    getTaskById,
+    getTaskItems,
+    getWebhookById,
+    getWebhooksForEvent,
+    createWebhookDelivery,
+    getWebhookDeliveryById,
+    updateWebhookDelivery
+} = require('../database');
+const { enqueueWebhookDelivery } = require('../queue');
+
+const WEBHOOK_EVENTS = ['task.completed', 'task.failed', 'item.winner_selected', 'item.no_result', 'item.price_alert'];
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY = 2000;
+
+// Loopback, link-local (cloud metadata), private, CGNAT, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1, written ::ffff:7f00:1 by URL) is checked as IPv4
+    const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (dotted) return PRIVATE_ADDRESSES.check(dotted[1], 'ipv4');
+    const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (hex) {
+        const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+        return PRIVATE_ADDRESSES.check([high >> 8, high & 255, low >> 8, low & 255].join('.'), 'ipv4');
+    }
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolves the host of `url` and throws when the worker must not POST to it.
+ * @param {string} url
+ * @param {object} [options]
+ * @param {boolean} [options.allowPrivate] - accept hosts resolving to internal addresses
+ * @param {boolean} [options.allowAnyPort] - accept ports other than 80 / 443 (admins)
+ * @returns {Promise<{address: string, family: number}>} the address to connect to (see postWebhook)
+ */
+async function checkWebhookUrl(url, options = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error('URL inválida (use http:// ou https://).');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('URL inválida (use http:// ou https://).');
+    // URL drops the port when it is the protocol default
+    if (parsed.port && !options.allowAnyPort) throw new Error('Use a porta padrão (80 ou 443).');
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true, verbatim: true });
+    } catch (e) {
+        throw new Error(`Não foi possível resolver ${host}.`);
+    }
+    if (!options.allowPrivate && addresses.some(a => isPrivateAddress(a.address))) {
+        throw new Error(`${host} aponta para um endereço interno; apenas endereços públicos são aceitos.`);
+    }
+    return { address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * POSTs to `url` connecting only to `target` (from checkWebhookUrl), so the host cannot resolve
+ * elsewhere between the check and the request. Redirects are returned, never followed.
+ * @returns {Promise<{status: number, body: string}>} body cut at MAX_RESPONSE_BODY
+ */
+function postWebhook(url, target, headers, body) {
+    const parsed = new URL(url);
+    const client = parsed.protocol === 'https:' ? https : http;
+    const lookup = (hostname, opts, callback) => {
+        if (opts && opts.all) return callback(null, [target]);
+        callback(null, target.address, target.family);
+    };
+    return new Promise((resolve, reject) => {
+        const req = client.request(parsed, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { if (text.length < MAX_RESPONSE_BODY) text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: text.substring(0, MAX_RESPONSE_BODY) }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function isPrivateWebhookAllowed() {
+    return await getSetting('webhooks_allow_private') === 'true';
+}
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function buildPayload(event, task, data) {
+    const payload = {
+        event,
+        created_at: new Date().toISOString(),
+        task: {
+            id: task.id,
+            name: task.name,
+            status: task.status,
+            module: task.module_name,
+            external_link: task.external_link,
+            user_id: task.user_id,
+            group_id: task.group_id
+        }
+    };
+
+    if (event.startsWith('task.')) {
+        const items = await getTaskItems(task.id);
+        const summary = { total: items.length };
+        items.forEach(i => { summary[i.status] = (summary[i.status] || 0) + 1; });
+        payload.summary = summary;
+        if (data.error) payload.error = data.error;
+    }
+
+    if (data.item) {
+        payload.item = {
+            id: data.item.original_id,
+            db_id: data.item.id,
+            description: data.item.description,
+            max_price: data.item.max_price !== null ? parseFloat(data.item.max_price) : null,
+            quantity: data.item.quantity,
+            final_state: data.finalState || null
+        };
+    }
+
+    if (data.winner) {
+        payload.winner = {
+            title: data.winner.title,
+            totalPrice: data.winner.totalPrice,
+            link: data.winner.link,
+            store: data.winner.store || null
+        };
+        payload.offers_count = data.offersCount;
+    }
+
+    // Winner picked by a buyer on the item page instead of JUIZ
+    if (data.curatedBy) payload.curated_by = data.curatedBy;
+
+    // Re-quote of a finished task: winner above max_price or listing gone (src/services/price_history.js)
+    if (data.priceAlert) payload.price_alert = data.priceAlert;
+
+    return payload;
+}
+
+// Never throws: a broken subscription must not fail the task that fired it
+async function dispatchWebhookEvent(event, taskId, data = {}) {
+    try {
+        const task = await getTaskById(taskId);
+        if (!task) return;
+        const hooks = await getWebhooksForEvent(task, event);
+        if (hooks.length === 0) return;
+
+        const payload = await buildPayload(event, task, data);
+        for (const hook of hooks) {
+            const deliveryId = await createWebhookDelivery({ webhook_id: hook.id, event, task_id: task.id, payload });
+            await enqueueWebhookDelivery(deliveryId);
+        }
+    } catch (e) {
+        console.error(`[Webhooks] Failed to dispatch ${event} for task ${taskId}:`, e.message);
+    }
+}
+
+// One attempt. Throws on failure so the queue schedules the next one.
+async function deliverWebhook(deliveryId, attempt) {
+    const delivery = await getWebhookDeliveryById(deliveryId);
+    if (!delivery) return;
+    const hook = await getWebhookById(delivery.webhook_id);
+    if (!hook || !hook.is_active) {
+        await updateWebhookDelivery(deliveryId, { status: 'failed', error_message: 'Webhook removido ou desativado.' });
+        return;
+    }
+
+    // The host may resolve elsewhere since registration; a blocked target is not retried
+    let target;
+    try {
+        target = await checkWebhookUrl(hook.url, { allowPrivate: await isPrivateWebhookAllowed(), allowAnyPort: true });
+    } catch (e) {
+        await updateWebhookDelivery(deliveryId, { status: 'failed', attempts: attempt, response_status: null, error_message: e.message });
+        return;
+    }
+
+    const body = JSON.stringify({ ...delivery.payload, delivery_id: delivery.id });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let response;
+    try {
+        response = await postWebhook(hook.url, target, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Mabus-Webhooks/1.0',
+            'X-Mabus-Event': delivery.event,
+            'X-Mabus-Delivery': String(delivery.id),
+            'X-Mabus-Timestamp': String(timestamp),
+            'X-Mabus-Signature': signPayload(hook.secret, timestamp, body)
+        }, body);
+    } catch (e) {
+        await updateWebhookDelivery(deliveryId, { status: 'retrying', attempts: attempt, response_status: null, error_message: e.message });
+        throw e;
+    }
+
+    // A redirect could point anywhere: fail without following it or retrying
+    if (response.status >= 300 && response.status < 400) {
+        await updateWebhookDelivery(deliveryId, { status: 'failed', attempts: attempt, response_status: response.status, response_body: response.body, error_message: `HTTP ${response.status}: redirecionamentos não são seguidos` });
+        return;
+    }
+    if (response.status < 200 || response.status >= 300) {
+        const message = `HTTP ${response.status}`;
+        await updateWebhookDelivery(deliveryId, { status: 'retrying', attempts: attempt, response_status: response.status, response_body: response.body, error_message: message });
+        throw new Error(message);
+    }
+
+    await updateWebhookDelivery(deliveryId, { status: 'success', attempts: attempt, response_status: response.status, response_body: response.body, error_message: null });
+}
+
+async function redeliverWebhook(deliveryId) {
+    await updateWebhookDelivery(deliveryId, { status: 'pending', error_message: null });
+    await enqueueWebhookDelivery(deliveryId);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    checkWebhookUrl,
+    postWebhook,
+    isPrivateWebhookAllowed,
+    generateWebhookSecret,
+    signPayload,
+    dispatchWebhookEvent,
+    deliverWebhook,
+    redeliverWebhook
+};
@@ -1,29 +1,76 @@
 const fs = require('fs');
 const path = require('path');
-const pLimit = require('p-limit');
+const { Worker, DelayedError, WaitingChildrenError, UnrecoverableError } = require('bullmq');
 const { readInput } = require('./input');
 const {
     updateTaskStatus,
     getTaskById,
-    getNextPendingTask,
+    getUnfinishedTasks,
+    countRunningTasks,
     createTaskItems,
-    getTaskItem,
+    getTaskItemById,
     getTaskItems,
+    updateTaskItemStatus,
+    queueTaskItems,
     saveCandidates,
+    saveCandidateSnapshot,
     logTaskMessage,
-    getSetting
+    getTaskMetadata,
+    getTaskScoringProfile,
+    getSetting,
+    updateWebhookDelivery,
+    recordBlockEvent
 } = require('./database');
+const {
+    TASK_QUEUE,
+    ITEM_QUEUE,
+    WEBHOOK_QUEUE,
+    REQUOTE_QUEUE,
+    LOCK_DURATION,
+    STALLED_INTERVAL,
+    MAX_STALLED_COUNT,
+    createConnection,
+    enqueueTask,
+    enqueueItem,
+    scheduleRequoteSweep,
+    isTaskQueued
+} = require('./queue');
+const {
+    BUDGET_DEFAULTS,
+    refreshBudgets,
+    getBudget,
+    limitBrowserPages,
+    tryStartItem,
+    finishItem,
+    forgetTask
+} = require('./services/budget');
+const { emitTaskEvent } = require('./services/task_events');
+const { dispatchWebhookEvent, deliverWebhook } = require('./services/webhooks');
+const { openProxiedContext, acquireProxy } = require('./services/marketplace/proxies');
+const { bindCookieSet, cookieSetForPage } = require('./services/marketplace/cookie_vault');
+const { getRandomUserAgent } = require('./services/marketplace/browser');
+const { MAX_BLOCK_RECOVERIES, withBlockRecovery } = require('./services/marketplace/block_recovery');
+const { buildQuoteBasket } = require('./services/quote_basket');
+const { shouldCapture, captureProductPage } = require('./services/evidence');
+const { getRequoteConfig, runRequoteSweep } = require('./services/price_history');
+const { runWithAiUsage } = require('./services/ai_usage');
 
 // --- CONFIGURATION ---
-const POLL_INTERVAL = 5000;
-const CONCURRENT_ITEMS_LIMIT = 12;
-let isProcessing = false;
+// Jobs over budget (too many running tasks, no fair item slot) are delayed and checked again
+const TASK_GATE_DELAY = 5000;
+const ITEM_SLOT_DELAY = 2000;
+
+// Items in these states keep their outcome when a task is resumed
+const SETTLED_ITEM_STATUSES = ['done', 'no_result', 'skipped'];
+
+let itemWorker = null;
 
 console.log('[Worker] System Initialized. Waiting for tasks...');
 
 // --- LOGGER ---
 function Logger(taskId, logPath) {
     this.taskId = taskId;
+    this.stages = {}; // itemId -> last HIVE-MIND stage reported
 
     this.log = (msg) => {
         const timestamp = new Date().toLocaleTimeString('pt-BR');
@@ -37,6 +84,10 @@ function Logger(taskId, logPath) {
     };
     
     this.thought = (itemId, stage, content) => {
+        if (this.stages[itemId] !== stage && this.taskId) {
+            emitTaskEvent(this.taskId, 'stage', { original_id: itemId, stage });
+        }
+        this.stages[itemId] = stage;
         if (!content) return;
         const payload = {
             itemId: itemId,
@@ -51,6 +102,19 @@ function Logger(taskId, logPath) {
     }
 }
 
+// --- ITEM STATUS ---
+// Persists the item lifecycle and pushes it to live viewers of the task
+async function setItemStatus(item, status, details = {}) {
+    await updateTaskItemStatus(item.id, status, details);
+    emitTaskEvent(item.task_id, 'item', {
+        id: item.id,
+        original_id: item.original_id,
+        status,
+        final_state: details.finalState || null,
+        error_message: details.errorMessage || null
+    });
+}
+
 // --- MODULE LOADER ---
 const modulesPath = path.join(__dirname, '../modules');
 const loadedModules = {};
@@ -74,43 +138,212 @@ function loadModule(moduleName) {
     return null;
 }
 
-// --- MAIN LOOP ---
-function startWorker() {
-    console.log('[Worker] Starting polling loop...');
-    setInterval(async () => {
-        if (isProcessing) return;
+// --- BROWSER SESSIONS ---
+// One browser per running task and module, shared by its item jobs in this process.
+// Items re-run with another module (module_override) get a session of their own.
+const sessions = new Map(); // `${taskId}:${moduleName}` -> Promise<session>
 
-        try {
-            const nextTask = await getNextPendingTask();
+function itemModule(task, item) {
+    // HIVE-MIND is now the default module
+    return (item && item.module_override) || task.module_name || 'hivemind';
+}
 
-            if (nextTask) {
-                console.log(`[Worker] Found task: ${nextTask.name} (ID: ${nextTask.id})`);
-                isProcessing = true;
+async function openSession(task, moduleName) {
+    const { id: taskId, cep, log_file: logPath } = task;
+    const logger = new Logger(taskId, logPath);
 
+    const mod = loadModule(moduleName);
+    if (!mod) throw new UnrecoverableError(`Module '${moduleName}' not found.`);
+
+    let browser = null;
+    if (mod.initBrowser) {
+        logger.log('🌐 Abrindo navegador...');
+        browser = limitBrowserPages(await mod.initBrowser());
+    }
+
+    // Cookies of the CEP page, copied into every item context when proxies are in use
+    // (or when a block moved the session to a fresh identity)
+    let cookies = [];
+    let isolate = false;
+    let cookieSetId = null; // set of the cookie vault loaded by setCEP, scored on every page of the session
+    if (mod.setCEP && browser) {
+        const cepSession = { taskId, moduleName, logger };
+        let cepContext = null;
+        try {
+            await withBlockRecovery(async () => {
+                cepContext = cepContext || await openContext(browser);
+                const page = await cepContext.context.newPage();
+                logger.log(`📍 Configurando CEP: ${cep}...${cepContext.proxy ? ` (proxy ${cepContext.proxy.id})` : ''}`);
                 try {
-                    await processTask(nextTask);
-                } catch (e) {
-                    console.error(`[Worker] Error processing task ${nextTask.id}:`, e);
-                    await updateTaskStatus(nextTask.id, 'failed');
-                    logTaskMessage(nextTask.id, `Task Failed: ${e.message}`, 'error');
+                    await mod.setCEP(page, cep, { cookieFile: !isolate });
+                    cookieSetId = cookieSetForPage(page);
                 } finally {
-                    isProcessing = false;
-                    console.log(`[Worker] Finished processing task ${nextTask.id}. Ready for next.`);
+                    await page.close().catch(() => {});
                 }
+            }, {
+                onBlock: (e, block) => onBlock(cepSession, null, e, block),
+                recover: async () => {
+                    await cepContext.close();
+                    cepContext = await openIdentityContext(browser);
+                    isolate = true;
+                }
+            });
+            if (cepContext.proxy || isolate) cookies = await cepContext.context.cookies();
+        } catch(e) {
+            logger.log(`❌ Erro ao configurar CEP: ${e.message}`);
+            if (moduleName === 'gemini_meli') {
+                await browser.close();
+                throw e;
             }
-        } catch (e) {
-            console.error('[Worker] Error in polling loop:', e);
-            isProcessing = false;
+        } finally {
+            if (cepContext) await cepContext.close();
         }
-    }, POLL_INTERVAL);
+    }
+
+    let overrideProvider = null;
+    try {
+        const metaRows = await getTaskMetadata(taskId);
+        if (metaRows && metaRows.data) {
+             const metaData = typeof metaRows.data === 'string' ? JSON.parse(metaRows.data) : metaRows.data;
+             if (metaData.ai_provider_override) {
+                 overrideProvider = metaData.ai_provider_override;
+             }
+        }
+    } catch(e) { /* ignore */ }
+
+    // Fetch AI Settings for Sniper
+    const globalProvider = await getSetting('sniper_provider');
+
+    const sniperConfig = {
+        provider: overrideProvider || globalProvider,
+        model: await getSetting('sniper_model'),
+        apiKey: await getSetting('sniper_api_key')
+    };
+
+    logger.log(`🤖 Configuração de IA: ${sniperConfig.provider || 'Padrão'} ${overrideProvider ? '(Manual)' : '(Global)'}`);
+
+    // Read when the session opens, not per item: editing the profile mid-run does not mix two rule sets
+    const scoringProfile = await getTaskScoringProfile(task);
+    logger.log(`⚖️ Perfil de pontuação do JUIZ: ${scoringProfile.name}`);
+
+    return { taskId, mod, moduleName, browser, logger, sniperConfig, cookies, isolate, cookieSetId, scoringProfile, pausedUntil: 0 };
 }
 
-// --- TASK PROCESSOR ---
-async function processTask(task) {
-    const { id: taskId, cep, input_file: filePath, log_file: logPath, module_name } = task;
+// Browser context bound to the next proxy of the pool; the browser itself when there are no proxies
+// (unless `isolate`: the session's default context was burned by a block)
+async function openContext(browser, cookies = [], isolate = false, cookieSetId = null) {
+    const ctx = await openProxiedContext(browser, cookies, acquireProxy(), { isolate });
+    if (ctx.context !== browser) limitBrowserPages(ctx.context);
+    bindCookieSet(ctx.context, cookieSetId);
+    return ctx;
+}
+
+// New identity after a block: own context (clean cookie jar), next healthy proxy, another user agent
+async function openIdentityContext(browser) {
+    const ctx = await openProxiedContext(browser, [], acquireProxy(), { isolate: true, userAgent: getRandomUserAgent() });
+    limitBrowserPages(ctx.context);
+    return ctx;
+}
+
+// --- BLOCK RECOVERY ---
+// A block pauses the whole session (its items wait out the backoff before opening a context)
+// and is recorded in block_events for the admin dashboard.
+async function onBlock(session, item, e, { blockNumber, giveUp, delay }) {
+    const who = item ? `[Item ${item.original_id}] ` : '';
+    if (giveUp) {
+        session.logger.log(`🚫 ${who}Bloqueado pelo Mercado Livre (${e.where || 'página'}) ${blockNumber}x seguidas. Desistindo.`);
+    } else {
+        session.pausedUntil = Math.max(session.pausedUntil || 0, Date.now() + delay);
+        session.logger.log(`🚧 ${who}Bloqueado pelo Mercado Livre (${e.where || 'página'})${e.proxy ? ` via ${e.proxy}` : ''}. Pausando ${Math.round(delay / 1000)}s e trocando identidade (proxy, user agent, cookies, CEP)...`);
+    }
+    await recordBlockEvent({
+        taskId: session.taskId,
+        taskItemId: item ? item.id : null,
+        moduleName: session.moduleName,
+        stage: e.where,
+        url: e.url,
+        proxy: e.proxy,
+        blockNumber,
+        action: giveUp ? 'gave_up' : 'retry',
+        backoffMs: delay
+    });
+}
+
+async function waitForSessionPause(session) {
+    const wait = (session.pausedUntil || 0) - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+}
+
+function getSession(task, moduleName = itemModule(task)) {
+    const key = `${task.id}:${moduleName}`;
+    let pending = sessions.get(key);
+    if (!pending) {
+        pending = openSession(task, moduleName);
+        sessions.set(key, pending);
+        pending.catch(() => sessions.delete(key));
+    }
+    return pending;
+}
+
+// Reopens the session if its browser died (crash, OOM) instead of failing every remaining item
+async function getLiveSession(task, moduleName = itemModule(task)) {
+    const key = `${task.id}:${moduleName}`;
+    const pending = getSession(task, moduleName);
+    const session = await pending;
+    if (session.browser && !session.browser.connected) {
+        if (sessions.get(key) === pending) sessions.delete(key);
+        return getSession(task, moduleName);
+    }
+    return session;
+}
+
+async function closeSession(taskId) {
+    forgetTask(taskId);
+    for (const [key, pending] of sessions) {
+        if (!key.startsWith(`${taskId}:`)) continue;
+        sessions.delete(key);
+        try {
+            const session = await pending;
+            if (session.browser) await session.browser.close();
+        } catch (e) { /* session never opened */ }
+    }
+}
+
+// --- TASK JOB ---
+// Runs in two steps: 'prepare' loads the items and enqueues one child job per item,
+// 'finalize' runs once every child job has finished (completed or out of retries).
+async function processTaskJob(job, token) {
+    const { taskId } = job.data;
+    let step = job.data.step || 'prepare';
+
+    const task = await getTaskById(taskId);
+    if (!task) return;
+
+    if (step === 'prepare') {
+        if (task.status !== 'pending' && task.status !== 'running') return;
+
+        // Global budget of tasks running at the same time
+        if (await countRunningTasks(taskId) >= await getBudget('max_concurrent_tasks')) {
+            await job.moveToDelayed(Date.now() + TASK_GATE_DELAY, token);
+            throw new DelayedError();
+        }
+
+        await prepareTask(job, task);
+        await job.updateData({ ...job.data, step: 'finalize' });
+        step = 'finalize';
+    }
+
+    if (step === 'finalize') {
+        if (await job.moveToWaitingChildren(token)) throw new WaitingChildrenError();
+        await finalizeTask(taskId);
+    }
+}
+
+async function prepareTask(job, task) {
+    const { id: taskId, input_file: filePath, log_file: logPath, module_name } = task;
     // HIVE-MIND is now the default module
     const moduleName = module_name || 'hivemind';
-    
+
     const logger = new Logger(taskId, logPath);
     logger.log(`🚀 Iniciando Missão #${taskId}`);
     logger.log(`🛠️ Módulo Definido: ${moduleName}`);
@@ -118,149 +351,350 @@ async function processTask(task) {
 
     await updateTaskStatus(taskId, 'running');
 
-    let browser = null;
+    // 1. Resolve Items (DB Priority -> File Fallback)
+    logger.log(`[Worker] Verificando itens da tarefa...`);
+    let items = await getTaskItems(taskId);
+
+    if (items && items.length > 0) {
+         logger.log(`[DB] ${items.length} itens recuperados do banco de dados.`);
+    } else {
+         // Fallback to File
+         if (!fs.existsSync(filePath)) throw new UnrecoverableError(`Input file not found: ${filePath} AND no DB items found.`);
+
+         logger.log(`[Worker] Lendo arquivo de entrada: ${filePath}`);
+         const fileItems = await readInput(filePath);
+         logger.log(`📄 Itens lidos do arquivo: ${fileItems.length}`);
+
+         if (fileItems.length > 0) {
+             logger.log(`[DB] Persistindo itens no banco...`);
+             await createTaskItems(taskId, fileItems);
+         }
+         items = await getTaskItems(taskId);
+    }
 
-    try {
-        const mod = loadModule(moduleName);
-        if (!mod) throw new Error(`Module '${moduleName}' not found.`);
-
-        // 1. Resolve Items (DB Priority -> File Fallback)
-        logger.log(`[Worker] Verificando itens da tarefa...`);
-        let items = await getTaskItems(taskId);
-        
-        if (items && items.length > 0) {
-             logger.log(`[DB] ${items.length} itens recuperados do banco de dados.`);
-             // Normalize keys
-             items = items.map(i => ({
-                 id: i.original_id,
-                 description: i.description,
-                 valor_venda: parseFloat(i.max_price),
-                 quantidade: i.quantity
-             }));
-        } else {
-             // Fallback to File
-             if (!fs.existsSync(filePath)) throw new Error(`Input file not found: ${filePath} AND no DB items found.`);
+    if (items.length === 0) {
+        const msg = "ERRO CRÍTICO: Nenhum item encontrado (DB ou Arquivo).";
+        logger.log(msg);
+        throw new UnrecoverableError(msg);
+    }
 
-             logger.log(`[Worker] Lendo arquivo de entrada: ${filePath}`);
-             items = await readInput(filePath);
-             logger.log(`📄 Itens lidos do arquivo: ${items.length}`);
+    // Resume: items already done keep their results, only pending/failed ones run again
+    const todo = items.filter(i => !SETTLED_ITEM_STATUSES.includes(i.status));
+    if (todo.length < items.length) {
+        logger.log(`⏭️ Retomando: ${items.length - todo.length} itens já concluídos serão pulados.`);
+    }
+    if (todo.length === 0) return;
 
-             if (items.length > 0) {
-                 logger.log(`[DB] Persistindo itens no banco...`);
-                 await createTaskItems(taskId, items);
-             }
-        }
+    // 2. Browser + CEP (fails the task before any item is queued)
+    for (const name of new Set(todo.map(i => itemModule(task, i)))) {
+        await getSession(task, name);
+    }
 
-        if (items.length === 0) {
-            const msg = "ERRO CRÍTICO: Nenhum item encontrado (DB ou Arquivo).";
-            logger.log(msg);
-            await updateTaskStatus(taskId, 'failed');
-            return;
-        }
+    // 3. One job per item
+    for (const [index, item] of todo.entries()) {
+        await enqueueItem(job, taskId, item.id, index);
+    }
+    await queueTaskItems(todo.map(i => i.id));
+    for (const item of todo) {
+        emitTaskEvent(taskId, 'item', { id: item.id, original_id: item.original_id, status: 'queued' });
+    }
+    logger.log(`⚡ ${todo.length} itens na fila. Processamento Paralelo: até ${await getBudget('items_per_task')} threads.`);
+}
 
-        // 2. Init Browser
-        if (mod.initBrowser) {
-            logger.log('🌐 Abrindo navegador...');
-            browser = await mod.initBrowser();
-        }
+async function finalizeTask(taskId) {
+    const task = await getTaskById(taskId);
+    const logger = new Logger(taskId, task.log_file);
 
-        // 3. Set CEP
-        if (mod.setCEP && browser) {
-            const page = await browser.newPage();
-            logger.log(`📍 Configurando CEP: ${cep}...`);
-            try {
-                await mod.setCEP(page, cep);
-            } catch(e) {
-                logger.log(`❌ Erro ao configurar CEP: ${e.message}`);
-                if (moduleName === 'gemini_meli') throw e;
-            }
-            await page.close();
-        }
+    await closeSession(taskId);
 
-        // 4. Execute Module Logic
-        const concurrency = pLimit(CONCURRENT_ITEMS_LIMIT);
-        logger.log(`⚡ Processamento Paralelo: ${CONCURRENT_ITEMS_LIMIT} threads.`);
+    if (task.status === 'aborted' || task.status === 'failed') {
+        logger.log('🛑 Tarefa abortada pelo usuário.');
+        return;
+    }
 
-        const { getTaskMetadata } = require('./database');
-        let overrideProvider = null;
-        try {
-            const metaRows = await getTaskMetadata(taskId);
-            if (metaRows && metaRows.data) {
-                 const metaData = typeof metaRows.data === 'string' ? JSON.parse(metaRows.data) : metaRows.data;
-                 if (metaData.ai_provider_override) {
-                     overrideProvider = metaData.ai_provider_override;
-                 }
-            }
-        } catch(e) { /* ignore */ }
+    logger.log('🎉 Finalizado com Sucesso. Resultados persistidos no Banco de Dados.');
+    await updateTaskStatus(taskId, 'completed', 'db-generated');
+    await dispatchWebhookEvent('task.completed', taskId);
+}
 
-        // Fetch AI Settings for Sniper
-        const globalProvider = await getSetting('sniper_provider');
+// --- ITEM JOB ---
+async function processItemJob(job, token) {
+    const { taskId, itemId } = job.data;
 
-        const sniperConfig = {
-            provider: overrideProvider || globalProvider,
-            model: await getSetting('sniper_model'),
-            apiKey: await getSetting('sniper_api_key')
-        };
+    // Already processed (job re-run after a stall)
+    const item = await getTaskItemById(itemId);
+    if (!item || SETTLED_ITEM_STATUSES.includes(item.status)) return;
 
-        logger.log(`🤖 Configuração de IA: ${sniperConfig.provider || 'Padrão'} ${overrideProvider ? '(Manual)' : '(Global)'}`);
-
-        const promises = items.map((item, index) => concurrency(async () => {
-            // Re-check task status
-            const currentTask = await getTaskById(taskId);
-            if (currentTask && (currentTask.status === 'aborted' || currentTask.status === 'failed')) return;
-
-            const itemJob = {
-                id: item.ID || item.id,
-                description: item.Descricao || item.Description || item.description,
-                maxPrice: item.valor_venda,
-                quantity: item.quantidade,
-                browser: browser,
-                cep: cep,
-                logger: logger
-            };
-
-            logger.log(`[Item ${itemJob.id}] Iniciando processamento...`);
-
-            try {
-                // Pass dependencies/config to execute if supported
-                const result = await mod.execute(itemJob, sniperConfig);
-
-                // Result structure: { ..., offers: [...], winnerIndex: N }
-                if (result && result.offers && result.offers.length > 0) {
-                    // Save to DB
-                    const dbItem = await getTaskItem(taskId, itemJob.id);
-                    if (dbItem) {
-                        await saveCandidates(dbItem.id, result.offers, result.winnerIndex);
-                        logger.log(`[Item ${itemJob.id}] ✅ Resultados salvos no banco.`);
-                    } else {
-                        logger.log(`[Item ${itemJob.id}] ⚠️ ERRO: Item não encontrado no DB.`);
-                    }
-                } else {
-                     logger.log(`[Item ${itemJob.id}] ⚠️ Nenhum resultado encontrado.`);
-                }
-            } catch (e) {
-                logger.log(`💥 [Item ${itemJob.id}] Falha Crítica: ${e.message}`);
-            }
-        }));
+    // Re-check task status
+    const task = await getTaskById(taskId);
+    if (!task) return;
+    if (task.status === 'aborted' || task.status === 'failed') {
+        await setItemStatus(item, 'aborted');
+        return;
+    }
 
-        await Promise.all(promises);
+    if (!item.description || !item.description.trim()) {
+        await setItemStatus(item, 'skipped', { errorMessage: 'Item sem descrição.' });
+        return;
+    }
 
-        const finalTaskCheck = await getTaskById(taskId);
-        if (finalTaskCheck && (finalTaskCheck.status === 'aborted' || finalTaskCheck.status === 'failed')) {
-            logger.log('🛑 Tarefa abortada pelo usuário.');
-            return;
-        }
+    // Keep the worker in line with the admin-configured slot count
+    const slots = await getBudget('item_slots');
+    if (itemWorker && itemWorker.concurrency !== slots) itemWorker.concurrency = slots;
 
-        logger.log('🎉 Finalizado com Sucesso. Resultados persistidos no Banco de Dados.');
-        await updateTaskStatus(taskId, 'completed', 'db-generated');
+    if (!tryStartItem(task)) {
+        await job.moveToDelayed(Date.now() + ITEM_SLOT_DELAY, token);
+        throw new DelayedError();
+    }
+
+    try {
+        await runItem(job, task, item);
+    } finally {
+        finishItem(task.id);
+    }
+}
+
+async function runItem(job, task, item) {
+    const moduleName = itemModule(task, item);
+    const session = await getLiveSession(task, moduleName);
+    const { mod, browser, logger, sniperConfig, cookies, scoringProfile } = session;
+    const config = item.provider_override ? { ...sniperConfig, provider: item.provider_override } : sniperConfig;
+
+    await waitForSessionPause(session);
+
+    // One context per item job: a retry after a block comes back on another proxy
+    let itemContext = browser ? await openContext(browser, cookies, session.isolate, session.cookieSetId) : null;
+
+    const itemJob = {
+        id: item.original_id,
+        description: item.description,
+        maxPrice: parseFloat(item.max_price),
+        quantity: item.quantity,
+        browser: itemContext ? itemContext.context : browser,
+        cep: task.cep,
+        taskId: task.id,
+        quoteBasketSize: task.quote_basket_size || 0,
+        scoringProfile,
+        logger: logger
+    };
+
+    const attempt = item.current_attempt || 1;
+    if (attempt > 1) {
+        logger.log(`[Item ${itemJob.id}] 🔁 Tentativa #${attempt} (módulo: ${moduleName}, I.A.: ${config.provider || 'Padrão'})`);
+    }
+    logger.log(`[Item ${itemJob.id}] Iniciando processamento...${itemContext && itemContext.proxy ? ` (proxy ${itemContext.proxy.id})` : ''}`);
+    await setItemStatus(item, 'running');
 
+    try {
+        // Pass dependencies/config to execute if supported.
+        // On a block: pause, new identity with the CEP set again, same item again
+        // AI calls made by the module are charged to this item (ai_calls, task cost, owner's credits)
+        const usage = { taskId: task.id, taskItemId: item.id, userId: task.user_id, groupId: task.group_id };
+        const result = await withBlockRecovery(() => runWithAiUsage(usage, () => mod.execute(itemJob, config)), {
+            maxRecoveries: browser && mod.setCEP ? MAX_BLOCK_RECOVERIES : 0,
+            onBlock: async (e, block) => {
+                await onBlock(session, item, e, block);
+                // The blocked context is dropped right away, not kept open through the pause
+                if (!block.giveUp && itemContext) {
+                    await itemContext.close();
+                    itemContext = null;
+                }
+            },
+            recover: async () => {
+                const fresh = await openIdentityContext(browser);
+                try {
+                    const page = await fresh.context.newPage();
+                    await mod.setCEP(page, task.cep, { cookieFile: false });
+                    await page.close();
+                } catch (e) {
+                    await fresh.close();
+                    throw e;
+                }
+                itemContext = fresh;
+                itemJob.browser = fresh.context;
+                logger.log(`[Item ${itemJob.id}] 🔄 Nova identidade pronta${fresh.proxy ? ` (proxy ${fresh.proxy.id})` : ''}. Reprocessando...`);
+            }
+        });
+        const finalState = (result && result.finalState) || logger.stages[itemJob.id] || null;
+
+        // Result structure: { ..., offers: [...], winnerIndex: N }
+        if (result && result.offers && result.offers.length > 0) {
+            const winnerId = await saveCandidates(item.id, result.offers, result.winnerIndex, attempt);
+            const winner = result.offers[result.winnerIndex] || result.offers[0];
+            emitTaskEvent(task.id, 'candidates', {
+                id: item.id,
+                original_id: item.original_id,
+                count: result.offers.length,
+                winner: { title: winner.title, totalPrice: winner.totalPrice, link: winner.link }
+            });
+            await setItemStatus(item, 'done', { finalState });
+            logger.log(`[Item ${itemJob.id}] ✅ Resultados salvos no banco.`);
+            if (itemJob.quoteBasketSize > 0) logQuoteBasket(logger, itemJob, result.offers);
+            if (winnerId && itemJob.browser && shouldCapture(result.offers[result.winnerIndex].link)) {
+                await snapshotWinner(logger, itemJob, winnerId, result.offers[result.winnerIndex]);
+            }
+            if (result.offers[result.winnerIndex]) {
+                await dispatchWebhookEvent('item.winner_selected', task.id, {
+                    item,
+                    finalState,
+                    winner: result.offers[result.winnerIndex],
+                    offersCount: result.offers.length
+                });
+            }
+        } else {
+            await setItemStatus(item, 'no_result', { finalState });
+            logger.log(`[Item ${itemJob.id}] ⚠️ Nenhum resultado encontrado.`);
+            await dispatchWebhookEvent('item.no_result', task.id, { item, finalState });
+        }
     } catch (e) {
-        logger.log(`💀 ERRO GERAL: ${e.message}`);
-        console.error(e);
-        await updateTaskStatus(taskId, 'failed');
+        // Read by the 'failed' handler once retries are exhausted
+        e.finalState = e.finalState || logger.stages[itemJob.id] || null;
+        const attempt = job.attemptsMade + 1;
+        logger.log(`💥 [Item ${itemJob.id}] Falha Crítica (tentativa ${attempt}/${job.opts.attempts}): ${e.message}`);
+        if (attempt < job.opts.attempts) {
+            await setItemStatus(item, 'queued', { errorMessage: e.message });
+        }
+        throw e;
     } finally {
-        if (browser) await browser.close();
+        if (itemContext) await itemContext.close();
+    }
+}
+
+function logQuoteBasket(logger, itemJob, offers) {
+    const basket = buildQuoteBasket(offers, itemJob.quoteBasketSize, { maxRisk: itemJob.scoringProfile.weights.max_acceptable_risk });
+    if (basket.complete) {
+        logger.log(`[Item ${itemJob.id}] 📑 Cesta de preços: ${basket.count} cotações de vendedores distintos. Média R$ ${basket.mean}, mediana R$ ${basket.median} (referência).`);
+    } else {
+        logger.log(`[Item ${itemJob.id}] 📑 Cesta de preços INCOMPLETA: ${basket.count}/${basket.size} cotações aceitas de vendedores distintos.`);
+    }
+}
+
+// Evidence of the winner's page at decision time; a failed capture is logged, never fails the item
+async function snapshotWinner(logger, itemJob, candidateId, winner) {
+    const snapshot = await captureProductPage(itemJob.browser, {
+        url: winner.link,
+        cep: itemJob.cep,
+        taskId: itemJob.taskId,
+        candidateId
+    });
+    try {
+        await saveCandidateSnapshot({ ...snapshot, candidateId, taskId: itemJob.taskId, url: winner.link, cep: itemJob.cep });
+    } catch (e) {
+        logger.log(`[Item ${itemJob.id}] ⚠️ Falha ao registrar a evidência: ${e.message}`);
+        return;
+    }
+    if (snapshot.status === 'failed') {
+        logger.log(`[Item ${itemJob.id}] ⚠️ Evidência da página do vencedor não capturada: ${snapshot.errorMessage}`);
+    } else {
+        logger.log(`[Item ${itemJob.id}] 📸 Evidência da página do vencedor salva (${snapshot.status === 'ok' ? 'print, HTML e PDF' : 'parcial'}).`);
     }
 }
 
+// --- RECOVERY ---
+// Tasks left 'pending' or 'running' without a live job (created before the queue existed,
+// or Redis lost its data) are queued again. Jobs of a crashed worker are handled by the stalled checker.
+async function recoverOrphanedTasks() {
+    const tasks = await getUnfinishedTasks();
+    for (const task of tasks) {
+        if (await isTaskQueued(task.id)) continue;
+        await enqueueTask(task.id);
+        logTaskMessage(task.id, '♻️ Tarefa reenfileirada após reinício do worker.', 'info');
+        console.log(`[Worker] Recovered orphaned task ${task.id} (${task.status}).`);
+    }
+}
+
+// --- MAIN ---
+function startWorker() {
+    console.log('[Worker] Starting queue workers...');
+
+    const workerOptions = {
+        lockDuration: LOCK_DURATION,
+        stalledInterval: STALLED_INTERVAL,
+        maxStalledCount: MAX_STALLED_COUNT
+    };
+
+    const taskWorker = new Worker(TASK_QUEUE, processTaskJob, {
+        ...workerOptions,
+        connection: createConnection(),
+        concurrency: 1
+    });
+
+    itemWorker = new Worker(ITEM_QUEUE, processItemJob, {
+        ...workerOptions,
+        connection: createConnection(),
+        concurrency: BUDGET_DEFAULTS.item_slots
+    });
+    refreshBudgets(true).then(l => { itemWorker.concurrency = l.item_slots; });
+
+    taskWorker.on('failed', async (job, err) => {
+        if (!job) return;
+        const { taskId } = job.data;
+        try {
+            await closeSession(taskId);
+            if (!job.finishedOn) {
+                logTaskMessage(taskId, `⚠️ Falha ao iniciar: ${err.message}. Nova tentativa (${job.attemptsMade}/${job.opts.attempts}).`, 'error');
+                await updateTaskStatus(taskId, 'pending');
+                return;
+            }
+            logTaskMessage(taskId, `💀 ERRO GERAL: ${err.message}`, 'error');
+            await updateTaskStatus(taskId, 'failed');
+            await dispatchWebhookEvent('task.failed', taskId, { error: err.message });
+        } catch (e) {
+            console.error(`[Worker] Error handling failure of task ${taskId}:`, e);
+        }
+    });
+
+    itemWorker.on('failed', async (job, err) => {
+        if (!job || !job.finishedOn) return;
+        try {
+            const item = await getTaskItemById(job.data.itemId);
+            if (!item) return;
+            await setItemStatus(item, 'failed', {
+                finalState: err.finalState,
+                errorMessage: err.message
+            });
+        } catch (e) {
+            console.error(`[Worker] Error flagging item job ${job.id} as failed:`, e);
+        }
+    });
+
+    const webhookWorker = new Worker(WEBHOOK_QUEUE, (job) => deliverWebhook(job.data.deliveryId, job.attemptsMade + 1), {
+        connection: createConnection(),
+        concurrency: 5
+    });
+
+    webhookWorker.on('failed', async (job, err) => {
+        if (!job || !job.finishedOn) return;
+        console.warn(`[Webhooks] Delivery ${job.data.deliveryId} gave up after ${job.attemptsMade} attempts: ${err.message}`);
+        try {
+            await updateWebhookDelivery(job.data.deliveryId, { status: 'failed' });
+        } catch (e) {
+            console.error(`[Webhooks] Error flagging delivery ${job.data.deliveryId} as failed:`, e);
+        }
+    });
+
+    // One sweep at a time: each opens its own browser
+    const requoteWorker = new Worker(REQUOTE_QUEUE, (job) => runRequoteSweep({ taskItemId: job.data.taskItemId }), {
+        ...workerOptions,
+        connection: createConnection(),
+        concurrency: 1
+    });
+    const { intervalHours } = getRequoteConfig();
+    scheduleRequoteSweep(intervalHours)
+        .then(() => console.log(intervalHours > 0 ? `[Requote] Re-cotação a cada ${intervalHours}h.` : '[Requote] Re-cotação periódica desligada.'))
+        .catch(e => console.error('[Requote] Error scheduling sweep:', e));
+
+    taskWorker.on('stalled', (jobId) => console.warn(`[Worker] Task job ${jobId} stalled, re-queued.`));
+    itemWorker.on('stalled', (jobId) => console.warn(`[Worker] Item job ${jobId} stalled, re-queued.`));
+    taskWorker.on('error', (e) => console.error('[Worker] Task queue error:', e));
+    itemWorker.on('error', (e) => console.error('[Worker] Item queue error:', e));
+    webhookWorker.on('error', (e) => console.error('[Worker] Webhook queue error:', e));
+    requoteWorker.on('failed', (job, err) => console.warn(`[Requote] Job ${job ? job.id : '?'} failed: ${err.message}`));
+    requoteWorker.on('error', (e) => console.error('[Worker] Requote queue error:', e));
+
+    recoverOrphanedTasks().catch(e => console.error('[Worker] Error recovering orphaned tasks:', e));
+
+    return { taskWorker, itemWorker, webhookWorker, requoteWorker };
+}
+
 module.exports = { startWorker };
@@ -0,0 +1,107 @@
+// PERITO, SNIPER, JUIZ and the PDF import against the scripted mock provider (no network, no database).
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { setAiResponder } = require('../src/services/ai_manager');
+const { createScriptedResponder } = require('../src/services/ai_fixtures');
+const { executePerito } = require('../modules/hivemind/agents/perito');
+const { aiSelectCandidates } = require('../modules/hivemind/agents/sniper');
+const { executeJuiz, evaluateBatchCandidates } = require('../modules/hivemind/agents/juiz');
+const { extractItemsFromPdf } = require('../src/services/pdf_parser');
+
+const CONFIG = { provider: 'deepseek', model: 'deepseek-chat' };
+const DESCRIPTION = 'Impressora multifuncional tanque de tinta, conexão Wi-Fi, alimentação bivolt';
+
+function mockAi(rules) {
+    const calls = [];
+    setAiResponder(createScriptedResponder(rules, calls));
+    return calls;
+}
+
+afterEach(() => setAiResponder(null));
+
+test('PERITO: validated kill-specs, anchor and search strategies from the AI answer', async () => {
+    const calls = mockAi([{
+        agent: 'perito',
+        response: '```json\n' + JSON.stringify({
+            complexity: 'LOW',
+            marketplace_search_term: 'impressora multifuncional tanque de tinta wifi bivolt extra',
+            search_anchor: 'tanque de tinta',
+            kill_specs: ['tanque de tinta', 'Wi-Fi', '5 m'],
+            critical_specs: [{ spec: 'bivolt', weight: 10 }]
+        }) + '\n```'
+    }]);
+
+    const specs = await executePerito(DESCRIPTION, CONFIG);
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].prompt, /alimentação bivolt/);
+    assert.equal(specs.complexity, 'LOW');
+    assert.equal(specs.marketplaceSearchTerm.split(' ').length, 7);
+    assert.equal(specs.searchAnchorQuoted, '"tanque de tinta"');
+    assert.deepEqual(specs.killSpecs, ['tanque de tinta', 'Wi-Fi'], 'abbreviated "5 m" is not in the description');
+    assert.deepEqual(specs.criticalSpecs, [{ spec: 'bivolt', weight: 10 }]);
+    assert.ok(specs.searchStrategies.length > 0);
+});
+
+test('PERITO: a provider failure reaches the orchestrator', async () => {
+    mockAi([{ agent: 'perito', error: 'All AI providers failed. Last error: 401 Unauthorized' }]);
+    await assert.rejects(executePerito(DESCRIPTION, CONFIG), /401/);
+});
+
+test('SNIPER: picks the numbered titles the AI names, ignoring out-of-range numbers', async () => {
+    const titles = [
+        { store: 'Mercado Livre', title: 'Impressora Epson L3250 Tanque de Tinta Wi-Fi', price: 1099.9 },
+        { store: 'Mercado Livre', title: 'Kit Refil Tinta Epson T544', price: 89.9 },
+        { store: 'Magalu', title: 'Impressora HP Laser 107w', price: 899 }
+    ];
+    const calls = mockAi([{ match: 'VALEM A PENA ser investigados', response: 'Os itens 1, 3 e 9.' }]);
+    assert.deepEqual(await aiSelectCandidates(titles, DESCRIPTION, CONFIG), [0, 2]);
+    assert.match(calls[0].prompt, /2\. \[Mercado Livre\] Kit Refil Tinta Epson T544 - R\$ 89\.90/);
+
+    mockAi([{ response: 'NENHUM' }]);
+    assert.deepEqual(await aiSelectCandidates(titles, DESCRIPTION, CONFIG), []);
+});
+
+test('JUIZ: Gold Entity matching by AI picks the approved candidate; batch evaluation parses the JSON', async () => {
+    const candidates = [
+        { title: 'Impressora HP Laser 107w', price: 899, link: 'https://example.com/hp' },
+        { title: 'Impressora Epson L3250 Tanque de Tinta', price: 1099.9, link: 'https://example.com/epson' }
+    ];
+    mockAi([
+        { agent: 'juiz', match: 'Título: Impressora Epson L3250', response: { matches: true, status: 'APPROVED', risk_score: 1, reasoning: 'Mesmo modelo' } },
+        { agent: 'juiz', match: 'Título: Impressora HP Laser', response: { matches: false, status: 'REJECTED', risk_score: 9, reasoning: 'Laser' } }
+    ]);
+    const goldEntity = { name: 'Epson EcoTank L3250', manufacturer: 'Epson', isGeneric: false, validatedSpecs: ['tanque de tinta'] };
+    const item = { description: DESCRIPTION, maxPrice: 1500 };
+
+    const verdict = await executeJuiz(candidates, goldEntity, ['tanque de tinta'], item, CONFIG);
+    const winner = verdict.validatedCandidates[verdict.winnerIndex];
+    assert.equal(winner.link, 'https://example.com/epson');
+    assert.equal(winner.aiMatch, 'APPROVED');
+    assert.equal(verdict.validatedCandidates.find(c => c.link === 'https://example.com/hp').risk_score, 9);
+
+    mockAi([{
+        match: 'DESCRIÇÃO DO EDITAL',
+        response: { evaluations: [{ index: 1, risk_score: 8 }, { index: 2, risk_score: 1 }], perplexity_candidates: [1, 2, 3] }
+    }]);
+    const batch = await evaluateBatchCandidates(candidates, DESCRIPTION, CONFIG, 2);
+    assert.deepEqual(batch.evaluations.map(e => e.risk_score), [8, 1]);
+    assert.deepEqual(batch.perplexityCandidates, [1, 2]);
+    assert.equal(batch.provider, 'deepseek');
+});
+
+test('PDF import: items extracted from the tender text, values and quantities normalized', async () => {
+    const calls = mockAi([{
+        match: 'TEXTO DO EDITAL',
+        response: '```json\n{"metadata": {"name": "Pregão 12/2026", "cep": "01001-000"}, "items": [' +
+            '{"id": "1", "description": "Impressora multifuncional tanque de tinta", "quantidade": "2", "valor_venda": "R$ 1.500,00"},' +
+            '{"id": "2", "description": "Resma de papel A4", "quantidade": 40, "valor_venda": 32.9},]}\n```'
+    }]);
+    const file = { path: path.join(__dirname, 'fixtures', 'edital', 'edital_impressora.pdf'), originalname: 'edital_impressora.pdf' };
+
+    const result = await extractItemsFromPdf([file], 'Ignore itens de serviço');
+    assert.match(calls[0].prompt, /Resma de papel A4 75g/);
+    assert.match(calls[0].prompt, /INSTRUÇÕES DO USUÁRIO: Ignore itens de serviço/);
+    assert.equal(result.metadata.cep, '01001-000');
+    assert.deepEqual(result.items.map(i => [i.quantidade, i.valor_venda]), [[2, 1500], [40, 32.9]]);
+});
@@ -0,0 +1,125 @@
+// AI record / replay and the scripted mock provider, through ai_manager with no provider reachable.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { generateText, generateStream, generateTextWithCascadeFallback, getApiKeyFromEnv, setAiResponder } = require('../src/services/ai_manager');
+const { promptHash, recordResponse, loadRecordedResponse, createScriptedResponder } = require('../src/services/ai_fixtures');
+const { setAiUsageRecorder } = require('../src/services/ai_usage');
+
+function collectStream(config) {
+    return new Promise((resolve, reject) => {
+        const out = [];
+        generateStream(config, { onChunk: c => out.push(c), onDone: () => resolve(out.join('')), onError: reject });
+    });
+}
+
+const messages = [{ role: 'user', content: 'Quais produtos VALEM A PENA ser investigados?' }];
+
+function withReplay(dir, fn) {
+    process.env.AI_FIXTURES = 'replay';
+    process.env.AI_FIXTURES_DIR = dir;
+    return fn().finally(() => {
+        delete process.env.AI_FIXTURES;
+        delete process.env.AI_FIXTURES_DIR;
+    });
+}
+
+test('scripted mock: first matching rule by agent, provider and prompt; errors and unscripted calls are recorded', async () => {
+    const calls = [];
+    const respond = createScriptedResponder([
+        { agent: 'perito', response: { complexity: 'LOW' } },
+        { provider: 'gemini', match: 'valem a pena', error: 'Gemini Error: 429 Too Many Requests' },
+        { match: 'VALEM A PENA', response: config => `${config.provider}: 1, 2` }
+    ], calls);
+
+    assert.equal(await respond({ agentName: 'PERITO', provider: 'deepseek', messages: [{ role: 'user', content: 'edital' }] }), '{"complexity":"LOW"}');
+    await assert.rejects(respond({ provider: 'gemini', messages }), /429/);
+    assert.equal(await respond({ provider: 'deepseek', messages }), 'deepseek: 1, 2');
+    await assert.rejects(respond({ messages: [{ role: 'user', content: 'outro prompt' }] }), /nenhuma resposta roteirizada/);
+    assert.deepEqual(calls.map(c => [c.agent, c.provider, c.stubbed]), [
+        ['perito', 'deepseek', true],
+        [null, 'gemini', true],
+        [null, 'deepseek', true],
+        [null, null, false]
+    ]);
+});
+
+test('mock provider answers every entry point and satisfies the agents key checks', async () => {
+    const keys = ['DEEPSEEK_API_KEY', 'GEMINI_API_KEY'].map(k => [k, process.env[k]]);
+    keys.forEach(([k]) => delete process.env[k]);
+    setAiResponder(createScriptedResponder([{ response: 'ok' }]));
+    try {
+        assert.equal(await generateText({ provider: 'deepseek', messages }), 'ok');
+        const cascade = await generateTextWithCascadeFallback({ provider: 'gemini', model: 'gemini-2.0-flash', messages, agentName: 'juiz' });
+        assert.deepEqual(cascade, { text: 'ok', usedProvider: 'gemini', usedModel: 'gemini-2.0-flash', tier: 'PRIMARY' });
+        const chunks = await new Promise((resolve, reject) => {
+            const out = [];
+            generateStream({ provider: 'qwen', messages }, { onChunk: c => out.push(c), onDone: () => resolve(out), onError: reject });
+        });
+        assert.deepEqual(chunks, ['ok']);
+        assert.equal(getApiKeyFromEnv('deepseek'), 'offline');
+    } finally {
+        setAiResponder(null);
+        keys.forEach(([k, v]) => { if (v !== undefined) process.env[k] = v; });
+    }
+    assert.equal(getApiKeyFromEnv('deepseek'), process.env.DEEPSEEK_API_KEY || null);
+});
+
+test('replay serves the recording of the same prompt, whatever the provider', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+    try {
+        recordResponse({ provider: 'gemini', model: 'gemini-2.0-flash', messages }, '3, 7', dir);
+        const record = loadRecordedResponse(messages, dir);
+        assert.equal(record.hash, promptHash(messages));
+        assert.equal(record.provider, 'gemini');
+        assert.ok(fs.existsSync(path.join(dir, `${promptHash(messages)}.json`)));
+        assert.notEqual(promptHash(messages), promptHash([{ role: 'system', content: messages[0].content }]));
+
+        await withReplay(dir, async () => {
+            assert.equal(await generateText({ provider: 'deepseek', model: 'deepseek-chat', messages }), '3, 7');
+            const cascade = await generateTextWithCascadeFallback({ provider: 'deepseek', model: 'deepseek-chat', messages, agentName: 'sniper' });
+            assert.equal(cascade.text, '3, 7');
+            await assert.rejects(
+                generateText({ provider: 'deepseek', messages: [{ role: 'user', content: 'prompt novo' }] }),
+                /sem gravação/
+            );
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('streams are recorded when they end and replayed from the same file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.write('data: {"choices":[{"delta":{"content":"Itens "}}]}\n\n');
+        res.write('data: {"choices":[{"delta":{"content":"2 e 5"}}]}\n\n');
+        res.end('data: [DONE]\n\n');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.DEEPSEEK_API_URL = `http://127.0.0.1:${server.address().port}/chat/completions`;
+    setAiUsageRecorder(() => {});
+    const config = { provider: 'deepseek', model: 'deepseek-chat', apiKey: 'test-key', messages };
+    try {
+        process.env.AI_FIXTURES = 'record';
+        process.env.AI_FIXTURES_DIR = dir;
+        assert.equal(await collectStream(config), 'Itens 2 e 5');
+        assert.equal(loadRecordedResponse(messages, dir).text, 'Itens 2 e 5');
+        server.close();
+
+        await withReplay(dir, async () => {
+            assert.equal(await collectStream({ ...config, apiKey: '' }), 'Itens 2 e 5');
+        });
+    } finally {
+        setAiUsageRecorder(null);
+        server.close();
+        delete process.env.DEEPSEEK_API_URL;
+        delete process.env.AI_FIXTURES;
+        delete process.env.AI_FIXTURES_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,92 @@
+// AI usage accounting: prices, provider usage reports, estimated tokens and per-task attribution.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+    AI_PRICES,
+    setAiUsageRecorder,
+    runWithAiUsage,
+    currentAiUsage,
+    priceFor,
+    callCost,
+    normalizeUsage,
+    buildAiCall,
+    toWatts
+} = require('../src/services/ai_usage');
+const { callDeepSeek } = require('../src/services/deepseek');
+
+test('prices: longest model prefix, provider default for unknown models', () => {
+    assert.equal(priceFor('gemini', 'gemini-2.0-flash-lite-preview-02-05'), AI_PRICES['gemini-2.0-flash-lite']);
+    assert.equal(priceFor('gemini', 'models/gemini-2.0-flash'), AI_PRICES['gemini-2.0-flash']);
+    assert.equal(priceFor('perplexity', 'sonar-reasoning-pro'), AI_PRICES['sonar-reasoning-pro']);
+    assert.equal(priceFor('deepseek', 'modelo-desconhecido'), AI_PRICES['deepseek-chat']);
+    assert.equal(callCost('deepseek', 'deepseek-chat', 1000, 100), (1000 * 0.27 + 100 * 1.10) / 1e6);
+    assert.equal(toWatts(0.0012), 2, 'partial Watts round up');
+    assert.equal(toWatts('0'), 0);
+});
+
+test('usage reports: OpenAI-compatible and Gemini formats', () => {
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }), { promptTokens: 120, completionTokens: 30 });
+    assert.deepEqual(normalizeUsage({ promptTokenCount: 80, candidatesTokenCount: 12 }), { promptTokens: 80, completionTokens: 12 });
+    assert.equal(normalizeUsage({}), null);
+    assert.equal(normalizeUsage(undefined), null);
+});
+
+test('call rows: reported vs estimated tokens, failures cost nothing', () => {
+    const reported = buildAiCall({ provider: 'qwen', model: 'qwen-max', agent: 'JUIZ', usage: { prompt_tokens: 500, completion_tokens: 50 }, latencyMs: 812.4 });
+    assert.equal(reported.agent, 'juiz');
+    assert.equal(reported.estimated, false);
+    assert.equal(reported.latencyMs, 812);
+    assert.equal(reported.costUsd, (500 * 1.60 + 50 * 6.40) / 1e6);
+    assert.equal(reported.taskId, null, 'no context: unattributed');
+
+    const messages = [{ role: 'user', content: 'x'.repeat(390) }];
+    const estimated = buildAiCall({ provider: 'deepseek', model: 'deepseek-chat', messages, text: 'y'.repeat(41) });
+    assert.equal(estimated.estimated, true);
+    assert.equal(estimated.promptTokens, Math.ceil(JSON.stringify(messages).length / 4));
+    assert.equal(estimated.completionTokens, 11);
+
+    const failed = buildAiCall({ provider: 'gemini', model: 'gemini-2.0-flash', messages, error: new Error('429 Too Many Requests'), latencyMs: 90 });
+    assert.deepEqual([failed.promptTokens, failed.completionTokens, failed.costUsd, failed.estimated], [0, 0, 0, false]);
+    assert.equal(failed.error, '429 Too Many Requests');
+});
+
+test('context: calls made anywhere under runWithAiUsage are attributed to the item', async () => {
+    const context = { taskId: 'task-1', taskItemId: 7, userId: 3, groupId: 2 };
+    const row = await runWithAiUsage(context, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        const [nested] = await Promise.all([Promise.resolve().then(() => buildAiCall({ provider: 'deepseek', text: 'ok' }))]);
+        return nested;
+    });
+    assert.deepEqual([row.taskId, row.taskItemId, row.userId, row.groupId], ['task-1', 7, 3, 2]);
+    assert.equal(currentAiUsage(), null);
+});
+
+test('direct DeepSeek client: the call made under an item context is recorded with its usage', async () => {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ choices: [{ message: { content: '{"selected_indices": [0]}' } }], usage: { prompt_tokens: 42, completion_tokens: 7 } }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const env = { DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY, DEEPSEEK_API_URL: process.env.DEEPSEEK_API_URL };
+    process.env.DEEPSEEK_API_KEY = 'test-key';
+    process.env.DEEPSEEK_API_URL = `http://127.0.0.1:${server.address().port}/chat/completions`;
+    const rows = [];
+    setAiUsageRecorder(row => rows.push(row));
+    try {
+        const result = await runWithAiUsage({ taskId: 'task-9', taskItemId: 4, userId: 3, groupId: 1 }, () =>
+            callDeepSeek([{ role: 'user', content: 'filtre os títulos' }], 'deepseek-chat', 'filter_titles'));
+        assert.equal(result.content, '{"selected_indices": [0]}');
+        assert.equal(rows.length, 1);
+        assert.deepEqual(
+            [rows[0].taskId, rows[0].taskItemId, rows[0].userId, rows[0].groupId, rows[0].provider, rows[0].agent],
+            ['task-9', 4, 3, 1, 'deepseek', 'filter_titles']
+        );
+        assert.deepEqual([rows[0].promptTokens, rows[0].completionTokens, rows[0].estimated], [42, 7, false]);
+        assert.equal(rows[0].costUsd, callCost('deepseek', 'deepseek-chat', 42, 7));
+    } finally {
+        setAiUsageRecorder(null);
+        server.close();
+        Object.entries(env).forEach(([k, v]) => { if (v === undefined) delete process.env[k]; else process.env[k] = v; });
+    }
+});
@@ -0,0 +1,82 @@
+// Evidence stored with each candidate: SNIPER/JUIZ candidate -> item_candidates columns -> offer fields.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVIDENCE_COLUMNS, juizBreakdown, evidenceValues, parseEvidence } = require('../src/services/candidate_evidence');
+
+const candidate = {
+    title: 'Notebook Lenovo IdeaPad 1',
+    price: 2549,
+    shippingCost: 19.9,
+    shippingFree: false,
+    shippingDays: 5,
+    totalPrice: 2568.9,
+    store: 'Magazine Luiza',
+    marketplace: 'magalu',
+    itemId: '237382800',
+    condition: 'new',
+    seller: { name: 'Magalu', reputation: null, officialStore: true },
+    attributes: { 'Processador': 'Intel Core i3-1215U', 'Memória RAM': '8GB' },
+    productDNA: { title: 'Notebook Lenovo IdeaPad 1', specsText: 'Processador: Intel Core i3-1215U', descriptionText: '', fullText: 'notebook lenovo ideapad 1', fullTextRaw: 'Notebook Lenovo IdeaPad 1' },
+    brand: 'Lenovo',
+    model: '82QD0008BR',
+    kitComponents: [{ name: 'Mouse', quantity: 1, unitPrice: 30, totalPrice: 30 }],
+    kitTotal: 30,
+    risk_score: 2,
+    aiMatch: 'APPROVED',
+    adherenceScore: 92,
+    scoreBreakdown: ['✅ Processador confere'],
+    priceAnomaly: false,
+    anomalyReason: undefined,
+    scoringProfile: { id: 2, name: 'Rigoroso', weights: { anchor_found: 60, max_acceptable_risk: 5 } }
+};
+
+// What mysql2 hands back: DECIMAL as strings, BOOLEAN as 0/1, JSON already parsed
+const asRow = values => Object.fromEntries(EVIDENCE_COLUMNS.map((column, i) => {
+    let value = values[i];
+    if (typeof value === 'string' && /^[[{]/.test(value)) value = JSON.parse(value);
+    else if (typeof value === 'number' && ['base_price', 'shipping_cost', 'kit_total'].includes(column)) value = value.toFixed(2);
+    else if (typeof value === 'boolean') value = value ? 1 : 0;
+    return [column, value];
+}));
+
+test('every piece of evidence survives the round trip', () => {
+    const values = evidenceValues(candidate);
+    assert.equal(values.length, EVIDENCE_COLUMNS.length);
+
+    const offer = parseEvidence(asRow(values));
+    assert.equal(offer.basePrice, 2549);
+    assert.equal(offer.shippingCost, 19.9);
+    assert.equal(offer.shippingFree, false);
+    assert.equal(offer.shippingDays, 5);
+    assert.deepEqual(offer.seller, candidate.seller);
+    assert.deepEqual(offer.attributes, candidate.attributes);
+    assert.deepEqual(offer.productDNA, candidate.productDNA);
+    assert.deepEqual(offer.kitComponents, candidate.kitComponents);
+    assert.equal(offer.kitTotal, 30);
+    assert.deepEqual([offer.brand, offer.model, offer.condition, offer.marketplace, offer.itemId], ['Lenovo', '82QD0008BR', 'new', 'magalu', '237382800']);
+    assert.deepEqual(offer.juiz, { aiMatch: 'APPROVED', adherenceScore: 92, scoreBreakdown: ['✅ Processador confere'], priceAnomaly: false });
+    assert.deepEqual(offer.scoringProfile, candidate.scoringProfile);
+});
+
+test('JUIZ breakdown keeps only what the JUIZ filled', () => {
+    assert.deepEqual(juizBreakdown({ aiMatch: true, wasEnriched: true, enrichmentSource: 'perplexity', scoreBreakdown: [] }), {
+        aiMatch: true,
+        wasEnriched: true,
+        enrichmentSource: 'perplexity'
+    });
+});
+
+test('candidates without details and rows saved before the evidence columns', () => {
+    const offer = parseEvidence(asRow(evidenceValues({ title: 'Manual', price: 100 })));
+    assert.equal(offer.basePrice, 100);
+    assert.equal(offer.shippingCost, null, 'unknown shipping is not free shipping');
+    assert.equal(offer.shippingFree, null);
+    assert.equal(offer.productDNA, null);
+    assert.deepEqual(offer.juiz, {});
+
+    const legacy = parseEvidence({ id: 1, title: 'Antigo', price: '10.00' });
+    assert.equal(legacy.basePrice, null);
+    assert.equal(legacy.seller, null);
+    assert.deepEqual(legacy.juiz, {});
+    assert.equal(legacy.scoringProfile, null);
+});
@@ -0,0 +1,92 @@
+// Evidence snapshots of the winner's page: files written, stamp, failures and the download guard.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { shouldCapture, captureStamp, resolveSnapshotFile, captureProductPage } = require('../src/services/evidence');
+
+const PAGE_HTML = '<html><head><title>Notebook Lenovo</title></head><body>R$ 2.549,00</body></html>';
+
+// Minimal browser context: records what the capture asked of the page
+function fakeContext({ title = 'Notebook Lenovo', html = PAGE_HTML, failPdf = false, failGoto = false } = {}) {
+    const calls = [];
+    const page = {
+        goto: async url => { calls.push(`goto ${url}`); if (failGoto) throw new Error('net::ERR_NAME_NOT_RESOLVED'); },
+        title: async () => title,
+        content: async () => html,
+        evaluate: async (fn, text) => { calls.push(`banner ${text}`); },
+        screenshot: async options => { calls.push(`screenshot ${options.fullPage}`); return Buffer.from('jpg'); },
+        pdf: async () => { if (failPdf) throw new Error('PDF only in headless'); return Buffer.from('%PDF'); },
+        close: async () => { calls.push('close'); }
+    };
+    return { calls, newPage: async () => page };
+}
+
+function withEvidenceDir(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+        process.env.EVIDENCE_DIR = dir;
+        try {
+            await fn(dir);
+        } finally {
+            delete process.env.EVIDENCE_DIR;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+const capturedAt = new Date('2026-03-10T15:04:05Z');
+const target = { url: 'https://www.magazineluiza.com.br/notebook/p/237382800/', cep: '01001-000', taskId: 'abc', candidateId: 42, capturedAt };
+
+test('winner page saved as HTML, screenshot and PDF, stamped with time and CEP', withEvidenceDir(async dir => {
+    const context = fakeContext();
+    const snapshot = await captureProductPage(context, target);
+
+    assert.equal(snapshot.status, 'ok');
+    assert.equal(snapshot.errorMessage, null);
+    assert.equal(snapshot.pageTitle, 'Notebook Lenovo');
+    assert.equal(snapshot.htmlPath, path.join('task-abc', 'candidate-42-2026-03-10T15-04-05-000Z.html'));
+    for (const file of [snapshot.htmlPath, snapshot.screenshotPath, snapshot.pdfPath]) {
+        assert.ok(fs.existsSync(path.join(dir, file)), `${file} written`);
+    }
+
+    const stamp = 'Capturado em 10/03/2026, 12:04:05 (horário de Brasília) · CEP 01001-000 · https://www.magazineluiza.com.br/notebook/p/237382800/';
+    assert.equal(captureStamp(target), stamp);
+    const html = fs.readFileSync(path.join(dir, snapshot.htmlPath), 'utf8');
+    assert.ok(html.startsWith(`<!-- ${stamp} -->`), 'HTML keeps the page as served, with the stamp on top');
+    assert.ok(html.endsWith(PAGE_HTML));
+    assert.deepEqual(context.calls, [`goto ${target.url}`, `banner ${stamp}`, 'screenshot true', 'close']);
+}));
+
+test('a file that fails leaves the snapshot partial; an unreachable or blocked page fails it', withEvidenceDir(async () => {
+    const partial = await captureProductPage(fakeContext({ failPdf: true }), target);
+    assert.equal(partial.status, 'partial');
+    assert.equal(partial.pdfPath, null);
+    assert.match(partial.errorMessage, /^pdf: PDF only in headless$/);
+
+    const unreachable = await captureProductPage(fakeContext({ failGoto: true }), target);
+    assert.equal(unreachable.status, 'failed');
+    assert.equal(unreachable.htmlPath, null);
+
+    const blockHtml = fs.readFileSync(path.join(__dirname, 'fixtures', 'mercadolivre', 'blocked.html'), 'utf8');
+    const blocked = await captureProductPage(fakeContext({ title: 'Mercado Livre', html: blockHtml }), target);
+    assert.equal(blocked.status, 'failed', 'the anti-bot page is no evidence of the product');
+    assert.match(blocked.errorMessage, /anti-robô/);
+}));
+
+test('downloads never leave the evidence dir; replayed and mock offers are not captured', withEvidenceDir(async dir => {
+    assert.equal(resolveSnapshotFile(path.join('task-abc', 'candidate-42.html')), path.join(dir, 'task-abc', 'candidate-42.html'));
+    assert.equal(resolveSnapshotFile('../secrets.env'), null);
+    assert.equal(resolveSnapshotFile('/etc/passwd'), null);
+    assert.equal(resolveSnapshotFile(null), null);
+
+    assert.equal(shouldCapture('https://produto.mercadolivre.com.br/MLB-1'), true);
+    assert.equal(shouldCapture('http://mock-link.com/item1'), false);
+    process.env.SCRAPER_FIXTURES = 'replay';
+    try {
+        assert.equal(shouldCapture('https://produto.mercadolivre.com.br/MLB-1'), false);
+    } finally {
+        delete process.env.SCRAPER_FIXTURES;
+    }
+}));
@@ -0,0 +1,102 @@
+// Golden-set evaluation: scripted AI, scoring against the labels, run isolation and the report.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { generateText, generateTextWithCascadeFallback } = require('../src/services/ai_manager');
+const {
+    loadGoldenSet,
+    scoreItem,
+    summarizeRun,
+    runGoldenSet,
+    formatEvalReport
+} = require('../src/services/golden_eval');
+
+const LABELED = {
+    id: '1',
+    description: 'Impressora multifuncional tanque de tinta, Wi-Fi, bivolt',
+    killSpecs: ['tanque de tinta', 'Wi-Fi', 'bivolt'],
+    acceptable: ['https://produto.mercadolivre.com.br/MLB-1-epson-_JM'],
+    unacceptable: ['https://produto.mercadolivre.com.br/MLB-2-refil-_JM'],
+    ai: []
+};
+
+const result = (link, specs = {}) => ({
+    offers: [{ title: 'Refil', link: 'https://produto.mercadolivre.com.br/MLB-2-refil-_JM', price: 89.9, risk_score: 9 }, { title: 'Epson', link, price: 1099.9, risk_score: 1 }],
+    winnerIndex: 1,
+    killSpecs: ['Tanque de Tinta', 'conexão wi-fi'],
+    criticalSpecs: [{ spec: 'tanque de tinta', weight: 20 }],
+    ...specs
+});
+
+test('item score: verdict by link, kill-spec recall, estimated cost', () => {
+    const calls = [{ provider: 'deepseek', model: 'deepseek-chat', promptChars: 4000, responseChars: 400, stubbed: true }];
+    const scored = scoreItem(LABELED, result('https://produto.mercadolivre.com.br/MLB-1-epson-_JM#position=1&type=item'), calls);
+    assert.equal(scored.verdict, 'acceptable', 'search-page #fragment does not matter');
+    assert.deepEqual(scored.killSpecs, { expected: 3, found: 2, missing: ['bivolt'] });
+    assert.equal(scored.ai.inputTokens, 1000);
+    assert.equal(scored.ai.costUsd, (1000 * 0.27 + 100 * 1.10) / 1e6);
+
+    assert.equal(scoreItem(LABELED, { ...result('x'), winnerIndex: 0 }, []).verdict, 'unacceptable');
+    assert.equal(scoreItem(LABELED, result('https://outra-loja.com.br/p'), []).verdict, 'unlabeled');
+
+    // PERITO failed: the whole description is the only kill-spec
+    const fallback = scoreItem(LABELED, { offers: [], winnerIndex: -1, killSpecs: [LABELED.description], criticalSpecs: [] }, []);
+    assert.equal(fallback.verdict, 'none');
+    assert.equal(fallback.killSpecs.found, 0);
+});
+
+test('run summary: precision over labeled winners, recall over items with an acceptable listing', () => {
+    const items = [
+        scoreItem(LABELED, result(LABELED.acceptable[0]), []),
+        scoreItem(LABELED, { ...result('x'), winnerIndex: 0 }, []),
+        scoreItem(LABELED, result('https://outra-loja.com.br/p'), []),
+        scoreItem(LABELED, null, [], new Error('BLOCKED_BY_PORTAL'))
+    ];
+    const summary = summarizeRun(items);
+    assert.equal(summary.winnerPrecision, 0.5);
+    assert.equal(summary.winnerRecall, 0.25);
+    assert.equal(summary.unlabeledWinners, 1);
+    assert.equal(summary.noWinner, 1);
+    assert.equal(summary.errors, 1);
+    assert.equal(summary.killSpecRecall, 6 / 12);
+});
+
+test('a run answers the AI from the set, replays the recordings and restores everything', async () => {
+    const set = loadGoldenSet(path.join(__dirname, '..', 'eval', 'golden'));
+    assert.equal(set.items.length, 1);
+    assert.equal(set.provider, 'deepseek');
+    set.items[0].ai = [{ agent: 'perito', response: 'perito ok' }, { match: 'lote', response: 'juiz ok' }];
+
+    process.env.PERPLEXITY_API_KEY = 'real-key';
+    const seen = {};
+    const execute = async (job, config) => {
+        seen.fixtures = [process.env.SCRAPER_FIXTURES, process.env.SCRAPER_FIXTURES_DIR];
+        seen.perplexity = process.env.PERPLEXITY_API_KEY;
+        seen.offline = job.offline;
+        seen.config = config;
+        seen.perito = (await generateTextWithCascadeFallback({ provider: 'gemini', messages: [{ role: 'user', content: 'x' }], agentName: 'perito' })).text;
+        seen.juiz = await generateText({ provider: 'deepseek', messages: [{ role: 'user', content: 'avalie o lote' }] });
+        return { offers: [{ title: 'Epson', link: LABELED.acceptable[0] }], winnerIndex: 0, killSpecs: ['tanque de tinta'], criticalSpecs: [] };
+    };
+    try {
+        const run = await runGoldenSet(set, { execute });
+        assert.deepEqual(seen.fixtures, ['replay', set.marketplaceDir]);
+        assert.equal(seen.perplexity, undefined);
+        assert.equal(seen.offline, true);
+        assert.deepEqual(seen.config, { provider: 'deepseek', model: 'deepseek-chat' });
+        assert.equal(seen.perito, 'perito ok');
+        assert.equal(seen.juiz, 'juiz ok');
+        assert.equal(run.summary.aiCallsPerItem, 2);
+        assert.equal(run.items[0].verdict, 'unlabeled');
+
+        assert.equal(process.env.SCRAPER_FIXTURES, undefined);
+        assert.equal(process.env.PERPLEXITY_API_KEY, 'real-key');
+        await assert.rejects(generateText({ provider: 'deepseek', apiKey: '', messages: [] }), 'responder removed after the run');
+
+        const report = formatEvalReport({ ...run, version: '1.0.0', commit: 'abc1234' }, { ...run, version: '0.9.0', at: '2026-03-01T00:00:00Z' });
+        assert.match(report, /\| Precisão do vencedor \| - \| - \|/);
+        assert.match(report, /comparado com 0\.9\.0/);
+    } finally {
+        delete process.env.PERPLEXITY_API_KEY;
+    }
+});
@@ -0,0 +1,121 @@
+// Marketplace adapters other than Mercado Livre: parsers against saved pages / API answers
+// (test/fixtures/vtex, test/fixtures/magalu) and the merge of every store's results.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseVtexSearch, parseVtexProduct, parseVtexSimulation } = require('../../src/services/marketplace/vtex');
+const {
+    parseBRL,
+    extractProductId,
+    parseMagaluSearch,
+    parseMagaluProduct,
+    parseMagaluShipping
+} = require('../../src/services/marketplace/magalu_parser');
+const { recordPage } = require('../../src/services/marketplace/fixtures');
+const { adapterForUrl, getAdapters, searchMarketplaces } = require('../../src/services/marketplace');
+
+const fixture = (dir, name) => fs.readFileSync(path.join(__dirname, '..', 'fixtures', dir, name), 'utf8');
+const json = (dir, name) => JSON.parse(fixture(dir, name));
+
+const SEARCH_RESULT_KEYS = ['itemId', 'title', 'price', 'link', 'image', 'isFull', 'isInternational', 'condition'];
+const PRODUCT_DNA_KEYS = ['title', 'specsText', 'descriptionText', 'fullText', 'fullTextRaw'];
+
+test('VTEX search: available offers only, default seller first', () => {
+    const results = parseVtexSearch(json('vtex', 'search.json'), 'Carrefour');
+    assert.equal(results.length, 2, 'sold-out product is dropped');
+    for (const r of results) {
+        for (const key of SEARCH_RESULT_KEYS) assert.ok(key in r, `missing ${key}`);
+        assert.equal(r.store, 'Carrefour');
+    }
+    assert.equal(results[0].title, 'Notebook Lenovo IdeaPad 1 15IAU7 Intel Core i3 8GB 256GB SSD 15,6"');
+    assert.equal(results[0].price, 2599.9);
+    assert.equal(results[0].itemId, '8812345');
+    assert.equal(results[1].price, 3199, 'falls back to the marketplace seller when the default one has no stock');
+    assert.equal(results[1].image, null);
+    assert.deepEqual(parseVtexSearch(null, 'Carrefour'), []);
+});
+
+test('VTEX product: specs, identifiers and ProductDNA', () => {
+    const product = parseVtexProduct(json('vtex', 'product.json')[0]);
+    assert.deepEqual(Object.keys(product.productDNA), PRODUCT_DNA_KEYS);
+    assert.deepEqual(product.attributes, { 'Processador': 'Intel Core i3-1215U', 'Memória RAM': '8GB', 'Modelo': '15IAU7' });
+    assert.equal(product.description, 'Notebook Lenovo IdeaPad 1 com processador Intel Core i3-1215U.');
+    assert.match(product.productDNA.fullText, /memoria ram: 8gb/);
+    assert.equal(product.gtin, '7891234567890');
+    assert.equal(product.mpn, '82QD0008BR');
+    assert.equal(product.model, '15IAU7');
+    assert.equal(product.skuId, '8812345');
+    assert.deepEqual(product.seller, { name: 'Carrefour', reputation: null, officialStore: true });
+});
+
+test('VTEX shipping simulation: cheapest delivery, in reais', () => {
+    assert.deepEqual(parseVtexSimulation(json('vtex', 'simulation.json')), { cost: 24.9, free: false, days: 7 });
+    assert.equal(parseVtexSimulation({ logisticsInfo: [{ slas: [] }] }), null);
+});
+
+test('Magalu price and id helpers', () => {
+    assert.equal(parseBRL('R$ 2.549,00'), 2549);
+    assert.equal(parseBRL('ou R$ 1.399,9'), 1399.9);
+    assert.equal(parseBRL('R$ 89'), 89);
+    assert.equal(parseBRL('Indisponível'), null);
+    assert.equal(extractProductId('https://www.magazineluiza.com.br/notebook/p/237382800/in/note/'), '237382800');
+});
+
+test('Magalu search results', () => {
+    const results = parseMagaluSearch(fixture('magalu', 'search.html'));
+    assert.equal(results.length, 2, 'card without price is dropped');
+    for (const r of results) {
+        for (const key of SEARCH_RESULT_KEYS) assert.ok(key in r, `missing ${key}`);
+    }
+    assert.equal(results[0].title, 'Notebook Lenovo IdeaPad 1 Intel Core i3 8GB 256GB SSD 15,6"');
+    assert.equal(results[0].price, 2549, 'sale price, not the struck-through one');
+    assert.equal(results[0].link, 'https://www.magazineluiza.com.br/notebook-lenovo-ideapad-1-intel-core-i3-8gb-256gb-ssd-156/p/237382800/in/note/');
+    assert.equal(results[0].condition, 'new');
+    assert.equal(results[1].condition, 'used');
+});
+
+test('Magalu product page and shipping', () => {
+    const product = parseMagaluProduct(fixture('magalu', 'product.html'));
+    assert.deepEqual(Object.keys(product.productDNA), PRODUCT_DNA_KEYS);
+    assert.deepEqual(product.attributes, { 'Processador': 'Intel Core i3-1215U', 'Memória RAM': '8GB', 'Modelo': '82QD0008BR' });
+    assert.equal(product.price, 2549);
+    assert.equal(product.gtin, '7891234567890');
+    assert.equal(product.brand, 'Lenovo');
+    assert.equal(product.model, '82QD0008BR');
+    assert.equal(product.seller.officialStore, true);
+    assert.match(product.productDNA.fullText, /processador: intel core i3-1215u/);
+
+    assert.deepEqual(parseMagaluShipping(fixture('magalu', 'shipping.html')), { cost: 19.9, free: false, days: 5 }, 'store pickup is not a delivery');
+    assert.equal(parseMagaluShipping('<html></html>'), null);
+});
+
+test('adapterForUrl picks the store of the link, Mercado Livre otherwise', () => {
+    assert.deepEqual(getAdapters().map(a => a.id), ['mercadolivre', 'carrefour', 'magalu']);
+    assert.equal(adapterForUrl('https://www.carrefour.com.br/notebook/p').id, 'carrefour');
+    assert.equal(adapterForUrl('https://www.magazineluiza.com.br/notebook/p/1/').id, 'magalu');
+    assert.equal(adapterForUrl('https://produto.mercadolivre.com.br/MLB-1').id, 'mercadolivre');
+    assert.equal(adapterForUrl('http://mock-link.com/item1').id, 'mercadolivre');
+});
+
+test('searchMarketplaces merges every store with store and marketplace filled', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplaces-'));
+    process.env.SCRAPER_FIXTURES = 'replay';
+    process.env.SCRAPER_FIXTURES_DIR = dir;
+    try {
+        recordPage('https://www.magazineluiza.com.br/busca/notebook%20lenovo/?sortOrientation=asc&sortType=price', 'search', fixture('magalu', 'search.html'));
+        recordPage('https://www.carrefour.com.br/api/catalog_system/pub/products/search?ft=notebook%20lenovo&_from=0&_to=23&O=OrderByPriceASC&sc=1', 'api', fixture('vtex', 'search.json'));
+
+        const results = await searchMarketplaces(null, 'notebook lenovo', { marketplaces: ['mercadolivre', 'carrefour', 'magalu'] });
+        assert.deepEqual(results.map(r => [r.marketplace, r.store, r.price]), [
+            ['carrefour', 'Carrefour', 2599.9],
+            ['carrefour', 'Carrefour', 3199],
+            ['magalu', 'Magazine Luiza', 2549]
+        ]);
+    } finally {
+        delete process.env.SCRAPER_FIXTURES;
+        delete process.env.SCRAPER_FIXTURES_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
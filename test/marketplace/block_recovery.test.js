@@ -0,0 +1,75 @@
+// Recovery from the Mercado Livre anti-bot page: backoff, identity switch and giving up.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { blockBackoff, withBlockRecovery } = require('../../src/services/marketplace/block_recovery');
+
+const blocked = () => Object.assign(new Error('BLOCKED_BY_PORTAL'), { where: 'search page' });
+const noWait = () => {};
+
+test('backoff doubles per block and is capped', () => {
+    const exact = () => 0.5; // no jitter
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(n => blockBackoff(n, exact)), [30000, 60000, 120000, 240000, 300000, 300000]);
+    assert.equal(blockBackoff(1, () => 0), 24000);
+    assert.equal(blockBackoff(1, () => 1), 36000);
+});
+
+test('a block switches identity and runs again', async () => {
+    const calls = [];
+    let runs = 0;
+    const result = await withBlockRecovery(async () => {
+        runs++;
+        if (runs < 3) throw blocked();
+        return 'ok';
+    }, {
+        wait: noWait,
+        onBlock: (e, block) => calls.push(['block', e.where, block.blockNumber, block.giveUp, block.delay > 0]),
+        recover: (n) => calls.push(['recover', n])
+    });
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(calls, [
+        ['block', 'search page', 1, false, true],
+        ['recover', 1],
+        ['block', 'search page', 2, false, true],
+        ['recover', 2]
+    ]);
+});
+
+test('a block while recovering (CEP page of the new identity) counts as another block', async () => {
+    const blocks = [];
+    let runs = 0;
+    let recoveries = 0;
+    const result = await withBlockRecovery(async () => {
+        if (++runs === 1) throw blocked();
+        return 'ok';
+    }, {
+        wait: noWait,
+        onBlock: (e, block) => blocks.push(block.blockNumber),
+        recover: () => { if (++recoveries === 1) throw blocked(); }
+    });
+    assert.equal(result, 'ok');
+    assert.deepEqual(blocks, [1, 2]);
+    assert.equal(runs, 2);
+});
+
+test('gives up after maxRecoveries and rethrows the block', async () => {
+    const blocks = [];
+    await assert.rejects(
+        withBlockRecovery(async () => { throw blocked(); }, {
+            maxRecoveries: 2,
+            wait: noWait,
+            onBlock: (e, block) => blocks.push([block.blockNumber, block.giveUp])
+        }),
+        { message: 'BLOCKED_BY_PORTAL' }
+    );
+    assert.deepEqual(blocks, [[1, false], [2, false], [3, true]]);
+});
+
+test('other errors are not retried', async () => {
+    let runs = 0;
+    await assert.rejects(
+        withBlockRecovery(async () => { runs++; throw new Error('timeout'); }, { wait: noWait }),
+        { message: 'timeout' }
+    );
+    assert.equal(runs, 1);
+});
@@ -0,0 +1,66 @@
+// Cookie vault: validation of exported cookie files, encryption and set status.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { seal, open } = require('../../src/services/secret_box');
+const { parseCookieExport, cookieSetStatus } = require('../../src/services/marketplace/cookie_vault');
+const { isLoggedIn } = require('../../src/services/marketplace/mercadolivre_parser');
+
+const inDays = days => Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+
+const EXPORT = [
+    { name: 'ssid', value: 'abc', domain: '.mercadolivre.com.br', path: '/', expirationDate: inDays(20), httpOnly: true, secure: true, sameSite: 'no_restriction' },
+    { name: '_d2id', value: 'x1', domain: '.mercadolivre.com.br', expirationDate: inDays(365), sameSite: 'unspecified' },
+    { name: 'cp', value: '01001000', domain: 'www.mercadolivre.com.br', session: true },
+    { name: 'old', value: 'y', domain: '.mercadolivre.com.br', expirationDate: inDays(-1) },
+    { name: '_ga', value: 'z', domain: '.google.com', expirationDate: inDays(30) }
+];
+
+test('parseCookieExport keeps valid Mercado Livre cookies in puppeteer format', () => {
+    const { cookies, expiresAt, skipped } = parseCookieExport(JSON.stringify(EXPORT));
+    assert.deepEqual(cookies.map(c => c.name), ['ssid', '_d2id', 'cp']);
+    assert.equal(skipped, 2, 'expired and foreign-domain cookies are dropped');
+    assert.deepEqual(cookies[0], { name: 'ssid', value: 'abc', domain: '.mercadolivre.com.br', path: '/', expires: EXPORT[0].expirationDate, httpOnly: true, secure: true, sameSite: 'None' });
+    assert.equal(cookies[1].sameSite, undefined);
+    assert.equal(cookies[2].expires, -1);
+    assert.equal(expiresAt.getTime(), EXPORT[0].expirationDate * 1000, 'the login cookie sets the expiry, not the longest-lived one');
+});
+
+test('parseCookieExport accepts { cookies: [...] } and rejects unusable files', () => {
+    assert.equal(parseCookieExport(JSON.stringify({ cookies: EXPORT })).cookies.length, 3);
+    assert.throws(() => parseCookieExport('ssid=abc'), /JSON válido/);
+    assert.throws(() => parseCookieExport('{"ssid": "abc"}'), /array de cookies/);
+    assert.throws(() => parseCookieExport(JSON.stringify([EXPORT[3], EXPORT[4]])), /Nenhum cookie válido/);
+});
+
+test('sealed cookies only open with the same key', () => {
+    const sealed = seal('[{"name":"ssid"}]');
+    assert.notEqual(sealed, seal('[{"name":"ssid"}]'), 'random IV per seal');
+    assert.equal(open(sealed), '[{"name":"ssid"}]');
+
+    const [format, iv, tag, data] = sealed.split(':');
+    const tampered = [format, iv, tag, Buffer.from('x' + Buffer.from(data, 'base64').toString('binary'), 'binary').toString('base64')].join(':');
+    assert.throws(() => open(tampered), /descriptografar/);
+
+    process.env.VAULT_KEY = 'outra-chave';
+    try {
+        assert.throws(() => open(sealed), /VAULT_KEY/);
+    } finally {
+        delete process.env.VAULT_KEY;
+    }
+});
+
+test('set status: inactive, expired and benched sets leave the rotation', () => {
+    const now = new Date();
+    const later = new Date(now.getTime() + 60000);
+    const earlier = new Date(now.getTime() - 60000);
+    assert.equal(cookieSetStatus({ is_active: 1, expires_at: later, benched_until: earlier }, now), 'healthy');
+    assert.equal(cookieSetStatus({ is_active: 1, expires_at: earlier }, now), 'expired');
+    assert.equal(cookieSetStatus({ is_active: 1, expires_at: null, benched_until: later }, now), 'benched');
+    assert.equal(cookieSetStatus({ is_active: 0, expires_at: later }, now), 'inactive');
+});
+
+test('isLoggedIn reads the header of the home page', () => {
+    assert.equal(isLoggedIn('<header><a data-link-id="login" href="https://www.mercadolivre.com.br/jms/mlb/lgz/login">Entre</a></header>'), false);
+    assert.equal(isLoggedIn('<header><span class="nav-header-username">Maria</span></header>'), true);
+    assert.equal(isLoggedIn('<html></html>'), false);
+});
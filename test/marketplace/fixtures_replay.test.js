@@ -0,0 +1,70 @@
+// Record/replay mode of the Mercado Livre scraper (SCRAPER_FIXTURES=replay): no browser, no network.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fixturePath, recordPage, loadRecordedPage } = require('../../src/services/marketplace/fixtures');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'mercadolivre', name), 'utf8');
+
+const SEARCH_URL = 'https://lista.mercadolivre.com.br/notebook%2016gb_Ord_PRICE_ASC';
+const PAGE_2_URL = 'https://lista.mercadolivre.com.br/notebook-16gb_Desde_49_OrderId_PRICE_NoIndex_True';
+const PRODUCT_URL = 'https://produto.mercadolivre.com.br/MLB-4012345678-impressora-epson-l3250-_JM';
+
+let dir;
+let scraper;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mabus-fixtures-'));
+    process.env.SCRAPER_FIXTURES = 'replay';
+    process.env.SCRAPER_FIXTURES_DIR = dir;
+
+    recordPage(SEARCH_URL, 'search', fixture('search_poly.html'));
+    recordPage(PAGE_2_URL, 'search', fixture('search_legacy.html'));
+    recordPage(PRODUCT_URL, 'product', fixture('product_paid_shipping.html'), { shippingModal: fixture('shipping_modal.html') });
+
+    scraper = require('../../src/services/marketplace/mercadolivre');
+});
+
+after(() => {
+    delete process.env.SCRAPER_FIXTURES;
+    delete process.env.SCRAPER_FIXTURES_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('recordings are keyed by URL without the #fragment', () => {
+    assert.equal(fixturePath(`${PRODUCT_URL}#position=3&search_layout=grid`, dir), fixturePath(PRODUCT_URL, dir));
+    const record = loadRecordedPage(`${PRODUCT_URL}#position=3`, dir);
+    assert.equal(record.url, PRODUCT_URL);
+    assert.equal(record.kind, 'product');
+    assert.equal(loadRecordedPage('https://produto.mercadolivre.com.br/MLB-1-nao-gravado', dir), null);
+});
+
+test('searchAndScrape replays both result pages and keeps only new items', async () => {
+    const results = await scraper.searchAndScrape(null, 'notebook 16gb');
+    assert.deepEqual(results.map(r => r.title), [
+        'Notebook Lenovo IdeaPad Slim 3 16GB 512GB SSD',
+        'Notebook Acer Aspire 5 16GB Ram 256GB',
+        'Cadeira De Escritório Giratória Ergonômica'
+    ]);
+
+    const all = await scraper.searchAndScrape(null, 'notebook 16gb', { newOnly: false });
+    assert.equal(all.length, 5);
+});
+
+test('getProductDetails replays the product page and its shipping modal', async () => {
+    const details = await scraper.getProductDetails(null, `${PRODUCT_URL}#position=1`);
+    assert.equal(details.productDNA.title, 'Impressora Multifuncional Epson Ecotank L3250 Wi-fi');
+    assert.equal(details.shippingCost, 22.45, 'cheapest option of the recorded modal');
+    assert.equal(details.shippingFree, false);
+    assert.equal(details.seller_reputation, 'gold');
+    assert.equal(details.gtin, '0010343963048');
+});
+
+test('pages that were never recorded degrade to empty results', async () => {
+    assert.deepEqual(await scraper.searchAndScrape(null, 'nada gravado'), []);
+    const details = await scraper.getProductDetails(null, 'https://produto.mercadolivre.com.br/MLB-1-nao-gravado');
+    assert.equal(details.shippingCost, 0);
+    assert.equal(details.productDNA.fullText, '');
+});
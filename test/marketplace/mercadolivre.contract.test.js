@@ -0,0 +1,120 @@
+// Contract tests of the Mercado Livre scraper against saved HTML (test/fixtures/mercadolivre).
+// When ML changes its markup, save the new page next to the old fixture and make both pass.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    parsePrice,
+    extractItemId,
+    isMercadoLivreUrl,
+    isBlockPage,
+    parseSearchResults,
+    parseNextPageUrl,
+    parseProductPage,
+    parseShippingOptions
+} = require('../../src/services/marketplace/mercadolivre_parser');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'mercadolivre', name), 'utf8');
+
+const SEARCH_RESULT_KEYS = ['itemId', 'title', 'price', 'link', 'image', 'isFull', 'isInternational', 'condition'];
+const PRODUCT_DNA_KEYS = ['title', 'specsText', 'descriptionText', 'fullText', 'fullTextRaw'];
+
+test('parsePrice handles thousand separators and cents', () => {
+    assert.equal(parsePrice('3.129', '90'), 3129.9);
+    assert.equal(parsePrice('459', ''), 459);
+    assert.equal(parsePrice('1.289'), 1289);
+    assert.equal(parsePrice(''), null);
+});
+
+test('extractItemId and isMercadoLivreUrl', () => {
+    assert.equal(extractItemId('https://produto.mercadolivre.com.br/MLB-4098765432-notebook-_JM'), 'MLB4098765432');
+    assert.equal(extractItemId('https://www.mercadolivre.com.br/notebook/p/MLB28712345'), 'MLB28712345');
+    assert.equal(extractItemId('https://www.kabum.com.br/produto/123'), null);
+    assert.equal(isMercadoLivreUrl('https://produto.mercadolivre.com.br/MLB-1'), true);
+    assert.equal(isMercadoLivreUrl('https://www.mercadolivre.com.br/p/MLB1'), true);
+    assert.equal(isMercadoLivreUrl('https://mercadolivre.com.br.evil.com/'), false);
+    assert.equal(isMercadoLivreUrl('not a url'), false);
+});
+
+test('search results (poly-card layout)', () => {
+    const results = parseSearchResults(fixture('search_poly.html'));
+    assert.equal(results.length, 3, 'the card without a price is skipped');
+    results.forEach(r => assert.deepEqual(Object.keys(r), SEARCH_RESULT_KEYS));
+
+    const [lenovo, acer, dell] = results;
+    assert.equal(lenovo.title, 'Notebook Lenovo IdeaPad Slim 3 16GB 512GB SSD');
+    assert.equal(lenovo.price, 3129.9, 'current price, not the crossed-out one');
+    assert.equal(lenovo.itemId, 'MLB28712345');
+    assert.equal(lenovo.isFull, true);
+    assert.equal(lenovo.isInternational, false);
+    assert.equal(lenovo.condition, 'new');
+    assert.match(lenovo.image, /^https:\/\/http2\.mlstatic\.com\//, 'lazy image comes from data-src');
+
+    assert.equal(acer.price, 2849);
+    assert.equal(acer.isFull, false);
+    assert.equal(acer.isInternational, true);
+    assert.equal(dell.condition, 'used');
+});
+
+test('search results (legacy ui-search-result layout)', () => {
+    const results = parseSearchResults(fixture('search_legacy.html'), 'https://lista.mercadolivre.com.br/cadeira');
+    assert.equal(results.length, 2);
+    assert.equal(results[0].title, 'Cadeira De Escritório Giratória Ergonômica');
+    assert.equal(results[0].price, 459.99);
+    assert.equal(results[0].link, 'https://lista.mercadolivre.com.br/cadeira-escritorio-giratoria-ergonomica/p/MLB19876543', 'relative links are resolved');
+    assert.equal(results[0].isFull, true);
+    assert.equal(results[1].condition, 'refurbished');
+});
+
+test('next page link', () => {
+    assert.equal(parseNextPageUrl(fixture('search_poly.html')), 'https://lista.mercadolivre.com.br/notebook-16gb_Desde_49_OrderId_PRICE_NoIndex_True');
+    assert.equal(parseNextPageUrl(fixture('search_legacy.html')), null);
+});
+
+test('product page: ProductDNA, specs, identifiers, seller and shipping', () => {
+    const product = parseProductPage(fixture('product_paid_shipping.html'));
+
+    assert.deepEqual(Object.keys(product.productDNA), PRODUCT_DNA_KEYS);
+    assert.equal(product.productDNA.title, 'Impressora Multifuncional Epson Ecotank L3250 Wi-fi');
+    assert.match(product.productDNA.specsText, /Tecnologia de impressão: Jato de tinta/);
+    assert.match(product.productDNA.specsText, /Voltagem: Bivolt/);
+    assert.match(product.productDNA.specsText, /Marca: Epson/);
+    assert.match(product.productDNA.descriptionText, /Imprime, copia e digitaliza/);
+    assert.ok(product.productDNA.fullText.includes('tecnologia de impressao: jato de tinta'), 'fullText is lowercased without accents');
+
+    assert.equal(product.attributes['Conectividade'], 'Wi-Fi, USB', 'andes table does not overwrite highlighted specs');
+    assert.equal(product.attributes['GTIN'], '0010343963048');
+    assert.equal(product.price, 1099.9);
+    assert.equal(product.gtin, '0010343963048');
+    assert.equal(product.mpn, 'C11CJ67302');
+    assert.equal(product.brand, 'Epson');
+    assert.equal(product.model, 'L3250');
+    assert.equal(product.condition, 'https://schema.org/NewCondition');
+
+    assert.deepEqual(product.seller, { name: 'INFOSTORE BRASIL', reputation: 'gold', officialStore: false });
+    assert.deepEqual(product.shipping, { free: false, cost: 34.9 });
+});
+
+test('product page: free shipping, official store, JSON-LD fallbacks', () => {
+    const product = parseProductPage(fixture('product_free_shipping_official.html'));
+
+    assert.deepEqual(product.shipping, { free: true, cost: 0 });
+    assert.deepEqual(product.seller, { name: 'Samsung', reputation: 'platinum', officialStore: true });
+    assert.equal(product.attributes['Taxa de atualização'], '144 Hz');
+    assert.match(product.productDNA.specsText, /Com ajuste de altura/);
+    assert.equal(product.description, 'Monitor com 144Hz.', 'description falls back to JSON-LD');
+    assert.equal(product.price, 899, 'price falls back to JSON-LD offers');
+    assert.equal(product.brand, 'Samsung');
+    assert.equal(product.gtin, '7892509123456');
+});
+
+test('shipping modal: cheapest option, ignoring the product price', () => {
+    assert.equal(parseShippingOptions(fixture('shipping_modal.html')), 22.45);
+});
+
+test('block page detection', () => {
+    assert.equal(isBlockPage('Mercado Livre', fixture('blocked.html')), true);
+    assert.equal(isBlockPage('Impressora Multifuncional Epson Ecotank L3250 Wi-fi | MercadoLivre', fixture('product_paid_shipping.html')), false);
+    assert.deepEqual(parseSearchResults(fixture('blocked.html')), []);
+});
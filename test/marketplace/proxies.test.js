@@ -0,0 +1,84 @@
+// Proxy pool: parsing of proxies.txt, rotation and benching of blocked proxies.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    parseProxyLine,
+    loadProxyPool,
+    acquireProxy,
+    reportProxyResult,
+    getProxyStatus
+} = require('../../src/services/marketplace/proxies');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mabus-proxies-'));
+    fs.writeFileSync(path.join(dir, 'proxies.txt'), [
+        '# pool de teste',
+        '10.0.0.1:3128',
+        'user:p%40ss@10.0.0.2:8080',
+        '10.0.0.3:8000:joao:segredo   # residencial',
+        'lixo sem porta',
+        '10.0.0.1:3128'
+    ].join('\n'));
+    process.env.PROXIES_FILE = path.join(dir, 'proxies.txt');
+    delete process.env.PROXY_URL;
+});
+
+after(() => {
+    delete process.env.PROXIES_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseProxyLine accepts the documented formats', () => {
+    assert.deepEqual(parseProxyLine('10.0.0.1:3128'), { id: 'http://10.0.0.1:3128', server: 'http://10.0.0.1:3128', username: null, password: null });
+    assert.deepEqual(parseProxyLine('user:p%40ss@10.0.0.2:8080'), { id: 'http://10.0.0.2:8080', server: 'http://10.0.0.2:8080', username: 'user', password: 'p@ss' });
+    assert.equal(parseProxyLine('10.0.0.3:8000:joao:segredo').username, 'joao');
+    assert.equal(parseProxyLine('socks5://10.0.0.4:1080').server, 'socks5://10.0.0.4:1080');
+    assert.equal(parseProxyLine('# comentário'), null);
+    assert.equal(parseProxyLine('lixo sem porta'), null);
+});
+
+test('pool skips invalid lines and duplicates', () => {
+    const pool = loadProxyPool(true);
+    assert.deepEqual(pool.map(p => p.id), ['http://10.0.0.1:3128', 'http://10.0.0.2:8080', 'http://10.0.0.3:8000']);
+});
+
+test('rotation skips a blocked proxy until its cooldown ends', () => {
+    const first = acquireProxy();
+    reportProxyResult(first, 'blocked', 'Bloqueio em search page');
+
+    const seen = new Set();
+    for (let i = 0; i < 6; i++) seen.add(acquireProxy().id);
+    assert.equal(seen.has(first.id), false);
+    assert.equal(seen.size, 2);
+
+    const status = getProxyStatus().find(p => p.id === first.id);
+    assert.equal(status.healthy, false);
+    assert.equal(status.blocks, 1);
+    assert.ok(status.badUntil > new Date());
+});
+
+test('connection errors bench a proxy only after repeated failures', () => {
+    const proxy = loadProxyPool().find(p => p.id === 'http://10.0.0.2:8080');
+    reportProxyResult(proxy, 'success');
+    reportProxyResult(proxy, 'error', 'net::ERR_PROXY_CONNECTION_FAILED');
+    reportProxyResult(proxy, 'error', 'net::ERR_PROXY_CONNECTION_FAILED');
+    assert.equal(getProxyStatus().find(p => p.id === proxy.id).healthy, true);
+
+    reportProxyResult(proxy, 'error', 'net::ERR_PROXY_CONNECTION_FAILED');
+    const status = getProxyStatus().find(p => p.id === proxy.id);
+    assert.equal(status.healthy, false);
+    assert.equal(status.successRate, 25);
+});
+
+test('when every proxy is benched, the one that comes back first is used', () => {
+    for (const proxy of loadProxyPool()) {
+        if (getProxyStatus().find(p => p.id === proxy.id).healthy) reportProxyResult(proxy, 'blocked');
+    }
+    assert.equal(getProxyStatus().every(p => !p.healthy), true);
+    assert.equal(acquireProxy().id, 'http://10.0.0.2:8080', '5 min error cooldown ends before the 10 min block cooldowns');
+});
@@ -0,0 +1,74 @@
+// Re-quote of winners: price check evaluation, alert transitions and the item page chart.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePriceCheck, buildPriceChart, buildItemPriceSeries, isRequotable } = require('../src/services/price_history');
+
+const details = (price, shippingCost = 0) => ({ productDNA: { title: 'Notebook Lenovo' }, price, shippingCost });
+const GONE = { productDNA: { title: '' }, shippingCost: 0 };
+const check = status => ({ status });
+
+test('price check: total price against max_price, one alert when it crosses', () => {
+    assert.deepEqual(evaluatePriceCheck(details(2500, 30), { maxPrice: 3000 }), {
+        status: 'ok', price: 2500, shippingCost: 30, totalPrice: 2530, alert: null
+    });
+
+    const above = evaluatePriceCheck(details(2990, 19.9), { maxPrice: 3000, recent: [check('ok')] });
+    assert.equal(above.status, 'above_max');
+    assert.equal(above.totalPrice, 3009.9);
+    assert.equal(above.alert, 'above_max');
+
+    const stillAbove = evaluatePriceCheck(details(3100), { maxPrice: 3000, recent: [check('error'), check('above_max')] });
+    assert.equal(stillAbove.alert, null, 'failed checks in between do not re-arm the alert');
+
+    assert.equal(evaluatePriceCheck(details(5000), { maxPrice: 0 }).status, 'ok', 'no max_price, no limit');
+});
+
+test('listing gone: alert on the second unavailable check in a row', () => {
+    const first = evaluatePriceCheck(GONE, { maxPrice: 3000, recent: [check('ok')] });
+    assert.deepEqual(first, { status: 'unavailable', price: null, shippingCost: null, totalPrice: null, alert: null });
+
+    assert.equal(evaluatePriceCheck(GONE, { maxPrice: 3000, recent: [check('unavailable'), check('ok')] }).alert, 'unavailable');
+    assert.equal(evaluatePriceCheck(GONE, { maxPrice: 3000, recent: [check('blocked'), check('unavailable')] }).alert, 'unavailable');
+    assert.equal(evaluatePriceCheck(GONE, { maxPrice: 3000, recent: [check('unavailable'), check('unavailable')] }).alert, null, 'already alerted');
+    assert.equal(evaluatePriceCheck({ productDNA: { title: 'Notebook' }, price: null }, { maxPrice: 3000 }).status, 'unavailable', 'page without price = out of stock');
+    assert.equal(evaluatePriceCheck(null, { maxPrice: 3000 }).status, 'unavailable');
+});
+
+test('chart: quote and checks on a shared scale with the max_price line', () => {
+    const points = [
+        { at: '2026-03-01T12:00:00Z', total: 2500 },
+        { at: '2026-03-02T12:00:00Z', total: 3000 },
+        { at: '2026-03-03T12:00:00Z', total: null }
+    ];
+    const chart = buildPriceChart(points, { maxPrice: 3500, width: 120, height: 60, padding: 10 });
+    assert.equal(chart.min, 2500);
+    assert.equal(chart.max, 3500);
+    assert.equal(chart.line, '10,50 60,30', 'unavailable checks are not on the price line');
+    assert.equal(chart.maxLine, 10);
+    assert.deepEqual(chart.dots[2], { x: 110, y: 50, at: '2026-03-03T12:00:00Z', total: null, available: false });
+    assert.equal(buildPriceChart([{ at: '2026-03-01', total: null }]), null);
+});
+
+test('item series start at the original quote; only real listings are re-quoted', () => {
+    const candidates = [
+        { id: 1, title: 'Lenovo', price: '2500.00', created_at: '2026-03-01T12:00:00Z' },
+        { id: 2, title: 'Dell', price: '2700.00', created_at: '2026-03-01T12:00:00Z' }
+    ];
+    const checks = [
+        { candidate_id: 1, checked_at: '2026-03-02T12:00:00Z', status: 'ok', total_price: '2450.00', alert: null },
+        { candidate_id: 1, checked_at: '2026-03-03T12:00:00Z', status: 'blocked', total_price: null, alert: null }
+    ];
+    const series = buildItemPriceSeries(candidates, checks, 3000);
+    assert.equal(series.length, 1);
+    assert.deepEqual(series[0].points.map(p => [p.status, p.total]), [['quote', 2500], ['ok', 2450]]);
+    assert.equal(series[0].last.total, 2450);
+
+    assert.equal(isRequotable({ link: 'https://www.carrefour.com.br/notebook/p' }), true);
+    assert.equal(isRequotable({ link: 'https://produto.mercadolivre.com.br/MLB-123-notebook-_JM' }), true);
+    assert.equal(isRequotable({ link: 'http://mock-link.com/item1' }), false);
+    assert.equal(isRequotable({ link: '' }), false);
+    // Manual offers and links no adapter recognizes are never opened by the re-quote browser
+    assert.equal(isRequotable({ link: 'https://produto.mercadolivre.com.br/MLB-123-notebook-_JM', is_manual: 1 }), false);
+    assert.equal(isRequotable({ link: 'http://169.254.169.254/latest/meta-data/' }), false);
+    assert.equal(isRequotable({ link: 'https://loja-qualquer.com.br/notebook' }), false);
+});
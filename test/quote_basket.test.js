@@ -0,0 +1,49 @@
+// Cesta de preços: N accepted quotes from distinct sellers, mean / median / reference price.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sellerKey, countDistinctSellers, buildQuoteBasket } = require('../src/services/quote_basket');
+
+const offer = (price, seller, extra = {}) => ({
+    title: `Item ${price}`,
+    totalPrice: price,
+    link: `https://loja.example/${price}`,
+    store: 'Mercado Livre',
+    risk_score: '3',
+    seller_name: seller,
+    ...extra
+});
+
+test('one quote per seller: the cheapest offer of each, cheapest sellers first', () => {
+    const offers = [
+        offer(120, 'Loja A'),
+        offer(100, 'LOJA Á'), // same seller, other spelling
+        offer(130, 'Loja B'),
+        offer(90, 'Loja C', { risk_score: '8.5' }), // not accepted by JUIZ
+        offer(95, 'Loja D', { is_rejected: true }), // rejected by a buyer
+        offer(150, 'Loja E'),
+        offer(110, null, { store: 'Carrefour' })
+    ];
+    const basket = buildQuoteBasket(offers, 3);
+    assert.deepEqual(basket.quotes, [1, 6, 2]);
+    assert.equal(basket.count, 3);
+    assert.equal(basket.complete, true);
+    assert.equal(basket.mean, 113.33);
+    assert.equal(basket.median, 110);
+    assert.equal(basket.reference, 110);
+});
+
+test('items without enough distinct sellers are flagged', () => {
+    const basket = buildQuoteBasket([offer(200, 'Loja A'), offer(210, 'Loja A'), offer(300, 'Loja B')], 3);
+    assert.equal(basket.complete, false);
+    assert.equal(basket.count, 2);
+    assert.equal(basket.median, 250, 'even count: mean of the two middle prices');
+
+    const empty = buildQuoteBasket([], 3);
+    assert.deepEqual(empty, { size: 3, quotes: [], count: 0, mean: null, median: null, reference: null, complete: false });
+});
+
+test('sellers are matched by name across stores, anonymous listings count alone', () => {
+    assert.equal(sellerKey(offer(1, 'Magazine Luiza', { store: 'Magazine Luiza' })), sellerKey({ seller: { name: 'magazine luiza' }, store: 'Mercado Livre' }));
+    assert.notEqual(sellerKey(offer(1, null)), sellerKey(offer(2, null)));
+    assert.equal(countDistinctSellers([offer(1, 'A'), offer(2, 'a'), offer(3, null)]), 2);
+});
@@ -0,0 +1,102 @@
+// Scoring backtest: PERITO specs from the debug log, deterministic replay and the winner diff.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DebugLogger } = require('../modules/hivemind/services/debug_logger');
+const { parsePeritoOutput, findItemDebugLog, runScoringBacktest, formatBacktestReport } = require('../src/services/scoring_backtest');
+const { normalizeScoringWeights, toScoringProfile } = require('../src/services/scoring_profiles');
+
+const PERITO = {
+    complexity: 'MEDIUM',
+    searchAnchor: '"furadeira de impacto"',
+    searchAnchorRaw: 'furadeira de impacto',
+    killSpecs: [],
+    criticalSpecs: [{ spec: '800w', weight: 20 }, { spec: 'bivolt', weight: 10 }],
+    originalDescription: 'Furadeira de impacto 800W bivolt'
+};
+
+// Log text as the HIVE-MIND writes it, without touching logs/hivemind
+function peritoLog() {
+    const logger = Object.create(DebugLogger.prototype);
+    logger.entries = [];
+    logger._write = line => logger.entries.push(line);
+    logger.section('PERITO - INPUT');
+    logger._write('{ "description": "..." }');
+    logger.agentOutput('PERITO', PERITO);
+    logger.section('SNIPER - OUTPUT');
+    logger._write('{}');
+    return logger.entries.join('\n');
+}
+
+const row = (id, title, price, fullText, extra = {}) => ({
+    id, title, price: String(price), store: 'Loja', link: `https://loja.com/${id}`,
+    product_dna: JSON.stringify({ title, fullText }), ai_selected: false,
+    created_at: new Date('2026-03-01T12:00:00Z'), ...extra
+});
+
+const item = {
+    id: 7, task_id: 3, task_name: 'Ferramentas', original_id: '12', description: 'Furadeira de impacto 800W bivolt', max_price: '500.00',
+    candidates: [
+        // Full match, cheap: 60 + 20 + 10 pts
+        row(1, 'Furadeira Bosch', 120, 'furadeira de impacto 800w bivolt', { ai_selected: true }),
+        // Full match, more expensive
+        row(2, 'Furadeira Makita', 300, 'furadeira de impacto 800w bivolt'),
+        // No anchor: 10 + 20 pts
+        row(3, 'Parafusadeira Genérica', 150, 'parafusadeira 800w')
+    ]
+};
+
+test('PERITO output is read back from the debug log', () => {
+    assert.deepEqual(parsePeritoOutput(peritoLog()), PERITO);
+    assert.equal(parsePeritoOutput('sem perito'), null);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    const older = Date.parse('2026-03-01T10:00:00Z');
+    const newer = Date.parse('2026-03-01T13:00:00Z');
+    fs.writeFileSync(path.join(dir, `task_3_item_12_${older}.log`), '');
+    fs.writeFileSync(path.join(dir, `task_3_item_12_${newer}.log`), '');
+    fs.writeFileSync(path.join(dir, `task_3_item_120_${older}.log`), '');
+    assert.equal(findItemDebugLog(3, '12', '2026-03-01T12:00:00Z', dir), path.join(dir, `task_3_item_12_${older}.log`), 'run that saved the candidates');
+    assert.equal(findItemDebugLog(3, '99', null, dir), null);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('replay reports the winners a rule set changes, and why', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+    fs.writeFileSync(path.join(dir, `task_3_item_12_${Date.parse('2026-03-01T11:00:00Z')}.log`), peritoLog());
+    const orphan = { ...item, id: 8, original_id: '13' };
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const same = await runScoringBacktest([item], toScoringProfile(null), { logDir: dir });
+        assert.equal(same.analyzed, 1);
+        assert.equal(same.changes.length, 0);
+        assert.equal(same.divergent, 0, 'replay of the defaults picks the recorded winner');
+
+        // Floor at 30% of R$ 500: the R$ 120 winner becomes an accessory
+        const floor = { id: null, name: 'Piso alto', weights: normalizeScoringWeights({ price_floor_percentage: 0.3 }) };
+        const report = await runScoringBacktest([item, orphan], floor, { logDir: dir });
+        assert.equal(report.analyzed, 1);
+        assert.deepEqual(report.skipped.map(s => s.reason), ['sem log de debug do HIVE-MIND']);
+        assert.equal(report.changes.length, 1);
+        assert.match(report.changes[0].before, /Furadeira Bosch/);
+        assert.match(report.changes[0].after, /Furadeira Makita/);
+        assert.match(report.changes[0].reasons[0], /abaixo do piso de preço \(30% do máximo\)/);
+
+        // Without the anchor points nothing reaches the maximum risk
+        const strict = { id: null, name: 'Sem âncora', weights: normalizeScoringWeights({ anchor_found: 0, max_acceptable_risk: 5 }) };
+        const none = await runScoringBacktest([item], strict, { logDir: dir });
+        assert.equal(none.changes[0].after, null);
+        assert.ok(none.changes[0].reasons.includes('nenhum candidato com risco ≤ 5'));
+
+        const markdown = formatBacktestReport(report);
+        assert.match(markdown, /Vencedores que mudariam: 1/);
+        assert.match(markdown, /Regras originais \(Padrão\)/);
+        assert.match(markdown, /## Pulados/);
+    } finally {
+        console.log = log;
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,61 @@
+// JUIZ scoring profiles: validation, what gets stored and how the weights change the adherence score.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORING_DEFAULTS, BUILTIN_SCORING_PROFILES, normalizeScoringWeights, scoringOverrides, toScoringProfile } = require('../src/services/scoring_profiles');
+const { calculateAdherenceScore, applyAdherenceRisk } = require('../modules/hivemind/agents/juiz');
+
+test('weights: form values are completed with the defaults and checked against their range', () => {
+    const weights = normalizeScoringWeights({ anchor_missing: '0', price_floor_percentage: '0,3', golden_model_bonus: '' });
+    assert.equal(weights.anchor_missing, 0);
+    assert.equal(weights.price_floor_percentage, 0.3);
+    assert.equal(weights.golden_model_bonus, SCORING_DEFAULTS.golden_model_bonus, 'empty field keeps the default');
+    assert.deepEqual(scoringOverrides(weights), { anchor_missing: 0, price_floor_percentage: 0.3 });
+
+    assert.throws(() => normalizeScoringWeights({ max_acceptable_risk: 11 }), /Risco máximo do vencedor: valor de 0 a 10/);
+    assert.throws(() => normalizeScoringWeights({ anchor_found: 'muito' }), /Âncora encontrada/);
+    assert.throws(() => normalizeScoringWeights({ bonus_secreto: 5 }), /desconhecido/);
+    for (const profile of BUILTIN_SCORING_PROFILES) normalizeScoringWeights(profile.weights);
+});
+
+test('stored rows: JSON string or object, unknown or bad fields fall back; no row = built-in default', () => {
+    const strict = toScoringProfile({ id: 2, name: 'Rigoroso', weights: '{"max_acceptable_risk":5,"campo_antigo":1}' });
+    assert.deepEqual(strict, { id: 2, name: 'Rigoroso', weights: { ...SCORING_DEFAULTS, max_acceptable_risk: 5 } });
+    assert.deepEqual(toScoringProfile({ id: 3, name: 'X', weights: { anchor_found: -1 } }).weights, SCORING_DEFAULTS);
+    assert.deepEqual(toScoringProfile(null), { id: null, name: 'Padrão', weights: SCORING_DEFAULTS });
+});
+
+test('adherence score follows the profile weights', () => {
+    const productDNA = { title: 'Notebook Lenovo IdeaPad 1', fullText: 'notebook lenovo ideapad 1 processador intel core i5 memoria 8gb' };
+    const specs = { searchAnchor: 'ideapad 3', criticalSpecs: ['core i5', '8gb'] };
+
+    const standard = calculateAdherenceScore(productDNA, specs);
+    assert.equal(standard.score, 10 + 10 + 10, 'anchor missing +10, two specs +10 each');
+    assert.equal(standard.risk, '7.0');
+
+    const strict = calculateAdherenceScore(productDNA, specs, null, null, null, normalizeScoringWeights({ anchor_missing: 0, spec_weight: 15 }));
+    assert.equal(strict.score, 30);
+    assert.ok(strict.breakdown.includes('⚠ Âncora "ideapad 3" NÃO encontrada (+0pts - penalidade severa)'));
+    assert.ok(strict.breakdown.includes('✓ Spec "core i5" (+15pts)'));
+});
+
+test('live JUIZ: the AI risk is averaged with the adherence risk of the task profile', () => {
+    const specs = { searchAnchor: '"ideapad 3"', criticalSpecs: ['core i5', '8gb'] };
+    const scored = () => [
+        { title: 'IdeaPad 1', risk_score: 3, productDNA: { title: 'Notebook Lenovo IdeaPad 1', fullText: 'notebook lenovo ideapad 1 processador intel core i5 memoria 8gb' } },
+        { title: 'Sem DNA', risk_score: 4 }
+    ];
+
+    const standard = scored();
+    assert.equal(applyAdherenceRisk(standard, specs), 1);
+    assert.deepEqual([standard[0].aiRisk, standard[0].adherenceRisk, standard[0].risk_score], [3, 7, 5]);
+    assert.equal(standard[0].aiMatch, true);
+    assert.equal(standard[1].risk_score, 4, 'no ProductDNA: AI risk only');
+
+    const strict = scored();
+    applyAdherenceRisk(strict, specs, null, normalizeScoringWeights({ anchor_missing: 0 }));
+    assert.deepEqual([strict[0].adherenceScore, strict[0].risk_score, strict[0].aiMatch], [20, 5.5, false]);
+
+    const noSpecs = scored();
+    assert.equal(applyAdherenceRisk(noSpecs, { searchAnchor: null, criticalSpecs: [] }), 0);
+    assert.equal(noSpecs[0].risk_score, 3);
+});
@@ -0,0 +1,69 @@
+// Webhook targets: only public addresses on the default port, unless allowed.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { checkWebhookUrl, postWebhook } = require('../src/services/webhooks');
+
+async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+test('internal targets are refused: loopback, private, link-local and mapped IPv6', async () => {
+    for (const url of [
+        'http://127.0.0.1/hook',
+        'http://localhost/hook',
+        'http://2130706433/hook',
+        'http://10.0.0.5/hook',
+        'http://172.20.0.3/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://0.0.0.0/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook'
+    ]) {
+        await assert.rejects(checkWebhookUrl(url), /endereço interno/, url);
+    }
+    await checkWebhookUrl('http://127.0.0.1/hook', { allowPrivate: true });
+});
+
+test('public targets pass on the default port; other ports only for admins', async () => {
+    await checkWebhookUrl('https://8.8.8.8/hook');
+    await checkWebhookUrl('https://8.8.8.8:443/hook');
+    await assert.rejects(checkWebhookUrl('https://8.8.8.8:8443/hook'), /porta padrão/);
+    await checkWebhookUrl('https://8.8.8.8:8443/hook', { allowAnyPort: true });
+    await assert.rejects(checkWebhookUrl('ftp://8.8.8.8/hook'), /URL inválida/);
+    await assert.rejects(checkWebhookUrl('não é url'), /URL inválida/);
+});
+
+test('deliveries connect to the checked address and never follow redirects', async () => {
+    const internal = [];
+    const metadata = await listen((req, res) => { internal.push(req.url); res.end('secret'); });
+    const seen = [];
+    const target = await listen((req, res) => {
+        seen.push([req.headers.host, req.headers['x-mabus-event']]);
+        if (req.url === '/redirect') {
+            res.writeHead(302, { Location: `http://127.0.0.1:${metadata.address().port}/latest/meta-data/` });
+            return res.end();
+        }
+        res.end('ok');
+    });
+    const port = target.address().port;
+    const pinned = { address: '127.0.0.1', family: 4 };
+    try {
+        const redirected = await postWebhook(`http://127.0.0.1:${port}/redirect`, pinned, { 'X-Mabus-Event': 'task.completed' }, '{}');
+        assert.equal(redirected.status, 302);
+        assert.deepEqual(internal, [], 'the redirect target is never requested');
+
+        // The name would resolve elsewhere (or nowhere): the request still goes to the checked address
+        const rebound = await postWebhook(`http://hooks.rebind.invalid:${port}/ok`, pinned, { 'X-Mabus-Event': 'task.failed' }, '{}');
+        assert.deepEqual(rebound, { status: 200, body: 'ok' });
+        assert.deepEqual(seen[1], [`hooks.rebind.invalid:${port}`, 'task.failed']);
+    } finally {
+        target.close();
+        metadata.close();
+    }
+    assert.deepEqual(await checkWebhookUrl('http://127.0.0.1/hook', { allowPrivate: true }), pinned);
+});
@@ -0,0 +1,101 @@
+// Mock Nextcloud Deck server + smoke test of the connector (src/services/deck.js).
+//
+//   node test_deck.js           -> runs the checks against the mock and exits
+//   node test_deck.js --serve   -> keeps the mock running on http://localhost:8089
+//                                  (board 1, stacks 1..4) to point /admin/integrations at it
+const http = require('http');
+const { getStacks, createCard, moveCard, attachFile } = require('./src/services/deck');
+
+const PORT = parseInt(process.env.MOCK_DECK_PORT) || 8089;
+const API = '/index.php/apps/deck/api/v1.1';
+
+function createMockDeck() {
+    const stacks = [
+        { id: 1, boardId: 1, title: 'Na fila', order: 0 },
+        { id: 2, boardId: 1, title: 'Em execução', order: 1 },
+        { id: 3, boardId: 1, title: 'Concluídas', order: 2 },
+        { id: 4, boardId: 1, title: 'Falhas', order: 3 }
+    ];
+    const cards = new Map();
+    const attachments = [];
+    let nextId = 100;
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+            console.log(`[MockDeck] ${req.method} ${req.url}`);
+
+            if (req.headers['ocs-apirequest'] !== 'true') return send(400, { status: 400, message: 'OCS-APIRequest header missing' });
+            if (!req.headers.authorization) return send(401, { status: 401, message: 'Unauthorized' });
+            if (!req.url.startsWith(API)) return send(404, { status: 404, message: 'Not found' });
+
+            const route = req.url.substring(API.length);
+            let m;
+
+            if (req.method === 'GET' && (m = route.match(/^\/boards\/(\d+)\/stacks$/))) {
+                return send(200, stacks.map(st => ({ ...st, cards: [...cards.values()].filter(c => c.stackId === st.id) })));
+            }
+            if (req.method === 'POST' && (m = route.match(/^\/boards\/(\d+)\/stacks\/(\d+)\/cards$/))) {
+                const data = JSON.parse(body.toString() || '{}');
+                if (!data.title) return send(400, { status: 400, message: 'title must be provided' });
+                const card = { id: nextId++, title: data.title, description: data.description, stackId: parseInt(m[2]), type: 'plain', order: data.order };
+                cards.set(card.id, card);
+                return send(200, card);
+            }
+            if (req.method === 'PUT' && (m = route.match(/^\/boards\/(\d+)\/stacks\/(\d+)\/cards\/(\d+)\/reorder$/))) {
+                const card = cards.get(parseInt(m[3]));
+                if (!card || card.stackId !== parseInt(m[2])) return send(403, { status: 403, message: 'Permission denied' });
+                const data = JSON.parse(body.toString() || '{}');
+                card.stackId = data.stackId;
+                return send(200, [card]);
+            }
+            if (req.method === 'POST' && (m = route.match(/^\/boards\/(\d+)\/stacks\/(\d+)\/cards\/(\d+)\/attachments$/))) {
+                if (!cards.has(parseInt(m[3]))) return send(403, { status: 403, message: 'Permission denied' });
+                if (!(req.headers['content-type'] || '').startsWith('multipart/form-data')) return send(400, { status: 400, message: 'file must be provided' });
+                const attachment = { id: nextId++, cardId: parseInt(m[3]), type: 'file', size: body.length };
+                attachments.push(attachment);
+                return send(200, attachment);
+            }
+            send(404, { status: 404, message: 'Not found' });
+        });
+    });
+
+    return { server, cards, attachments };
+}
+
+(async () => {
+    const mock = createMockDeck();
+    await new Promise(resolve => mock.server.listen(PORT, resolve));
+    console.log(`[MockDeck] Listening on http://localhost:${PORT} (board 1, stacks 1-4)`);
+    if (process.argv.includes('--serve')) return;
+
+    const config = { url: `http://localhost:${PORT}`, user: 'mabus', password: 'app-password', boardId: 1 };
+    try {
+        const stacks = await getStacks(config);
+        console.log(`Stacks: ${stacks.map(s => `${s.id}=${s.title}`).join(', ')}`);
+
+        const card = await createCard(config, 1, { title: 'Pregão 12/2025', description: '**Itens:** 3' });
+        await moveCard(config, 1, card.id, 2);
+        await moveCard(config, 2, card.id, 3);
+        const attachment = await attachFile(config, 3, card.id, 'resultado.xlsx', Buffer.from('fake-xlsx'));
+
+        const stored = mock.cards.get(card.id);
+        if (stored.stackId === 3 && attachment.cardId === card.id && mock.attachments.length === 1) {
+            console.log("SUCCESS: Deck connector created, moved and attached to the card.");
+        } else {
+            console.error("FAILURE: Unexpected mock state:", stored, mock.attachments);
+            process.exitCode = 1;
+        }
+    } catch (e) {
+        console.error("Test Failed:", e);
+        process.exitCode = 1;
+    }
+    mock.server.close();
+    process.exit();
+})();